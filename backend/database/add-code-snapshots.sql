@@ -0,0 +1,20 @@
+-- Code snapshots
+-- The test page sends the candidate's editors every few seconds while they change, so admins can
+-- replay how an answer was written; chars_delta / large_change mark code that appeared all at once
+USE frontend_test_portal;
+
+CREATE TABLE IF NOT EXISTS code_snapshots (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    test_session_id VARCHAR(100) NOT NULL,
+    user_id VARCHAR(100) NOT NULL,
+    challenge_id VARCHAR(100) NOT NULL,
+    html MEDIUMTEXT,
+    css MEDIUMTEXT,
+    js MEDIUMTEXT,
+    chars_delta INT DEFAULT 0,
+    large_change BOOLEAN DEFAULT FALSE,
+    taken_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    INDEX idx_session_challenge (test_session_id, challenge_id, taken_at)
+);
+
+SELECT 'Code snapshots table created successfully!' AS message;
@@ -0,0 +1,8 @@
+-- Add per-challenge evaluation configuration
+-- Holds grading options such as scripted behavior tests
+USE frontend_test_portal;
+
+ALTER TABLE challenges
+ADD COLUMN evaluation_config JSON NULL AFTER passing_threshold;
+
+SELECT 'Evaluation config column added successfully!' AS message;
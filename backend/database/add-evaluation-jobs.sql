@@ -0,0 +1,19 @@
+-- Add evaluation job queue
+-- Submissions are graded by background workers; the frontend polls the job for progress
+USE frontend_test_portal;
+
+CREATE TABLE IF NOT EXISTS evaluation_jobs (
+    id VARCHAR(100) PRIMARY KEY,
+    submission_id VARCHAR(100) NOT NULL,
+    status ENUM('queued', 'rendering', 'scoring', 'done', 'failed') DEFAULT 'queued',
+    attempts INT DEFAULT 0,
+    error TEXT NULL,
+    result JSON NULL,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    started_at TIMESTAMP NULL,
+    finished_at TIMESTAMP NULL,
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_submission (submission_id)
+);
+
+SELECT 'Evaluation jobs table created successfully!' AS message;
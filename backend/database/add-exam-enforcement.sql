@@ -0,0 +1,29 @@
+-- Server-side exam enforcement
+-- Each test session keeps its own deadline and violation limit (taken from the course restrictions
+-- when it starts), counts reported violations and records why it was terminated
+USE frontend_test_portal;
+
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS status ENUM('active', 'completed', 'terminated') COLLATE utf8mb4_unicode_ci DEFAULT 'active' AFTER overall_status,
+  ADD COLUMN IF NOT EXISTS violation_count INT DEFAULT 0 AFTER status,
+  ADD COLUMN IF NOT EXISTS max_violations INT NULL AFTER violation_count,
+  ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMP NULL AFTER started_at,
+  ADD COLUMN IF NOT EXISTS terminated_reason VARCHAR(255) COLLATE utf8mb4_unicode_ci NULL AFTER completed_at;
+
+-- Sessions finished before this migration
+UPDATE test_sessions SET status = 'completed' WHERE completed_at IS NOT NULL AND status = 'active';
+
+CREATE TABLE IF NOT EXISTS test_violations (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL,
+    course_id VARCHAR(100) NOT NULL,
+    level INT NOT NULL,
+    violation_type ENUM('tab_switch', 'exit_fullscreen', 'copy_paste', 'esc_key') NOT NULL,
+    violation_count INT DEFAULT 1,
+    test_session_id VARCHAR(100),
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_session (user_id, test_session_id),
+    INDEX idx_timestamp (timestamp)
+);
+
+SELECT 'Exam enforcement columns added successfully!' AS message;
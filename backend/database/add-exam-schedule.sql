@@ -0,0 +1,20 @@
+-- Scheduled exams
+-- One-time invite tokens for courses whose schedule admits candidates by invite only
+-- (the schedule itself is kept with the other course settings); only a hash of each token is stored
+USE frontend_test_portal;
+
+CREATE TABLE IF NOT EXISTS exam_invites (
+    id VARCHAR(100) PRIMARY KEY,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    course_id VARCHAR(100) NOT NULL,
+    level INT NULL,
+    label VARCHAR(255),
+    time_allowance INT NULL,
+    used_at TIMESTAMP NULL,
+    used_by VARCHAR(100) NULL,
+    session_id VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_course (course_id)
+);
+
+SELECT 'Exam invites table created successfully!' AS message;
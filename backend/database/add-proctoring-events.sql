@@ -0,0 +1,17 @@
+-- Proctoring event log
+-- test_violations also keeps events that don't count as violations (focus loss, devtools heuristics,
+-- window resizes, idle periods), with the time the client saw them and free-form details,
+-- so reviewers can follow a session on a timeline
+USE frontend_test_portal;
+
+ALTER TABLE test_violations
+  MODIFY COLUMN violation_type ENUM(
+    'tab_switch', 'exit_fullscreen', 'copy_paste', 'esc_key',
+    'focus_loss', 'devtools_open', 'window_resize', 'idle'
+  ) NOT NULL,
+  ADD COLUMN IF NOT EXISTS counted BOOLEAN DEFAULT TRUE AFTER violation_count,
+  ADD COLUMN IF NOT EXISTS details JSON NULL AFTER counted,
+  ADD COLUMN IF NOT EXISTS occurred_at TIMESTAMP(3) NULL AFTER timestamp,
+  ADD INDEX IF NOT EXISTS idx_session_time (test_session_id, occurred_at);
+
+SELECT 'Proctoring event columns added successfully!' AS message;
@@ -0,0 +1,9 @@
+-- Resumable test sessions
+-- Keeps the questions a session was given (in the order shown) so a candidate whose browser crashed
+-- or lost its connection gets the same questions back; their code is restored from code_snapshots
+USE frontend_test_portal;
+
+ALTER TABLE test_sessions
+  ADD COLUMN IF NOT EXISTS assigned_questions JSON NULL AFTER submission_ids;
+
+SELECT 'Session resume column added successfully!' AS message;
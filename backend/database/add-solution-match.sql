@@ -0,0 +1,8 @@
+-- Add solution match fingerprint to submissions
+-- Submissions near-identical to the expected solution are flagged to admins
+USE frontend_test_portal;
+
+ALTER TABLE submissions
+ADD COLUMN solution_match JSON NULL AFTER expected_screenshot;
+
+SELECT 'Solution match column added successfully!' AS message;
@@ -0,0 +1,22 @@
+-- Add submission result history
+-- Re-grading archives the previous result here so grade changes can be audited
+USE frontend_test_portal;
+
+CREATE TABLE IF NOT EXISTS submission_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    submission_id VARCHAR(100) NOT NULL,
+    regrade_id VARCHAR(100) NULL,
+    reason VARCHAR(255),
+    previous_status VARCHAR(20),
+    previous_score INT,
+    previous_passed BOOLEAN,
+    previous_result JSON NULL,
+    previous_evaluated_at TIMESTAMP NULL,
+    new_score INT,
+    new_passed BOOLEAN,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_submission (submission_id),
+    INDEX idx_regrade (regrade_id)
+);
+
+SELECT 'Submission history table created successfully!' AS message;
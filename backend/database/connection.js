@@ -144,8 +144,8 @@ const pool = mysql.createPool(dbConfig);
 
 let isConnected = false;
 
-// Test connection
-pool
+// Test connection (settles once MySQL vs JSON storage has been decided)
+const ready = pool
   .getConnection()
   .then((connection) => {
     console.log("✅ MySQL Database connected successfully");
@@ -197,5 +197,6 @@ module.exports = {
   queryOne,
   transaction,
   isConnected: () => isConnected,
+  ready,
   USE_JSON,
 };
@@ -53,6 +53,7 @@ CREATE TABLE challenges (
     tags JSON,
     time_limit INT DEFAULT 30,
     passing_threshold JSON,
+    evaluation_config JSON,
     expected_html TEXT,
     expected_css TEXT,
     expected_js TEXT,
@@ -86,6 +87,7 @@ CREATE TABLE submissions (
     evaluation_result JSON,
     user_screenshot VARCHAR(500),
     expected_screenshot VARCHAR(500),
+    solution_match JSON NULL,
     course_id VARCHAR(100),
     level INT,
     INDEX idx_challenge (challenge_id),
@@ -161,6 +163,39 @@ CREATE TABLE level_completions (
     FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
 );
 
+-- Evaluation Job Queue (submissions graded by background workers)
+CREATE TABLE evaluation_jobs (
+    id VARCHAR(100) PRIMARY KEY,
+    submission_id VARCHAR(100) NOT NULL,
+    status ENUM('queued', 'rendering', 'scoring', 'done', 'failed') DEFAULT 'queued',
+    attempts INT DEFAULT 0,
+    error TEXT NULL,
+    result JSON NULL,
+    created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+    started_at TIMESTAMP NULL,
+    finished_at TIMESTAMP NULL,
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_submission (submission_id)
+);
+
+-- Submission Result History (results replaced by re-grades, kept for auditing)
+CREATE TABLE submission_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    submission_id VARCHAR(100) NOT NULL,
+    regrade_id VARCHAR(100) NULL,
+    reason VARCHAR(255),
+    previous_status VARCHAR(20),
+    previous_score INT,
+    previous_passed BOOLEAN,
+    previous_result JSON NULL,
+    previous_evaluated_at TIMESTAMP NULL,
+    new_score INT,
+    new_passed BOOLEAN,
+    replaced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_submission (submission_id),
+    INDEX idx_regrade (regrade_id)
+);
+
 -- Admin Activity Log (optional but useful)
 CREATE TABLE activity_logs (
     id INT AUTO_INCREMENT PRIMARY KEY,
@@ -36,8 +36,8 @@ class ChallengeModel {
   static async create(challengeData) {
     const id = challengeData.id || `challenge-${Date.now()}`;
     await query(
-      `INSERT INTO challenges (id, title, difficulty, description, instructions, tags, time_limit, passing_threshold, expected_html, expected_css, expected_js, expected_screenshot_url, course_id, level, created_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO challenges (id, title, difficulty, description, instructions, tags, time_limit, passing_threshold, evaluation_config, expected_html, expected_css, expected_js, expected_screenshot_url, course_id, level, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
         challengeData.title,
@@ -47,6 +47,7 @@ class ChallengeModel {
         JSON.stringify(challengeData.tags || []),
         challengeData.timeLimit || 30,
         JSON.stringify(challengeData.passingThreshold || {}),
+        JSON.stringify(challengeData.evaluationConfig || {}),
         challengeData.expectedHtml || challengeData.expectedSolution?.html || '',
         challengeData.expectedCss || challengeData.expectedSolution?.css || '',
         challengeData.expectedJs || challengeData.expectedSolution?.js || '',
@@ -70,6 +71,7 @@ class ChallengeModel {
        tags = COALESCE(?, tags),
        time_limit = COALESCE(?, time_limit),
        passing_threshold = COALESCE(?, passing_threshold),
+       evaluation_config = COALESCE(?, evaluation_config),
        expected_html = COALESCE(?, expected_html),
        expected_css = COALESCE(?, expected_css),
        expected_js = COALESCE(?, expected_js),
@@ -86,6 +88,7 @@ class ChallengeModel {
         challengeData.tags ? JSON.stringify(challengeData.tags) : null,
         challengeData.timeLimit,
         challengeData.passingThreshold ? JSON.stringify(challengeData.passingThreshold) : null,
+        challengeData.evaluationConfig ? JSON.stringify(challengeData.evaluationConfig) : null,
         challengeData.expectedHtml || challengeData.expectedSolution?.html,
         challengeData.expectedCss || challengeData.expectedSolution?.css,
         challengeData.expectedJs || challengeData.expectedSolution?.js,
@@ -122,6 +125,9 @@ class ChallengeModel {
       passingThreshold: (typeof challenge.passing_threshold === 'object' && challenge.passing_threshold !== null) 
         ? challenge.passing_threshold 
         : JSON.parse(challenge.passing_threshold || '{}'),
+      evaluationConfig: (typeof challenge.evaluation_config === 'object' && challenge.evaluation_config !== null)
+        ? challenge.evaluation_config
+        : JSON.parse(challenge.evaluation_config || '{}'),
       hints: Array.isArray(challenge.hints) ? challenge.hints : JSON.parse(challenge.hints || '[]'),
       points: challenge.points || 100,
       expectedSolution: {
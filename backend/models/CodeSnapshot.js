@@ -0,0 +1,107 @@
+/**
+ * Code Snapshot Model
+ * Periodic copies of a candidate's editors during a test session, for replaying how an answer
+ * was written. Each snapshot records how much the code grew since the previous one so that
+ * large pastes stand out.
+ */
+
+const db = require('../database/connection');
+
+// Code growing by at least this many characters between two snapshots is flagged
+const LARGE_CHANGE_CHARS = 400;
+
+// Largest editor content kept per field (longer content is cut)
+const MAX_FIELD_LENGTH = 200000;
+
+const codeLength = (code) => ['html', 'css', 'js'].reduce((total, part) => total + (code[part] || '').length, 0);
+
+class CodeSnapshot {
+  /**
+   * Store a snapshot of one question's editors
+   * @param {Object} session - Test session the snapshot belongs to
+   * @param {Object} snapshot - { challengeId, code: { html, css, js } }
+   * @returns {Object} - { id, challengeId, charsDelta, largeChange }
+   */
+  static async record(session, { challengeId, code }) {
+    const fields = {};
+    ['html', 'css', 'js'].forEach(part => {
+      fields[part] = typeof code?.[part] === 'string' ? code[part].slice(0, MAX_FIELD_LENGTH) : '';
+    });
+
+    const previous = await db.query(`
+      SELECT CHAR_LENGTH(html) + CHAR_LENGTH(css) + CHAR_LENGTH(js) AS length
+      FROM code_snapshots
+      WHERE test_session_id = ? AND challenge_id = ?
+      ORDER BY taken_at DESC, id DESC
+      LIMIT 1
+    `, [session.id, challengeId]);
+
+    const charsDelta = codeLength(fields) - (previous.length > 0 ? Number(previous[0].length) : 0);
+    const largeChange = charsDelta >= LARGE_CHANGE_CHARS;
+
+    const inserted = await db.query(`
+      INSERT INTO code_snapshots (test_session_id, user_id, challenge_id, html, css, js, chars_delta, large_change)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [session.id, session.user_id, challengeId, fields.html, fields.css, fields.js, charsDelta, largeChange]);
+
+    return { id: inserted.insertId, challengeId, charsDelta, largeChange };
+  }
+
+  /**
+   * Snapshots of a session, oldest first
+   * @param {string} sessionId
+   * @param {string} challengeId - Only this question's snapshots (optional)
+   */
+  static async findBySession(sessionId, challengeId = null) {
+    const params = [sessionId];
+    let filter = '';
+    if (challengeId) {
+      filter = 'AND challenge_id = ?';
+      params.push(challengeId);
+    }
+
+    const rows = await db.query(`
+      SELECT * FROM code_snapshots
+      WHERE test_session_id = ? ${filter}
+      ORDER BY taken_at ASC, id ASC
+    `, params);
+
+    return rows.map(this._formatSnapshot);
+  }
+
+  /**
+   * Latest code of each question in a session (the autosave a resumed session starts from)
+   * @returns {Object} - { [challengeId]: { html, css, js } }
+   */
+  static async latestBySession(sessionId) {
+    const rows = await db.query(`
+      SELECT s.* FROM code_snapshots s
+      JOIN (
+        SELECT challenge_id, MAX(id) AS id FROM code_snapshots
+        WHERE test_session_id = ?
+        GROUP BY challenge_id
+      ) latest ON latest.id = s.id
+    `, [sessionId]);
+
+    const drafts = {};
+    rows.forEach(row => {
+      drafts[row.challenge_id] = this._formatSnapshot(row).code;
+    });
+    return drafts;
+  }
+
+  // Format snapshot for response
+  static _formatSnapshot(row) {
+    return {
+      id: row.id,
+      challengeId: row.challenge_id,
+      code: { html: row.html || '', css: row.css || '', js: row.js || '' },
+      charsDelta: row.chars_delta,
+      largeChange: Boolean(row.large_change),
+      takenAt: row.taken_at
+    };
+  }
+}
+
+module.exports = CodeSnapshot;
+module.exports.LARGE_CHANGE_CHARS = LARGE_CHANGE_CHARS;
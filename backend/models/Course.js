@@ -9,6 +9,19 @@ const path = require('path');
 
 const COURSES_FILE = path.join(__dirname, '../data/courses.json');
 
+// Pairs at or above this similarity are flagged unless the course sets its own threshold
+const DEFAULT_SIMILARITY_THRESHOLD = 80;
+
+// Exam restrictions of a course that hasn't saved its own (timeLimit in minutes, 0 = no limit)
+const DEFAULT_RESTRICTIONS = {
+  blockCopy: true,
+  blockPaste: true,
+  forceFullscreen: true,
+  maxViolations: 3,
+  timeLimit: 0,
+  allowResume: true // an interrupted test session can be picked up again
+};
+
 class CourseModel {
   // Load courses from JSON file
   static async loadFromJSON() {
@@ -186,7 +199,40 @@ class CourseModel {
     const result = await queryOne('SELECT COUNT(*) as count FROM courses');
     return result.count;
   }
+
+  // Get grading defaults for a course (stored alongside restrictions in courses.json)
+  static async getEvaluationSettings(courseId) {
+    if (!courseId) return {};
+    const courses = await this.loadFromJSON();
+    const course = courses.find(c => c.id === courseId);
+    return (course && course.evaluationSettings) || {};
+  }
+
+  // Get plagiarism scan settings for a course (threshold in percent)
+  static async getSimilaritySettings(courseId) {
+    const defaults = { threshold: DEFAULT_SIMILARITY_THRESHOLD };
+    if (!courseId) return defaults;
+    const courses = await this.loadFromJSON();
+    const course = courses.find(c => c.id === courseId);
+    return { ...defaults, ...((course && course.similaritySettings) || {}) };
+  }
+
+  // Exam restrictions (stored in courses.json alongside the other course settings)
+  static async getRestrictions(courseId) {
+    const courses = await this.loadFromJSON();
+    const course = courses.find(c => c.id === courseId);
+    return { ...DEFAULT_RESTRICTIONS, ...((course && course.restrictions) || {}) };
+  }
+
+  // Exam schedule (window, late-start cutoff, entry requirement), null for courses that are always open
+  static async getSchedule(courseId) {
+    const courses = await this.loadFromJSON();
+    const course = courses.find(c => c.id === courseId);
+    return (course && course.schedule) || null;
+  }
 }
 
 module.exports = CourseModel;
+module.exports.DEFAULT_SIMILARITY_THRESHOLD = DEFAULT_SIMILARITY_THRESHOLD;
+module.exports.DEFAULT_RESTRICTIONS = DEFAULT_RESTRICTIONS;
 
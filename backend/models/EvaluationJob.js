@@ -0,0 +1,225 @@
+/**
+ * Evaluation Job Model
+ * Database operations for the evaluation_jobs queue with JSON fallback
+ */
+
+const { query, queryOne, isConnected } = require('../database/connection');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const JOBS_FILE = path.join(__dirname, '../data/evaluation-jobs.json');
+
+// Statuses a worker moves a job through; the last two are final
+const ACTIVE_STATUSES = ['rendering', 'scoring'];
+const FINAL_STATUSES = ['done', 'failed'];
+
+class EvaluationJobModel {
+  // Load jobs from JSON file (sync so concurrent workers can't interleave writes)
+  static loadFromJSON() {
+    try {
+      if (!fs.existsSync(JOBS_FILE)) return [];
+      return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+    } catch (error) {
+      console.error('Error reading evaluation-jobs.json:', error.message);
+      return [];
+    }
+  }
+
+  // Save jobs to JSON file
+  static saveToJSON(jobs) {
+    fs.writeFileSync(JOBS_FILE, JSON.stringify(jobs, null, 2));
+  }
+
+  // Queue a new job for a submission
+  static async create(submissionId) {
+    const job = {
+      id: `job-${uuidv4()}`,
+      submissionId,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    if (!isConnected()) {
+      const jobs = this.loadFromJSON();
+      jobs.push(job);
+      this.saveToJSON(jobs);
+      return job;
+    }
+
+    await query(
+      'INSERT INTO evaluation_jobs (id, submission_id, status, attempts, created_at) VALUES (?, ?, ?, ?, ?)',
+      [job.id, submissionId, 'queued', 0, new Date()]
+    );
+    return await this.findById(job.id);
+  }
+
+  // Get job by ID
+  static async findById(id) {
+    if (!isConnected()) {
+      return this.loadFromJSON().find(job => job.id === id) || null;
+    }
+
+    const job = await queryOne('SELECT * FROM evaluation_jobs WHERE id = ?', [id]);
+    return job ? this._formatJob(job) : null;
+  }
+
+  // Latest unfinished job for a submission (so double-clicks don't queue twice)
+  static async findPendingBySubmission(submissionId) {
+    if (!isConnected()) {
+      return this.loadFromJSON()
+        .filter(job => job.submissionId === submissionId && !FINAL_STATUSES.includes(job.status))
+        .pop() || null;
+    }
+
+    const job = await queryOne(
+      `SELECT * FROM evaluation_jobs
+       WHERE submission_id = ? AND status NOT IN ('done', 'failed')
+       ORDER BY created_at DESC LIMIT 1`,
+      [submissionId]
+    );
+    return job ? this._formatJob(job) : null;
+  }
+
+  // Take the oldest queued job and mark it as started
+  static async claimNext() {
+    if (!isConnected()) {
+      const jobs = this.loadFromJSON();
+      const job = jobs.find(j => j.status === 'queued');
+      if (!job) return null;
+
+      job.status = 'rendering';
+      job.attempts += 1;
+      job.startedAt = new Date().toISOString();
+      this.saveToJSON(jobs);
+      return job;
+    }
+
+    const next = await queryOne(
+      "SELECT id FROM evaluation_jobs WHERE status = 'queued' ORDER BY created_at ASC LIMIT 1"
+    );
+    if (!next) return null;
+
+    // Only one claimer wins the update
+    const claimed = await query(
+      `UPDATE evaluation_jobs SET status = 'rendering', attempts = attempts + 1, started_at = NOW()
+       WHERE id = ? AND status = 'queued'`,
+      [next.id]
+    );
+    return claimed.affectedRows > 0 ? await this.findById(next.id) : null;
+  }
+
+  // Move a job to a new status, optionally recording its result or error
+  static async updateStatus(id, status, { result = null, error = null } = {}) {
+    const finished = FINAL_STATUSES.includes(status);
+
+    if (!isConnected()) {
+      const jobs = this.loadFromJSON();
+      const job = jobs.find(j => j.id === id);
+      if (!job) return null;
+
+      job.status = status;
+      if (result) job.result = result;
+      if (error) job.error = error;
+      if (finished) job.finishedAt = new Date().toISOString();
+      this.saveToJSON(jobs);
+      return job;
+    }
+
+    await query(
+      `UPDATE evaluation_jobs SET
+       status = ?,
+       result = COALESCE(?, result),
+       error = COALESCE(?, error),
+       finished_at = ${finished ? 'NOW()' : 'finished_at'}
+       WHERE id = ?`,
+      [status, result ? JSON.stringify(result) : null, error, id]
+    );
+    return await this.findById(id);
+  }
+
+  // Number of queued jobs ahead of this one
+  static async countAhead(job) {
+    if (!isConnected()) {
+      return this.loadFromJSON().filter(j => j.status === 'queued' && j.createdAt < job.createdAt).length;
+    }
+
+    const row = await queryOne(
+      "SELECT COUNT(*) AS count FROM evaluation_jobs WHERE status = 'queued' AND created_at < ?",
+      [new Date(job.createdAt)]
+    );
+    return row.count;
+  }
+
+  // Put jobs orphaned by a restart back in the queue, failing those out of attempts
+  static async recoverInterrupted(maxAttempts) {
+    const message = 'Evaluation was interrupted too many times';
+
+    if (!isConnected()) {
+      const jobs = this.loadFromJSON();
+      let recovered = 0;
+      jobs.filter(job => ACTIVE_STATUSES.includes(job.status)).forEach(job => {
+        recovered++;
+        if (job.attempts >= maxAttempts) {
+          job.status = 'failed';
+          job.error = message;
+          job.finishedAt = new Date().toISOString();
+        } else {
+          job.status = 'queued';
+        }
+      });
+      if (recovered > 0) this.saveToJSON(jobs);
+      return recovered;
+    }
+
+    await query(
+      `UPDATE evaluation_jobs SET status = 'failed', error = ?, finished_at = NOW()
+       WHERE status IN ('rendering', 'scoring') AND attempts >= ?`,
+      [message, maxAttempts]
+    );
+    const requeued = await query(
+      "UPDATE evaluation_jobs SET status = 'queued' WHERE status IN ('rendering', 'scoring')"
+    );
+    return requeued.affectedRows;
+  }
+
+  // Drop finished jobs older than the retention window (results live on the submission)
+  static async pruneFinished(olderThanMs) {
+    const cutoff = new Date(Date.now() - olderThanMs);
+
+    if (!isConnected()) {
+      const jobs = this.loadFromJSON();
+      const kept = jobs.filter(job => !FINAL_STATUSES.includes(job.status) || new Date(job.finishedAt) >= cutoff);
+      if (kept.length !== jobs.length) this.saveToJSON(kept);
+      return jobs.length - kept.length;
+    }
+
+    const removed = await query(
+      "DELETE FROM evaluation_jobs WHERE status IN ('done', 'failed') AND finished_at < ?",
+      [cutoff]
+    );
+    return removed.affectedRows;
+  }
+
+  // Format job for response
+  static _formatJob(job) {
+    return {
+      id: job.id,
+      submissionId: job.submission_id,
+      status: job.status,
+      attempts: job.attempts,
+      error: job.error,
+      result: job.result ? (typeof job.result === 'string' ? JSON.parse(job.result) : job.result) : null,
+      createdAt: job.created_at instanceof Date ? job.created_at.toISOString() : job.created_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at
+    };
+  }
+}
+
+module.exports = EvaluationJobModel;
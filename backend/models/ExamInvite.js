@@ -0,0 +1,182 @@
+/**
+ * Exam Invite Model
+ * One-time invite tokens for scheduled exams, with JSON fallback.
+ * Only a hash of each token is stored; the token itself is shown once, when it is created.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { query, isConnected } = require('../database/connection');
+const fs = require('fs');
+const path = require('path');
+
+const INVITES_FILE = path.join(__dirname, '../data/exam-invites.json');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class ExamInviteModel {
+  // Load invites from JSON file
+  static loadFromJSON() {
+    try {
+      if (!fs.existsSync(INVITES_FILE)) return [];
+      return JSON.parse(fs.readFileSync(INVITES_FILE, 'utf8'));
+    } catch (error) {
+      console.error('Error reading exam-invites.json:', error.message);
+      return [];
+    }
+  }
+
+  // Save invites to JSON file
+  static saveToJSON(invites) {
+    fs.writeFileSync(INVITES_FILE, JSON.stringify(invites, null, 2));
+  }
+
+  /**
+   * Create an invite
+   * @param {Object} data - { courseId, level (null = any level), label, timeAllowance (minutes, overrides the schedule's) }
+   * @returns {Object} - The invite, including its token (not retrievable later)
+   */
+  static async create({ courseId, level = null, label = null, timeAllowance = null }) {
+    const token = crypto.randomBytes(18).toString('base64url');
+    const invite = {
+      id: uuidv4(),
+      courseId,
+      level: level === null || level === undefined || level === '' ? null : parseInt(level),
+      label: label || null,
+      timeAllowance: timeAllowance ? Number(timeAllowance) : null,
+      usedAt: null,
+      usedBy: null,
+      sessionId: null,
+      createdAt: new Date().toISOString()
+    };
+
+    if (!isConnected()) {
+      const invites = this.loadFromJSON();
+      invites.push({ ...invite, tokenHash: hashToken(token) });
+      this.saveToJSON(invites);
+      return { ...invite, token };
+    }
+
+    await query(
+      `INSERT INTO exam_invites (id, token_hash, course_id, level, label, time_allowance)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [invite.id, hashToken(token), courseId, invite.level, invite.label, invite.timeAllowance]
+    );
+    return { ...invite, token };
+  }
+
+  // Invite a token was issued as, or null
+  static async findByToken(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+
+    if (!isConnected()) {
+      const invite = this.loadFromJSON().find(i => i.tokenHash === tokenHash);
+      return invite ? this._publicInvite(invite) : null;
+    }
+
+    const rows = await query('SELECT * FROM exam_invites WHERE token_hash = ?', [tokenHash]);
+    return rows.length > 0 ? this._formatInvite(rows[0]) : null;
+  }
+
+  // All invites of a course, newest first
+  static async findByCourse(courseId) {
+    if (!isConnected()) {
+      return this.loadFromJSON()
+        .filter(i => i.courseId === courseId)
+        .map(i => this._publicInvite(i))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    const rows = await query('SELECT * FROM exam_invites WHERE course_id = ? ORDER BY created_at DESC', [courseId]);
+    return rows.map(this._formatInvite);
+  }
+
+  /**
+   * Mark an unused invite as used by a candidate
+   * @returns {boolean} - false if someone used it first
+   */
+  static async claim(id, userId) {
+    if (!isConnected()) {
+      const invites = this.loadFromJSON();
+      const invite = invites.find(i => i.id === id);
+      if (!invite || invite.usedAt) return false;
+      invite.usedAt = new Date().toISOString();
+      invite.usedBy = userId;
+      this.saveToJSON(invites);
+      return true;
+    }
+
+    const result = await query(
+      'UPDATE exam_invites SET used_at = CURRENT_TIMESTAMP, used_by = ? WHERE id = ? AND used_at IS NULL',
+      [userId, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Record the test session a claimed invite was used for
+  static async attachSession(id, sessionId) {
+    if (!isConnected()) {
+      const invites = this.loadFromJSON();
+      const invite = invites.find(i => i.id === id);
+      if (invite) {
+        invite.sessionId = sessionId;
+        this.saveToJSON(invites);
+      }
+      return;
+    }
+
+    await query('UPDATE exam_invites SET session_id = ? WHERE id = ?', [sessionId, id]);
+  }
+
+  // Make a claimed invite usable again (its test session could not be started)
+  static async release(id) {
+    if (!isConnected()) {
+      const invites = this.loadFromJSON();
+      const invite = invites.find(i => i.id === id);
+      if (invite) {
+        Object.assign(invite, { usedAt: null, usedBy: null, sessionId: null });
+        this.saveToJSON(invites);
+      }
+      return;
+    }
+
+    await query('UPDATE exam_invites SET used_at = NULL, used_by = NULL, session_id = NULL WHERE id = ?', [id]);
+  }
+
+  // Revoke an invite
+  static async delete(courseId, id) {
+    if (!isConnected()) {
+      const invites = this.loadFromJSON();
+      const remaining = invites.filter(i => !(i.id === id && i.courseId === courseId));
+      this.saveToJSON(remaining);
+      return remaining.length < invites.length;
+    }
+
+    const result = await query('DELETE FROM exam_invites WHERE id = ? AND course_id = ?', [id, courseId]);
+    return result.affectedRows > 0;
+  }
+
+  // JSON entry without its token hash
+  static _publicInvite(invite) {
+    const { tokenHash, ...visible } = invite;
+    return visible;
+  }
+
+  // Format invite row for response
+  static _formatInvite(row) {
+    return {
+      id: row.id,
+      courseId: row.course_id,
+      level: row.level,
+      label: row.label,
+      timeAllowance: row.time_allowance,
+      usedAt: row.used_at,
+      usedBy: row.used_by,
+      sessionId: row.session_id,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ExamInviteModel;
@@ -40,8 +40,8 @@ class SubmissionModel {
   static async create(submissionData) {
     const id = submissionData.id || `sub-${Date.now()}`;
     await query(
-      `INSERT INTO submissions (id, challenge_id, user_id, candidate_name, html_code, css_code, js_code, status, submitted_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO submissions (id, challenge_id, user_id, candidate_name, html_code, css_code, js_code, status, submitted_at, solution_match)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         id,
         submissionData.challengeId,
@@ -51,7 +51,8 @@ class SubmissionModel {
         submissionData.code?.css || '',
         submissionData.code?.js || '',
         submissionData.status || 'pending',
-        submissionData.submittedAt || new Date()
+        submissionData.submittedAt || new Date(),
+        submissionData.solutionMatch ? JSON.stringify(submissionData.solutionMatch) : null
       ]
     );
     return await this.findById(id);
@@ -130,6 +131,11 @@ class SubmissionModel {
       evaluatedAt: submission.evaluated_at,
       user_screenshot: submission.user_screenshot,
       expected_screenshot: submission.expected_screenshot,
+      solutionMatch: submission.solution_match ? (
+        typeof submission.solution_match === 'string'
+          ? JSON.parse(submission.solution_match)
+          : submission.solution_match
+      ) : null,
       total_score: submission.final_score,
       result: submission.evaluation_result ? (
         typeof submission.evaluation_result === 'string' 
@@ -0,0 +1,116 @@
+/**
+ * Submission History Model
+ * Previous evaluation results of re-graded submissions, with JSON fallback
+ */
+
+const { query, isConnected } = require('../database/connection');
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_FILE = path.join(__dirname, '../data/submission-history.json');
+
+class SubmissionHistoryModel {
+  // Load history from JSON file
+  static loadFromJSON() {
+    try {
+      if (!fs.existsSync(HISTORY_FILE)) return [];
+      return JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    } catch (error) {
+      console.error('Error reading submission-history.json:', error.message);
+      return [];
+    }
+  }
+
+  // Save history to JSON file
+  static saveToJSON(entries) {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(entries, null, 2));
+  }
+
+  /**
+   * Archive a submission's current result before it is replaced
+   * @param {Object} submission - Submission as returned by SubmissionModel (with result)
+   * @param {Object} newResult - Evaluation result replacing it
+   * @param {Object} meta - { regradeId, reason }
+   */
+  static async record(submission, newResult, { regradeId = null, reason = null } = {}) {
+    const previous = submission.result || null;
+    const entry = {
+      submissionId: submission.id,
+      regradeId,
+      reason,
+      previousStatus: submission.status || null,
+      previousScore: previous?.finalScore ?? null,
+      previousPassed: previous ? Boolean(previous.passed) : null,
+      previousResult: previous,
+      previousEvaluatedAt: submission.evaluatedAt || null,
+      newScore: newResult.finalScore ?? null,
+      newPassed: Boolean(newResult.passed),
+      replacedAt: new Date().toISOString()
+    };
+
+    if (!isConnected()) {
+      const entries = this.loadFromJSON();
+      entry.id = entries.reduce((max, e) => Math.max(max, e.id || 0), 0) + 1;
+      entries.push(entry);
+      this.saveToJSON(entries);
+      return entry;
+    }
+
+    const inserted = await query(
+      `INSERT INTO submission_history
+       (submission_id, regrade_id, reason, previous_status, previous_score, previous_passed,
+        previous_result, previous_evaluated_at, new_score, new_passed)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.submissionId,
+        regradeId,
+        reason,
+        entry.previousStatus,
+        entry.previousScore,
+        entry.previousPassed,
+        previous ? JSON.stringify(previous) : null,
+        entry.previousEvaluatedAt ? new Date(entry.previousEvaluatedAt) : null,
+        entry.newScore,
+        entry.newPassed
+      ]
+    );
+    return { ...entry, id: inserted.insertId };
+  }
+
+  // All archived results of a submission, newest first
+  static async findBySubmission(submissionId) {
+    if (!isConnected()) {
+      return this.loadFromJSON()
+        .filter(entry => entry.submissionId === submissionId)
+        .sort((a, b) => new Date(b.replacedAt) - new Date(a.replacedAt));
+    }
+
+    const entries = await query(
+      'SELECT * FROM submission_history WHERE submission_id = ? ORDER BY replaced_at DESC, id DESC',
+      [submissionId]
+    );
+    return entries.map(this._formatEntry);
+  }
+
+  // Format history entry for response
+  static _formatEntry(entry) {
+    return {
+      id: entry.id,
+      submissionId: entry.submission_id,
+      regradeId: entry.regrade_id,
+      reason: entry.reason,
+      previousStatus: entry.previous_status,
+      previousScore: entry.previous_score,
+      previousPassed: entry.previous_passed === null ? null : Boolean(entry.previous_passed),
+      previousResult: entry.previous_result
+        ? (typeof entry.previous_result === 'string' ? JSON.parse(entry.previous_result) : entry.previous_result)
+        : null,
+      previousEvaluatedAt: entry.previous_evaluated_at,
+      newScore: entry.new_score,
+      newPassed: Boolean(entry.new_passed),
+      replacedAt: entry.replaced_at
+    };
+  }
+}
+
+module.exports = SubmissionHistoryModel;
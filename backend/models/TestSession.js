@@ -1,21 +1,53 @@
 const db = require('../database/connection');
 const { v4: uuidv4 } = require('uuid');
+const CodeSnapshot = require('./CodeSnapshot');
+
+// Violation types clients may report (test_violations.violation_type); each counts toward the session's limit
+const VIOLATION_TYPES = ['tab_switch', 'exit_fullscreen', 'copy_paste', 'esc_key'];
+
+// Proctoring events that are only logged for reviewers (heuristics too noisy to count against a candidate)
+const OBSERVATION_TYPES = ['focus_loss', 'devtools_open', 'window_resize', 'idle'];
+
+const EVENT_TYPES = [...VIOLATION_TYPES, ...OBSERVATION_TYPES];
+
+// Limits on what one report may carry
+const MAX_EVENTS_PER_REPORT = 50;
+const MAX_DETAILS_LENGTH = 2000;
+
+// Client timestamps further than this outside the session are replaced by the time the report arrived
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// Submissions arriving this long after the deadline still count (auto-submit on time-up, slow networks)
+const GRACE_SECONDS = 30;
+
+// Seconds left are computed by MySQL so the deadline doesn't depend on the app server's clock or timezone
+const SELECT_SESSION = 'SELECT *, TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, deadline_at) AS remaining_seconds FROM test_sessions';
 
 class TestSession {
+  /**
+   * Start a session; the deadline and violation limit are fixed when it starts
+   * @param {Object} sessionData - { user_id, course_id, level, time_limit (minutes, 0 = none), max_violations,
+   *   assigned_questions (in the order shown, kept so an interrupted session resumes with the same questions) }
+   */
   static async create(sessionData) {
     const id = uuidv4();
     const {
       user_id,
       course_id,
       level,
-      submission_ids = []
+      submission_ids = [],
+      time_limit = 0,
+      max_violations = null,
+      assigned_questions = null
     } = sessionData;
 
     const query = `
       INSERT INTO test_sessions (
         id, user_id, course_id, level, submission_ids,
-        total_questions, passed_count, overall_status
-      ) VALUES (?, ?, ?, ?, ?, 0, 0, 'failed')
+        total_questions, passed_count, overall_status,
+        status, violation_count, max_violations, assigned_questions, deadline_at
+      ) VALUES (?, ?, ?, ?, ?, 0, 0, 'failed', 'active', 0, ?, ?,
+        IF(? > 0, DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE), NULL))
     `;
 
     await db.query(query, [
@@ -23,29 +55,263 @@ class TestSession {
       user_id,
       course_id,
       level,
-      JSON.stringify(submission_ids)
+      JSON.stringify(submission_ids),
+      max_violations,
+      assigned_questions ? JSON.stringify(assigned_questions) : null,
+      time_limit,
+      time_limit
     ]);
 
     return this.findById(id);
   }
 
   static async findById(id) {
-    const query = 'SELECT * FROM test_sessions WHERE id = ?';
+    const query = `${SELECT_SESSION} WHERE id = ?`;
     const rows = await db.query(query, [id]);
     
     if (rows.length === 0) {
       return null;
     }
 
-    const session = rows[0];
-    
-    // Parse JSON fields
-    return {
+    return this._formatSession(rows[0]);
+  }
+
+  /**
+   * The user's session for a level that is still running (reloading the page continues it)
+   */
+  static async findActive(userId, courseId, level) {
+    const query = `
+      ${SELECT_SESSION}
+      WHERE user_id = ? AND course_id = ? AND level = ? AND status = 'active'
+      ORDER BY started_at DESC
+      LIMIT 1
+    `;
+    const rows = await db.query(query, [userId, courseId, level]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const session = await this._formatSession(rows[0]);
+    return session.status === 'active' ? session : null;
+  }
+
+  /**
+   * The user's most recent session for a level, whatever its status
+   */
+  static async findLatest(userId, courseId, level) {
+    const query = `
+      ${SELECT_SESSION}
+      WHERE user_id = ? AND course_id = ? AND level = ?
+      ORDER BY started_at DESC
+      LIMIT 1
+    `;
+    const rows = await db.query(query, [userId, courseId, level]);
+    return rows.length > 0 ? this._formatSession(rows[0]) : null;
+  }
+
+  /**
+   * Why a session no longer accepts submissions
+   * @returns {string|null} - Reason, or null while it is open
+   */
+  static closedReason(session) {
+    if (!session) {
+      return 'Test session not found';
+    }
+    if (session.status === 'terminated') {
+      return `Test session was terminated: ${session.terminated_reason}`;
+    }
+    if (session.status === 'completed') {
+      return 'Test session is already finished';
+    }
+    return null;
+  }
+
+  /**
+   * End a running session early; the reason is kept in terminated_reason
+   */
+  static async terminate(sessionId, reason) {
+    const query = `
+      UPDATE test_sessions 
+      SET status = 'terminated',
+          terminated_reason = ?,
+          completed_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'active'
+    `;
+
+    const result = await db.query(query, [reason, sessionId]);
+    if (result.affectedRows > 0) {
+      console.log(`⛔ Test session ${sessionId} terminated: ${reason}`);
+    }
+  }
+
+  /**
+   * Log proctoring events reported by the client; violations count toward the session's limit,
+   * which terminates it once reached. Reports arriving after the session ended are ignored.
+   * @param {Array} events - [{ type, occurredAt (ms or ISO, defaults to now), details }]
+   */
+  static async recordEvents(sessionId, events) {
+    const session = await this.findById(sessionId);
+    if (!session) {
+      throw new Error('Test session not found');
+    }
+    if (session.status !== 'active') {
+      return session;
+    }
+
+    let violationCount = session.violation_count || 0;
+    for (const event of events.slice(0, MAX_EVENTS_PER_REPORT)) {
+      const counted = VIOLATION_TYPES.includes(event.type);
+      if (counted) {
+        await db.query('UPDATE test_sessions SET violation_count = violation_count + 1 WHERE id = ?', [sessionId]);
+        violationCount++;
+      }
+
+      await db.query(`
+        INSERT INTO test_violations (
+          user_id, course_id, level, violation_type, violation_count, counted, details, occurred_at, test_session_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        session.user_id,
+        session.course_id,
+        session.level,
+        event.type,
+        violationCount,
+        counted,
+        this._eventDetails(event.details),
+        this._eventTime(session, event.occurredAt),
+        sessionId
+      ]);
+
+      if (counted && session.max_violations && violationCount >= session.max_violations) {
+        await this.terminate(sessionId, `Maximum violations reached (${violationCount}/${session.max_violations})`);
+        break;
+      }
+    }
+
+    return this.findById(sessionId);
+  }
+
+  /**
+   * Everything that happened in a session, oldest first: start and end, proctoring events and submissions
+   * @returns {Object|null} - { session, events, submissions, timeline }
+   */
+  static async getTimeline(sessionId) {
+    const session = await this.findById(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const events = (await db.query(`
+      SELECT id, violation_type AS type, violation_count, counted, details,
+        COALESCE(occurred_at, timestamp) AS occurred_at, timestamp AS received_at
+      FROM test_violations
+      WHERE test_session_id = ?
+      ORDER BY COALESCE(occurred_at, timestamp) ASC, id ASC
+    `, [sessionId])).map(event => ({
+      ...event,
+      counted: Boolean(event.counted),
+      details: typeof event.details === 'string' ? JSON.parse(event.details) : event.details
+    }));
+
+    const submissionIds = session.submission_ids || [];
+    let submissions = [];
+    if (submissionIds.length > 0) {
+      const placeholders = submissionIds.map(() => '?').join(',');
+      submissions = (await db.query(`
+        SELECT id, challenge_id, status, passed, final_score, submitted_at, solution_match
+        FROM submissions
+        WHERE id IN (${placeholders})
+        ORDER BY submitted_at ASC
+      `, submissionIds)).map(submission => ({
+        ...submission,
+        solution_match: typeof submission.solution_match === 'string'
+          ? JSON.parse(submission.solution_match)
+          : submission.solution_match
+      }));
+    }
+
+    const timeline = [
+      { kind: 'start', at: session.started_at },
+      ...events.map(event => ({ kind: 'event', at: event.occurred_at, event })),
+      ...submissions.map(submission => ({ kind: 'submission', at: submission.submitted_at, submission }))
+    ];
+    if (session.completed_at) {
+      timeline.push({ kind: session.status === 'terminated' ? 'terminated' : 'completed', at: session.completed_at, reason: session.terminated_reason });
+    }
+    timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return { session, events, submissions, timeline };
+  }
+
+  // When an event happened: the client's time when it is plausible, otherwise now
+  static _eventTime(session, occurredAt) {
+    const now = Date.now();
+    const time = occurredAt === undefined ? NaN : new Date(occurredAt).getTime();
+    const startedAt = new Date(session.started_at).getTime();
+
+    if (Number.isNaN(time) || time < startedAt - CLOCK_SKEW_MS || time > now + CLOCK_SKEW_MS) {
+      return new Date(now);
+    }
+    return new Date(time);
+  }
+
+  // Event details as stored JSON (oversized details are dropped rather than truncated into invalid JSON)
+  static _eventDetails(details) {
+    if (!details || typeof details !== 'object') {
+      return null;
+    }
+    const json = JSON.stringify(details);
+    return json.length > MAX_DETAILS_LENGTH ? JSON.stringify({ truncated: true }) : json;
+  }
+
+  // Parse JSON fields; a session past its deadline (plus grace) is terminated on the next read
+  static async _formatSession(session) {
+    const formatted = {
       ...session,
       submission_ids: typeof session.submission_ids === 'string' 
         ? JSON.parse(session.submission_ids) 
-        : session.submission_ids
+        : session.submission_ids,
+      assigned_questions: typeof session.assigned_questions === 'string'
+        ? JSON.parse(session.assigned_questions)
+        : (session.assigned_questions ?? null)
     };
+
+    if (formatted.status === 'active' && formatted.remaining_seconds !== null && formatted.remaining_seconds < -GRACE_SECONDS) {
+      await this.terminate(formatted.id, 'Time limit reached');
+      formatted.status = 'terminated';
+      formatted.terminated_reason = 'Time limit reached';
+      formatted.completed_at = new Date();
+    }
+
+    return formatted;
+  }
+
+  /**
+   * What a candidate needs to pick an interrupted session back up: the questions they were given
+   * and, per question, the last autosaved code and the result of any submission
+   * @returns {Object} - { questions, answers: { [challengeId]: { html, css, js, submitted, result } } }
+   */
+  static async getResumeState(session) {
+    const answers = {};
+    (session.assigned_questions || []).forEach(question => {
+      answers[question.id] = { html: '', css: '', js: '', submitted: false, result: null };
+    });
+
+    const { submissions } = await this.getSessionWithSubmissions(session.id);
+    submissions.forEach(submission => {
+      answers[submission.challenge_id] = {
+        ...(answers[submission.challenge_id] || { html: '', css: '', js: '' }),
+        submitted: true,
+        result: submission.evaluation_result || null
+      };
+    });
+
+    const drafts = await CodeSnapshot.latestBySession(session.id);
+    Object.entries(drafts).forEach(([challengeId, code]) => {
+      answers[challengeId] = { submitted: false, result: null, ...answers[challengeId], ...code };
+    });
+
+    return { questions: session.assigned_questions || [], answers };
   }
 
   static async addSubmission(sessionId, submissionId) {
@@ -82,33 +348,38 @@ class TestSession {
     }
 
     // Get all submissions for this session
+    // (a terminated session is scored on whatever was submitted before it ended)
     const submissionIds = session.submission_ids || [];
-    if (submissionIds.length === 0) {
+    if (submissionIds.length === 0 && session.status === 'active') {
       throw new Error('No submissions in this test session');
     }
 
     // Query all submissions to calculate pass/fail
-    const placeholders = submissionIds.map(() => '?').join(',');
-    const submissionsQuery = `
-      SELECT id, status, passed 
-      FROM submissions 
-      WHERE id IN (${placeholders})
-    `;
-    
-    const submissions = await db.query(submissionsQuery, submissionIds);
+    let submissions = [];
+    if (submissionIds.length > 0) {
+      const placeholders = submissionIds.map(() => '?').join(',');
+      const submissionsQuery = `
+        SELECT id, status, passed 
+        FROM submissions 
+        WHERE id IN (${placeholders})
+      `;
+      
+      submissions = await db.query(submissionsQuery, submissionIds);
+    }
     
     // Calculate passed count and overall status
     const passedCount = submissions.filter(s => s.passed === 1 || s.status === 'passed').length;
     const totalQuestions = submissions.length;
-    const overallStatus = passedCount === totalQuestions ? 'passed' : 'failed';
+    const overallStatus = totalQuestions > 0 && passedCount === totalQuestions ? 'passed' : 'failed';
 
-    // Update test session
+    // Update test session (a terminated session keeps its status and reason)
     const updateQuery = `
       UPDATE test_sessions 
       SET total_questions = ?,
           passed_count = ?,
           overall_status = ?,
           user_feedback = ?,
+          status = IF(status = 'active', 'completed', status),
           completed_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `;
@@ -168,7 +439,7 @@ class TestSession {
 
   static async findByUser(userId, limit = 20) {
     const query = `
-      SELECT * FROM test_sessions 
+      ${SELECT_SESSION}
       WHERE user_id = ?
       ORDER BY started_at DESC
       LIMIT ?
@@ -176,13 +447,10 @@ class TestSession {
     
     const rows = await db.query(query, [userId, limit]);
     
-    return rows.map(session => ({
-      ...session,
-      submission_ids: typeof session.submission_ids === 'string'
-        ? JSON.parse(session.submission_ids)
-        : session.submission_ids
-    }));
+    return Promise.all(rows.map(session => this._formatSession(session)));
   }
 }
 
 module.exports = TestSession;
+module.exports.VIOLATION_TYPES = VIOLATION_TYPES;
+module.exports.EVENT_TYPES = EVENT_TYPES;
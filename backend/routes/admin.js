@@ -13,6 +13,12 @@ const crypto = require('crypto');
 // Import models for MySQL support
 const SubmissionModel = require('../models/Submission');
 const UserModel = require('../models/User');
+const CourseModel = require('../models/Course');
+const evaluationCache = require('../services/evaluationCache');
+const regradeService = require('../services/regradeService');
+const similarityService = require('../services/similarityService');
+const authTokens = require('../services/authTokens');
+const SubmissionHistoryModel = require('../models/SubmissionHistory');
 const { USE_JSON } = require('../database/connection');
 
 const usersPath = path.join(__dirname, '../data/users.json');
@@ -72,7 +78,7 @@ router.post('/login', (req, res) => {
     }
     
     // Generate admin token
-    const token = crypto.randomBytes(32).toString('hex');
+    const token = authTokens.issue(user);
     
     res.json({
       message: 'Login successful',
@@ -97,7 +103,10 @@ router.post('/login', (req, res) => {
  */
 router.get('/challenges', (req, res) => {
   try {
-    // TODO: Add token verification middleware
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const challenges = getChallenges();
     res.json(challenges);
   } catch (error) {
@@ -112,6 +121,10 @@ router.get('/challenges', (req, res) => {
  */
 router.post('/challenges', (req, res) => {
   try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const challenges = getChallenges();
     
     const newChallenge = {
@@ -139,6 +152,10 @@ router.post('/challenges', (req, res) => {
  */
 router.put('/challenges/:id', (req, res) => {
   try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const challenges = getChallenges();
     const index = challenges.findIndex(c => c.id === req.params.id);
     
@@ -154,6 +171,7 @@ router.put('/challenges/:id', (req, res) => {
     };
     
     saveChallenges(challenges);
+    evaluationCache.invalidateChallenge(req.params.id);
     
     res.json({
       message: 'Challenge updated',
@@ -170,6 +188,10 @@ router.put('/challenges/:id', (req, res) => {
  */
 router.delete('/challenges/:id', (req, res) => {
   try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const challenges = getChallenges();
     const filtered = challenges.filter(c => c.id !== req.params.id);
     
@@ -178,6 +200,7 @@ router.delete('/challenges/:id', (req, res) => {
     }
     
     saveChallenges(filtered);
+    evaluationCache.invalidateChallenge(req.params.id);
     
     res.json({ message: 'Challenge deleted' });
   } catch (error) {
@@ -211,6 +234,10 @@ router.get('/submissions', async (req, res) => {
  */
 router.post('/evaluate/:submissionId', async (req, res) => {
   try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const evaluator = require('../services/evaluator');
     const submissions = getSubmissions();
     const challenges = getChallenges();
@@ -225,14 +252,22 @@ router.post('/evaluate/:submissionId', async (req, res) => {
       return res.status(404).json({ error: 'Challenge not found' });
     }
     
+    const courseSettings = await CourseModel.getEvaluationSettings(challenge.courseId);
+    
     // Re-evaluate
     const result = await evaluator.evaluate(
       submission.code,
       challenge.expectedSolution,
       challenge.passingThreshold,
-      submission.id
+      submission.id,
+      submission.challengeId,
+      challenge.evaluationConfig || {},
+      courseSettings
     );
     
+    // Keep the replaced result so the grade change can be audited
+    await SubmissionHistoryModel.record(submission, result, { reason: req.body?.reason || 'Manual re-evaluation' });
+    
     // Update submission
     submission.result = result;
     submission.status = result.passed ? 'passed' : 'failed';
@@ -248,12 +283,122 @@ router.post('/evaluate/:submissionId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/regrade
+ * Re-grade every submission of a challenge, level or course in the background
+ * Body: { courseId, level, challengeId, dryRun, reason } - dryRun reports flips without saving
+ */
+router.post('/regrade', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const { courseId, level, challengeId, dryRun, reason } = req.body;
+    
+    if (!courseId && !challengeId) {
+      return res.status(400).json({ error: 'Course ID or challenge ID required' });
+    }
+    
+    const running = regradeService.getRunning();
+    if (running) {
+      return res.status(409).json({ error: 'Another re-grade is still running', batch: running });
+    }
+    
+    const batch = await regradeService.start({ courseId, level, challengeId }, { dryRun, reason });
+    if (!batch) {
+      return res.status(404).json({ error: 'No challenges match this scope' });
+    }
+    
+    res.status(202).json({
+      message: batch.dryRun ? 'Dry-run re-grade started' : 'Re-grade started',
+      batch
+    });
+  } catch (error) {
+    console.error('Re-grade start error:', error);
+    res.status(500).json({ error: 'Failed to start re-grade', details: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/regrade/:batchId
+ * Re-grade progress and outcome counts (passToFail, failToPass, scoreChanged, unchanged)
+ */
+router.get('/regrade/:batchId', (req, res) => {
+  if (!authTokens.isAdmin(req)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  
+  const batch = regradeService.get(req.params.batchId);
+  
+  if (!batch) {
+    return res.status(404).json({ error: 'Re-grade not found' });
+  }
+  
+  res.json(batch);
+});
+
+/**
+ * GET /api/admin/submissions/:id/history
+ * Results a submission had before it was re-graded, newest first
+ */
+router.get('/submissions/:id/history', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const history = await SubmissionHistoryModel.findBySubmission(req.params.id);
+    res.json(history);
+  } catch (error) {
+    console.error('Submission history error:', error);
+    res.status(500).json({ error: 'Failed to fetch submission history' });
+  }
+});
+
+/**
+ * GET /api/admin/similarity
+ * Scan a course or challenge for suspiciously similar submissions
+ * Query: { courseId, challengeId, threshold } - threshold (%) defaults to the course setting
+ */
+router.get('/similarity', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const { courseId, challengeId, threshold } = req.query;
+    
+    if (!courseId && !challengeId) {
+      return res.status(400).json({ error: 'Course ID or challenge ID required' });
+    }
+    
+    if (threshold !== undefined && (isNaN(Number(threshold)) || Number(threshold) < 1 || Number(threshold) > 100)) {
+      return res.status(400).json({ error: 'Threshold must be a percentage between 1 and 100' });
+    }
+    
+    const report = await similarityService.scan({ courseId, challengeId }, { threshold });
+    if (!report) {
+      return res.status(404).json({ error: 'No challenges match this scope' });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    console.error('Similarity scan error:', error);
+    res.status(500).json({ error: 'Failed to scan submissions', details: error.message });
+  }
+});
+
 /**
  * GET /api/admin/submissions/grouped
  * Get submissions grouped by test session with user details
  */
 router.get('/submissions/grouped', async (req, res) => {
   try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const db = require('../database/connection');
     
     // Query to get test sessions with user info and submission details
@@ -269,6 +414,10 @@ router.get('/submissions/grouped', async (req, res) => {
         ts.passed_count,
         ts.overall_status,
         ts.user_feedback,
+        ts.status,
+        ts.violation_count,
+        ts.max_violations,
+        ts.terminated_reason,
         COALESCE(u.full_name, u.username, ts.user_id) as user_name,
         u.email as user_email,
         ts.submission_ids
@@ -322,7 +471,8 @@ router.get('/submissions/grouped', async (req, res) => {
               status, 
               passed,
               final_score,
-              submitted_at
+              submitted_at,
+              solution_match
             FROM submissions
             WHERE id IN (${placeholders})
             ORDER BY submitted_at ASC
@@ -347,13 +497,18 @@ router.get('/submissions/grouped', async (req, res) => {
         passed_count: session.passed_count || 0,
         overall_status: session.overall_status,
         user_feedback: session.user_feedback,
+        status: session.status,
+        violation_count: session.violation_count || 0,
+        max_violations: session.max_violations,
+        terminated_reason: session.terminated_reason,
         submissions: submissions.map(s => ({
           id: s.id,
           challenge_id: s.challenge_id,
           status: s.status,
           passed: s.passed === 1,
           final_score: s.final_score || 0,
-          submitted_at: s.submitted_at
+          submitted_at: s.submitted_at,
+          solution_match: typeof s.solution_match === 'string' ? JSON.parse(s.solution_match) : (s.solution_match || null)
         }))
       };
     }));
@@ -394,11 +549,12 @@ router.delete('/submissions/:id', async (req, res) => {
     // Optional: Delete associated screenshot files
     const screenshotDir = path.join(__dirname, '../screenshots');
     try {
-      const screenshotFiles = [
-        `${req.params.id}-candidate.png`,
-        `${req.params.id}-expected.png`,
-        `${req.params.id}-diff.png`
-      ];
+      // Covers the single-viewport names and per-viewport ones (`<id>-<viewport>-candidate.png`)
+      const screenshotFiles = fs.existsSync(screenshotDir)
+        ? fs.readdirSync(screenshotDir).filter(file =>
+            file.startsWith(`${req.params.id}-`) && file.endsWith('.png')
+          )
+        : [];
       
       screenshotFiles.forEach(file => {
         const filePath = path.join(screenshotDir, file);
@@ -8,6 +8,11 @@ const router = express.Router();
 const fs = require('fs');
 const path = require('path');
 const ChallengeModel = require('../models/Challenge');
+const evaluationCache = require('../services/evaluationCache');
+const solutionGuard = require('../services/solutionGuard');
+const authTokens = require('../services/authTokens');
+const pixelMatch = require('../services/pixelMatch');
+const examSchedule = require('../services/examSchedule');
 const { query } = require('../database/connection');
 
 const challengesPath = path.join(__dirname, '../data/challenges-new.json');
@@ -100,6 +105,12 @@ router.get('/level-questions', async (req, res) => {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
+    // Scheduled levels only open in their window, for candidates with the access code or an invite
+    const denied = await examSchedule.checkRequest(req, { courseId, level, userId });
+    if (denied) {
+      return res.status(403).json({ error: denied.error, code: denied.code, schedule: denied.schedule });
+    }
+
     // Read user assignments
     let assignments = getAssignments();
 
@@ -208,8 +219,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Challenge not found' });
     }
     
-    // Return full challenge including expected solution (for candidate view and preview)
-    res.json(challenge);
+    // Candidates get the expected output as an image (expectedPreviewUrl), not its source
+    res.json(solutionGuard.forRequest(req, challenge));
   } catch (error) {
     console.error('Error fetching challenge:', error);
     res.status(500).json({ error: 'Failed to fetch challenge' });
@@ -217,11 +228,40 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * GET /api/challenges/:id/solution (Internal use only for evaluation)
+ * GET /api/challenges/:id/expected-preview
+ * Expected output rendered to a PNG (what candidates see instead of the solution)
+ */
+router.get('/:id/expected-preview', async (req, res) => {
+  try {
+    let challenge;
+    try {
+      challenge = await ChallengeModel.findById(req.params.id);
+    } catch (dbError) {
+      challenge = getAllChallenges().find(c => c.id === req.params.id);
+    }
+    
+    if (!challenge || !challenge.expectedSolution?.html) {
+      return res.status(404).json({ error: 'Challenge not found' });
+    }
+    
+    const previewPath = await pixelMatch.renderPreview(challenge.expectedSolution);
+    res.sendFile(previewPath);
+  } catch (error) {
+    console.error('Expected preview error:', error);
+    res.status(503).json({ error: 'Expected output preview is unavailable', details: error.message });
+  }
+});
+
+/**
+ * GET /api/challenges/:id/solution (Admin only)
  * Get challenge with expected solution (supports both old and new format)
  */
 router.get('/:id/solution', (req, res) => {
   try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const allChallenges = getAllChallenges();
     const challenge = allChallenges.find(c => c.id === req.params.id);
     
@@ -279,6 +319,7 @@ router.put('/:id', (req, res) => {
     };
     
     saveChallenges(challenges);
+    evaluationCache.invalidateChallenge(req.params.id);
     res.json(challenges[index]);
   } catch (error) {
     console.error('Error updating challenge:', error);
@@ -301,6 +342,7 @@ router.delete('/:id', (req, res) => {
     
     challenges.splice(index, 1);
     saveChallenges(challenges);
+    evaluationCache.invalidateChallenge(req.params.id);
     
     res.json({ message: 'Challenge deleted successfully' });
   } catch (error) {
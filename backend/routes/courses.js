@@ -10,6 +10,14 @@ const path = require('path');
 const CourseModel = require('../models/Course');
 const ChallengeModel = require('../models/Challenge');
 const { query } = require('../database/connection');
+const evaluator = require('../services/evaluator');
+const { WEIGHT_PROFILES } = evaluator;
+const { CSS_RULES } = require('../services/codeQuality');
+const evaluationCache = require('../services/evaluationCache');
+const solutionGuard = require('../services/solutionGuard');
+const examSchedule = require('../services/examSchedule');
+const authTokens = require('../services/authTokens');
+const ExamInviteModel = require('../models/ExamInvite');
 
 const challengesPath = path.join(__dirname, '../data/challenges-new.json');
 const progressPath = path.join(__dirname, '../data/user-progress.json');
@@ -201,7 +209,7 @@ router.get('/:courseId/levels', async (req, res) => {
     // Convert to array and sort
     const levelsArray = Object.keys(levels).map(level => ({
       level: parseInt(level),
-      questions: levels[level],
+      questions: solutionGuard.forRequest(req, levels[level]),
       totalQuestions: levels[level].length,
       totalPoints: levels[level].reduce((sum, q) => sum + (q.points || 0), 0)
     })).sort((a, b) => a.level - b.level);
@@ -222,6 +230,12 @@ router.get('/:courseId/levels/:level/questions', async (req, res) => {
   try {
     const { courseId, level } = req.params;
     const userId = req.query.userId || 'default-user';
+
+    // Scheduled levels only open in their window, for candidates with the access code or an invite
+    const denied = await examSchedule.checkRequest(req, { courseId, level, userId });
+    if (denied) {
+      return res.status(403).json({ error: denied.error, code: denied.code, schedule: denied.schedule });
+    }
     
     // Get all questions for this level (question bank) from database
     const allQuestions = await ChallengeModel.findByCourseLevel(courseId, parseInt(level));
@@ -268,7 +282,7 @@ router.get('/:courseId/levels/:level/questions', async (req, res) => {
       isCompleted: userAssignment.completedQuestions.includes(q.id)
     }));
     
-    res.json(questionsWithStatus);
+    res.json(solutionGuard.forRequest(req, questionsWithStatus));
   } catch (error) {
     console.error('Failed to fetch questions:', error);
     res.status(500).json({ error: 'Failed to fetch questions' });
@@ -288,7 +302,7 @@ router.get('/:courseId/levels/:level/questions/:questionId', (req, res) => {
       return res.status(404).json({ error: 'Question not found' });
     }
     
-    res.json(question);
+    res.json(solutionGuard.forRequest(req, question));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch question' });
   }
@@ -558,6 +572,9 @@ router.get('/:courseId/questions', async (req, res) => {
         passingThreshold: (typeof c.passing_threshold === 'object' && c.passing_threshold !== null) 
           ? c.passing_threshold 
           : JSON.parse(c.passing_threshold || '{}'),
+        evaluationConfig: (typeof c.evaluation_config === 'object' && c.evaluation_config !== null)
+          ? c.evaluation_config
+          : JSON.parse(c.evaluation_config || '{}'),
         points: c.points || 0,
         hints: Array.isArray(c.hints) ? c.hints : JSON.parse(c.hints || '[]'),
         expectedSolution: {
@@ -572,7 +589,7 @@ router.get('/:courseId/questions', async (req, res) => {
       courseQuestions = challenges.filter(c => c.courseId === courseId);
     }
     
-    res.json(courseQuestions);
+    res.json(solutionGuard.forRequest(req, courseQuestions));
   } catch (error) {
     console.error('Error fetching course questions:', error);
     res.status(500).json({ error: 'Failed to fetch questions' });
@@ -586,7 +603,12 @@ router.get('/:courseId/questions', async (req, res) => {
 router.put('/questions/:questionId', (req, res) => {
   try {
     const { questionId } = req.params;
-    const updatedQuestion = req.body;
+    const { solutionWithheld, expectedPreviewUrl, ...updatedQuestion } = req.body;
+    
+    // Edited from a redacted copy: the blank solution it carries must not overwrite the real one
+    if (solutionWithheld) {
+      delete updatedQuestion.expectedSolution;
+    }
     
     const challenges = getChallenges();
     const questionIndex = challenges.findIndex(c => c.id === questionId);
@@ -600,6 +622,7 @@ router.put('/questions/:questionId', (req, res) => {
     
     // Save to file
     fs.writeFileSync(challengesPath, JSON.stringify(challenges, null, 2));
+    evaluationCache.invalidateChallenge(questionId);
     
     res.json({
       message: 'Question updated successfully',
@@ -678,6 +701,7 @@ router.delete('/questions/:questionId', (req, res) => {
     
     // Save to file
     fs.writeFileSync(challengesPath, JSON.stringify(challenges, null, 2));
+    evaluationCache.invalidateChallenge(questionId);
     
     res.json({
       message: 'Question deleted successfully',
@@ -789,7 +813,7 @@ router.get('/:courseId/levels/:level/randomize', (req, res) => {
     const randomQuestions = shuffled.slice(0, Math.min(count, levelQuestions.length));
     
     res.json({
-      questions: randomQuestions,
+      questions: solutionGuard.forRequest(req, randomQuestions),
       totalAvailable: levelQuestions.length,
       selected: randomQuestions.length
     });
@@ -1034,6 +1058,7 @@ router.post('/:courseId/levels/:level/questions/bulk', (req, res) => {
         if (existingIndex !== -1) {
           // Update existing question
           challenges[existingIndex] = { ...challenges[existingIndex], ...questionData };
+          evaluationCache.invalidateChallenge(question.id);
           updatedCount++;
         } else {
           // Add new question
@@ -1074,12 +1099,16 @@ router.post('/:courseId/levels/:level/questions/bulk', (req, res) => {
 /**
  * PUT /api/courses/:courseId/restrictions
  * Update exam restrictions for a course
- * Body: { blockCopy, blockPaste, forceFullscreen, maxViolations }
+ * Body: { blockCopy, blockPaste, forceFullscreen, maxViolations, timeLimit, allowResume }
  */
 router.put('/:courseId/restrictions', (req, res) => {
   try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
     const { courseId } = req.params;
-    const { blockCopy, blockPaste, forceFullscreen, maxViolations, timeLimit } = req.body;
+    const { blockCopy, blockPaste, forceFullscreen, maxViolations, timeLimit, allowResume } = req.body;
     
     const courses = getCourses();
     const courseIndex = courses.findIndex(c => c.id === courseId);
@@ -1094,7 +1123,8 @@ router.put('/:courseId/restrictions', (req, res) => {
       blockPaste: blockPaste !== undefined ? blockPaste : true,
       forceFullscreen: forceFullscreen !== undefined ? forceFullscreen : true,
       maxViolations: maxViolations || 3,
-      timeLimit: timeLimit !== undefined ? timeLimit : 0 // in minutes, 0 = no limit
+      timeLimit: timeLimit !== undefined ? timeLimit : 0, // in minutes, 0 = no limit
+      allowResume: allowResume !== undefined ? Boolean(allowResume) : true
     };
     
     fs.writeFileSync(coursesPath, JSON.stringify(courses, null, 2));
@@ -1123,14 +1153,8 @@ router.get('/:courseId/restrictions', (req, res) => {
       return res.status(404).json({ error: 'Course not found' });
     }
     
-    // Return restrictions or defaults
-    const restrictions = course.restrictions || {
-      blockCopy: true,
-      blockPaste: true,
-      forceFullscreen: true,
-      maxViolations: 3,
-      timeLimit: 0
-    };
+    // Return restrictions, with defaults for settings saved before they existed
+    const restrictions = { ...CourseModel.DEFAULT_RESTRICTIONS, ...(course.restrictions || {}) };
     
     res.json(restrictions);
   } catch (error) {
@@ -1139,6 +1163,317 @@ router.get('/:courseId/restrictions', (req, res) => {
   }
 });
 
+/**
+ * PUT /api/courses/:courseId/evaluation-settings
+ * Update course-level grading defaults used when a challenge doesn't set its own
+ * Body: { weightProfile, weights, passingThreshold, quality: { enabled, htmlRules, cssRules } }
+ */
+router.put('/:courseId/evaluation-settings', (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const { courseId } = req.params;
+    const { weightProfile, weights, passingThreshold, quality } = req.body;
+    
+    if (weightProfile && weightProfile !== 'custom' && !WEIGHT_PROFILES[weightProfile]) {
+      return res.status(400).json({ error: `Unknown weight profile: ${weightProfile}` });
+    }
+    
+    if (weightProfile === 'custom') {
+      const invalidWeights = evaluator.validateWeights(weights);
+      if (invalidWeights) {
+        return res.status(400).json({ error: invalidWeights });
+      }
+    }
+    
+    // Rule sets map rule ids to 'off' | 'warn' | 'error'
+    const severities = ['off', 'warn', 'error'];
+    for (const key of ['htmlRules', 'cssRules']) {
+      const invalid = Object.entries(quality?.[key] || {}).find(([, severity]) => !severities.includes(severity));
+      if (invalid) {
+        return res.status(400).json({ error: `Invalid severity for ${invalid[0]}: ${invalid[1]}` });
+      }
+    }
+    
+    const courses = getCourses();
+    const courseIndex = courses.findIndex(c => c.id === courseId);
+    
+    if (courseIndex === -1) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    courses[courseIndex].evaluationSettings = {
+      weightProfile: weightProfile || 'default',
+      weights: weightProfile === 'custom' ? (weights || null) : null,
+      passingThreshold: passingThreshold || {},
+      quality: quality ? {
+        enabled: Boolean(quality.enabled),
+        htmlRules: quality.htmlRules || {},
+        cssRules: quality.cssRules || {}
+      } : null
+    };
+    
+    fs.writeFileSync(coursesPath, JSON.stringify(courses, null, 2));
+    
+    res.json({
+      message: 'Evaluation settings updated successfully',
+      evaluationSettings: courses[courseIndex].evaluationSettings
+    });
+  } catch (error) {
+    console.error('Evaluation settings update error:', error);
+    res.status(500).json({ error: 'Failed to update evaluation settings' });
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/evaluation-settings
+ * Get course-level grading defaults, the available weight profiles and CSS lint rules
+ */
+router.get('/:courseId/evaluation-settings', (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const courses = getCourses();
+    const course = courses.find(c => c.id === courseId);
+    
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    res.json({
+      ...(course.evaluationSettings || {
+        weightProfile: 'default',
+        weights: null,
+        passingThreshold: {}
+      }),
+      profiles: WEIGHT_PROFILES,
+      qualityRules: { css: CSS_RULES }
+    });
+  } catch (error) {
+    console.error('Get evaluation settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch evaluation settings' });
+  }
+});
+
+/**
+ * PUT /api/courses/:courseId/similarity-settings
+ * Update the plagiarism scan threshold for a course
+ * Body: { threshold } - pairs at or above this similarity (%) are flagged
+ */
+router.put('/:courseId/similarity-settings', (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+    
+    const { courseId } = req.params;
+    const threshold = Number(req.body.threshold);
+    
+    if (!Number.isFinite(threshold) || threshold < 1 || threshold > 100) {
+      return res.status(400).json({ error: 'Threshold must be a percentage between 1 and 100' });
+    }
+    
+    const courses = getCourses();
+    const courseIndex = courses.findIndex(c => c.id === courseId);
+    
+    if (courseIndex === -1) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    courses[courseIndex].similaritySettings = { threshold: Math.round(threshold) };
+    
+    fs.writeFileSync(coursesPath, JSON.stringify(courses, null, 2));
+    
+    res.json({
+      message: 'Similarity settings updated successfully',
+      similaritySettings: courses[courseIndex].similaritySettings
+    });
+  } catch (error) {
+    console.error('Similarity settings update error:', error);
+    res.status(500).json({ error: 'Failed to update similarity settings' });
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/similarity-settings
+ * Get the plagiarism scan threshold for a course
+ */
+router.get('/:courseId/similarity-settings', async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const course = getCourses().find(c => c.id === courseId);
+    
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    
+    res.json(await CourseModel.getSimilaritySettings(courseId));
+  } catch (error) {
+    console.error('Get similarity settings error:', error);
+    res.status(500).json({ error: 'Failed to fetch similarity settings' });
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/levels/:level/schedule
+ * Exam window of a level as candidates see it (for the lobby countdown)
+ * With X-Exam-Access-Code / X-Exam-Invite headers, also whether those would let the candidate start now
+ */
+router.get('/:courseId/levels/:level/schedule', async (req, res) => {
+  try {
+    const { courseId, level } = req.params;
+    const schedule = await examSchedule.getLevelSchedule(courseId, level);
+    const info = examSchedule.publicInfo(schedule);
+
+    const access = await examSchedule.check({ courseId, level, ...examSchedule.credentials(req) });
+    info.access = access.allowed
+      ? { allowed: true }
+      : { allowed: false, code: access.code, error: access.error };
+
+    res.json(info);
+  } catch (error) {
+    console.error('Get level schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch exam schedule' });
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/schedule (Admin)
+ * Exam schedule of a course, including its access code
+ */
+router.get('/:courseId/schedule', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const course = getCourses().find(c => c.id === req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    res.json(course.schedule || { enabled: false, entry: 'open', levels: {} });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch exam schedule' });
+  }
+});
+
+/**
+ * PUT /api/courses/:courseId/schedule (Admin)
+ * Update the exam schedule of a course
+ * Body: { enabled, startsAt, endsAt, lateStartMinutes, timeAllowance, entry: 'open'|'code'|'invite', accessCode,
+ *         levels: { [level]: { ...overrides } } }
+ */
+router.put('/:courseId/schedule', (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { schedule, error } = examSchedule.normalize(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const courses = getCourses();
+    const courseIndex = courses.findIndex(c => c.id === req.params.courseId);
+    if (courseIndex === -1) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    courses[courseIndex].schedule = schedule;
+    fs.writeFileSync(coursesPath, JSON.stringify(courses, null, 2));
+
+    res.json({
+      message: 'Exam schedule updated successfully',
+      schedule
+    });
+  } catch (error) {
+    console.error('Schedule update error:', error);
+    res.status(500).json({ error: 'Failed to update exam schedule' });
+  }
+});
+
+/**
+ * GET /api/courses/:courseId/invites (Admin)
+ * One-time exam invites of a course (tokens are only shown when created)
+ */
+router.get('/:courseId/invites', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    res.json(await ExamInviteModel.findByCourse(req.params.courseId));
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to fetch invites' });
+  }
+});
+
+/**
+ * POST /api/courses/:courseId/invites (Admin)
+ * Create one-time exam invites
+ * Body: { labels: ['name or email', ...] or count, level (optional), timeAllowance (optional, minutes) }
+ */
+router.post('/:courseId/invites', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const { courseId } = req.params;
+    const { level = null, timeAllowance = null } = req.body;
+    const labels = Array.isArray(req.body.labels) && req.body.labels.length > 0
+      ? req.body.labels.map(label => String(label).trim()).filter(Boolean)
+      : Array.from({ length: Math.min(Number(req.body.count) || 1, 200) }, () => null);
+
+    if (labels.length === 0 || labels.length > 200) {
+      return res.status(400).json({ error: 'Create between 1 and 200 invites at a time' });
+    }
+    if (!getCourses().some(c => c.id === courseId)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const invites = [];
+    for (const label of labels) {
+      invites.push(await ExamInviteModel.create({ courseId, level, label, timeAllowance }));
+    }
+
+    res.status(201).json({
+      message: `Created ${invites.length} invite(s)`,
+      invites
+    });
+  } catch (error) {
+    console.error('Create invites error:', error);
+    res.status(500).json({ error: 'Failed to create invites' });
+  }
+});
+
+/**
+ * DELETE /api/courses/:courseId/invites/:inviteId (Admin)
+ * Revoke an invite
+ */
+router.delete('/:courseId/invites/:inviteId', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const deleted = await ExamInviteModel.delete(req.params.courseId, req.params.inviteId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
 /**
  * GET /api/courses/:courseId/level-settings
  * Get level settings (randomization counts, etc.)
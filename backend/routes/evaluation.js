@@ -1,6 +1,6 @@
 /**
  * Evaluation Routes
- * Triggers hybrid evaluation (DOM + Pixel Matching)
+ * Queues hybrid evaluation (DOM + Pixel Matching) and reports job progress
  */
 
 const express = require('express');
@@ -10,6 +10,8 @@ const fs = require('fs');
 const path = require('path');
 const ChallengeModel = require('../models/Challenge');
 const SubmissionModel = require('../models/Submission');
+const CourseModel = require('../models/Course');
+const evaluationQueue = require('../services/evaluationQueue');
 
 const submissionsPath = path.join(__dirname, '../data/submissions.json');
 const challengesPath = path.join(__dirname, '../data/challenges.json');
@@ -72,85 +74,134 @@ const getChallenge = async (challengeId) => {
   }
 };
 
+// Get submission - database first, then JSON fallback
+const findSubmission = async (submissionId) => {
+  let submission;
+  try {
+    submission = await SubmissionModel.findById(submissionId);
+  } catch (dbError) {
+    console.log('Database lookup failed, using JSON:', dbError.message);
+  }
+  
+  if (!submission) {
+    const submissions = getSubmissions();
+    submission = submissions.find(s => s.id === submissionId);
+  }
+  
+  return submission || null;
+};
+
+/**
+ * Grade a submission and store the result (run by the evaluation queue workers)
+ * @param {string} submissionId
+ * @param {Function} setStatus - Reports progress ('scoring') back to the job
+ * @returns {Object} - Evaluation result
+ */
+const gradeSubmission = async (submissionId, setStatus) => {
+  const submission = await findSubmission(submissionId);
+  
+  if (!submission) {
+    throw new Error('Submission not found');
+  }
+  
+  // Get challenge with expected solution
+  const challenge = await getChallenge(submission.challengeId);
+  
+  if (!challenge) {
+    console.error(`❌ Challenge not found: ${submission.challengeId}`);
+    throw new Error('Challenge not found');
+  }
+  
+  console.log(`\n🔄 Starting evaluation for submission: ${submissionId}`);
+  console.log(`📝 Challenge: ${challenge.title}`);
+  
+  // Course-level grading defaults (weights / minimums) apply unless the challenge overrides them
+  const courseSettings = await CourseModel.getEvaluationSettings(challenge.courseId);
+  
+  // Run hybrid evaluation with content validation
+  const evaluationResult = await evaluator.evaluate(
+    submission.code,
+    challenge.expectedSolution,
+    challenge.passingThreshold,
+    submissionId,
+    submission.challengeId, // Pass challengeId for content-specific validation
+    challenge.evaluationConfig || {},
+    courseSettings,
+    setStatus
+  );
+  
+  // Update submission with result - try database first
+  try {
+    await SubmissionModel.updateEvaluation(submissionId, evaluationResult);
+    console.log('✅ Saved evaluation to database');
+  } catch (dbError) {
+    console.log('Database save failed, using JSON fallback:', dbError.message);
+    // Fallback to JSON
+    submission.status = evaluationResult.passed ? 'passed' : 'failed';
+    submission.result = evaluationResult;
+    submission.evaluatedAt = new Date().toISOString();
+    
+    const submissions = getSubmissions();
+    const submissionIndex = submissions.findIndex(s => s.id === submissionId);
+    if (submissionIndex >= 0) {
+      submissions[submissionIndex] = submission;
+      saveSubmissions(submissions);
+    }
+  }
+  
+  console.log(`✅ Evaluation complete: ${evaluationResult.passed ? 'PASSED' : 'FAILED'}`);
+  console.log(`   Content: ${evaluationResult.contentScore}%`);
+  console.log(`   Structure: ${evaluationResult.structureScore}%`);
+  console.log(`   Visual: ${evaluationResult.visualScore}%`);
+  console.log(`   Behavior: ${evaluationResult.behaviorScore}%`);
+  console.log(`   Logic: ${evaluationResult.logicScore}%`);
+  console.log(`   Final: ${evaluationResult.finalScore}%\n`);
+  
+  return evaluationResult;
+};
+
+evaluationQueue.setProcessor(gradeSubmission);
+
 /**
  * POST /api/evaluate
- * Evaluate a submission using hybrid method
- * Body: { submissionId }
+ * Queue a submission for evaluation; poll GET /api/evaluate/jobs/:jobId for progress
+ * Body: { submissionId, wait } - wait: true blocks until the result is ready (admin tools, scripts)
  */
 router.post('/', async (req, res) => {
   try {
-    const { submissionId } = req.body;
+    const { submissionId, wait } = req.body;
     
     if (!submissionId) {
       return res.status(400).json({ error: 'Submission ID required' });
     }
     
-    // Get submission - try database first, then JSON fallback
-    let submission;
-    try {
-      submission = await SubmissionModel.findById(submissionId);
-    } catch (dbError) {
-      console.log('Database lookup failed, using JSON:', dbError.message);
-    }
-    
-    // Fallback to JSON if not found in database
-    if (!submission) {
-      const submissions = getSubmissions();
-      submission = submissions.find(s => s.id === submissionId);
-    }
+    const submission = await findSubmission(submissionId);
     
     if (!submission) {
       return res.status(404).json({ error: 'Submission not found' });
     }
     
-    // Get challenge with expected solution
-    const challenge = await getChallenge(submission.challengeId);
+    const job = await evaluationQueue.enqueue(submissionId);
     
-    if (!challenge) {
-      console.error(`❌ Challenge not found: ${submission.challengeId}`);
-      return res.status(404).json({ error: 'Challenge not found' });
+    if (!wait) {
+      return res.status(202).json({
+        message: 'Evaluation queued',
+        jobId: job.id,
+        status: job.status,
+        position: job.position
+      });
     }
     
-    console.log(`\n🔄 Starting evaluation for submission: ${submissionId}`);
-    console.log(`📝 Challenge: ${challenge.title}`);
+    const finished = await evaluationQueue.waitFor(job.id);
     
-    // Run hybrid evaluation with content validation
-    const evaluationResult = await evaluator.evaluate(
-      submission.code,
-      challenge.expectedSolution,
-      challenge.passingThreshold,
-      submissionId,
-      submission.challengeId // Pass challengeId for content-specific validation
-    );
-    
-    // Update submission with result - try database first
-    try {
-      await SubmissionModel.updateEvaluation(submissionId, evaluationResult);
-      console.log('✅ Saved evaluation to database');
-    } catch (dbError) {
-      console.log('Database save failed, using JSON fallback:', dbError.message);
-      // Fallback to JSON
-      submission.status = evaluationResult.passed ? 'passed' : 'failed';
-      submission.result = evaluationResult;
-      submission.evaluatedAt = new Date().toISOString();
-      
-      const submissions = getSubmissions();
-      const submissionIndex = submissions.findIndex(s => s.id === submissionId);
-      if (submissionIndex >= 0) {
-        submissions[submissionIndex] = submission;
-        saveSubmissions(submissions);
-      }
+    if (finished.status === 'failed') {
+      return res.status(500).json({ error: 'Evaluation failed', details: finished.error });
     }
     
-    console.log(`✅ Evaluation complete: ${evaluationResult.passed ? 'PASSED' : 'FAILED'}`);
-    console.log(`   Content: ${evaluationResult.contentScore}%`);
-    console.log(`   Structure: ${evaluationResult.structureScore}%`);
-    console.log(`   Visual: ${evaluationResult.visualScore}%`);
-    console.log(`   Final: ${evaluationResult.finalScore}%\n`);
-    
     res.json({
       message: 'Evaluation complete',
-      result: evaluationResult
+      jobId: finished.id,
+      result: finished.result
     });
     
   } catch (error) {
@@ -162,6 +213,33 @@ router.post('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/evaluate/jobs/:jobId
+ * Evaluation job progress: queued -> rendering -> scoring -> done | failed
+ */
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await evaluationQueue.getJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Evaluation job not found' });
+    }
+    
+    res.json({
+      jobId: job.id,
+      submissionId: job.submissionId,
+      status: job.status,
+      position: job.position,
+      attempts: job.attempts,
+      error: job.error,
+      result: job.status === 'done' ? job.result : null
+    });
+  } catch (error) {
+    console.error('Get evaluation job error:', error);
+    res.status(500).json({ error: 'Failed to fetch evaluation job' });
+  }
+});
+
 /**
  * POST /api/evaluate/quick
  * Quick evaluation without saving submission (for testing)
@@ -183,12 +261,17 @@ router.post('/quick', async (req, res) => {
       return res.status(404).json({ error: 'Challenge not found' });
     }
     
+    const courseSettings = await CourseModel.getEvaluationSettings(challenge.courseId);
+    
     // Run evaluation
     const evaluationResult = await evaluator.evaluate(
       code,
       challenge.expectedSolution,
       challenge.passingThreshold,
-      'quick-test'
+      'quick-test',
+      challengeId,
+      challenge.evaluationConfig || {},
+      courseSettings
     );
     
     res.json(evaluationResult);
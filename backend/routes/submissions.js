@@ -9,9 +9,17 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const SubmissionModel = require('../models/Submission');
-const { query } = require('../database/connection');
+const ChallengeModel = require('../models/Challenge');
+const TestSession = require('../models/TestSession');
+const solutionGuard = require('../services/solutionGuard');
+const authTokens = require('../services/authTokens');
+const { query, isConnected } = require('../database/connection');
 
 const submissionsPath = path.join(__dirname, '../data/submissions.json');
+const challengePaths = [
+  path.join(__dirname, '../data/challenges.json'),
+  path.join(__dirname, '../data/challenges-new.json')
+];
 
 // Helper to load JSON files
 const loadJSON = (filePath) => {
@@ -48,6 +56,58 @@ const saveSubmissions = (submissions) => {
   return saveJSON(submissionsPath, submissions);
 };
 
+// Challenge being answered - database first, then JSON fallback
+const findChallenge = async (challengeId) => {
+  try {
+    const challenge = await ChallengeModel.findById(challengeId);
+    if (challenge) return challenge;
+  } catch (dbError) {
+    console.log('Database lookup failed, using JSON:', dbError.message);
+  }
+  
+  for (const filePath of challengePaths) {
+    const challenge = loadJSON(filePath).find(c => c.id === challengeId);
+    if (challenge) return challenge;
+  }
+  return null;
+};
+
+/**
+ * Why an exam submission must be refused, or null when it may be accepted.
+ * Level questions are only answered inside an open test session of the signed-in user, for the same
+ * course and level; sessions live in MySQL, so without a database there is nothing to check against.
+ */
+const sessionDenial = async (req, challenge, testSessionId) => {
+  const isLevelQuestion = challenge && challenge.courseId && challenge.level;
+  if (!isConnected() || (!isLevelQuestion && !testSessionId)) {
+    return null;
+  }
+  
+  const requester = authTokens.fromRequest(req);
+  if (!requester) {
+    return 'Sign in to submit answers to a test';
+  }
+  
+  if (!testSessionId) {
+    // Say why the candidate's last attempt no longer accepts answers, if it has ended
+    const latest = await TestSession.findLatest(requester.id, challenge.courseId, parseInt(challenge.level));
+    return (latest && TestSession.closedReason(latest)) || 'Submissions to level questions need an open test session';
+  }
+  
+  const testSession = await TestSession.findById(testSessionId);
+  const closed = TestSession.closedReason(testSession);
+  if (closed) {
+    return closed;
+  }
+  if (!authTokens.actsFor(req, testSession.user_id)) {
+    return 'Test session belongs to another user';
+  }
+  if (isLevelQuestion && (testSession.course_id !== challenge.courseId || testSession.level !== parseInt(challenge.level))) {
+    return 'Question is not part of this test session';
+  }
+  return null;
+};
+
 /**
  * POST /api/submissions
  * Submit candidate solution
@@ -55,12 +115,20 @@ const saveSubmissions = (submissions) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const { challengeId, candidateName, code, userId } = req.body;
+    const { challengeId, candidateName, code, userId, testSessionId } = req.body;
     
     if (!challengeId || !code || !code.html) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    const challenge = await findChallenge(challengeId);
+    
+    // Exam submissions only count while their session is open (before the deadline, not terminated)
+    const denied = await sessionDenial(req, challenge, testSessionId);
+    if (denied) {
+      return res.status(403).json({ error: denied, testSessionId: testSessionId || null });
+    }
+    
     const submissionData = {
       id: uuidv4(),
       challengeId,
@@ -75,13 +143,26 @@ router.post('/', async (req, res) => {
       submittedAt: new Date().toISOString()
     };
     
+    // Fingerprint against the expected solution so pasted answers are flagged to admins
+    const expectedSolution = challenge?.expectedSolution || null;
+    if (expectedSolution) {
+      submissionData.solutionMatch = solutionGuard.match(submissionData.code, expectedSolution);
+      if (submissionData.solutionMatch.flagged) {
+        console.log(`🚩 Submission ${submissionData.id} matches the expected solution of ${challengeId} (${submissionData.solutionMatch.similarity}%${submissionData.solutionMatch.verbatim ? ', verbatim' : ''})`);
+      }
+    }
+    
     // Try to save to database first
     try {
       const dbSubmission = await SubmissionModel.create(submissionData);
+      if (testSessionId) {
+        await TestSession.addSubmission(testSessionId, dbSubmission.id)
+          .catch(error => console.error('Failed to add submission to test session:', error.message));
+      }
       return res.status(201).json({
         message: 'Submission received',
         submissionId: dbSubmission.id,
-        submission: dbSubmission
+        submission: solutionGuard.submissionForRequest(req, dbSubmission)
       });
     } catch (dbError) {
       console.log('Database save failed, using JSON fallback:', dbError.message);
@@ -98,7 +179,7 @@ router.post('/', async (req, res) => {
       return res.status(201).json({
         message: 'Submission received',
         submissionId: submission.id,
-        submission
+        submission: solutionGuard.submissionForRequest(req, submission)
       });
     }
   } catch (error) {
@@ -117,7 +198,7 @@ router.get('/:id', async (req, res) => {
     try {
       const dbSubmission = await SubmissionModel.findById(req.params.id);
       if (dbSubmission) {
-        return res.json(dbSubmission);
+        return res.json(solutionGuard.submissionForRequest(req, dbSubmission));
       }
     } catch (dbError) {
       console.log('Database fetch failed, using JSON fallback:', dbError.message);
@@ -131,7 +212,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Submission not found' });
     }
     
-    res.json(submission);
+    res.json(solutionGuard.submissionForRequest(req, submission));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch submission' });
   }
@@ -176,12 +257,12 @@ router.get('/', async (req, res) => {
     // Try database first
     try {
       const submissions = await SubmissionModel.findAll();
-      return res.json(submissions);
+      return res.json(submissions.map(s => solutionGuard.submissionForRequest(req, s)));
     } catch (dbError) {
       console.log('Database error, using JSON file:', dbError.message);
       // Fallback to JSON file
       const submissions = getSubmissions();
-      return res.json(submissions);
+      return res.json(submissions.map(s => solutionGuard.submissionForRequest(req, s)));
     }
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch submissions' });
@@ -1,23 +1,77 @@
 const express = require('express');
 const router = express.Router();
 const TestSession = require('../models/TestSession');
+const CodeSnapshot = require('../models/CodeSnapshot');
+const ExamInviteModel = require('../models/ExamInvite');
+const examSchedule = require('../services/examSchedule');
+const CourseModel = require('../models/Course');
+const authTokens = require('../services/authTokens');
 
-// Create a new test session
+// Reason recorded when an interrupted session is ended because its course doesn't allow resuming
+const RESUME_DENIED_REASON = 'Test was interrupted and this course does not allow resuming';
+
+// Candidates may only act on their own sessions (admins on any)
+const NOT_YOUR_SESSION = 'This test session belongs to another user';
+
+// Create a new test session (or continue the user's running one for this level)
+// The deadline and violation limit come from the course restrictions and are enforced here; scheduled
+// levels also need an open window and the access code or an unused invite (access_code / invite_token)
 router.post('/', async (req, res) => {
   try {
-    const { user_id, course_id, level } = req.body;
+    const { user_id, course_id, level, assigned_questions } = req.body;
 
     if (!user_id || !course_id || level === undefined) {
       return res.status(400).json({
         error: 'Missing required fields: user_id, course_id, level'
       });
     }
+    if (!authTokens.actsFor(req, user_id)) {
+      return res.status(403).json({ error: 'Sign in as this user to start or resume their test' });
+    }
 
-    const session = await TestSession.create({
-      user_id,
-      course_id,
-      level
-    });
+    const restrictions = await CourseModel.getRestrictions(course_id);
+
+    // Reloading the page must not restart the clock or clear violations; when the course doesn't
+    // allow resuming, the interrupted session ends instead
+    const running = await TestSession.findActive(user_id, course_id, level);
+    if (running) {
+      if (restrictions.allowResume === false) {
+        await TestSession.terminate(running.id, RESUME_DENIED_REASON);
+        return res.status(409).json({
+          error: RESUME_DENIED_REASON,
+          session: await TestSession.findById(running.id)
+        });
+      }
+      return res.json(running);
+    }
+
+    const access = await examSchedule.check({ courseId: course_id, level, ...examSchedule.credentials(req) });
+    if (!access.allowed) {
+      return res.status(403).json({ error: access.error, code: access.code, schedule: access.schedule });
+    }
+
+    // Claim the invite before starting so the same invite can't start two sessions
+    if (access.invite && !(await ExamInviteModel.claim(access.invite.id, user_id))) {
+      return res.status(403).json({ error: 'This invite has already been used', code: 'INVALID_INVITE' });
+    }
+
+    let session;
+    try {
+      session = await TestSession.create({
+        user_id,
+        course_id,
+        level,
+        time_limit: examSchedule.timeLimit(access.schedule, restrictions, access.invite),
+        max_violations: Number(restrictions.maxViolations) || null,
+        assigned_questions: Array.isArray(assigned_questions) ? assigned_questions : null
+      });
+    } catch (error) {
+      if (access.invite) await ExamInviteModel.release(access.invite.id);
+      throw error;
+    }
+    if (access.invite) {
+      await ExamInviteModel.attachSession(access.invite.id, session.id);
+    }
 
     res.status(201).json(session);
   } catch (error) {
@@ -26,6 +80,39 @@ router.post('/', async (req, res) => {
   }
 });
 
+// The signed-in user's unfinished session for a level, with what is needed to resume it
+// Query: user_id, course_id, level -> { session, allowResume, questions, answers } ({ session: null } if none)
+router.get('/active', async (req, res) => {
+  try {
+    const { user_id, course_id, level } = req.query;
+
+    if (!user_id || !course_id || level === undefined) {
+      return res.status(400).json({
+        error: 'Missing required parameters: user_id, course_id, level'
+      });
+    }
+    if (!authTokens.actsFor(req, user_id)) {
+      return res.status(403).json({ error: NOT_YOUR_SESSION });
+    }
+
+    const session = await TestSession.findActive(user_id, course_id, parseInt(level));
+    if (!session) {
+      return res.json({ session: null });
+    }
+
+    const restrictions = await CourseModel.getRestrictions(course_id);
+    if (restrictions.allowResume === false) {
+      return res.json({ session, allowResume: false, reason: RESUME_DENIED_REASON });
+    }
+
+    const resume = await TestSession.getResumeState(session);
+    res.json({ session, allowResume: true, ...resume });
+  } catch (error) {
+    console.error('Error fetching active test session:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get test session by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -67,6 +154,15 @@ router.post('/:id/submissions', async (req, res) => {
       return res.status(400).json({ error: 'Missing submission_id' });
     }
 
+    const current = await TestSession.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Test session not found' });
+    }
+    const closed = TestSession.closedReason(current);
+    if (closed) {
+      return res.status(403).json({ error: closed, session: current });
+    }
+
     const session = await TestSession.addSubmission(req.params.id, submission_id);
     res.json(session);
   } catch (error) {
@@ -75,6 +171,121 @@ router.post('/:id/submissions', async (req, res) => {
   }
 });
 
+// Report a proctoring violation; the session is terminated once it reaches its limit
+router.post('/:id/violations', async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    if (!TestSession.VIOLATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid violation type. Expected one of: ${TestSession.VIOLATION_TYPES.join(', ')}` });
+    }
+
+    const current = await TestSession.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Test session not found' });
+    }
+    if (!authTokens.actsFor(req, current.user_id)) {
+      return res.status(403).json({ error: NOT_YOUR_SESSION });
+    }
+
+    const session = await TestSession.recordEvents(req.params.id, [{ type }]);
+    res.json(session);
+  } catch (error) {
+    console.error('Error recording violation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log timestamped proctoring events: { events: [{ type, occurredAt, details }] } or a single event
+// Violation types count toward the session's limit; the others are kept for reviewers only
+router.post('/:id/events', async (req, res) => {
+  try {
+    const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+
+    const invalid = events.find(event => !TestSession.EVENT_TYPES.includes(event?.type));
+    if (events.length === 0 || invalid) {
+      return res.status(400).json({ error: `Invalid event type. Expected one of: ${TestSession.EVENT_TYPES.join(', ')}` });
+    }
+
+    const current = await TestSession.findById(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Test session not found' });
+    }
+    if (!authTokens.actsFor(req, current.user_id)) {
+      return res.status(403).json({ error: NOT_YOUR_SESSION });
+    }
+
+    const session = await TestSession.recordEvents(req.params.id, events);
+    res.json(session);
+  } catch (error) {
+    console.error('Error recording proctoring events:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Proctoring events and submissions of a session in order (Admin)
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const timeline = await TestSession.getTimeline(req.params.id);
+    if (!timeline) {
+      return res.status(404).json({ error: 'Test session not found' });
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    console.error('Error fetching test session timeline:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Store a snapshot of the candidate's editors for one question: { challengeId, code: { html, css, js } }
+router.post('/:id/snapshots', async (req, res) => {
+  try {
+    const { challengeId, code } = req.body;
+
+    if (!challengeId || !code || typeof code !== 'object') {
+      return res.status(400).json({ error: 'Missing required fields: challengeId, code' });
+    }
+
+    const session = await TestSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Test session not found' });
+    }
+    if (!authTokens.actsFor(req, session.user_id)) {
+      return res.status(403).json({ error: NOT_YOUR_SESSION });
+    }
+    const closed = TestSession.closedReason(session);
+    if (closed) {
+      return res.status(403).json({ error: closed });
+    }
+
+    const snapshot = await CodeSnapshot.record(session, { challengeId, code });
+    res.status(201).json(snapshot);
+  } catch (error) {
+    console.error('Error saving code snapshot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Snapshots of a session for replay, oldest first (Admin); ?challengeId= narrows to one question
+router.get('/:id/snapshots', async (req, res) => {
+  try {
+    if (!authTokens.isAdmin(req)) {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
+
+    const snapshots = await CodeSnapshot.findBySession(req.params.id, req.query.challengeId || null);
+    res.json({ sessionId: req.params.id, largeChangeChars: CodeSnapshot.LARGE_CHANGE_CHARS, snapshots });
+  } catch (error) {
+    console.error('Error fetching code snapshots:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Complete test session and calculate results
 router.put('/:id/complete', async (req, res) => {
   try {
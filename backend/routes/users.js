@@ -8,7 +8,7 @@ const csv = require("csv-parser");
 const UserModel = require("../models/User");
 const { query } = require("../database/connection");
 const { OAuth2Client } = require("google-auth-library");
-const jwt = require("jsonwebtoken");
+const authTokens = require("../services/authTokens");
 require("dotenv").config();
 
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
@@ -48,10 +48,6 @@ function hashPassword(password) {
   return crypto.createHash("sha256").update(password).digest("hex");
 }
 
-function generateToken() {
-  return crypto.randomBytes(32).toString("hex");
-}
-
 // Google OAuth login
 router.post("/google", async (req, res) => {
   const { token } = req.body;
@@ -155,16 +151,7 @@ router.post("/google", async (req, res) => {
       }
     }
 
-    const jwtSecret = process.env.JWT_SECRET;
-    const payloadForToken = {
-      id: user.id,
-      username: user.username,
-      role: user.role,
-    };
-
-    const appToken = jwtSecret
-      ? jwt.sign(payloadForToken, jwtSecret, { expiresIn: "7d" })
-      : generateToken();
+    const appToken = authTokens.issue(user);
 
     res.json({
       user: {
@@ -203,7 +190,7 @@ function verifyAdmin(req, res, next) {
 
 // User Registration (for testing/initial setup)
 router.post("/register", async (req, res) => {
-  const { username, password, email, full_name, role } = req.body;
+  const { username, password, email, full_name } = req.body;
 
   if (!username || !password) {
     return res.status(400).json({ error: "Username and password are required" });
@@ -230,7 +217,7 @@ router.post("/register", async (req, res) => {
       password: hashPassword(password),
       email: email || `${username}@example.com`,
       full_name: full_name || username,
-      role: role || "student",
+      role: "student", // Admins are created by admins (POST /api/users), never by self-registration
       created_at: new Date().toISOString(),
       last_login: null,
     };
@@ -240,7 +227,7 @@ router.post("/register", async (req, res) => {
       const userId = await UserModel.create(newUser);
       const user = await UserModel.findById(userId);
       
-      const token = generateToken();
+      const token = authTokens.issue(user);
       return res.status(201).json({
         message: "User registered successfully",
         token,
@@ -258,7 +245,7 @@ router.post("/register", async (req, res) => {
       users.push(newUser);
       saveJSON(usersPath, users);
 
-      const token = generateToken();
+      const token = authTokens.issue(newUser);
       return res.status(201).json({
         message: "User registered successfully",
         token,
@@ -312,7 +299,7 @@ router.post("/login", async (req, res) => {
     }
 
     // Generate token
-    const token = generateToken();
+    const token = authTokens.issue(user);
 
     // Update last login (try database, fallback to JSON)
     try {
@@ -26,6 +26,7 @@ const usersRouter = require('./routes/users');
 const levelCompletionRouter = require('./routes/levelCompletion');
 const assetsRouter = require('./routes/assets');
 const testSessionsRouter = require('./routes/testSessions');
+const evaluationQueue = require('./services/evaluationQueue');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -54,11 +55,29 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Clients poll evaluation jobs and re-grade progress every couple of seconds, and the test page streams
+  // proctoring events and code snapshots (limited per session below); don't count that against them
+  skip: (req) => req.path.startsWith('/evaluate/jobs/') || req.path.startsWith('/admin/regrade/') ||
+    /^\/test-sessions\/[^/]+\/(events|snapshots)$/.test(req.path),
 });
 
 // Apply rate limiter to all API routes
 app.use('/api/', limiter);
 
+// Code snapshots are stored, so each test session gets its own budget: the test page sends at most
+// one every 15 seconds, plus one per question change and submission
+const snapshotLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 120,
+  message: 'Too many code snapshots for this test session, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.baseUrl,
+  skip: (req) => req.method !== 'POST',
+});
+
+app.use('/api/test-sessions/:id/snapshots', snapshotLimiter);
+
 // Stricter rate limit for authentication endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -100,7 +119,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Exam-Access-Code', 'X-Exam-Invite', 'X-Test-Session']
 };
 
 // Middleware
@@ -216,11 +235,15 @@ app.use('/api/*', (req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
+  
+  // Background workers that grade queued submissions
+  evaluationQueue.start();
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`\n📁 API Endpoints:`);
   console.log(`   GET  /api/challenges`);
   console.log(`   POST /api/submissions`);
   console.log(`   POST /api/evaluate`);
+  console.log(`   GET  /api/evaluate/jobs/:jobId`);
   console.log(`   POST /api/admin/login`);
 });
 
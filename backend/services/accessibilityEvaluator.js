@@ -0,0 +1,154 @@
+/**
+ * Accessibility Evaluator Service
+ * Injects axe-core into the rendered candidate page and turns its violations
+ * (missing alt text, low contrast, unlabeled controls, heading order...) into a score.
+ * Violations the expected solution has too are reported but not penalized.
+ */
+
+const axe = require('axe-core');
+const pixelMatch = require('./pixelMatch');
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+
+// WCAG levels audited unless the challenge picks its own tags
+const DEFAULT_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'];
+
+// Points lost per offending element, by axe impact
+const IMPACT_PENALTIES = { critical: 15, serious: 10, moderate: 5, minor: 2 };
+
+// Offending elements counted per rule, so one repeated mistake can't zero the score
+const MAX_NODES_PER_RULE = 3;
+
+const IMPACT_ICONS = { critical: '🚫', serious: '❗', moderate: '⚠️', minor: 'ℹ️' };
+
+class AccessibilityEvaluator {
+  /**
+   * Audit the candidate page
+   * @param {Object} candidateCode - { html, css, js }
+   * @param {Object} expectedCode - { html, css, js }
+   * @param {Object} options - { tags, rules: { ruleId: false }, ignoreExpected, viewport }
+   * @returns {Object} - { score, violations, baseline, passes, feedback }
+   */
+  async evaluate(candidateCode, expectedCode, options = {}) {
+    const viewport = { ...DEFAULT_VIEWPORT, ...(options.viewport || {}) };
+    const runOptions = this.buildRunOptions(options);
+
+    try {
+      const browser = await pixelMatch.initBrowser();
+
+      const candidate = await this.audit(browser, candidateCode, viewport, runOptions);
+
+      // Rules the reference solution itself breaks aren't the student's fault
+      let baselineRules = new Set();
+      if (options.ignoreExpected !== false && expectedCode) {
+        const expected = await this.audit(browser, expectedCode, viewport, runOptions);
+        baselineRules = new Set(expected.violations.map(v => v.id));
+      }
+
+      const violations = candidate.violations.filter(v => !baselineRules.has(v.id));
+      const baseline = candidate.violations.filter(v => baselineRules.has(v.id));
+
+      const penalty = violations.reduce((sum, violation) => {
+        const nodes = Math.min(violation.nodes.length, MAX_NODES_PER_RULE);
+        return sum + (IMPACT_PENALTIES[violation.impact] || IMPACT_PENALTIES.moderate) * nodes;
+      }, 0);
+
+      return {
+        score: Math.max(0, 100 - penalty),
+        violations,
+        baseline,
+        passes: candidate.passes,
+        feedback: this.generateFeedback(violations, baseline)
+      };
+    } catch (error) {
+      console.error('Accessibility audit error:', error);
+      return {
+        score: 0,
+        error: error.message,
+        violations: [],
+        baseline: [],
+        passes: 0,
+        feedback: [`⚠️ Accessibility could not be audited: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * axe.run options from the challenge config
+   */
+  buildRunOptions(options) {
+    const tags = Array.isArray(options.tags) && options.tags.length > 0 ? options.tags : DEFAULT_TAGS;
+    const runOptions = {
+      runOnly: { type: 'tag', values: tags },
+      resultTypes: ['violations']
+    };
+
+    // { "rules": { "color-contrast": false } } switches individual rules off
+    if (options.rules && typeof options.rules === 'object') {
+      runOptions.rules = {};
+      Object.entries(options.rules).forEach(([ruleId, enabled]) => {
+        runOptions.rules[ruleId] = { enabled: Boolean(enabled) };
+      });
+    }
+
+    return runOptions;
+  }
+
+  /**
+   * Render a page, inject axe-core and collect violations
+   * @returns {Object} - { violations: [{ id, impact, help, helpUrl, nodes: [{ target, summary }] }], passes }
+   */
+  async audit(browser, code, viewport, runOptions) {
+    return pixelMatch.withSandboxedPage(browser, pixelMatch.createFullPage(code), viewport, async (page) => {
+      await pixelMatch.settle(page); // Contrast is checked on the final colors, not mid-fade
+      await page.addScriptTag({ content: axe.source });
+
+      return await page.evaluate(async (opts) => {
+        const results = await window.axe.run(document, opts);
+        return {
+          passes: results.passes.length,
+          violations: results.violations.map(v => ({
+            id: v.id,
+            impact: v.impact,
+            help: v.help,
+            helpUrl: v.helpUrl,
+            nodes: v.nodes.map(node => ({
+              target: node.target.join(' '),
+              summary: node.failureSummary
+            }))
+          }))
+        };
+      }, runOptions);
+    });
+  }
+
+  /**
+   * Human-friendly feedback lines, most severe first
+   */
+  generateFeedback(violations, baseline) {
+    const order = Object.keys(IMPACT_PENALTIES);
+    const feedback = [];
+
+    [...violations]
+      .sort((a, b) => order.indexOf(a.impact) - order.indexOf(b.impact))
+      .forEach(violation => {
+        const targets = violation.nodes.slice(0, MAX_NODES_PER_RULE).map(node => node.target).join(', ');
+        const more = violation.nodes.length > MAX_NODES_PER_RULE
+          ? ` (+${violation.nodes.length - MAX_NODES_PER_RULE} more)`
+          : '';
+        feedback.push(`${IMPACT_ICONS[violation.impact] || '⚠️'} ${violation.help}: ${targets}${more}`);
+      });
+
+    if (baseline.length > 0) {
+      feedback.push(`ℹ️ Not counted (the expected solution has them too): ${baseline.map(v => v.id).join(', ')}`);
+    }
+
+    if (violations.length === 0) {
+      feedback.unshift('✅ No accessibility violations found');
+    }
+
+    return feedback;
+  }
+}
+
+module.exports = new AccessibilityEvaluator();
@@ -0,0 +1,91 @@
+/**
+ * Auth Tokens Service
+ * Issues the bearer tokens returned by the login routes and resolves them back to a user,
+ * so routes can tell admins from candidates. Tokens are JWTs when JWT_SECRET is set;
+ * otherwise random tokens remembered in memory (sign-ins then end when the server restarts).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_TTL = '7d';
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Bound on remembered tokens without JWT_SECRET (oldest are dropped first)
+const MAX_ISSUED = 10000;
+
+class AuthTokens {
+  constructor() {
+    this.issued = new Map(); // token -> { id, username, role, expiresAt }
+    this.warned = false;
+  }
+
+  /**
+   * Create a token for a signed-in user
+   * @param {Object} user - { id, username, role }
+   * @returns {string}
+   */
+  issue(user) {
+    const payload = { id: user.id, username: user.username, role: user.role };
+
+    if (process.env.JWT_SECRET) {
+      return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: TOKEN_TTL });
+    }
+
+    if (!this.warned) {
+      console.warn('⚠️  JWT_SECRET not set: sign-ins are kept in memory and end when the server restarts');
+      this.warned = true;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    this.issued.set(token, { ...payload, expiresAt: Date.now() + TOKEN_TTL_MS });
+    while (this.issued.size > MAX_ISSUED) {
+      const [oldest] = this.issued.keys();
+      this.issued.delete(oldest);
+    }
+    return token;
+  }
+
+  /**
+   * User a token was issued to
+   * @returns {Object|null} - { id, username, role }, null if unknown or expired
+   */
+  verify(token) {
+    if (!token) return null;
+
+    const remembered = this.issued.get(token);
+    if (remembered) {
+      if (remembered.expiresAt < Date.now()) {
+        this.issued.delete(token);
+        return null;
+      }
+      return { id: remembered.id, username: remembered.username, role: remembered.role };
+    }
+
+    if (!process.env.JWT_SECRET) return null;
+    try {
+      const { id, username, role } = jwt.verify(token, process.env.JWT_SECRET);
+      return { id, username, role };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // User behind the request's "Authorization: Bearer <token>" header
+  fromRequest(req) {
+    const header = req.headers?.authorization || '';
+    return this.verify(header.replace(/^Bearer\s+/i, '').trim());
+  }
+
+  isAdmin(req) {
+    return this.fromRequest(req)?.role === 'admin';
+  }
+
+  // Whether the request is signed in as this user (or as an admin)
+  actsFor(req, userId) {
+    const requester = this.fromRequest(req);
+    return Boolean(requester && userId) && (requester.role === 'admin' || requester.id === userId);
+  }
+}
+
+module.exports = new AuthTokens();
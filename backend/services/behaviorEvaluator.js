@@ -0,0 +1,324 @@
+/**
+ * Behavior Evaluator Service
+ * Runs scripted interaction tests (click, type, hover, wait) in Puppeteer
+ * against both the candidate page and the expected page, then checks assertions
+ */
+
+const pixelMatch = require('./pixelMatch');
+
+const STEP_TIMEOUT = 5000;
+
+class BehaviorEvaluator {
+  /**
+   * Run all behavior tests declared for a challenge
+   * @param {Object} candidateCode - { html, css, js }
+   * @param {Object} expectedCode - { html, css, js }
+   * @param {Array} tests - [{ name, steps: [...], assertions: [...] }]
+   * @returns {Object} - Behavior result with score and per-step feedback
+   */
+  async evaluate(candidateCode, expectedCode, tests = []) {
+    const result = {
+      score: 0,
+      configured: tests.length > 0,
+      totalAssertions: 0,
+      passedAssertions: 0,
+      tests: [],
+      feedback: []
+    };
+
+    if (tests.length === 0) {
+      return result;
+    }
+
+    try {
+      const browser = await pixelMatch.initBrowser();
+
+      for (const [index, test] of tests.entries()) {
+        const name = test.name || `Interaction test ${index + 1}`;
+
+        // Expected page is the reference for assertions without an explicit value
+        const expectedRun = await this.runTest(browser, expectedCode, test);
+        const candidateRun = await this.runTest(browser, candidateCode, test);
+
+        const testResult = {
+          name,
+          passed: true,
+          steps: candidateRun.steps,
+          assertions: []
+        };
+
+        (test.assertions || []).forEach((assertion, assertionIndex) => {
+          const reference = expectedRun.observations[assertionIndex];
+          const observed = candidateRun.observations[assertionIndex];
+          const check = this.checkAssertion(assertion, observed, reference);
+
+          if (check.skipped) {
+            testResult.assertions.push(check);
+            return;
+          }
+
+          result.totalAssertions++;
+          if (check.passed) {
+            result.passedAssertions++;
+          } else {
+            testResult.passed = false;
+          }
+          testResult.assertions.push(check);
+        });
+
+        if (candidateRun.error) {
+          testResult.passed = false;
+        }
+
+        result.tests.push(testResult);
+        result.feedback.push(...this.describeTest(testResult, candidateRun.error));
+      }
+    } catch (error) {
+      // Browser failed to launch: keep the other dimensions' scores instead of failing the evaluation
+      console.error('Behavior evaluation error:', error);
+      return {
+        ...result,
+        score: 0,
+        error: error.message,
+        feedback: [...result.feedback, `⚠️ Interaction tests could not be run: ${error.message}`]
+      };
+    }
+
+    result.score = result.totalAssertions > 0
+      ? Math.round((result.passedAssertions / result.totalAssertions) * 100)
+      : 0;
+
+    return result;
+  }
+
+  /**
+   * Render a page, replay the steps and record what each assertion observes
+   * @param {Browser} browser - Puppeteer browser instance
+   * @param {Object} code - { html, css, js }
+   * @param {Object} test - Test definition
+   * @returns {Object} - { steps, observations, error }
+   */
+  async runTest(browser, code, test) {
+    const steps = [];
+    let error = null;
+
+    // Each step may wait up to STEP_TIMEOUT, so the page budget grows with the test
+    const budget = pixelMatch.RENDER_TIMEOUT + (test.steps || []).length * STEP_TIMEOUT;
+
+    try {
+      return await pixelMatch.withSandboxedPage(browser, pixelMatch.createFullPage(code), { width: 1280, height: 720 }, async (page) => {
+        for (const [index, step] of (test.steps || []).entries()) {
+          try {
+            await this.runStep(page, step);
+            steps.push({ index: index + 1, action: step.action, selector: step.selector, ok: true });
+          } catch (stepError) {
+            error = `Step ${index + 1} (${this.describeStep(step)}) failed: ${stepError.message}`;
+            steps.push({ index: index + 1, action: step.action, selector: step.selector, ok: false, error: stepError.message });
+            break;
+          }
+        }
+
+        const observations = [];
+        for (const assertion of test.assertions || []) {
+          observations.push(await this.observe(page, assertion));
+        }
+
+        return { steps, observations, error };
+      }, { budget });
+    } catch (pageError) {
+      return { steps, observations: [], error: pageError.message };
+    }
+  }
+
+  /**
+   * Execute a single interaction step
+   */
+  async runStep(page, step) {
+    switch (step.action) {
+      case 'click':
+        await page.waitForSelector(step.selector, { timeout: STEP_TIMEOUT });
+        await page.click(step.selector);
+        break;
+
+      case 'type':
+        await page.waitForSelector(step.selector, { timeout: STEP_TIMEOUT });
+        if (step.clear) {
+          await page.$eval(step.selector, el => { el.value = ''; });
+        }
+        await page.type(step.selector, String(step.value ?? ''));
+        break;
+
+      case 'press':
+        if (step.selector) {
+          await page.waitForSelector(step.selector, { timeout: STEP_TIMEOUT });
+          await page.focus(step.selector);
+        }
+        await page.keyboard.press(step.key || 'Enter');
+        break;
+
+      case 'hover':
+        await page.waitForSelector(step.selector, { timeout: STEP_TIMEOUT });
+        await page.hover(step.selector);
+        break;
+
+      case 'wait':
+        if (step.selector) {
+          await page.waitForSelector(step.selector, { timeout: step.ms || STEP_TIMEOUT });
+        } else {
+          await page.waitForTimeout(Math.min(step.ms || 300, STEP_TIMEOUT));
+        }
+        break;
+
+      default:
+        throw new Error(`Unknown action "${step.action}"`);
+    }
+
+    // Give transitions and event handlers a moment to settle
+    await page.waitForTimeout(step.settle ?? 100);
+  }
+
+  /**
+   * Read the value an assertion is interested in from the page
+   * @returns {Object} - { found, value }
+   */
+  async observe(page, assertion) {
+    try {
+      return await page.evaluate((a) => {
+        const el = document.querySelector(a.selector);
+        if (!el) return { found: false, value: null };
+
+        switch (a.type) {
+          case 'visible': {
+            const style = window.getComputedStyle(el);
+            const rect = el.getBoundingClientRect();
+            const visible = style.display !== 'none' &&
+              style.visibility !== 'hidden' &&
+              parseFloat(style.opacity) > 0 &&
+              rect.width > 0 && rect.height > 0;
+            return { found: true, value: visible };
+          }
+          case 'text':
+            return { found: true, value: (el.textContent || '').replace(/\s+/g, ' ').trim() };
+          case 'class':
+            return { found: true, value: el.classList.contains(a.className) };
+          case 'attribute':
+            return { found: true, value: el.getAttribute(a.name) };
+          case 'value':
+            return { found: true, value: el.value ?? null };
+          default:
+            return { found: true, value: null, unsupported: true };
+        }
+      }, assertion);
+    } catch (error) {
+      return { found: false, value: null, error: error.message };
+    }
+  }
+
+  /**
+   * Compare an observation with the assertion's expected value,
+   * falling back to what the expected solution produced
+   */
+  checkAssertion(assertion, observed = { found: false, value: null }, reference = { found: false, value: null }) {
+    const description = this.describeAssertion(assertion);
+    const hasExplicit = assertion.expected !== undefined;
+
+    if (observed.unsupported) {
+      return { description, skipped: true, message: `Unsupported assertion type "${assertion.type}"` };
+    }
+
+    // Without an explicit value the expected page must produce one to compare against
+    if (!hasExplicit && !reference.found) {
+      return { description, skipped: true, message: 'Skipped: element not found in expected solution' };
+    }
+
+    const expected = hasExplicit ? assertion.expected : reference.value;
+
+    if (!observed.found) {
+      // A missing element still satisfies "should not be visible"
+      const passed = assertion.type === 'visible' && expected === false;
+      return {
+        description,
+        passed,
+        expected,
+        actual: null,
+        message: passed ? `${description} ✓` : `Element "${assertion.selector}" not found`
+      };
+    }
+
+    const passed = this.valuesMatch(assertion, observed.value, expected);
+
+    return {
+      description,
+      passed,
+      expected,
+      actual: observed.value,
+      message: passed
+        ? `${description} ✓`
+        : `${description}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(observed.value)}`
+    };
+  }
+
+  valuesMatch(assertion, actual, expected) {
+    if (assertion.type === 'text' || assertion.type === 'value') {
+      const normalize = (str) => String(str ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+      return assertion.contains
+        ? normalize(actual).includes(normalize(expected))
+        : normalize(actual) === normalize(expected);
+    }
+
+    return actual === expected;
+  }
+
+  describeStep(step) {
+    switch (step.action) {
+      case 'type':
+        return `type "${step.value ?? ''}" into ${step.selector}`;
+      case 'press':
+        return `press ${step.key || 'Enter'}${step.selector ? ` in ${step.selector}` : ''}`;
+      case 'wait':
+        return step.selector ? `wait for ${step.selector}` : `wait ${step.ms || 300}ms`;
+      default:
+        return `${step.action} ${step.selector || ''}`.trim();
+    }
+  }
+
+  describeAssertion(assertion) {
+    switch (assertion.type) {
+      case 'visible':
+        return assertion.expected === false
+          ? `${assertion.selector} is hidden`
+          : `${assertion.selector} is visible`;
+      case 'text':
+        return `${assertion.selector} text`;
+      case 'class':
+        return `${assertion.selector} has class "${assertion.className}"`;
+      case 'attribute':
+        return `${assertion.selector} [${assertion.name}]`;
+      case 'value':
+        return `${assertion.selector} value`;
+      default:
+        return `${assertion.type} ${assertion.selector}`;
+    }
+  }
+
+  /**
+   * Human-friendly feedback lines for one test
+   */
+  describeTest(testResult, error) {
+    const lines = [];
+    lines.push(`${testResult.passed ? '✅' : '❌'} ${testResult.name}`);
+
+    if (error) {
+      lines.push(`   ${error}`);
+    }
+
+    testResult.assertions
+      .filter(a => !a.passed)
+      .forEach(a => lines.push(`   ${a.skipped ? '⏭️' : '✗'} ${a.message}`));
+
+    return lines;
+  }
+}
+
+module.exports = new BehaviorEvaluator();
+module.exports.STEP_TIMEOUT = STEP_TIMEOUT;
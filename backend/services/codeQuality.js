@@ -0,0 +1,249 @@
+/**
+ * Code Quality Service
+ * Validates candidate HTML (html-validate) and lints CSS (css-tree lexer + a few house rules).
+ * Findings carry line/column so the editor can underline them, and roll up into a quality score.
+ */
+
+const { HtmlValidate } = require('html-validate');
+const csstree = require('css-tree');
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+// html-validate preset; courses tune individual rules on top of it
+const HTML_PRESET = 'html-validate:standard';
+
+// CSS rules and their default severity
+const CSS_RULES = {
+  'syntax-error': 'error',
+  'unknown-property': 'error',
+  'invalid-value': 'error',
+  'duplicate-property': 'warn',
+  'empty-rule': 'warn',
+  'no-important': 'off',
+  'no-id-selector': 'off'
+};
+
+// Points lost per finding
+const PENALTIES = { error: 10, warn: 3 };
+
+// Findings kept per submission so pathological input can't flood the result
+const MAX_FINDINGS = 100;
+
+class CodeQualityChecker {
+  /**
+   * Check candidate code
+   * @param {Object} code - { html, css }
+   * @param {Object} options - { htmlRules: { ruleId: severity }, cssRules: { ruleId: severity } }
+   * @returns {Object} - { score, errors, warnings, findings: [{ language, line, column, endLine, endColumn, severity, rule, message }], feedback }
+   */
+  check(code, options = {}) {
+    try {
+      const findings = [
+        ...this.validateHTML(code.html || '', options.htmlRules),
+        ...this.lintCSS(code.css || '', options.cssRules)
+      ]
+        .sort((a, b) => a.language.localeCompare(b.language) || a.line - b.line || a.column - b.column)
+        .slice(0, MAX_FINDINGS);
+
+      const errors = findings.filter(f => f.severity === 'error').length;
+      const warnings = findings.filter(f => f.severity === 'warn').length;
+      const penalty = errors * PENALTIES.error + warnings * PENALTIES.warn;
+
+      return {
+        score: Math.max(0, 100 - penalty),
+        errors,
+        warnings,
+        findings,
+        feedback: this.generateFeedback(findings)
+      };
+    } catch (error) {
+      console.error('Code quality check error:', error);
+      return {
+        score: 0,
+        error: error.message,
+        errors: 0,
+        warnings: 0,
+        findings: [],
+        feedback: [`⚠️ Code quality could not be checked: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Validate an HTML fragment (what candidates type into the HTML tab)
+   */
+  validateHTML(html, rules = {}) {
+    if (!html.trim()) return [];
+
+    const validator = new HtmlValidate({
+      extends: [HTML_PRESET],
+      rules: this.pickSeverities(rules)
+    });
+    const report = validator.validateStringSync(html);
+
+    return (report.results[0]?.messages || []).map(message => ({
+      language: 'html',
+      line: message.line,
+      column: message.column,
+      endLine: message.line,
+      endColumn: message.column + Math.max(message.size || 1, 1),
+      severity: message.severity === 2 ? 'error' : 'warn',
+      rule: message.ruleId,
+      message: message.message
+    }));
+  }
+
+  /**
+   * Lint CSS with the css-tree lexer (property names and value grammar) plus house rules
+   */
+  lintCSS(css, rules = {}) {
+    if (!css.trim()) return [];
+
+    const severities = { ...CSS_RULES, ...this.pickSeverities(rules, Object.keys(CSS_RULES)) };
+    const findings = [];
+    const report = (rule, loc, message) => {
+      if (severities[rule] === 'off') return;
+      findings.push({
+        language: 'css',
+        line: loc?.start?.line || 1,
+        column: loc?.start?.column || 1,
+        endLine: loc?.end?.line || loc?.start?.line || 1,
+        endColumn: loc?.end?.column || (loc?.start?.column || 1) + 1,
+        severity: severities[rule],
+        rule,
+        message
+      });
+    };
+
+    const ast = csstree.parse(css, {
+      positions: true,
+      onParseError: (error) => report('syntax-error', {
+        start: { line: error.line, column: error.column },
+        end: { line: error.line, column: error.column + 1 }
+      }, error.message)
+    });
+
+    this.checkBraces(css).forEach(loc => report('syntax-error', loc, 'Unclosed block: missing "}"'));
+
+    csstree.walk(ast, {
+      visit: 'Rule',
+      enter: (rule) => {
+        const declarations = rule.block.children.toArray().filter(node => node.type === 'Declaration');
+
+        if (declarations.length === 0) {
+          report('empty-rule', rule.loc, `Empty rule "${csstree.generate(rule.prelude)}"`);
+        }
+
+        if (rule.prelude.type === 'SelectorList') {
+          csstree.walk(rule.prelude, {
+            visit: 'IdSelector',
+            enter: (node) => report('no-id-selector', node.loc, `Avoid styling by id (#${node.name}); use a class`)
+          });
+        }
+
+        const seen = new Set();
+        declarations.forEach(declaration => {
+          const property = declaration.property.toLowerCase();
+
+          if (seen.has(property)) {
+            report('duplicate-property', declaration.loc, `"${property}" is set more than once in this rule`);
+          }
+          seen.add(property);
+
+          if (declaration.important) {
+            report('no-important', declaration.loc, `Avoid !important on "${property}"`);
+          }
+
+          this.checkDeclaration(declaration, property, report);
+        });
+      }
+    });
+
+    return findings;
+  }
+
+  /**
+   * Property name and value grammar via the css-tree lexer
+   * Custom properties, vendor prefixes and var() values can't be checked reliably and are skipped
+   */
+  checkDeclaration(declaration, property, report) {
+    if (property.startsWith('-')) return;
+    if (csstree.generate(declaration.value).includes('var(')) return;
+
+    const match = csstree.lexer.matchProperty(property, declaration.value);
+    if (!match.error) return;
+
+    if (match.error.name === 'SyntaxReferenceError') {
+      report('unknown-property', declaration.loc, `Unknown property "${property}"`);
+    } else {
+      report('invalid-value', declaration.loc, `Invalid value for "${property}": ${csstree.generate(declaration.value)}`);
+    }
+  }
+
+  /**
+   * css-tree recovers silently from a missing "}", so count braces outside strings and comments
+   */
+  checkBraces(css) {
+    const open = [];
+    let line = 1;
+    let column = 1;
+    let quote = null;
+    let inComment = false;
+
+    for (let i = 0; i < css.length; i++) {
+      const char = css[i];
+
+      if (inComment) {
+        if (char === '*' && css[i + 1] === '/') inComment = false;
+      } else if (quote) {
+        if (char === quote && css[i - 1] !== '\\') quote = null;
+      } else if (char === '/' && css[i + 1] === '*') {
+        inComment = true;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '{') {
+        open.push({ line, column });
+      } else if (char === '}') {
+        open.pop();
+      }
+
+      if (char === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+    }
+
+    return open.map(start => ({ start, end: { line: start.line, column: start.column + 1 } }));
+  }
+
+  /**
+   * Keep only valid { rule: severity } entries (optionally limited to known rules)
+   */
+  pickSeverities(rules, known = null) {
+    const picked = {};
+    Object.entries(rules || {}).forEach(([rule, severity]) => {
+      if (SEVERITIES.includes(severity) && (!known || known.includes(rule))) {
+        picked[rule] = severity;
+      }
+    });
+    return picked;
+  }
+
+  /**
+   * Human-friendly feedback lines
+   */
+  generateFeedback(findings) {
+    if (findings.length === 0) {
+      return ['✅ No HTML or CSS problems found'];
+    }
+
+    return findings.map(finding =>
+      `${finding.severity === 'error' ? '❌' : '⚠️'} ${finding.language.toUpperCase()} line ${finding.line}:${finding.column} - ${finding.message} (${finding.rule})`
+    );
+  }
+}
+
+module.exports = new CodeQualityChecker();
+module.exports.CSS_RULES = CSS_RULES;
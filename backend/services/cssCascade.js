@@ -0,0 +1,493 @@
+/**
+ * CSS Cascade Service
+ * Parses CSS into an AST (css-tree), expands shorthands, normalizes values
+ * and resolves the cascade (specificity, source order, !important, inheritance)
+ * for elements of a JSDOM document. Lets graders compare styles, not source text.
+ */
+
+const csstree = require('css-tree');
+
+// Properties children pick up from their parent when not set
+const INHERITED_PROPERTIES = new Set([
+  'color', 'font-family', 'font-size', 'font-style', 'font-weight', 'line-height',
+  'letter-spacing', 'text-align', 'text-transform', 'text-indent', 'white-space',
+  'word-spacing', 'visibility', 'cursor', 'list-style-type', 'list-style-position'
+]);
+
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128],
+  gray: [128, 128, 128], grey: [128, 128, 128], silver: [192, 192, 192], maroon: [128, 0, 0],
+  navy: [0, 0, 128], teal: [0, 128, 128], olive: [128, 128, 0], lime: [0, 255, 0],
+  aqua: [0, 255, 255], cyan: [0, 255, 255], fuchsia: [255, 0, 255], magenta: [255, 0, 255],
+  pink: [255, 192, 203], brown: [165, 42, 42], gold: [255, 215, 0], coral: [255, 127, 80],
+  crimson: [220, 20, 60], indigo: [75, 0, 130], violet: [238, 130, 238], tomato: [255, 99, 71],
+  salmon: [250, 128, 114], khaki: [240, 230, 140], beige: [245, 245, 220], ivory: [255, 255, 240],
+  lavender: [230, 230, 250], turquoise: [64, 224, 208], tan: [210, 180, 140], chocolate: [210, 105, 30],
+  skyblue: [135, 206, 235], steelblue: [70, 130, 180], royalblue: [65, 105, 225], slategray: [112, 128, 144],
+  darkgray: [169, 169, 169], darkgrey: [169, 169, 169], lightgray: [211, 211, 211], lightgrey: [211, 211, 211],
+  gainsboro: [220, 220, 220], whitesmoke: [245, 245, 245], darkblue: [0, 0, 139], darkgreen: [0, 100, 0],
+  darkred: [139, 0, 0], lightblue: [173, 216, 230], lightgreen: [144, 238, 144], dodgerblue: [30, 144, 255],
+  seagreen: [46, 139, 87], forestgreen: [34, 139, 34], firebrick: [178, 34, 34], orangered: [255, 69, 0],
+  hotpink: [255, 105, 180], deeppink: [255, 20, 147], mediumpurple: [147, 112, 219], rebeccapurple: [102, 51, 153]
+};
+
+const COLOR_PROPERTIES = /(^|-)color$|^background$|^border$|^outline$|^fill$|^stroke$|shadow$/;
+
+const FONT_WEIGHTS = { normal: '400', bold: '700', lighter: '100', bolder: '900' };
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+
+class CSSCascade {
+  /**
+   * Parse a stylesheet into flat rules
+   * Rules nested in at-rules (@media, @supports...) are skipped: grading renders one default context
+   * @param {string} css - Stylesheet source
+   * @returns {Array} - [{ selector, specificity, order, declarations: [{ property, value, important }] }]
+   */
+  parse(css) {
+    const rules = [];
+    let ast;
+
+    try {
+      ast = csstree.parse(css || '', { parseValue: false, parseCustomProperty: false });
+    } catch (error) {
+      console.warn('CSS parse error:', error.message);
+      return rules;
+    }
+
+    // Only top-level rules apply; nested ones sit inside @media/@supports etc.
+    let order = 0;
+    ast.children.forEach(node => {
+      if (node.type !== 'Rule' || node.prelude.type !== 'SelectorList') return;
+
+      const declarations = this.readDeclarations(node.block);
+      if (declarations.length === 0) return;
+
+      node.prelude.children.forEach(selectorNode => {
+        rules.push({
+          selector: csstree.generate(selectorNode),
+          specificity: this.specificity(selectorNode),
+          order: order++,
+          declarations
+        });
+      });
+    });
+
+    return rules;
+  }
+
+  /**
+   * Read a declaration block into expanded, normalized declarations
+   */
+  readDeclarations(block) {
+    const declarations = [];
+    if (!block || !block.children) return declarations;
+
+    block.children.forEach(node => {
+      if (node.type !== 'Declaration') return;
+      const raw = csstree.generate(node.value).trim();
+      const property = node.property.toLowerCase();
+      if (property.startsWith('--')) return; // Custom properties aren't styles themselves
+
+      this.expand(property, raw).forEach(({ property: longhand, value }) => {
+        declarations.push({
+          property: longhand,
+          value: this.normalizeValue(longhand, value),
+          important: Boolean(node.important)
+        });
+      });
+    });
+
+    return declarations;
+  }
+
+  /**
+   * Parse an inline style attribute
+   */
+  parseInline(styleText) {
+    try {
+      const ast = csstree.parse(styleText || '', { context: 'declarationList', parseValue: false });
+      return this.readDeclarations(ast);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Specificity [ids, classes, types] of a selector AST
+   */
+  specificity(selectorNode) {
+    const spec = [0, 0, 0];
+
+    csstree.walk(selectorNode, {
+      enter(node) {
+        switch (node.type) {
+          case 'IdSelector':
+            spec[0]++;
+            break;
+          case 'ClassSelector':
+          case 'AttributeSelector':
+            spec[1]++;
+            break;
+          case 'PseudoClassSelector':
+            // :where() adds nothing; :is()/:not() count via their contents
+            if (!['where', 'is', 'not', 'has'].includes(node.name)) spec[1]++;
+            if (node.name === 'where') return csstree.walk.skip;
+            break;
+          case 'TypeSelector':
+            if (node.name !== '*') spec[2]++;
+            break;
+          case 'PseudoElementSelector':
+            spec[2]++;
+            break;
+          default:
+            break;
+        }
+      }
+    });
+
+    return spec;
+  }
+
+  /**
+   * Resolve the cascade for every element in a document
+   * @param {Document} doc - JSDOM document
+   * @param {string} css - Stylesheet source
+   * @returns {Object} - { declared: Map(el -> {prop: value}), computed: (el) => {prop: value} }
+   */
+  resolve(doc, css) {
+    const rules = this.parse(css);
+    const declared = new Map();
+    const winners = new Map();
+
+    const consider = (element, declaration, rank) => {
+      let props = winners.get(element);
+      if (!props) {
+        props = {};
+        winners.set(element, props);
+      }
+      const current = props[declaration.property];
+      if (!current || this.outranks(rank, declaration.important, current.rank, current.important)) {
+        props[declaration.property] = { value: declaration.value, rank, important: declaration.important };
+      }
+    };
+
+    for (const rule of rules) {
+      let matches = [];
+      try {
+        matches = Array.from(doc.querySelectorAll(rule.selector));
+      } catch (error) {
+        continue; // Pseudo-elements and selectors jsdom can't match
+      }
+      const rank = [0, ...rule.specificity, rule.order];
+      matches.forEach(element => rule.declarations.forEach(d => consider(element, d, rank)));
+    }
+
+    // Inline styles beat any selector
+    doc.querySelectorAll('[style]').forEach(element => {
+      const rank = [1, 0, 0, 0, Number.MAX_SAFE_INTEGER];
+      this.parseInline(element.getAttribute('style')).forEach(d => consider(element, d, rank));
+    });
+
+    winners.forEach((props, element) => {
+      const values = {};
+      Object.entries(props).forEach(([property, entry]) => { values[property] = entry.value; });
+      declared.set(element, values);
+    });
+
+    const computedCache = new Map();
+    const computed = (element) => {
+      if (!element || element.nodeType !== 1) return {};
+      if (computedCache.has(element)) return computedCache.get(element);
+
+      const parentStyles = element.parentElement ? computed(element.parentElement) : {};
+      const styles = {};
+      Object.entries(parentStyles).forEach(([property, value]) => {
+        if (INHERITED_PROPERTIES.has(property)) styles[property] = value;
+      });
+      Object.assign(styles, declared.get(element) || {});
+
+      computedCache.set(element, styles);
+      return styles;
+    };
+
+    return { rules, declared, computed };
+  }
+
+  outranks(rank, important, otherRank, otherImportant) {
+    if (important !== otherImportant) return important;
+    for (let i = 0; i < rank.length; i++) {
+      if (rank[i] !== otherRank[i]) return rank[i] > otherRank[i];
+    }
+    return true; // Same rank: later declaration wins
+  }
+
+  /**
+   * Expand a shorthand into longhands
+   * @returns {Array} - [{ property, value }]
+   */
+  expand(property, value) {
+    const tokens = this.splitTokens(value);
+
+    switch (property) {
+      case 'margin':
+      case 'padding':
+        return this.boxSides(tokens).map((v, i) => ({ property: `${property}-${SIDES[i]}`, value: v }));
+
+      case 'border-width':
+      case 'border-style':
+      case 'border-color': {
+        const part = property.split('-')[1];
+        return this.boxSides(tokens).map((v, i) => ({ property: `border-${SIDES[i]}-${part}`, value: v }));
+      }
+
+      case 'border-radius': {
+        if (value.includes('/')) return [{ property, value }];
+        return this.boxSides(tokens).map((v, i) => ({ property: `border-${CORNERS[i]}-radius`, value: v }));
+      }
+
+      case 'border':
+      case 'border-top':
+      case 'border-right':
+      case 'border-bottom':
+      case 'border-left': {
+        const parts = this.borderParts(tokens);
+        const sides = property === 'border' ? SIDES : [property.split('-')[1]];
+        const expanded = [];
+        sides.forEach(side => {
+          expanded.push({ property: `border-${side}-width`, value: parts.width });
+          expanded.push({ property: `border-${side}-style`, value: parts.style });
+          expanded.push({ property: `border-${side}-color`, value: parts.color });
+        });
+        return expanded;
+      }
+
+      case 'background': {
+        // Only the color is compared reliably; images/positions stay as the shorthand
+        const color = tokens.find(token => this.isColor(token));
+        const expanded = [{ property: 'background-color', value: color || 'transparent' }];
+        const image = tokens.find(token => /^(url|linear-gradient|radial-gradient|conic-gradient)\(/i.test(token));
+        if (image) expanded.push({ property: 'background-image', value: image });
+        return expanded;
+      }
+
+      case 'gap':
+      case 'grid-gap':
+        return [
+          { property: 'row-gap', value: tokens[0] },
+          { property: 'column-gap', value: tokens[1] || tokens[0] }
+        ];
+
+      case 'overflow':
+        return [
+          { property: 'overflow-x', value: tokens[0] },
+          { property: 'overflow-y', value: tokens[1] || tokens[0] }
+        ];
+
+      case 'flex':
+        return this.flexParts(tokens);
+
+      case 'font':
+        return this.fontParts(value);
+
+      default:
+        return [{ property, value }];
+    }
+  }
+
+  boxSides(tokens) {
+    const [top, right = top, bottom = top, left = right] = tokens;
+    return [top, right, bottom, left];
+  }
+
+  borderParts(tokens) {
+    const styles = ['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset'];
+    const parts = { width: 'medium', style: 'none', color: 'currentcolor' };
+    tokens.forEach(token => {
+      if (styles.includes(token.toLowerCase())) parts.style = token;
+      else if (this.isColor(token)) parts.color = token;
+      else parts.width = token;
+    });
+    return parts;
+  }
+
+  flexParts(tokens) {
+    const keyword = (tokens[0] || '').toLowerCase();
+    let grow = '0';
+    let shrink = '1';
+    let basis = 'auto';
+
+    if (keyword === 'none') {
+      shrink = '0';
+    } else if (keyword === 'auto') {
+      grow = '1';
+    } else if (tokens.length > 0) {
+      const numbers = tokens.filter(t => /^[\d.]+$/.test(t));
+      const other = tokens.find(t => !/^[\d.]+$/.test(t));
+      grow = numbers[0] || '0';
+      shrink = numbers[1] || '1';
+      basis = other || (numbers.length > 0 ? '0%' : 'auto');
+    }
+
+    return [
+      { property: 'flex-grow', value: grow },
+      { property: 'flex-shrink', value: shrink },
+      { property: 'flex-basis', value: basis }
+    ];
+  }
+
+  /**
+   * font: [style] [variant] [weight] size[/line-height] family
+   */
+  fontParts(value) {
+    const match = value.match(/^(.*?)([\d.]+(?:px|em|rem|%|pt)|xx-small|x-small|small|medium|large|x-large|xx-large)(?:\s*\/\s*(\S+))?\s+(.+)$/i);
+    if (!match) return [{ property: 'font', value }];
+
+    const [, prefix, size, lineHeight, family] = match;
+    const expanded = [
+      { property: 'font-size', value: size },
+      { property: 'font-family', value: family },
+      { property: 'font-style', value: 'normal' },
+      { property: 'font-weight', value: 'normal' },
+      { property: 'line-height', value: lineHeight || 'normal' }
+    ];
+
+    this.splitTokens(prefix).forEach(token => {
+      const lower = token.toLowerCase();
+      if (['italic', 'oblique'].includes(lower)) expanded[2].value = lower;
+      else if (FONT_WEIGHTS[lower] || /^\d{3}$/.test(lower)) expanded[3].value = lower;
+    });
+
+    return expanded;
+  }
+
+  /**
+   * Split a value on top-level whitespace (keeps "rgb(0, 0, 0)" together)
+   */
+  splitTokens(value) {
+    const tokens = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of String(value || '').trim()) {
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (/\s/.test(char) && depth === 0) {
+        if (current) tokens.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    if (current) tokens.push(current);
+    return tokens;
+  }
+
+  isColor(token) {
+    return /^#[0-9a-f]{3,8}$/i.test(token) ||
+      /^(rgb|rgba|hsl|hsla)\(/i.test(token) ||
+      Object.prototype.hasOwnProperty.call(NAMED_COLORS, token.toLowerCase()) ||
+      ['transparent', 'currentcolor'].includes(token.toLowerCase());
+  }
+
+  /**
+   * Normalize a value so equivalent spellings compare equal
+   * (colors -> rgb()/rgba(), 0 -> 0px, rem/pt -> px, bold -> 700, quotes/case/spacing)
+   */
+  normalizeValue(property, value) {
+    let normalized = String(value || '').trim().replace(/\s+/g, ' ').replace(/\s*,\s*/g, ', ');
+
+    if (property === 'font-family') {
+      return normalized.replace(/["']/g, '').toLowerCase();
+    }
+
+    if (property === 'font-weight') {
+      return FONT_WEIGHTS[normalized.toLowerCase()] || normalized;
+    }
+
+    const tokens = this.splitTokens(normalized).map(token => {
+      if (COLOR_PROPERTIES.test(property) && this.isColor(token)) {
+        return this.normalizeColor(token);
+      }
+      return this.normalizeLength(token);
+    });
+
+    return tokens.join(' ').toLowerCase();
+  }
+
+  normalizeLength(token) {
+    const match = token.match(/^(-?[\d.]+)(px|rem|pt|em|%|vh|vw|s|ms|deg)?$/i);
+    if (!match) return token;
+
+    let number = parseFloat(match[1]);
+    let unit = (match[2] || '').toLowerCase();
+
+    if (unit === 'rem') { number *= 16; unit = 'px'; }
+    if (unit === 'pt') { number *= 4 / 3; unit = 'px'; }
+    if (unit === 'ms') { number /= 1000; unit = 's'; }
+    if (number === 0 && (unit === '' || unit === 'px' || unit === '%')) return '0px';
+
+    return `${Math.round(number * 1000) / 1000}${unit}`;
+  }
+
+  normalizeColor(token) {
+    const lower = token.toLowerCase();
+    if (lower === 'transparent') return 'rgba(0, 0, 0, 0)';
+    if (lower === 'currentcolor') return 'currentcolor';
+
+    let rgba = null;
+
+    if (NAMED_COLORS[lower]) {
+      rgba = [...NAMED_COLORS[lower], 1];
+    } else if (lower.startsWith('#')) {
+      let hex = lower.slice(1);
+      if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(c => c + c).join('');
+      const ints = hex.match(/.{2}/g).map(h => parseInt(h, 16));
+      rgba = [ints[0], ints[1], ints[2], ints.length > 3 ? ints[3] / 255 : 1];
+    } else {
+      const fn = lower.match(/^(rgba?|hsla?)\((.*)\)$/);
+      if (fn) {
+        const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+        const alpha = parts[3] !== undefined
+          ? (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]))
+          : 1;
+        if (fn[1].startsWith('rgb')) {
+          const channel = (p) => p.endsWith('%') ? Math.round(parseFloat(p) * 2.55) : Math.round(parseFloat(p));
+          rgba = [channel(parts[0]), channel(parts[1]), channel(parts[2]), alpha];
+        } else {
+          rgba = [...this.hslToRgb(parseFloat(parts[0]), parseFloat(parts[1]) / 100, parseFloat(parts[2]) / 100), alpha];
+        }
+      }
+    }
+
+    if (!rgba || rgba.slice(0, 3).some(isNaN)) return lower;
+
+    const alpha = Math.round(rgba[3] * 100) / 100;
+    return alpha >= 1
+      ? `rgb(${rgba[0]}, ${rgba[1]}, ${rgba[2]})`
+      : `rgba(${rgba[0]}, ${rgba[1]}, ${rgba[2]}, ${alpha})`;
+  }
+
+  hslToRgb(h, s, l) {
+    const hue = ((h % 360) + 360) % 360 / 360;
+    if (s === 0) {
+      const gray = Math.round(l * 255);
+      return [gray, gray, gray];
+    }
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const convert = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return [convert(hue + 1 / 3), convert(hue), convert(hue - 1 / 3)].map(v => Math.round(v * 255));
+  }
+}
+
+module.exports = new CSSCascade();
@@ -0,0 +1,347 @@
+/**
+ * Diff Annotator Service
+ * Explains a visual diff: groups differing pixels into clusters, finds the DOM element behind
+ * each of the largest ones and says why it differs ("is 40px narrower than expected",
+ * "text color differs"...). Also draws the boxes onto a copy of the candidate screenshot.
+ */
+
+const { PNG } = require('pngjs');
+
+// Diff pixels are bucketed into cells; touching cells form a cluster
+const CELL_SIZE = 16;
+const MIN_CELL_PIXELS = 4;
+const MIN_CLUSTER_PIXELS = 60;
+
+// Largest clusters explained per viewport
+const MAX_ANNOTATIONS = 5;
+
+// Elements measured per page for matching (document order, visible only)
+const MAX_ELEMENTS = 400;
+
+// Offsets below this are rendering noise, not a layout difference
+const POSITION_TOLERANCE = 3;
+
+// Box colors in annotation order (the results UI uses the same palette)
+const PALETTE = [
+  [239, 68, 68],
+  [249, 115, 22],
+  [234, 179, 8],
+  [59, 130, 246],
+  [168, 85, 247]
+];
+
+const BOX_STROKE = 3;
+
+class DiffAnnotator {
+  /**
+   * Measure visible elements on a rendered page (runs inside Puppeteer)
+   * @returns {Array} - [{ selector, index, x, y, width, height, depth, text, styles }]
+   */
+  async collectElements(page) {
+    return page.evaluate((max) => {
+      const selectorFor = (el) => {
+        if (el.id) return `#${CSS.escape(el.id)}`;
+        const classes = Array.from(el.classList).map(c => `.${CSS.escape(c)}`).join('');
+        return `${el.tagName.toLowerCase()}${classes}`;
+      };
+      const depthOf = (el) => {
+        let depth = 0;
+        for (let node = el; node.parentElement; node = node.parentElement) depth++;
+        return depth;
+      };
+
+      const found = [];
+      const counts = {};
+      const skip = ['SCRIPT', 'STYLE', 'BR', 'META', 'LINK', 'TEMPLATE'];
+
+      for (const el of document.body ? document.body.querySelectorAll('*') : []) {
+        if (found.length >= max) break;
+        if (skip.includes(el.tagName)) continue;
+
+        // Index among same-selector elements counts hidden ones too, so both pages agree
+        const selector = selectorFor(el);
+        counts[selector] = (counts[selector] ?? -1) + 1;
+
+        const rect = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        if (rect.width < 1 || rect.height < 1 || style.visibility === 'hidden') continue;
+
+        const ownText = Array.from(el.childNodes)
+          .filter(node => node.nodeType === Node.TEXT_NODE)
+          .map(node => node.textContent.trim())
+          .join(' ')
+          .slice(0, 60);
+
+        found.push({
+          selector,
+          index: counts[selector],
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+          depth: depthOf(el),
+          text: ownText,
+          styles: {
+            color: style.color,
+            backgroundColor: style.backgroundColor,
+            fontSize: style.fontSize,
+            fontWeight: style.fontWeight,
+            borderColor: style.borderTopColor,
+            borderWidth: style.borderTopWidth
+          }
+        });
+      }
+
+      return found;
+    }, MAX_ELEMENTS);
+  }
+
+  /**
+   * Explain the largest diff clusters
+   * @param {Buffer} diffData - pixelmatch output
+   * @param {Function} isDiff - (data, offset) => whether the pixel differs
+   * @param {Object} elements - { candidate: [...], expected: [...] } from collectElements()
+   * @returns {Array} - [{ x, y, width, height, selector, reason, diffPixels, share, color }]
+   */
+  annotate(diffData, width, height, isDiff, elements = {}) {
+    const clusters = this.findClusters(diffData, width, height, isDiff);
+    const totalDiff = clusters.reduce((sum, cluster) => sum + cluster.diffPixels, 0) || 1;
+    const candidate = elements.candidate || [];
+    const expected = elements.expected || [];
+    const annotations = [];
+
+    for (const cluster of clusters.slice(0, MAX_ANNOTATIONS)) {
+      const explanation = this.explain(cluster, candidate, expected);
+
+      // Two clusters on the same element become one annotation
+      const existing = annotations.find(a => a.selector === explanation.selector && explanation.selector !== 'page');
+      if (existing) {
+        existing.diffPixels += cluster.diffPixels;
+        existing.share = Math.round((existing.diffPixels / totalDiff) * 100);
+        continue;
+      }
+
+      annotations.push({
+        ...explanation.box,
+        selector: explanation.selector,
+        reason: explanation.reason,
+        diffPixels: cluster.diffPixels,
+        share: Math.round((cluster.diffPixels / totalDiff) * 100),
+        color: `rgb(${PALETTE[annotations.length % PALETTE.length].join(', ')})`
+      });
+    }
+
+    return annotations;
+  }
+
+  /**
+   * Group diff pixels into connected clusters of cells, largest first
+   * @returns {Array} - [{ x, y, width, height, diffPixels }]
+   */
+  findClusters(diffData, width, height, isDiff) {
+    const cols = Math.ceil(width / CELL_SIZE);
+    const rows = Math.ceil(height / CELL_SIZE);
+    const cells = new Uint32Array(cols * rows);
+
+    for (let y = 0; y < height; y++) {
+      const row = Math.floor(y / CELL_SIZE) * cols;
+      for (let x = 0; x < width; x++) {
+        if (isDiff(diffData, (y * width + x) * 4)) {
+          cells[row + Math.floor(x / CELL_SIZE)]++;
+        }
+      }
+    }
+
+    const visited = new Uint8Array(cols * rows);
+    const clusters = [];
+
+    for (let start = 0; start < cells.length; start++) {
+      if (visited[start] || cells[start] < MIN_CELL_PIXELS) continue;
+
+      const cluster = { minCol: cols, minRow: rows, maxCol: 0, maxRow: 0, diffPixels: 0 };
+      const stack = [start];
+      visited[start] = 1;
+
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const col = cell % cols;
+        const row = Math.floor(cell / cols);
+        cluster.diffPixels += cells[cell];
+        cluster.minCol = Math.min(cluster.minCol, col);
+        cluster.maxCol = Math.max(cluster.maxCol, col);
+        cluster.minRow = Math.min(cluster.minRow, row);
+        cluster.maxRow = Math.max(cluster.maxRow, row);
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const c = col + dx;
+            const r = row + dy;
+            if (c < 0 || r < 0 || c >= cols || r >= rows) continue;
+            const next = r * cols + c;
+            if (!visited[next] && cells[next] >= MIN_CELL_PIXELS) {
+              visited[next] = 1;
+              stack.push(next);
+            }
+          }
+        }
+      }
+
+      if (cluster.diffPixels >= MIN_CLUSTER_PIXELS) {
+        const x = cluster.minCol * CELL_SIZE;
+        const y = cluster.minRow * CELL_SIZE;
+        clusters.push({
+          x,
+          y,
+          width: Math.min(width, (cluster.maxCol + 1) * CELL_SIZE) - x,
+          height: Math.min(height, (cluster.maxRow + 1) * CELL_SIZE) - y,
+          diffPixels: cluster.diffPixels
+        });
+      }
+    }
+
+    return clusters.sort((a, b) => b.diffPixels - a.diffPixels);
+  }
+
+  /**
+   * Pick the element that best explains a cluster and describe the difference
+   * @returns {Object} - { box, selector, reason }
+   */
+  explain(cluster, candidate, expected) {
+    const bestCandidate = this.bestMatch(cluster, candidate);
+    const bestExpected = this.bestMatch(cluster, expected);
+    const counterpart = (list, el) => el && list.find(other => other.selector === el.selector && other.index === el.index);
+
+    // The expected element explains the cluster better and the candidate doesn't have it
+    if (bestExpected && (!bestCandidate || bestExpected.fit > bestCandidate.fit) && !counterpart(candidate, bestExpected.element)) {
+      const el = bestExpected.element;
+      return { box: this.boxOf(el), selector: this.labelFor(el), reason: 'is missing from your page' };
+    }
+
+    if (!bestCandidate) {
+      return { box: this.boxOf(cluster), selector: 'page', reason: 'this area looks different from the expected design' };
+    }
+
+    const el = bestCandidate.element;
+    const target = counterpart(expected, el);
+    if (!target) {
+      return { box: this.boxOf(el), selector: this.labelFor(el), reason: 'is not in the expected design' };
+    }
+
+    return { box: this.boxOf(el), selector: this.labelFor(el), reason: this.describeDifference(el, target) };
+  }
+
+  /**
+   * Element whose box overlaps the cluster most tightly (overlap relative to both areas)
+   */
+  bestMatch(cluster, elements) {
+    let best = null;
+    const clusterArea = cluster.width * cluster.height;
+
+    for (const element of elements) {
+      const overlapWidth = Math.min(cluster.x + cluster.width, element.x + element.width) - Math.max(cluster.x, element.x);
+      const overlapHeight = Math.min(cluster.y + cluster.height, element.y + element.height) - Math.max(cluster.y, element.y);
+      if (overlapWidth <= 0 || overlapHeight <= 0) continue;
+
+      const overlap = overlapWidth * overlapHeight;
+      const fit = (overlap / clusterArea) * (overlap / (element.width * element.height));
+      // Deeper elements win ties, so the label names the specific element rather than a wrapper
+      if (!best || fit > best.fit || (fit === best.fit && element.depth > best.element.depth)) {
+        best = { element, fit };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Short human-readable reason, e.g. "is 12px lower and 40px narrower than expected"
+   */
+  describeDifference(actual, target) {
+    const parts = [];
+    const dy = actual.y - target.y;
+    const dx = actual.x - target.x;
+    const dw = actual.width - target.width;
+    const dh = actual.height - target.height;
+
+    if (Math.abs(dy) > POSITION_TOLERANCE) parts.push(`${Math.abs(dy)}px ${dy > 0 ? 'lower' : 'higher'}`);
+    if (Math.abs(dx) > POSITION_TOLERANCE) parts.push(`${Math.abs(dx)}px ${dx > 0 ? 'further right' : 'further left'}`);
+    if (Math.abs(dw) > POSITION_TOLERANCE) parts.push(`${Math.abs(dw)}px ${dw > 0 ? 'wider' : 'narrower'}`);
+    if (Math.abs(dh) > POSITION_TOLERANCE) parts.push(`${Math.abs(dh)}px ${dh > 0 ? 'taller' : 'shorter'}`);
+    if (parts.length > 0) {
+      return `is ${parts.slice(0, 2).join(' and ')} than expected`;
+    }
+
+    const styles = actual.styles || {};
+    const wanted = target.styles || {};
+    if (styles.backgroundColor !== wanted.backgroundColor) {
+      return `background is ${styles.backgroundColor}, expected ${wanted.backgroundColor}`;
+    }
+    if (styles.color !== wanted.color) {
+      return `text color is ${styles.color}, expected ${wanted.color}`;
+    }
+    if (styles.fontSize !== wanted.fontSize) {
+      return `font size is ${styles.fontSize}, expected ${wanted.fontSize}`;
+    }
+    if (styles.fontWeight !== wanted.fontWeight) {
+      return `font weight is ${styles.fontWeight}, expected ${wanted.fontWeight}`;
+    }
+    if (styles.borderWidth !== wanted.borderWidth || styles.borderColor !== wanted.borderColor) {
+      return 'border differs from the expected one';
+    }
+    if ((actual.text || '') !== (target.text || '')) {
+      return 'text differs from the expected text';
+    }
+    return 'renders differently (check images, shadows or fonts)';
+  }
+
+  labelFor(element) {
+    return element.index > 0 ? `${element.selector} #${element.index + 1}` : element.selector;
+  }
+
+  boxOf(area) {
+    return { x: area.x, y: area.y, width: area.width, height: area.height };
+  }
+
+  /**
+   * Draw the annotation boxes (with a faint red tint on differing pixels) over the candidate image
+   * @param {PNG} image - Candidate image (already padded to the diff size)
+   * @returns {Buffer} - PNG file contents
+   */
+  draw(image, diffData, isDiff, annotations) {
+    const { width, height } = image;
+    const out = new PNG({ width, height });
+    image.data.copy(out.data);
+
+    for (let i = 0; i < width * height; i++) {
+      if (isDiff(diffData, i * 4)) {
+        out.data[i * 4] = Math.round(out.data[i * 4] * 0.6 + 255 * 0.4);
+        out.data[i * 4 + 1] = Math.round(out.data[i * 4 + 1] * 0.6);
+        out.data[i * 4 + 2] = Math.round(out.data[i * 4 + 2] * 0.6);
+      }
+    }
+
+    annotations.forEach((annotation, index) => {
+      const color = PALETTE[index % PALETTE.length];
+      const x0 = Math.max(0, annotation.x);
+      const y0 = Math.max(0, annotation.y);
+      const x1 = Math.min(width - 1, annotation.x + annotation.width - 1);
+      const y1 = Math.min(height - 1, annotation.y + annotation.height - 1);
+
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
+          const edge = x - x0 < BOX_STROKE || x1 - x < BOX_STROKE || y - y0 < BOX_STROKE || y1 - y < BOX_STROKE;
+          if (!edge) continue;
+          const offset = (y * width + x) * 4;
+          out.data[offset] = color[0];
+          out.data[offset + 1] = color[1];
+          out.data[offset + 2] = color[2];
+          out.data[offset + 3] = 255;
+        }
+      }
+    });
+
+    return PNG.sync.write(out);
+  }
+}
+
+module.exports = new DiffAnnotator();
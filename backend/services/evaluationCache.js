@@ -0,0 +1,196 @@
+/**
+ * Evaluation Cache Service
+ * The expected solution of a challenge doesn't change between submissions, so everything derived
+ * from it (screenshots per viewport, content requirements, structure roles) is kept under a hash of
+ * the solution. Editing the question changes the hash; the edit routes also drop the old entries.
+ * Identical candidate code graded against the same solution and settings reuses the prior result.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Expected screenshots survive restarts on disk; everything else lives in memory
+const SCREENSHOT_CACHE_DIR = path.join(__dirname, '../screenshots/expected-cache');
+
+// Bounds on the in-memory maps (oldest entries are evicted first)
+const MAX_SOLUTIONS = 200;
+const MAX_RESULTS = 1000;
+
+class EvaluationCache {
+  constructor() {
+    this.solutions = new Map(); // solutionKey -> { challengeId, artifacts: Map }
+    this.results = new Map(); // resultKey -> { challengeId, solutionKey, result }
+    this.hits = { expected: 0, results: 0 };
+  }
+
+  /**
+   * Stable hash of any JSON-serializable value
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+  }
+
+  /**
+   * Key for everything derived from a challenge's expected solution
+   * @param {Object} expectedCode - { html, css, js }
+   */
+  solutionKey(expectedCode) {
+    const { html = '', css = '', js = '' } = expectedCode || {};
+    return this.hash({ html, css, js }).slice(0, 32);
+  }
+
+  /**
+   * Remember which challenge a solution belongs to so edits can drop it
+   */
+  track(solutionKey, challengeId) {
+    let entry = this.solutions.get(solutionKey);
+    if (!entry) {
+      entry = { challengeId: challengeId || null, artifacts: new Map() };
+      this.solutions.set(solutionKey, entry);
+      this.evict(this.solutions, MAX_SOLUTIONS);
+    }
+    if (challengeId && !entry.challengeId) entry.challengeId = challengeId;
+    return entry;
+  }
+
+  /**
+   * Get a derived artifact for a solution, building it on first use
+   * @param {string|null} solutionKey - No key = no caching (build every time)
+   * @param {string} name - Artifact name, including anything else it depends on
+   * @param {Function} build - () => value
+   */
+  remember(solutionKey, name, build) {
+    if (!solutionKey) return build();
+
+    const { artifacts } = this.track(solutionKey);
+    if (artifacts.has(name)) {
+      this.hits.expected++;
+      return artifacts.get(name);
+    }
+
+    const value = build();
+    artifacts.set(name, value);
+    return value;
+  }
+
+  /**
+   * Cached expected screenshot for a viewport, if its file is still on disk
+   * @returns {Object|null} - { path, height, boxes, elements }
+   */
+  getScreenshot(solutionKey, variant) {
+    const base = this.screenshotBase(solutionKey, variant);
+    if (!base || !fs.existsSync(`${base}.png`) || !fs.existsSync(`${base}.json`)) return null;
+
+    try {
+      const meta = JSON.parse(fs.readFileSync(`${base}.json`, 'utf8'));
+      this.track(solutionKey);
+      this.hits.expected++;
+      return { path: `${base}.png`, height: meta.height, boxes: meta.boxes || {}, elements: meta.elements || null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep a freshly rendered expected screenshot for later submissions
+   * @param {Object} shot - { path, height, boxes, elements } as returned by captureScreenshot()
+   */
+  storeScreenshot(solutionKey, variant, shot) {
+    const base = this.screenshotBase(solutionKey, variant);
+    if (!base) return;
+
+    try {
+      if (!fs.existsSync(SCREENSHOT_CACHE_DIR)) {
+        fs.mkdirSync(SCREENSHOT_CACHE_DIR, { recursive: true });
+      }
+      fs.copyFileSync(shot.path, `${base}.png`);
+      fs.writeFileSync(`${base}.json`, JSON.stringify({ height: shot.height, boxes: shot.boxes || {}, elements: shot.elements || null }));
+      this.track(solutionKey);
+    } catch (error) {
+      console.error('Failed to cache expected screenshot:', error.message);
+    }
+  }
+
+  screenshotBase(solutionKey, variant) {
+    if (!solutionKey) return null;
+    return path.join(SCREENSHOT_CACHE_DIR, `${solutionKey}-${this.hash(variant).slice(0, 16)}`);
+  }
+
+  /**
+   * Key for a full evaluation: same candidate code, solution and grading settings = same result
+   */
+  resultKey(candidateCode, ...inputs) {
+    const { html = '', css = '', js = '' } = candidateCode || {};
+    return this.hash([{ html, css, js }, ...inputs]);
+  }
+
+  getResult(resultKey) {
+    const entry = this.results.get(resultKey);
+    if (!entry) return null;
+
+    this.hits.results++;
+    return JSON.parse(JSON.stringify(entry.result));
+  }
+
+  storeResult(resultKey, result, { challengeId = null, solutionKey = null } = {}) {
+    this.results.set(resultKey, {
+      challengeId,
+      solutionKey,
+      result: JSON.parse(JSON.stringify(result))
+    });
+    this.evict(this.results, MAX_RESULTS);
+  }
+
+  /**
+   * Drop everything cached for a challenge (called when a question is edited or deleted)
+   * @returns {number} - Entries removed
+   */
+  invalidateChallenge(challengeId) {
+    let removed = 0;
+
+    for (const [solutionKey, entry] of this.solutions) {
+      if (entry.challengeId !== challengeId) continue;
+      this.solutions.delete(solutionKey);
+      this.removeScreenshots(solutionKey);
+      removed++;
+    }
+
+    for (const [resultKey, entry] of this.results) {
+      if (entry.challengeId !== challengeId) continue;
+      this.results.delete(resultKey);
+      removed++;
+    }
+
+    if (removed > 0) {
+      console.log(`🗑️  Cleared ${removed} cached evaluation entr${removed === 1 ? 'y' : 'ies'} for ${challengeId}`);
+    }
+    return removed;
+  }
+
+  removeScreenshots(solutionKey) {
+    if (!fs.existsSync(SCREENSHOT_CACHE_DIR)) return;
+    fs.readdirSync(SCREENSHOT_CACHE_DIR)
+      .filter(file => file.startsWith(`${solutionKey}-`))
+      .forEach(file => fs.unlinkSync(path.join(SCREENSHOT_CACHE_DIR, file)));
+  }
+
+  evict(map, limit) {
+    while (map.size > limit) {
+      const [oldest] = map.keys();
+      const entry = map.get(oldest);
+      map.delete(oldest);
+      if (map === this.solutions && entry) this.removeScreenshots(oldest);
+    }
+  }
+
+  stats() {
+    return {
+      solutions: this.solutions.size,
+      results: this.results.size,
+      hits: { ...this.hits }
+    };
+  }
+}
+
+module.exports = new EvaluationCache();
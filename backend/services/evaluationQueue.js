@@ -0,0 +1,189 @@
+/**
+ * Evaluation Queue Service
+ * Persistent job queue for submission grading, drained by a pool of workers.
+ * Each worker grades one submission at a time on its own browser pages, so a burst
+ * of end-of-exam submissions waits in the queue instead of piling onto request handlers.
+ */
+
+const EvaluationJobModel = require('../models/EvaluationJob');
+const { ready: databaseReady } = require('../database/connection');
+
+// Concurrent evaluations; each one opens its own pages on the shared browser
+const DEFAULT_WORKERS = 2;
+
+// How often idle workers look for queued jobs (also picks up jobs queued by other processes)
+const POLL_INTERVAL = 1000;
+
+// Attempts before a job interrupted by crashes/restarts is given up on
+const MAX_ATTEMPTS = 3;
+
+// Finished jobs are kept this long for polling clients
+const JOB_RETENTION = 24 * 60 * 60 * 1000;
+
+// Longest a caller may block on POST /api/evaluate with { wait: true }
+const MAX_WAIT = 5 * 60 * 1000;
+
+class EvaluationQueue {
+  constructor() {
+    this.workers = Math.max(1, parseInt(process.env.EVALUATION_WORKERS, 10) || DEFAULT_WORKERS);
+    this.active = 0;
+    this.processor = null;
+    this.timer = null;
+    this.draining = false;
+    this.waiters = new Map();
+  }
+
+  /**
+   * Register the function that grades a submission
+   * @param {Function} processor - async (submissionId, setStatus) => evaluationResult
+   */
+  setProcessor(processor) {
+    this.processor = processor;
+  }
+
+  /**
+   * Start the worker pool: recover interrupted jobs, prune old ones, begin polling
+   */
+  async start() {
+    if (this.timer) return;
+
+    // Recovery must look at the same store (MySQL or JSON) the workers will use
+    await databaseReady;
+
+    try {
+      const recovered = await EvaluationJobModel.recoverInterrupted(MAX_ATTEMPTS);
+      const pruned = await EvaluationJobModel.pruneFinished(JOB_RETENTION);
+      if (recovered > 0) console.log(`♻️  Re-queued ${recovered} interrupted evaluation job(s)`);
+      if (pruned > 0) console.log(`🧹 Pruned ${pruned} finished evaluation job(s)`);
+    } catch (error) {
+      console.error('Evaluation queue recovery failed:', error.message);
+    }
+
+    this.timer = setInterval(() => this.drain(), POLL_INTERVAL);
+    this.timer.unref();
+    console.log(`⚙️  Evaluation queue started with ${this.workers} worker(s)`);
+    this.drain();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue a submission for grading (reuses its unfinished job if there is one)
+   * @returns {Object} - Job with queue position
+   */
+  async enqueue(submissionId) {
+    const pending = await EvaluationJobModel.findPendingBySubmission(submissionId);
+    const job = pending || await EvaluationJobModel.create(submissionId);
+
+    console.log(`📥 Queued evaluation job ${job.id} for submission ${submissionId}`);
+    this.drain();
+    return this.getJob(job.id);
+  }
+
+  /**
+   * Job status for polling clients
+   * @returns {Object|null} - { id, submissionId, status, position, attempts, error, result, ... }
+   */
+  async getJob(jobId) {
+    const job = await EvaluationJobModel.findById(jobId);
+    if (!job) return null;
+
+    return {
+      ...job,
+      position: job.status === 'queued' ? await EvaluationJobModel.countAhead(job) + 1 : 0,
+      workers: this.workers
+    };
+  }
+
+  /**
+   * Resolve once a job finishes (for callers that still want a synchronous answer)
+   */
+  waitFor(jobId, timeout = MAX_WAIT) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.removeWaiter(jobId, done);
+        reject(new Error('Timed out waiting for evaluation'));
+      }, Math.min(timeout, MAX_WAIT));
+
+      const done = (job) => {
+        clearTimeout(timer);
+        resolve(job);
+      };
+
+      if (!this.waiters.has(jobId)) this.waiters.set(jobId, []);
+      this.waiters.get(jobId).push(done);
+
+      // The job may already be finished
+      EvaluationJobModel.findById(jobId).then(job => {
+        if (job && ['done', 'failed'].includes(job.status)) this.notify(job);
+      }).catch(() => {});
+    });
+  }
+
+  removeWaiter(jobId, callback) {
+    const list = (this.waiters.get(jobId) || []).filter(fn => fn !== callback);
+    if (list.length > 0) this.waiters.set(jobId, list);
+    else this.waiters.delete(jobId);
+  }
+
+  notify(job) {
+    const list = this.waiters.get(job.id) || [];
+    this.waiters.delete(job.id);
+    list.forEach(fn => fn(job));
+  }
+
+  /**
+   * Hand queued jobs to free workers
+   */
+  async drain() {
+    if (this.draining || !this.processor) return;
+    this.draining = true;
+
+    try {
+      while (this.active < this.workers) {
+        const job = await EvaluationJobModel.claimNext();
+        if (!job) break;
+
+        this.active++;
+        this.run(job)
+          .catch(error => console.error(`Evaluation job ${job.id} could not be recorded:`, error.message))
+          .finally(() => {
+            this.active--;
+            this.drain();
+          });
+      }
+    } catch (error) {
+      console.error('Evaluation queue error:', error.message);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Grade one job, recording each status change
+   */
+  async run(job) {
+    console.log(`🏃 Worker picked up ${job.id} (attempt ${job.attempts}, ${this.active}/${this.workers} busy)`);
+
+    let finished;
+    try {
+      const setStatus = (status) => EvaluationJobModel.updateStatus(job.id, status);
+      const result = await this.processor(job.submissionId, setStatus);
+
+      finished = await EvaluationJobModel.updateStatus(job.id, 'done', { result });
+      console.log(`✅ Job ${job.id} done`);
+    } catch (error) {
+      console.error(`❌ Job ${job.id} failed:`, error.message);
+      finished = await EvaluationJobModel.updateStatus(job.id, 'failed', { error: error.message });
+    }
+
+    if (finished) this.notify(finished);
+  }
+}
+
+module.exports = new EvaluationQueue();
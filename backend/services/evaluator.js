@@ -2,41 +2,105 @@
  * Main Evaluator Service
  * Orchestrates hybrid evaluation: Strict Content + Semantic DOM + Pixel Matching
  * Uses content-specific validation and human-friendly feedback
- * Scoring: Content 35%, Structure 15%, Visual 40%, Behavior 10%
+ * Scoring: weight profile per challenge (course default, else Content 50% / Visual 50%)
  */
 
 const strictContentEvaluator = require('./strictContentEvaluator');
 const semanticEvaluator = require('./semanticEvaluator');
 const pixelMatch = require('./pixelMatch');
+const behaviorEvaluator = require('./behaviorEvaluator');
+const unitTestEvaluator = require('./unitTestEvaluator');
+const layoutCompare = require('./layoutCompare');
+const accessibilityEvaluator = require('./accessibilityEvaluator');
+const codeQuality = require('./codeQuality');
+const evaluationCache = require('./evaluationCache');
+
+const DIMENSIONS = ['content', 'structure', 'visual', 'layout', 'behavior', 'logic', 'accessibility', 'quality'];
+
+// Named weight presets authors can pick instead of spelling out weights
+const WEIGHT_PROFILES = {
+  default: { content: 0.50, structure: 0.00, visual: 0.50, layout: 0.00, behavior: 0.00, logic: 0.00, accessibility: 0.00, quality: 0.00 },
+  interactive: { content: 0.40, structure: 0.00, visual: 0.40, layout: 0.00, behavior: 0.20, logic: 0.00, accessibility: 0.00, quality: 0.00 },
+  layout: { content: 0.20, structure: 0.10, visual: 0.40, layout: 0.30, behavior: 0.00, logic: 0.00, accessibility: 0.00, quality: 0.00 },
+  semantic: { content: 0.50, structure: 0.30, visual: 0.20, layout: 0.00, behavior: 0.00, logic: 0.00, accessibility: 0.00, quality: 0.00 },
+  accessible: { content: 0.40, structure: 0.10, visual: 0.30, layout: 0.00, behavior: 0.00, logic: 0.00, accessibility: 0.20, quality: 0.00 },
+  logic: { content: 0.10, structure: 0.00, visual: 0.10, layout: 0.00, behavior: 0.00, logic: 0.80, accessibility: 0.00, quality: 0.00 },
+  scripted: { content: 0.10, structure: 0.00, visual: 0.10, layout: 0.00, behavior: 0.20, logic: 0.60, accessibility: 0.00, quality: 0.00 }
+};
+
+// Minimum score per dimension (only enforced for dimensions with weight > 0)
+const DEFAULT_MINIMUMS = { content: 70, structure: 70, visual: 70, layout: 70, behavior: 70, logic: 70, accessibility: 70, quality: 70, overall: 70 };
 
 class Evaluator {
   /**
    * Main evaluation function
    * @param {Object} candidateCode - { html, css, js }
    * @param {Object} expectedCode - { html, css, js }
-   * @param {Object} thresholds - { structure, visual, overall }
+   * @param {Object} thresholds - Per-dimension minimums { content, structure, visual, layout, behavior, logic, accessibility, quality, overall }
    * @param {string} submissionId - Unique identifier
    * @param {string} challengeId - Challenge identifier for content validation
+   * @param {Object} evaluationConfig - Per-challenge options, e.g. { behaviorTests, unitTests, contentRules, layout, accessibility, quality, weightProfile, weights }
+   * @param {Object} courseSettings - Course-level defaults { weightProfile, weights, passingThreshold, quality }
+   * @param {Function} onStage - Optional progress callback, called with 'scoring' once rendering is done
    * @returns {Object} - Complete evaluation result
    */
-  async evaluate(candidateCode, expectedCode, thresholds, submissionId, challengeId = '') {
+  async evaluate(candidateCode, expectedCode, thresholds, submissionId, challengeId = '', evaluationConfig = {}, courseSettings = {}, onStage = null) {
     console.log(`\n🔍 Starting Strict Content + Hybrid Evaluation`);
     console.log(`   Submission ID: ${submissionId}`);
     console.log(`   Challenge ID: ${challengeId}`);
     
+    const behaviorTests = evaluationConfig?.behaviorTests || [];
+    const hasBehaviorTests = behaviorTests.length > 0;
+    const unitTests = evaluationConfig?.unitTests || [];
+    const hasUnitTests = unitTests.length > 0;
+    const scoring = this.resolveScoring(thresholds, evaluationConfig, courseSettings, hasBehaviorTests, hasUnitTests);
+    const { weights, minimums } = scoring;
+    
+    console.log(`   Weight profile: ${scoring.profile} (${scoring.source})`);
+    
+    // Everything derived from the expected solution is cached under its hash;
+    // identical candidate code graded with the same settings reuses the earlier result
+    const cacheKey = evaluationCache.solutionKey(expectedCode);
+    evaluationCache.track(cacheKey, challengeId);
+    const resultKey = evaluationCache.resultKey(candidateCode, cacheKey, challengeId, thresholds, evaluationConfig, courseSettings);
+    const cached = evaluationCache.getResult(resultKey);
+    const reusedVisual = cached && pixelMatch.reuseScreenshots(cached.visual, cached.submissionId, submissionId);
+    if (reusedVisual) {
+      console.log(`   ♻️  Identical code already graded (${cached.submissionId}) - reusing result`);
+      return {
+        ...cached,
+        submissionId,
+        timestamp: new Date().toISOString(),
+        visual: reusedVisual,
+        reusedFrom: { submissionId: cached.submissionId, timestamp: cached.timestamp }
+      };
+    }
+    
     const result = {
       submissionId,
       timestamp: new Date().toISOString(),
       contentScore: 0,
       structureScore: 0,
       visualScore: 0,
+      layoutScore: 0,
       behaviorScore: 0,
+      logicScore: 0,
+      accessibilityScore: 0,
+      qualityScore: 0,
       finalScore: 0,
       passed: false,
+      renderError: null,
       thresholds,
+      scoring,
+      weights,
       content: null,
       structure: null,
       visual: null,
+      layout: null,
+      behavior: null,
+      logic: null,
+      accessibility: null,
+      quality: null,
       feedback: null
     };
     
@@ -48,13 +112,14 @@ class Evaluator {
         candidateCode.css || '',
         expectedCode.html,
         expectedCode.css || '',
-        challengeId
+        challengeId,
+        { rules: evaluationConfig?.contentRules, rulesMode: evaluationConfig?.contentRulesMode, cacheKey }
       );
       
       result.contentScore = contentResult.score;
       result.content = {
         score: contentResult.score,
-        passed: contentResult.passed,
+        passed: contentResult.score >= minimums.content,
         details: contentResult.details,
         feedback: contentResult.feedback,
         requirements: contentResult.requirements
@@ -63,16 +128,20 @@ class Evaluator {
       console.log(`   ✓ Content Score: ${contentResult.score}%`);
       
       // Step 2: Semantic DOM Structure Evaluation
+      // Roles are declared per challenge, or derived from the expected HTML when not declared
       console.log(`   ⚙️  Running semantic structure evaluation...`);
       const structureResult = semanticEvaluator.evaluateStructure(
         candidateCode.html,
-        expectedCode.html
+        expectedCode.html,
+        evaluationConfig?.semanticRoles,
+        cacheKey
       );
       
       result.structureScore = structureResult.score;
       result.structure = {
         score: structureResult.score,
-        passed: structureResult.score >= thresholds.structure,
+        passed: structureResult.score >= minimums.structure,
+        roleSource: structureResult.roleSource,
         rolesFound: structureResult.rolesFound,
         rolesPartial: structureResult.rolesPartial,
         rolesMissing: structureResult.rolesMissing,
@@ -88,33 +157,168 @@ class Evaluator {
       const pixelResult = await pixelMatch.compare(
         candidateCode,
         expectedCode,
-        submissionId
+        submissionId,
+        {
+          viewports: evaluationConfig?.viewports,
+          fullPage: evaluationConfig?.fullPage,
+          regions: evaluationConfig?.visualRegions,
+          visualMode: evaluationConfig?.visualMode,
+          cacheKey
+        }
       );
       
       result.visualScore = pixelResult.score;
       result.visual = {
         score: pixelResult.score,
-        passed: pixelResult.score >= thresholds.visual,
+        passed: pixelResult.score >= minimums.visual,
         diffPixels: pixelResult.diffPixels,
         totalPixels: pixelResult.totalPixels,
         diffPercentage: pixelResult.diffPercentage,
-        screenshots: pixelResult.screenshots
+        mode: pixelResult.mode,
+        pixelScore: pixelResult.pixelScore,
+        perceptualScore: pixelResult.perceptualScore,
+        fullPage: pixelResult.fullPage,
+        screenshots: pixelResult.screenshots,
+        viewports: pixelResult.viewports || [],
+        blockedRequests: pixelResult.blockedRequests || [],
+        annotations: pixelResult.annotations || [],
+        error: pixelResult.error
       };
       
       console.log(`   ✓ Visual Score: ${pixelResult.score}%`);
       
-      // Step 4: Behavior Score (placeholder for future interactivity tests)
-      result.behaviorScore = 0;
-      console.log(`   ⚡ Behavior Score: ${result.behaviorScore}% (not yet implemented)`);
+      // A candidate script that hangs or crashes the page would do the same in every later render,
+      // so the remaining browser checks are skipped and the result says why
+      result.renderError = pixelResult.renderError || null;
+      const rendered = !result.renderError;
+      if (!rendered) {
+        console.log(`   ⛔ Candidate render failed (${result.renderError.code}) - skipping browser checks`);
+      }
+      
+      // Step 3b: Layout Score (element geometry + computed styles)
+      // Runs when the profile weights it, or as feedback-only when the challenge asks for it
+      const layoutConfig = evaluationConfig?.layout;
+      if (rendered && (weights.layout > 0 || layoutConfig)) {
+        console.log(`   📐 Running layout-box comparison...`);
+        const layoutResult = await layoutCompare.compare(
+          candidateCode,
+          expectedCode,
+          typeof layoutConfig === 'object' && layoutConfig !== null ? layoutConfig : {}
+        );
+        
+        result.layoutScore = layoutResult.score;
+        result.layout = {
+          score: layoutResult.score,
+          passed: layoutResult.score >= minimums.layout,
+          totalElements: layoutResult.totalElements,
+          matchedElements: layoutResult.matchedElements,
+          elements: layoutResult.elements,
+          relations: layoutResult.relations,
+          feedback: layoutResult.feedback,
+          error: layoutResult.error
+        };
+        console.log(`   ✓ Layout Score: ${result.layoutScore}%`);
+      }
+      
+      // Step 4: Behavior Score (scripted interaction tests)
+      if (rendered && hasBehaviorTests) {
+        console.log(`   ⚡ Running ${behaviorTests.length} behavior test(s)...`);
+        const behaviorResult = await behaviorEvaluator.evaluate(
+          candidateCode,
+          expectedCode,
+          behaviorTests
+        );
+        
+        result.behaviorScore = behaviorResult.score;
+        result.behavior = {
+          score: behaviorResult.score,
+          passed: behaviorResult.score >= minimums.behavior,
+          totalAssertions: behaviorResult.totalAssertions,
+          passedAssertions: behaviorResult.passedAssertions,
+          tests: behaviorResult.tests,
+          feedback: behaviorResult.feedback
+        };
+        console.log(`   ✓ Behavior Score: ${result.behaviorScore}%`);
+      } else {
+        console.log(`   ⚡ Behavior Score: skipped (${rendered ? 'no behavior tests configured' : 'page did not render'})`);
+      }
       
-      // Step 5: Calculate Final Score (UPDATED WEIGHTED AVERAGE)
-      // Content: 50%, Structure: 0%, Visual: 50%, Behavior: 0%
-      // Structure disabled because semantic evaluator is not question-aware
+      // Step 4a: Logic Score (unit tests calling the candidate's functions)
+      if (rendered && hasUnitTests) {
+        console.log(`   🧪 Running ${unitTests.length} unit test(s)...`);
+        const logicResult = await unitTestEvaluator.evaluate(
+          candidateCode,
+          expectedCode,
+          unitTests
+        );
+        
+        result.logicScore = logicResult.score;
+        result.logic = {
+          score: logicResult.score,
+          passed: logicResult.score >= minimums.logic,
+          totalTests: logicResult.totalTests,
+          passedTests: logicResult.passedTests,
+          tests: logicResult.tests,
+          feedback: logicResult.feedback
+        };
+        console.log(`   ✓ Logic Score: ${result.logicScore}% (${logicResult.passedTests}/${logicResult.totalTests} tests)`);
+      }
+      
+      // Step 4b: Accessibility Score (axe-core audit of the candidate render)
+      // Runs when the profile weights it, or as feedback-only when the challenge asks for it
+      const accessibilityConfig = evaluationConfig?.accessibility;
+      if (rendered && (weights.accessibility > 0 || accessibilityConfig)) {
+        console.log(`   ♿ Running accessibility audit...`);
+        const accessibilityResult = await accessibilityEvaluator.evaluate(
+          candidateCode,
+          expectedCode,
+          typeof accessibilityConfig === 'object' && accessibilityConfig !== null ? accessibilityConfig : {}
+        );
+        
+        result.accessibilityScore = accessibilityResult.score;
+        result.accessibility = {
+          score: accessibilityResult.score,
+          passed: accessibilityResult.score >= minimums.accessibility,
+          violations: accessibilityResult.violations,
+          baseline: accessibilityResult.baseline,
+          passes: accessibilityResult.passes,
+          feedback: accessibilityResult.feedback,
+          error: accessibilityResult.error
+        };
+        console.log(`   ✓ Accessibility Score: ${result.accessibilityScore}%`);
+      }
+      
+      // Step 4c: Code Quality Score (HTML validity + CSS lint)
+      // Rule set comes from the course, refined by the challenge; feedback-only unless weighted
+      const qualityOptions = this.resolveQualityOptions(evaluationConfig, courseSettings);
+      if (weights.quality > 0 || qualityOptions) {
+        console.log(`   🧹 Running HTML/CSS quality checks...`);
+        const qualityResult = codeQuality.check(candidateCode, qualityOptions || {});
+        
+        result.qualityScore = qualityResult.score;
+        result.quality = {
+          score: qualityResult.score,
+          passed: qualityResult.score >= minimums.quality,
+          errors: qualityResult.errors,
+          warnings: qualityResult.warnings,
+          findings: qualityResult.findings,
+          feedback: qualityResult.feedback,
+          error: qualityResult.error
+        };
+        console.log(`   ✓ Quality Score: ${result.qualityScore}% (${qualityResult.errors} errors, ${qualityResult.warnings} warnings)`);
+      }
+      
+      // Step 5: Calculate Final Score (WEIGHTED AVERAGE using the resolved profile)
+      if (onStage) await onStage('scoring');
       result.finalScore = Math.round(
-        (result.contentScore * 0.50) + 
-        (result.structureScore * 0.00) + 
-        (result.visualScore * 0.50) + 
-        (result.behaviorScore * 0.00)
+        (result.contentScore * weights.content) + 
+        (result.structureScore * weights.structure) + 
+        (result.visualScore * weights.visual) + 
+        (result.layoutScore * weights.layout) + 
+        (result.behaviorScore * weights.behavior) + 
+        (result.logicScore * weights.logic) + 
+        (result.accessibilityScore * weights.accessibility) + 
+        (result.qualityScore * weights.quality)
       );
       
       console.log(`   📊 Final Score: ${result.finalScore}%`);
@@ -130,19 +334,39 @@ class Evaluator {
       result.feedback = {
         ...semanticFeedback,
         contentValidation: contentResult.feedback,
-        contentDetails: contentResult.details
+        contentDetails: contentResult.details,
+        renderError: result.renderError
+          ? `${result.renderError.code === 'SCRIPT_TIMEOUT' ? '⏱️' : '💥'} ${result.renderError.message}`
+          : null,
+        blockedRequests: result.visual.blockedRequests.map(url => `🚫 Blocked network request to ${url}`),
+        visualDifferences: result.visual.annotations.map(a => `🔍 ${a.selector} ${a.reason}`),
+        layout: result.layout?.feedback || [],
+        behavior: result.behavior?.feedback || [],
+        logic: result.logic?.feedback || [],
+        accessibility: result.accessibility?.feedback || [],
+        quality: result.quality?.feedback || []
       };
       
       console.log(`   💬 Generated feedback with ${contentResult.details.length} content checks`);
       
-      // Step 7: Determine Pass/Fail (SIMPLIFIED - Only Content + Visual)
+      // Step 7: Determine Pass/Fail
+      // Every weighted dimension must meet its minimum, and the overall score its own
+      result.failedDimensions = DIMENSIONS.filter(dim =>
+        weights[dim] > 0 && result[`${dim}Score`] < minimums[dim]
+      );
       result.passed = 
-        result.contentScore >= 70 && // Must pass content validation
-        result.visualScore >= 70 && // Must pass visual
-        result.finalScore >= 70; // Overall must be 70%+
+        result.failedDimensions.length === 0 &&
+        result.finalScore >= minimums.overall;
       
       console.log(`   ${result.passed ? '✅ PASSED' : '❌ FAILED'}`);
-      console.log(`   Content: ${result.contentScore}% | Structure: ${result.structureScore}% | Visual: ${result.visualScore}%`);
+      console.log(`   Content: ${result.contentScore}% | Structure: ${result.structureScore}% | Visual: ${result.visualScore}% | Layout: ${result.layoutScore}% | Behavior: ${result.behaviorScore}% | Logic: ${result.logicScore}% | A11y: ${result.accessibilityScore}% | Quality: ${result.qualityScore}%`);
+      
+      // Hung/crashed renders can be load-related, so only clean results are reused; quick tests
+      // share one screenshot name that the next quick test overwrites
+      const renderFailed = result.renderError || result.visual.error || result.visual.viewports.some(v => v.error);
+      if (!renderFailed && submissionId !== 'quick-test') {
+        evaluationCache.storeResult(resultKey, result, { challengeId, solutionKey: cacheKey });
+      }
       
       return result;
       
@@ -168,16 +392,140 @@ class Evaluator {
   }
   
   /**
-   * Generate human-readable feedback based on results
-   * @param {Object} result - Evaluation result
-   * @param {Object} thresholds - Pass thresholds
-   * @returns {Array} - Feedback messages
+   * Work out which weights and minimums apply to this evaluation
+   * Precedence: challenge config > course settings > built-in default
+   * @param {Object} thresholds - Challenge passing_threshold
+   * @param {Object} evaluationConfig - Challenge evaluation config
+   * @param {Object} courseSettings - Course evaluation settings
+   * @param {boolean} hasBehaviorTests - Whether behavior can be scored at all
+   * @param {boolean} hasUnitTests - Whether logic can be scored at all
+   * @returns {Object} - { profile, source, weights, minimums }
    */
+  resolveScoring(thresholds, evaluationConfig, courseSettings, hasBehaviorTests, hasUnitTests = false) {
+    const config = evaluationConfig || {};
+    const course = courseSettings || {};
+    
+    // Challenges with both unit and interaction tests score both unless a profile says otherwise
+    let profile = hasUnitTests
+      ? (hasBehaviorTests ? 'scripted' : 'logic')
+      : hasBehaviorTests ? 'interactive' : 'default';
+    let source = 'default';
+    let weights = WEIGHT_PROFILES[profile];
+    
+    const candidates = [
+      { settings: course, source: 'course' },
+      { settings: config, source: 'challenge' }
+    ];
+    
+    for (const candidate of candidates) {
+      if (candidate.settings.weights && typeof candidate.settings.weights === 'object') {
+        profile = 'custom';
+        source = candidate.source;
+        weights = candidate.settings.weights;
+      } else if (WEIGHT_PROFILES[candidate.settings.weightProfile]) {
+        profile = candidate.settings.weightProfile;
+        source = candidate.source;
+        weights = WEIGHT_PROFILES[profile];
+      }
+    }
+    
+    weights = this.normalizeWeights(weights, hasBehaviorTests, hasUnitTests);
+    
+    const minimums = { ...DEFAULT_MINIMUMS };
+    [course.passingThreshold, thresholds].forEach(overrides => {
+      Object.entries(overrides || {}).forEach(([dim, value]) => {
+        const parsed = Number(value);
+        if (dim in minimums && value !== null && value !== '' && !isNaN(parsed)) {
+          minimums[dim] = parsed;
+        }
+      });
+    });
+    
+    return { profile, source, weights, minimums };
+  }
+  
+  /**
+   * Merge the course's quality rule set with the challenge's
+   * @returns {Object|null} - { htmlRules, cssRules }, or null when neither asks for quality checks
+   */
+  resolveQualityOptions(evaluationConfig, courseSettings) {
+    const course = courseSettings?.quality;
+    const challenge = evaluationConfig?.quality;
+    const enabled = (settings) => Boolean(settings) && settings.enabled !== false;
+    
+    // A challenge can opt out of a course-wide quality pass
+    if (challenge?.enabled === false || (!enabled(course) && !enabled(challenge))) return null;
+    
+    const asObject = (settings) => (typeof settings === 'object' && settings !== null ? settings : {});
+    return {
+      htmlRules: { ...asObject(course).htmlRules, ...asObject(challenge).htmlRules },
+      cssRules: { ...asObject(course).cssRules, ...asObject(challenge).cssRules }
+    };
+  }
+  
+  /**
+   * Scale weights so they sum to 1, dropping behavior and logic when they can't be scored
+   * @param {Object} weights - Raw weights (fractions or percentages)
+   * @param {boolean} hasBehaviorTests
+   * @param {boolean} hasUnitTests
+   * @returns {Object} - Normalized weights for every dimension
+   */
+  normalizeWeights(weights, hasBehaviorTests, hasUnitTests = false) {
+    const raw = {};
+    DIMENSIONS.forEach(dim => {
+      const value = Number(weights?.[dim]) || 0;
+      raw[dim] = value > 0 ? value : 0;
+    });
+    
+    if (!hasBehaviorTests) {
+      raw.behavior = 0;
+    }
+    if (!hasUnitTests) {
+      raw.logic = 0;
+    }
+    
+    const total = DIMENSIONS.reduce((sum, dim) => sum + raw[dim], 0);
+    if (total === 0) {
+      return { ...WEIGHT_PROFILES.default };
+    }
+    
+    const normalized = {};
+    DIMENSIONS.forEach(dim => {
+      normalized[dim] = Math.round((raw[dim] / total) * 1000) / 1000;
+    });
+    return normalized;
+  }
+  
   
   /**
    * Clean up resources (screenshots, browser instances)
    * @param {string} submissionId 
    */
+  /**
+   * Check custom weights sent by an author
+   * @returns {string|null} - What is wrong with them, or null when they can be saved
+   */
+  validateWeights(weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      return 'Custom weights must be an object of dimension weights';
+    }
+    
+    const unknown = Object.keys(weights).find(dim => !DIMENSIONS.includes(dim));
+    if (unknown) {
+      return `Unknown weight dimension: ${unknown} (expected ${DIMENSIONS.join(', ')})`;
+    }
+    
+    const negative = Object.entries(weights).find(([, value]) => typeof value !== 'number' || !Number.isFinite(value) || value < 0);
+    if (negative) {
+      return `Weight for ${negative[0]} must be a non-negative number`;
+    }
+    
+    if (Object.values(weights).reduce((sum, value) => sum + value, 0) === 0) {
+      return 'Custom weights must not all be zero';
+    }
+    return null;
+  }
+  
   async cleanup(submissionId) {
     // In production, implement cleanup logic
     // For prototype, we keep screenshots for review
@@ -186,3 +534,4 @@ class Evaluator {
 }
 
 module.exports = new Evaluator();
+module.exports.WEIGHT_PROFILES = WEIGHT_PROFILES;
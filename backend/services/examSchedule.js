@@ -0,0 +1,260 @@
+/**
+ * Exam Schedule Service
+ * Decides whether a candidate may start a scheduled course level: the exam window, the late-start
+ * cutoff and the entry requirement (shared access code or one-time invite), and how long their
+ * test session may run. Candidates who send the id of their running session for the level may continue it.
+ *
+ * A course's schedule (course.schedule, edited by admins) looks like
+ *   { enabled, startsAt, endsAt, lateStartMinutes, timeAllowance, entry: 'open'|'code'|'invite',
+ *     accessCode, levels: { [level]: { ...same fields, overriding the course's } } }
+ */
+
+const crypto = require('crypto');
+const CourseModel = require('../models/Course');
+const ExamInviteModel = require('../models/ExamInvite');
+const TestSession = require('../models/TestSession');
+const authTokens = require('./authTokens');
+
+const SCHEDULE_FIELDS = ['enabled', 'startsAt', 'endsAt', 'lateStartMinutes', 'timeAllowance', 'entry', 'accessCode'];
+const ENTRY_TYPES = ['open', 'code', 'invite'];
+
+// Request headers carrying the candidate's credentials (kept out of URLs and request logs)
+const ACCESS_CODE_HEADER = 'x-exam-access-code';
+const INVITE_HEADER = 'x-exam-invite';
+const SESSION_HEADER = 'x-test-session';
+
+class ExamSchedule {
+  /**
+   * Schedule that applies to a level (level settings override the course's), or null if unscheduled
+   */
+  forLevel(schedule, level) {
+    if (!schedule) return null;
+    const { levels, ...courseWide } = schedule;
+    const resolved = { ...courseWide, ...((levels && levels[String(level)]) || {}) };
+    return resolved.enabled ? resolved : null;
+  }
+
+  async getLevelSchedule(courseId, level) {
+    return this.forLevel(await CourseModel.getSchedule(courseId), level);
+  }
+
+  /**
+   * Where the level's window stands
+   * @returns {string} - 'upcoming', 'open', 'late' (past the late-start cutoff) or 'closed'
+   */
+  status(schedule, now = Date.now()) {
+    const { startsAt, endsAt } = this.times(schedule);
+    const cutoff = this.startCutoff(schedule);
+    if (startsAt && now < startsAt) return 'upcoming';
+    if (endsAt && now >= endsAt) return 'closed';
+    if (cutoff && now > cutoff) return 'late';
+    return 'open';
+  }
+
+  times(schedule) {
+    return {
+      startsAt: schedule.startsAt ? new Date(schedule.startsAt).getTime() : null,
+      endsAt: schedule.endsAt ? new Date(schedule.endsAt).getTime() : null
+    };
+  }
+
+  // Last moment a candidate may start (ms), or null when they may start any time the window is open
+  startCutoff(schedule) {
+    const { startsAt } = this.times(schedule);
+    return startsAt && schedule.lateStartMinutes ? startsAt + schedule.lateStartMinutes * 60 * 1000 : null;
+  }
+
+  /**
+   * What the lobby may show candidates (never the access code)
+   */
+  publicInfo(schedule, now = Date.now()) {
+    if (!schedule) {
+      return { scheduled: false, status: 'open', serverTime: new Date(now).toISOString() };
+    }
+
+    const cutoff = this.startCutoff(schedule);
+    return {
+      scheduled: true,
+      status: this.status(schedule, now),
+      startsAt: schedule.startsAt || null,
+      endsAt: schedule.endsAt || null,
+      startCutoff: cutoff ? new Date(cutoff).toISOString() : null,
+      timeAllowance: schedule.timeAllowance || null,
+      entry: schedule.entry || 'open',
+      serverTime: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Check whether a candidate may start the level now
+   * @param {Object} params - { courseId, level, accessCode, inviteToken }
+   * @returns {Object} - { allowed, schedule, invite } or { allowed: false, code, error, schedule }
+   */
+  async check({ courseId, level, accessCode, inviteToken }) {
+    const schedule = await this.getLevelSchedule(courseId, level);
+    if (!schedule) {
+      return { allowed: true, schedule: null, invite: null };
+    }
+
+    const deny = (code, error) => ({
+      allowed: false,
+      code,
+      error,
+      schedule: this.publicInfo(schedule)
+    });
+
+    const windowStatus = this.status(schedule);
+    if (windowStatus === 'upcoming') {
+      return deny('EXAM_NOT_OPEN', `This exam opens at ${schedule.startsAt}`);
+    }
+    if (windowStatus === 'closed') {
+      return deny('EXAM_CLOSED', 'This exam has closed');
+    }
+    if (windowStatus === 'late') {
+      return deny('LATE_START', 'The late-start cutoff for this exam has passed');
+    }
+
+    let invite = null;
+    if (schedule.entry === 'code') {
+      if (!accessCode) {
+        return deny('ACCESS_CODE_REQUIRED', 'An access code is required to start this exam');
+      }
+      if (!this.codesMatch(accessCode, schedule.accessCode)) {
+        return deny('INVALID_ACCESS_CODE', 'The access code is not correct');
+      }
+    } else if (schedule.entry === 'invite') {
+      if (!inviteToken) {
+        return deny('INVITE_REQUIRED', 'This exam is by invitation only');
+      }
+      invite = await ExamInviteModel.findByToken(inviteToken);
+      if (!invite || invite.courseId !== courseId || (invite.level !== null && invite.level !== parseInt(level))) {
+        return deny('INVALID_INVITE', 'This invite is not valid for this exam');
+      }
+      if (invite.usedAt) {
+        return deny('INVALID_INVITE', 'This invite has already been used');
+      }
+    }
+
+    return { allowed: true, schedule, invite };
+  }
+
+  /**
+   * Check a request for the level's questions: admins and candidates continuing a running
+   * session (by the session id they were issued) pass; everyone else must meet the schedule
+   * @returns {Object|null} - Denial ({ code, error, schedule }) or null when allowed
+   */
+  async checkRequest(req, { courseId, level, userId }) {
+    if (authTokens.isAdmin(req)) return null;
+
+    const schedule = await this.getLevelSchedule(courseId, level);
+    if (!schedule) return null;
+
+    if (await this.continuesSession(req, { courseId, level, userId })) return null;
+
+    const access = await this.check({ courseId, level, ...this.credentials(req) });
+    return access.allowed ? null : access;
+  }
+
+  // Whether the request names a running session of this user for this level
+  async continuesSession(req, { courseId, level, userId }) {
+    const sessionId = req.headers?.[SESSION_HEADER] || req.query?.testSessionId;
+    if (!sessionId || !userId) return false;
+
+    try {
+      const session = await TestSession.findById(sessionId);
+      return Boolean(session) &&
+        !TestSession.closedReason(session) &&
+        session.user_id === userId &&
+        session.course_id === courseId &&
+        session.level === parseInt(level);
+    } catch (error) {
+      console.warn(`⚠️  Could not look up test session ${sessionId}: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Access code and invite token sent with a request
+  credentials(req) {
+    return {
+      accessCode: req.headers?.[ACCESS_CODE_HEADER] || req.body?.access_code || null,
+      inviteToken: req.headers?.[INVITE_HEADER] || req.body?.invite_token || null
+    };
+  }
+
+  /**
+   * Minutes a new session may run: the invite's or schedule's allowance (else the course time limit),
+   * never past the end of the window
+   */
+  timeLimit(schedule, restrictions, invite = null, now = Date.now()) {
+    const allowance = Number(invite?.timeAllowance || schedule?.timeAllowance || restrictions.timeLimit) || 0;
+    const { endsAt } = schedule ? this.times(schedule) : { endsAt: null };
+    if (!endsAt) return allowance;
+
+    const untilClose = Math.max(1, Math.floor((endsAt - now) / 60000));
+    return allowance > 0 ? Math.min(allowance, untilClose) : untilClose;
+  }
+
+  /**
+   * Validate and normalize a schedule sent by an admin
+   * @returns {Object} - { schedule } or { error }
+   */
+  normalize(input) {
+    // Levels may rely on the course's access code
+    const normalizeOne = (source, label, inheritedCode = null) => {
+      const schedule = {};
+      for (const field of SCHEDULE_FIELDS) {
+        if (source[field] !== undefined && source[field] !== '') schedule[field] = source[field];
+      }
+
+      for (const field of ['startsAt', 'endsAt']) {
+        if (schedule[field] === null || schedule[field] === undefined) continue;
+        const time = new Date(schedule[field]);
+        if (Number.isNaN(time.getTime())) return { error: `${label}: ${field} is not a valid date` };
+        schedule[field] = time.toISOString();
+      }
+      if (schedule.startsAt && schedule.endsAt && schedule.endsAt <= schedule.startsAt) {
+        return { error: `${label}: the exam must end after it starts` };
+      }
+
+      for (const field of ['lateStartMinutes', 'timeAllowance']) {
+        if (schedule[field] === null || schedule[field] === undefined) continue;
+        const minutes = Number(schedule[field]);
+        if (!Number.isInteger(minutes) || minutes < 0) return { error: `${label}: ${field} must be a whole number of minutes` };
+        schedule[field] = minutes;
+      }
+
+      if (schedule.entry !== undefined && !ENTRY_TYPES.includes(schedule.entry)) {
+        return { error: `${label}: entry must be one of ${ENTRY_TYPES.join(', ')}` };
+      }
+      if (schedule.entry === 'code' && !schedule.accessCode && !inheritedCode) {
+        return { error: `${label}: an access code is required when entry is "code"` };
+      }
+      if (schedule.enabled !== undefined) schedule.enabled = Boolean(schedule.enabled);
+      return { schedule };
+    };
+
+    const { schedule, error } = normalizeOne(input || {}, 'Course');
+    if (error) return { error };
+
+    schedule.levels = {};
+    for (const [level, override] of Object.entries(input?.levels || {})) {
+      const result = normalizeOne(override || {}, `Level ${level}`, schedule.accessCode);
+      if (result.error) return { error: result.error };
+      if (Object.keys(result.schedule).length > 0) schedule.levels[level] = result.schedule;
+    }
+
+    return { schedule };
+  }
+
+  codesMatch(given, expected) {
+    if (!expected) return false;
+    const a = crypto.createHash('sha256').update(String(given).trim().toUpperCase()).digest();
+    const b = crypto.createHash('sha256').update(String(expected).trim().toUpperCase()).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = new ExamSchedule();
+module.exports.ACCESS_CODE_HEADER = ACCESS_CODE_HEADER;
+module.exports.INVITE_HEADER = INVITE_HEADER;
+module.exports.SESSION_HEADER = SESSION_HEADER;
@@ -0,0 +1,346 @@
+/**
+ * Layout Comparison Service
+ * Renders both pages in Puppeteer and compares the geometry of key elements:
+ * bounding boxes, computed layout styles, stacking and relative placement.
+ * Sits between domCompare (pure tree) and pixelMatch (pure pixels).
+ */
+
+const pixelMatch = require('./pixelMatch');
+
+const DEFAULT_VIEWPORT = { width: 1280, height: 720 };
+
+// Differences at or below this many pixels are treated as rendering noise
+const DEFAULT_TOLERANCE = 4;
+
+// Cap on auto-detected key elements so huge pages stay fast
+const MAX_KEY_ELEMENTS = 40;
+
+// Tags that are worth comparing even without an id or class
+const LANDMARK_TAGS = [
+  'header', 'nav', 'main', 'section', 'article', 'aside', 'footer',
+  'h1', 'h2', 'h3', 'img', 'button', 'form', 'input', 'ul', 'table'
+];
+
+// Computed styles that describe layout and appearance
+const STYLE_PROPERTIES = [
+  'display', 'position', 'flexDirection', 'justifyContent', 'alignItems',
+  'gridTemplateColumns', 'color', 'backgroundColor', 'fontSize', 'fontWeight'
+];
+
+const RELATION_PHRASES = {
+  'right-of': 'to the right of',
+  'left-of': 'to the left of',
+  'below': 'below',
+  'above': 'above',
+  'overlapping': 'overlapping'
+};
+
+class LayoutComparer {
+  /**
+   * Compare the rendered layout of two pages
+   * @param {Object} candidateCode - { html, css, js }
+   * @param {Object} expectedCode - { html, css, js }
+   * @param {Object} options - { selectors, tolerance, viewport: { width, height } }
+   * @returns {Object} - { score, elements, relations, feedback }
+   */
+  async compare(candidateCode, expectedCode, options = {}) {
+    const viewport = { ...DEFAULT_VIEWPORT, ...(options.viewport || {}) };
+    const tolerance = options.tolerance !== undefined ? Number(options.tolerance) : DEFAULT_TOLERANCE;
+
+    try {
+      const browser = await pixelMatch.initBrowser();
+
+      // Key elements come from the expected page; the candidate is queried with the same selectors
+      const expected = await this.collect(browser, expectedCode, viewport, null, options.selectors);
+      const candidate = await this.collect(browser, candidateCode, viewport, expected.keys);
+
+      const elements = expected.keys.map((key, index) =>
+        this.compareElement(key, expected.elements[index], candidate.elements[index], tolerance, viewport)
+      );
+      const relations = this.compareRelations(expected, candidate);
+
+      const elementScore = elements.length > 0
+        ? elements.reduce((sum, el) => sum + el.score, 0) / elements.length
+        : 1;
+      const relationScore = relations.length > 0
+        ? relations.filter(rel => rel.matched).length / relations.length
+        : 1;
+
+      // Relative placement matters less than each element's own box when there are few pairs
+      const score = relations.length > 0
+        ? elementScore * 0.7 + relationScore * 0.3
+        : elementScore;
+
+      return {
+        score: Math.round(score * 100),
+        viewport,
+        totalElements: elements.length,
+        matchedElements: elements.filter(el => el.found).length,
+        elements,
+        relations,
+        feedback: this.generateFeedback(elements, relations)
+      };
+    } catch (error) {
+      console.error('Layout comparison error:', error);
+      return {
+        score: 0,
+        error: error.message,
+        elements: [],
+        relations: [],
+        feedback: [`⚠️ Layout could not be compared: ${error.message}`]
+      };
+    }
+  }
+
+  /**
+   * Render a page and measure key elements
+   * @param {Browser} browser - Puppeteer browser instance
+   * @param {Object} code - { html, css, js }
+   * @param {Object} viewport - { width, height }
+   * @param {Array|null} keys - Elements to measure ({ selector, index }); null = pick them from this page
+   * @param {Array} selectors - Author-chosen selectors used when picking keys
+   * @returns {Object} - { keys, elements }
+   */
+  async collect(browser, code, viewport, keys = null, selectors = null) {
+    return pixelMatch.withSandboxedPage(browser, pixelMatch.createFullPage(code), viewport, async (page) => {
+      await pixelMatch.settle(page);
+
+      return await page.evaluate((params) => {
+        const selectorFor = (el) => {
+          if (el.id) return `#${CSS.escape(el.id)}`;
+          const classes = Array.from(el.classList).map(c => `.${CSS.escape(c)}`).join('');
+          return `${el.tagName.toLowerCase()}${classes}`;
+        };
+
+        let targets = params.keys;
+
+        if (!targets) {
+          const picked = [];
+          const seen = new Set();
+          const add = (el) => {
+            if (seen.has(el) || picked.length >= params.maxElements) return;
+            seen.add(el);
+            const selector = selectorFor(el);
+            const index = Array.from(document.querySelectorAll(selector)).indexOf(el);
+            picked.push({ selector, index });
+          };
+
+          if (params.selectors && params.selectors.length > 0) {
+            params.selectors.forEach(selector => {
+              try {
+                document.querySelectorAll(selector).forEach(el => {
+                  const own = selectorFor(el);
+                  const index = Array.from(document.querySelectorAll(own)).indexOf(el);
+                  if (!seen.has(el) && picked.length < params.maxElements) {
+                    seen.add(el);
+                    picked.push({ selector: own, index, label: selector });
+                  }
+                });
+              } catch (error) {
+                // Invalid author selector - skip it
+              }
+            });
+          } else {
+            document.body.querySelectorAll('*').forEach(el => {
+              if (['SCRIPT', 'STYLE', 'BR'].includes(el.tagName)) return;
+              if (el.id || el.classList.length > 0 || params.landmarks.includes(el.tagName.toLowerCase())) {
+                add(el);
+              }
+            });
+          }
+          targets = picked;
+        }
+
+        const elements = targets.map(target => {
+          let el = null;
+          try {
+            el = document.querySelectorAll(target.selector)[target.index] || null;
+          } catch (error) {
+            el = null;
+          }
+          if (!el) return null;
+
+          const rect = el.getBoundingClientRect();
+          const style = window.getComputedStyle(el);
+          const styles = {};
+          params.styleProperties.forEach(prop => { styles[prop] = style[prop]; });
+
+          // Is the element painted on top at its own center? (false = covered by something else)
+          const cx = rect.left + rect.width / 2;
+          const cy = rect.top + rect.height / 2;
+          let onTop = null;
+          if (cx >= 0 && cy >= 0 && cx < window.innerWidth && cy < window.innerHeight && rect.width > 0 && rect.height > 0) {
+            const hit = document.elementFromPoint(cx, cy);
+            onTop = Boolean(hit && (hit === el || el.contains(hit)));
+          }
+
+          // Parent key lets us compare sibling placement
+          const parent = el.parentElement;
+          const parentKey = parent ? `${selectorFor(parent)}|${Array.from(document.querySelectorAll(selectorFor(parent))).indexOf(parent)}` : null;
+
+          return {
+            x: Math.round(rect.left + window.scrollX),
+            y: Math.round(rect.top + window.scrollY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height),
+            styles,
+            zIndex: style.zIndex,
+            onTop,
+            parentKey
+          };
+        });
+
+        return { keys: targets, elements };
+      }, {
+        keys,
+        selectors,
+        maxElements: MAX_KEY_ELEMENTS,
+        landmarks: LANDMARK_TAGS,
+        styleProperties: STYLE_PROPERTIES
+      });
+    });
+  }
+
+  /**
+   * Score one element's box and styles against the expected render
+   */
+  compareElement(key, expected, candidate, tolerance, viewport) {
+    const label = this.labelFor(key);
+
+    if (!expected) {
+      return { label, found: false, skipped: true, score: 1, issues: [] };
+    }
+
+    if (!candidate) {
+      return {
+        label,
+        found: false,
+        score: 0,
+        issues: [`Your page has no ${label}`]
+      };
+    }
+
+    const issues = [];
+    const beyond = (delta) => Math.abs(delta) > tolerance ? delta : 0;
+
+    const dw = beyond(candidate.width - expected.width);
+    const dh = beyond(candidate.height - expected.height);
+    const dx = beyond(candidate.x - expected.x);
+    const dy = beyond(candidate.y - expected.y);
+
+    if (dw) issues.push(`Your ${label} is ${Math.abs(dw)}px ${dw < 0 ? 'narrower' : 'wider'} than expected`);
+    if (dh) issues.push(`Your ${label} is ${Math.abs(dh)}px ${dh < 0 ? 'shorter' : 'taller'} than expected`);
+    if (dx) issues.push(`Your ${label} is ${Math.abs(dx)}px too far ${dx < 0 ? 'left' : 'right'}`);
+    if (dy) issues.push(`Your ${label} is ${Math.abs(dy)}px too ${dy < 0 ? 'high' : 'low'}`);
+
+    const sizeScore = 1 - Math.min(1, (
+      Math.abs(dw) / Math.max(expected.width, 1) +
+      Math.abs(dh) / Math.max(expected.height, 1)
+    ) / 2);
+    const positionScore = 1 - Math.min(1, Math.hypot(dx, dy) / (viewport.width * 0.25));
+
+    const styleDiffs = STYLE_PROPERTIES.filter(prop => expected.styles[prop] !== candidate.styles[prop]);
+    styleDiffs.forEach(prop => {
+      issues.push(`Your ${label} has ${this.cssName(prop)}: ${candidate.styles[prop]} instead of ${expected.styles[prop]}`);
+    });
+    const styleScore = 1 - styleDiffs.length / STYLE_PROPERTIES.length;
+
+    let stackScore = 1;
+    if (expected.onTop !== null && candidate.onTop !== null && expected.onTop !== candidate.onTop) {
+      stackScore = 0;
+      issues.push(expected.onTop
+        ? `Your ${label} is covered by another element`
+        : `Your ${label} is drawn on top, but it should sit underneath another element`);
+    }
+
+    const score = sizeScore * 0.35 + positionScore * 0.3 + styleScore * 0.25 + stackScore * 0.1;
+
+    return {
+      label,
+      found: true,
+      score: Math.round(score * 100) / 100,
+      expected: { x: expected.x, y: expected.y, width: expected.width, height: expected.height },
+      actual: { x: candidate.x, y: candidate.y, width: candidate.width, height: candidate.height },
+      issues
+    };
+  }
+
+  /**
+   * Compare how sibling key elements are placed relative to each other
+   */
+  compareRelations(expected, candidate) {
+    const relations = [];
+
+    for (let i = 0; i < expected.keys.length; i++) {
+      for (let j = i + 1; j < expected.keys.length; j++) {
+        const a = expected.elements[i];
+        const b = expected.elements[j];
+        if (!a || !b || !a.parentKey || a.parentKey !== b.parentKey) continue;
+
+        // Later element described relative to the earlier one ("the button is right of the image")
+        const expectedRelation = this.relationOf(b, a);
+        const ca = candidate.elements[i];
+        const cb = candidate.elements[j];
+        const actualRelation = ca && cb ? this.relationOf(cb, ca) : null;
+
+        relations.push({
+          a: this.labelFor(expected.keys[i]),
+          b: this.labelFor(expected.keys[j]),
+          expected: expectedRelation,
+          actual: actualRelation,
+          matched: actualRelation === expectedRelation
+        });
+      }
+    }
+
+    return relations;
+  }
+
+  /**
+   * Where box a sits relative to box b
+   */
+  relationOf(a, b) {
+    if (a.x >= b.x + b.width) return 'right-of';
+    if (a.x + a.width <= b.x) return 'left-of';
+    if (a.y >= b.y + b.height) return 'below';
+    if (a.y + a.height <= b.y) return 'above';
+    return 'overlapping';
+  }
+
+  labelFor(key) {
+    const base = key.label || key.selector;
+    return key.index > 0 ? `${base} (#${key.index + 1})` : base;
+  }
+
+  cssName(prop) {
+    return prop.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  }
+
+  /**
+   * Human-friendly feedback lines, worst elements first
+   */
+  generateFeedback(elements, relations) {
+    const feedback = [];
+
+    relations
+      .filter(rel => !rel.matched && rel.actual)
+      .forEach(rel => {
+        feedback.push(`↔️ Your ${rel.b} is ${RELATION_PHRASES[rel.actual]} the ${rel.a} instead of ${RELATION_PHRASES[rel.expected]} it`);
+      });
+
+    elements
+      .filter(el => !el.skipped && el.issues.length > 0)
+      .sort((a, b) => a.score - b.score)
+      .forEach(el => {
+        el.issues.forEach(issue => feedback.push(`${el.found ? '📐' : '❌'} ${issue}`));
+      });
+
+    if (feedback.length === 0 && elements.length > 0) {
+      feedback.push('✅ Element sizes, positions and layout styles match the expected design');
+    }
+
+    return feedback;
+  }
+}
+
+module.exports = new LayoutComparer();
@@ -1,7 +1,8 @@
 /**
  * Pixel Matching Service
  * Uses Puppeteer to render HTML and capture screenshots
- * Performs pixel-by-pixel comparison using pixelmatch library
+ * Performs pixel-by-pixel comparison using pixelmatch library,
+ * plus an SSIM (structural similarity) metric that tolerates anti-aliasing and font rendering
  */
 
 const puppeteer = require('puppeteer');
@@ -9,38 +10,307 @@ const { PNG } = require('pngjs');
 const pixelmatch = require('pixelmatch');
 const fs = require('fs');
 const path = require('path');
+const evaluationCache = require('./evaluationCache');
+const diffAnnotator = require('./diffAnnotator');
+const fontLibrary = require('./fontLibrary');
+
+// Used when a challenge doesn't declare viewports (matches the original fixed capture)
+const DEFAULT_VIEWPORT = { name: 'desktop', width: 1280, height: 720 };
+
+// Shorthands challenges can use instead of spelling out dimensions
+const VIEWPORT_PRESETS = {
+  mobile: { name: 'mobile', width: 375, height: 667 },
+  tablet: { name: 'tablet', width: 768, height: 1024 },
+  desktop: { name: 'desktop', width: 1440, height: 900 }
+};
+
+// Full-page captures are clipped here to keep diff buffers bounded
+const MAX_FULL_PAGE_HEIGHT = 5000;
+
+// Fill for canvas area an image doesn't cover after padding (plain page background)
+const PAD_COLOR = [255, 255, 255, 255];
+
+// pixelmatch output colors; anything else in the diff image is a matching pixel
+const DIFF_COLOR = [255, 0, 0];
+const DIFF_COLOR_ALT = [0, 255, 0];
+const MASK_COLOR = [120, 160, 255];
+
+// How the visual score is derived from the two metrics
+const VISUAL_MODES = ['pixel', 'perceptual', 'blended'];
+
+// SSIM settings: images are averaged down 4x first so 1-2px shifts and anti-aliasing mostly cancel out
+const SSIM_DOWNSCALE = 4;
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Sandbox limits for candidate renders: wall-clock budget per page, V8 heap cap per renderer
+const RENDER_TIMEOUT = parseInt(process.env.RENDER_TIMEOUT_MS, 10) || 10000;
+const RENDER_MEMORY_MB = parseInt(process.env.RENDER_MEMORY_MB, 10) || 256;
+
+// The portal's asset store; pages are rendered at a URL inside it, so relative paths
+// ("images/logo.png", "../assets/images/logo.png") load from it
+const ASSET_BASE_URL = `http://localhost:${process.env.PORT || 5000}/assets/`;
+const RENDER_PAGE_URL = `${ASSET_BASE_URL}__render.html`;
+
+// Network requests a render may make; everything else (fetch to internal hosts, trackers...) is aborted
+const ALLOWED_SCHEMES = ['data:', 'blob:', 'about:'];
+const ALLOWED_URLS = (process.env.RENDER_ALLOWED_URLS || ASSET_BASE_URL)
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+// Longest a render waits for its fonts and images before capturing anyway
+const SETTLE_TIMEOUT = 3000;
+
+// Part of every expected-screenshot cache key; bump when rendering changes so older renders aren't reused
+const RENDERER_VERSION = 2;
+
+/**
+ * A render that ran out of time or crashed its page (code: 'SCRIPT_TIMEOUT' | 'RENDER_CRASHED')
+ */
+class RenderError extends Error {
+  constructor(code, message, label = null) {
+    super(message);
+    this.name = 'RenderError';
+    this.code = code;
+    this.label = label;
+  }
+  
+  toJSON() {
+    return { code: this.code, message: this.message };
+  }
+}
 
 class PixelMatcher {
   constructor() {
     this.screenshotDir = path.join(__dirname, '../screenshots');
     this.browser = null;
+    this.launching = null;
   }
   
   /**
    * Initialize browser instance (reuse for performance)
    */
   async initBrowser() {
+    // A crashed browser is replaced on next use
+    if (this.browser && !this.browser.isConnected()) {
+      this.browser = null;
+    }
+    
+    // Queue workers may ask at the same time; share one launch
+    if (this.launching) {
+      return this.launching;
+    }
+    
     if (!this.browser) {
       const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH || undefined;
       
-      this.browser = await puppeteer.launch({
+      // Chromium's own sandbox needs a non-root user; the Docker image runs as root, so it's opt-in
+      const sandboxArgs = process.env.CHROME_SANDBOX === 'true'
+        ? []
+        : ['--no-sandbox', '--disable-setuid-sandbox'];
+      
+      this.launching = puppeteer.launch({
         headless: 'new',
         executablePath,
         args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
+          ...sandboxArgs,
+          `--js-flags=--max-old-space-size=${RENDER_MEMORY_MB}`, // Runaway allocations crash the page, not the server
           '--disable-dev-shm-usage', // Overcome limited resource problems in Docker
           '--disable-accelerated-2d-canvas',
           '--disable-gpu',
           '--disable-software-rasterizer',
           '--disable-extensions'
         ],
-        timeout: 30000 // 30 second launch timeout
+        timeout: 30000, // 30 second launch timeout
+        protocolTimeout: 60000 // A hung page call fails instead of blocking a worker for minutes
       });
+      
+      try {
+        const browser = await this.launching;
+        browser.on('disconnected', () => {
+          if (this.browser === browser) {
+            console.warn('⚠️  Browser disconnected - it will be relaunched for the next render');
+            this.browser = null;
+          }
+        });
+        this.browser = browser;
+      } finally {
+        this.launching = null;
+      }
     }
     return this.browser;
   }
   
+  /**
+   * Render HTML in an isolated page and run work on it within the time budget.
+   * Each render gets its own incognito context (no shared storage or cache), network access is
+   * limited to the allowed asset URLs, and a page that loops or crashes raises a RenderError.
+   * @param {Browser} browser - Puppeteer browser instance
+   * @param {string} htmlContent - Full HTML content
+   * @param {Object} viewport - { width, height }
+   * @param {Function} work - async (page) => result, run once the content is loaded
+   * @param {Object} options - { budget (ms, covers load + work), label (e.g. 'candidate') }
+   * @returns {*} - Whatever work returns (plus page.blockedRequests for the caller to inspect)
+   */
+  async withSandboxedPage(browser, htmlContent, viewport, work, options = {}) {
+    const budget = options.budget || RENDER_TIMEOUT;
+    const label = options.label || null;
+    const context = await browser.createIncognitoBrowserContext();
+    let timer = null;
+    
+    try {
+      const page = await context.newPage();
+      page.blockedRequests = [];
+      
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        const url = request.url();
+        if (url === RENDER_PAGE_URL) {
+          request.respond({ status: 200, contentType: 'text/html; charset=utf-8', body: htmlContent });
+          return;
+        }
+        
+        const assetUrl = request.isNavigationRequest() ? url : this.resolveAssetUrl(url);
+        if (ALLOWED_SCHEMES.some(scheme => assetUrl.startsWith(scheme)) || ALLOWED_URLS.some(prefix => assetUrl.startsWith(prefix))) {
+          request.continue(assetUrl !== url ? { url: assetUrl } : undefined);
+        } else {
+          page.blockedRequests.push(url);
+          request.abort('blockedbyclient');
+        }
+      });
+      
+      const timeoutError = () => new RenderError(
+        'SCRIPT_TIMEOUT',
+        `Your script did not finish within ${budget / 1000}s (infinite loop or long-running code?)`,
+        label
+      );
+      const crashed = new Promise((resolve, reject) => {
+        page.on('error', () => reject(new RenderError('RENDER_CRASHED', 'Your page crashed while rendering (out of memory?)', label)));
+      });
+      const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(timeoutError()), budget);
+      });
+      
+      const run = (async () => {
+        await page.setViewport({ width: viewport.width, height: viewport.height, deviceScaleFactor: 1 });
+        try {
+          await page.goto(RENDER_PAGE_URL, { waitUntil: 'domcontentloaded', timeout: budget });
+        } catch (error) {
+          // Loading only times out when the page's own script blocks it
+          throw error.name === 'TimeoutError' ? timeoutError() : error;
+        }
+        return work(page);
+      })();
+      run.catch(() => {}); // Settles after the race is lost when the page is torn down
+      
+      try {
+        return await Promise.race([run, crashed, timedOut]);
+      } catch (error) {
+        if (error instanceof RenderError && error.code === 'SCRIPT_TIMEOUT') {
+          await this.terminateScripts(page);
+        }
+        throw error;
+      }
+    } finally {
+      clearTimeout(timer);
+      await this.disposeContext(context);
+    }
+  }
+  
+  /**
+   * Map a same-origin URL onto the asset store: "/images/a.png" and "assets/images/a.png"
+   * (relative to the page, so /assets/assets/...) both mean /assets/images/a.png
+   */
+  resolveAssetUrl(url) {
+    const base = new URL(ASSET_BASE_URL);
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return url;
+    }
+    if (parsed.origin !== base.origin) return url;
+    
+    let rest = parsed.pathname;
+    while (rest.startsWith(base.pathname)) {
+      rest = `/${rest.slice(base.pathname.length)}`;
+    }
+    return `${base.origin}${base.pathname}${rest.slice(1)}${parsed.search}`;
+  }
+  
+  /**
+   * Let a rendered page come to rest before it is measured or captured: wait (up to SETTLE_TIMEOUT)
+   * for web fonts, <img> elements and CSS background images, then finish finite animations and
+   * transitions (endless ones go back to their start) and stop new transitions from running
+   */
+  async settle(page) {
+    await page.evaluate(async (timeout) => {
+      const loaded = (async () => {
+        document.body.getBoundingClientRect(); // Layout first, so the fonts in use are requested
+        
+        const backgrounds = new Set();
+        document.querySelectorAll('*').forEach(el => {
+          [null, '::before', '::after'].forEach(pseudo => {
+            const image = getComputedStyle(el, pseudo).backgroundImage;
+            for (const [, url] of image.matchAll(/url\(["']?(.*?)["']?\)/g)) backgrounds.add(url);
+          });
+        });
+        
+        const images = [
+          ...Array.from(document.images),
+          ...Array.from(backgrounds).map(url => Object.assign(new Image(), { src: url }))
+        ];
+        await Promise.all(images.map(img => (img.complete ? null : new Promise(resolve => {
+          img.addEventListener('load', resolve);
+          img.addEventListener('error', resolve);
+        }))));
+        await Promise.all(Array.from(document.images).map(img => img.decode().catch(() => {})));
+        await document.fonts.ready;
+      })();
+      await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, timeout))]);
+      
+      const freeze = document.createElement('style');
+      freeze.textContent = '*, *::before, *::after { transition: none !important; caret-color: transparent !important; }';
+      document.head.appendChild(freeze);
+      document.getAnimations().forEach(animation => {
+        try {
+          animation.finish();
+        } catch (error) {
+          animation.cancel(); // Endless (or paused at rate 0) - can't be finished
+        }
+      });
+      
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+    }, SETTLE_TIMEOUT);
+  }
+  
+  /**
+   * Interrupt JavaScript that is still running (e.g. an infinite loop) so the page can be closed
+   */
+  async terminateScripts(page) {
+    try {
+      const session = await page.target().createCDPSession();
+      await Promise.race([
+        session.send('Runtime.terminateExecution'),
+        new Promise(resolve => setTimeout(resolve, 1000))
+      ]);
+    } catch (error) {
+      // Page already gone - closing the context cleans up the rest
+    }
+  }
+  
+  /**
+   * Close a render's context; a context that won't close within a few seconds is abandoned
+   */
+  async disposeContext(context) {
+    await Promise.race([
+      context.close().catch(() => {}),
+      new Promise(resolve => setTimeout(resolve, 5000))
+    ]);
+  }
+  
   /**
    * Close browser
    */
@@ -56,9 +326,13 @@ class PixelMatcher {
    * @param {Object} candidateCode - { html, css, js }
    * @param {Object} expectedCode - { html, css, js }
    * @param {string} submissionId - Unique ID for screenshot naming
-   * @returns {Object} - Comparison result with score
+   * @param {Object} options - { viewports: [{ name, width, height, weight } | 'mobile'], fullPage, regions, visualMode, cacheKey }
+   *   (cacheKey: solution hash from evaluationCache; expected screenshots are reused under it)
+   * @returns {Object} - Comparison result with aggregate score and per-viewport results
+   *   (annotations: largest differences of the first viewport, labelled with the element behind them;
+   *   renderError: { code, message } when the candidate's script timed out or crashed the page)
    */
-  async compare(candidateCode, expectedCode, submissionId) {
+  async compare(candidateCode, expectedCode, submissionId, options = {}) {
     let browser = null;
     
     try {
@@ -68,37 +342,46 @@ class PixelMatcher {
       const candidatePage = this.createFullPage(candidateCode);
       const expectedPage = this.createFullPage(expectedCode);
       
-      // Take screenshots
-      const candidateScreenshot = await this.captureScreenshot(
-        browser,
-        candidatePage,
-        `${submissionId}-candidate`
-      );
+      const declared = Array.isArray(options.viewports) && options.viewports.length > 0;
+      const viewports = this.resolveViewports(options.viewports);
+      const fullPage = Boolean(options.fullPage);
+      const visualMode = VISUAL_MODES.includes(options.visualMode) ? options.visualMode : 'pixel';
       
-      const expectedScreenshot = await this.captureScreenshot(
-        browser,
-        expectedPage,
-        `${submissionId}-expected`
-      );
+      const results = [];
+      for (const viewport of viewports) {
+        // Keep the original file names when no viewports are declared
+        const prefix = declared ? `${submissionId}-${viewport.name}` : submissionId;
+        results.push(await this.compareViewport(browser, candidatePage, expectedPage, prefix, viewport, {
+          fullPage,
+          regions: options.regions,
+          visualMode,
+          cacheKey: options.cacheKey
+        }));
+      }
       
-      // Compare screenshots
-      const comparisonResult = await this.compareImages(
-        candidateScreenshot,
-        expectedScreenshot,
-        submissionId
-      );
+      // Aggregate: weighted mean of per-viewport scores
+      const totalWeight = results.reduce((sum, r) => sum + r.weight, 0) || 1;
+      const weightedMean = (key) => Math.round(results.reduce((sum, r) => sum + (r[key] || 0) * r.weight, 0) / totalWeight);
+      const score = weightedMean('score');
+      const diffPixels = results.reduce((sum, r) => sum + (r.diffPixels || 0), 0);
+      const totalPixels = results.reduce((sum, r) => sum + (r.totalPixels || 0), 0);
+      const blockedRequests = [...new Set(results.flatMap(r => r.blockedRequests || []))];
       
       return {
-        score: comparisonResult.score,
-        passed: comparisonResult.score >= 80, // Default threshold
-        diffPixels: comparisonResult.diffPixels,
-        totalPixels: comparisonResult.totalPixels,
-        diffPercentage: comparisonResult.diffPercentage,
-        screenshots: {
-          candidate: `/screenshots/${submissionId}-candidate.png`,
-          expected: `/screenshots/${submissionId}-expected.png`,
-          diff: `/screenshots/${submissionId}-diff.png`
-        }
+        score,
+        passed: score >= 80, // Default threshold
+        diffPixels,
+        totalPixels,
+        diffPercentage: totalPixels > 0 ? ((diffPixels / totalPixels) * 100).toFixed(2) : '100.00',
+        mode: visualMode,
+        pixelScore: weightedMean('pixelScore'),
+        perceptualScore: weightedMean('perceptualScore'),
+        fullPage,
+        blockedRequests,
+        // First viewport keeps the legacy single-image shape for existing consumers
+        screenshots: results[0].screenshots,
+        annotations: results[0].annotations || [],
+        viewports: results
       };
       
     } catch (error) {
@@ -106,7 +389,116 @@ class PixelMatcher {
       return {
         score: 0,
         passed: false,
-        error: error.message
+        error: error.message,
+        renderError: error instanceof RenderError ? error.toJSON() : null
+      };
+    }
+  }
+  
+  /**
+   * Normalize a challenge's viewport list
+   * @param {Array} viewports - Preset names or { name, width, height, weight }
+   * @returns {Array} - Viewports with name, width, height and weight
+   */
+  resolveViewports(viewports) {
+    if (!Array.isArray(viewports) || viewports.length === 0) {
+      return [{ ...DEFAULT_VIEWPORT, weight: 1 }];
+    }
+    
+    return viewports.map((entry, index) => {
+      const preset = typeof entry === 'string' ? VIEWPORT_PRESETS[entry] : VIEWPORT_PRESETS[entry?.name];
+      const viewport = typeof entry === 'string' ? { ...preset } : { ...preset, ...entry };
+      
+      if (!viewport.width || !viewport.height) {
+        throw new Error(`Viewport ${index + 1} needs a width and height (or a preset: ${Object.keys(VIEWPORT_PRESETS).join(', ')})`);
+      }
+      
+      return {
+        name: String(viewport.name || `${viewport.width}x${viewport.height}`).replace(/[^a-zA-Z0-9_-]/g, '-'),
+        width: parseInt(viewport.width, 10),
+        height: parseInt(viewport.height, 10),
+        weight: viewport.weight !== undefined ? Number(viewport.weight) : 1
+      };
+    });
+  }
+  
+  /**
+   * Capture and compare both pages at a single viewport
+   * @param {Object} options - { fullPage, regions, visualMode, cacheKey }
+   * @returns {Object} - Per-viewport score, metrics and screenshot URLs
+   */
+  async compareViewport(browser, candidatePage, expectedPage, prefix, viewport, options = {}) {
+    const { fullPage = false, regions = [], visualMode = 'pixel', cacheKey = null } = options;
+    const screenshots = {
+      candidate: `/screenshots/${prefix}-candidate.png`,
+      expected: `/screenshots/${prefix}-expected.png`,
+      diff: `/screenshots/${prefix}-diff.png`,
+      annotated: `/screenshots/${prefix}-annotated.png`
+    };
+    
+    // Selector-based regions are located in the expected render
+    const viewportRegions = (regions || []).filter(region =>
+      !Array.isArray(region.viewports) || region.viewports.includes(viewport.name)
+    );
+    const selectors = [...new Set(viewportRegions.filter(r => r.selector).map(r => r.selector))];
+    
+    try {
+      let candidateShot = await this.captureScreenshot(browser, candidatePage, `${prefix}-candidate`, viewport, { fullPage, elements: true, label: 'candidate' });
+      let expectedShot = await this.captureExpected(browser, expectedPage, `${prefix}-expected`, viewport, { fullPage, selectors, elements: true }, cacheKey);
+      
+      // Full-page captures differ in height when content length differs;
+      // re-capture the shorter page at the taller height so the real page background fills the gap
+      if (candidateShot.height < expectedShot.height) {
+        candidateShot = await this.captureScreenshot(browser, candidatePage, `${prefix}-candidate`, viewport, { height: expectedShot.height, elements: true, label: 'candidate' });
+      } else if (expectedShot.height < candidateShot.height) {
+        expectedShot = await this.captureExpected(browser, expectedPage, `${prefix}-expected`, viewport, { height: candidateShot.height, selectors, elements: true }, cacheKey);
+      }
+      
+      const comparison = await this.compareImages(
+        candidateShot.path,
+        expectedShot.path,
+        prefix,
+        this.resolveRegions(viewportRegions, expectedShot.boxes),
+        visualMode,
+        { candidate: candidateShot.elements, expected: expectedShot.elements }
+      );
+      
+      console.log(`      🖥️  ${viewport.name} (${viewport.width}x${viewport.height}): ${comparison.score}% (pixel ${comparison.pixelScore}%, perceptual ${comparison.perceptualScore}%)`);
+      
+      return {
+        name: viewport.name,
+        width: viewport.width,
+        height: viewport.height,
+        capturedHeight: expectedShot.height,
+        weight: viewport.weight,
+        score: comparison.score,
+        pixelScore: comparison.pixelScore,
+        perceptualScore: comparison.perceptualScore,
+        diffPixels: comparison.diffPixels,
+        totalPixels: comparison.totalPixels,
+        diffPercentage: comparison.diffPercentage,
+        maskedPixels: comparison.maskedPixels,
+        regions: comparison.regions,
+        annotations: comparison.annotations,
+        blockedRequests: candidateShot.blockedRequests,
+        screenshots
+      };
+    } catch (error) {
+      // The candidate's script hung or crashed the page: no point trying other viewports
+      if (error instanceof RenderError && error.label === 'candidate') {
+        throw error;
+      }
+      console.error(`Pixel matching error at ${viewport.name}:`, error.message);
+      return {
+        name: viewport.name,
+        width: viewport.width,
+        height: viewport.height,
+        weight: viewport.weight,
+        score: 0,
+        pixelScore: 0,
+        perceptualScore: 0,
+        error: error.message,
+        screenshots
       };
     }
   }
@@ -114,9 +506,21 @@ class PixelMatcher {
   /**
    * Create full HTML page with CSS and JS injected
    * @param {Object} code - { html, css, js }
+   * @param {Object} options - { globalScope: run the JS unwrapped at the top level of its script, so
+   *   its const/let/class declarations stay reachable from code evaluated later (unit tests) }
    * @returns {string} - Complete HTML page
    */
-  createFullPage(code) {
+  createFullPage(code, options = {}) {
+    const fontFaces = fontLibrary.fontFaces(code);
+    const script = options.globalScope
+      ? (code.js || '')
+      : `
+          try {
+            ${code.js || ''}
+          } catch (e) {
+            console.error('JS execution error:', e);
+          }`;
+    
     return `
       <!DOCTYPE html>
       <html lang="en">
@@ -125,6 +529,8 @@ class PixelMatcher {
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <title>Render</title>
         <style>
+          ${fontFaces}
+          
           /* Reset for consistency */
           * {
             margin: 0;
@@ -140,79 +546,221 @@ class PixelMatcher {
         ${code.html || ''}
         
         <script>
-          try {
-            ${code.js || ''}
-          } catch (e) {
-            console.error('JS execution error:', e);
-          }
+          ${script}
         </script>
       </body>
       </html>
     `;
   }
   
+  /**
+   * Turn region definitions into pixel rectangles with a weight (0 = masked)
+   * @param {Array} regions - [{ name, x, y, width, height } | { name, selector }, with mask or weight]
+   * @param {Object} boxes - Selector -> bounding boxes measured on the expected page
+   * @returns {Array} - [{ name, x, y, width, height, weight }]
+   */
+  resolveRegions(regions, boxes = {}) {
+    const resolved = [];
+    
+    regions.forEach((region, index) => {
+      const weight = region.mask ? 0 : (region.weight !== undefined ? Number(region.weight) : 1);
+      if (isNaN(weight) || weight < 0) return;
+      
+      const name = region.name || region.selector || `region-${index + 1}`;
+      const rects = region.selector
+        ? (boxes[region.selector] || [])
+        : [{ x: region.x, y: region.y, width: region.width, height: region.height }];
+      
+      rects.forEach(rect => {
+        const x = Math.round(Number(rect.x) || 0);
+        const y = Math.round(Number(rect.y) || 0);
+        const width = Math.round(Number(rect.width) || 0);
+        const height = Math.round(Number(rect.height) || 0);
+        if (width > 0 && height > 0) {
+          resolved.push({ name, x, y, width, height, weight });
+        }
+      });
+    });
+    
+    return resolved;
+  }
+  
   /**
    * Capture screenshot of HTML page
    * @param {Browser} browser - Puppeteer browser instance
    * @param {string} htmlContent - Full HTML content
    * @param {string} filename - Screenshot filename
-   * @returns {string} - Path to screenshot
+   * @param {Object} viewport - { width, height }
+   * @param {Object} options - { fullPage, height, selectors, elements, label } (height forces an exact capture height;
+   *   elements measures visible elements for diff annotations)
+   * @returns {Object} - { path, height, boxes, elements, blockedRequests } of the saved screenshot
    */
-  async captureScreenshot(browser, htmlContent, filename) {
-    const page = await browser.newPage();
-    
-    try {
-      // Set consistent viewport
-      await page.setViewport({
-        width: 1280,
-        height: 720,
-        deviceScaleFactor: 1
-      });
+  async captureScreenshot(browser, htmlContent, filename, viewport = DEFAULT_VIEWPORT, options = {}) {
+    return this.withSandboxedPage(browser, htmlContent, viewport, async (page) => {
+      await this.settle(page);
       
-      // Set content and wait for rendering
-      await page.setContent(htmlContent, {
-        waitUntil: 'domcontentloaded', // Faster than 'load'
-        timeout: 30000 // 30 second timeout (increased for Docker)
-      });
+      let height = viewport.height;
+      if (options.height) {
+        height = options.height;
+      } else if (options.fullPage) {
+        const scrollHeight = await page.evaluate(() => Math.max(
+          document.documentElement.scrollHeight,
+          document.body ? document.body.scrollHeight : 0
+        ));
+        height = Math.min(Math.max(scrollHeight, viewport.height), MAX_FULL_PAGE_HEIGHT);
+      }
       
-      // Wait a bit for any animations or dynamic content
-      await page.waitForTimeout(500);
+      // Measure selector regions in page coordinates (document, not viewport)
+      let boxes = {};
+      if (options.selectors && options.selectors.length > 0) {
+        boxes = await page.evaluate((selectors) => {
+          const found = {};
+          selectors.forEach(selector => {
+            try {
+              found[selector] = Array.from(document.querySelectorAll(selector)).map(el => {
+                const rect = el.getBoundingClientRect();
+                return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+              });
+            } catch (error) {
+              found[selector] = []; // Invalid selector - region just doesn't apply
+            }
+          });
+          return found;
+        }, options.selectors);
+      }
       
-      // Capture screenshot
+      const elements = options.elements ? await diffAnnotator.collectElements(page) : null;
+      
+      // Capture screenshot (clip keeps the width fixed even if content overflows sideways)
       const screenshotPath = path.join(this.screenshotDir, `${filename}.png`);
       await page.screenshot({
         path: screenshotPath,
-        fullPage: false // Use viewport size for consistency
+        clip: { x: 0, y: 0, width: viewport.width, height },
+        captureBeyondViewport: height > viewport.height
       });
       
-      return screenshotPath;
-      
-    } finally {
-      await page.close();
+      return { path: screenshotPath, height, boxes, elements, blockedRequests: page.blockedRequests };
+    }, { label: options.label });
+  }
+  
+  /**
+   * Copy a previous result's screenshots to another submission's names (for reused results)
+   * @param {Object} visual - result.visual of the earlier evaluation
+   * @returns {Object|null} - visual with rewritten URLs, or null if a screenshot is gone
+   */
+  reuseScreenshots(visual, fromId, toId) {
+    if (!visual) return null;
+    
+    const rename = (screenshots) => {
+      if (!screenshots) return screenshots;
+      const renamed = {};
+      for (const [key, url] of Object.entries(screenshots)) {
+        const file = path.basename(url || '');
+        const source = path.join(this.screenshotDir, file);
+        if (!file.startsWith(`${fromId}-`) || !fs.existsSync(source)) {
+          throw new Error(`Screenshot ${file} is no longer available`);
+        }
+        const target = `${toId}-${file.slice(fromId.length + 1)}`;
+        if (fromId !== toId) fs.copyFileSync(source, path.join(this.screenshotDir, target));
+        renamed[key] = `/screenshots/${target}`;
+      }
+      return renamed;
+    };
+    
+    try {
+      return {
+        ...visual,
+        screenshots: rename(visual.screenshots),
+        viewports: (visual.viewports || []).map(viewport => ({ ...viewport, screenshots: rename(viewport.screenshots) }))
+      };
+    } catch (error) {
+      return null;
     }
   }
   
+  /**
+   * Capture the expected page, reusing a cached render of the same solution when there is one
+   * @param {string|null} cacheKey - Solution hash (null = always render)
+   * @returns {Object} - { path, height, boxes, elements } like captureScreenshot()
+   */
+  async captureExpected(browser, htmlContent, filename, viewport, options = {}, cacheKey = null) {
+    const variant = {
+      renderer: RENDERER_VERSION,
+      viewport: { name: viewport.name, width: viewport.width, height: viewport.height },
+      fullPage: Boolean(options.fullPage),
+      height: options.height || null,
+      selectors: options.selectors || []
+    };
+    const screenshotPath = path.join(this.screenshotDir, `${filename}.png`);
+    
+    const cached = evaluationCache.getScreenshot(cacheKey, variant);
+    // Renders cached without element measurements can't be annotated against
+    if (cached && (!options.elements || cached.elements)) {
+      // Submissions keep their own copy so result URLs stay stable
+      fs.copyFileSync(cached.path, screenshotPath);
+      return { ...cached, path: screenshotPath };
+    }
+    
+    const shot = await this.captureScreenshot(browser, htmlContent, filename, viewport, options);
+    evaluationCache.storeScreenshot(cacheKey, variant, shot);
+    return shot;
+  }
+  
+  /**
+   * Render the expected solution to an image candidates can look at instead of its source
+   * @param {Object} expectedCode - { html, css, js }
+   * @returns {string} - Path of the full-page PNG (reused while the solution is unchanged)
+   */
+  async renderPreview(expectedCode) {
+    const cacheKey = evaluationCache.solutionKey(expectedCode);
+    const filename = `preview-${cacheKey}-r${RENDERER_VERSION}`;
+    const existing = path.join(this.screenshotDir, `${filename}.png`);
+    if (fs.existsSync(existing)) {
+      return existing;
+    }
+    
+    const browser = await this.initBrowser();
+    const shot = await this.captureExpected(browser, this.createFullPage(expectedCode), filename, DEFAULT_VIEWPORT, { fullPage: true }, cacheKey);
+    return shot.path;
+  }
+  
   /**
    * Compare two PNG images pixel by pixel
    * @param {string} candidatePath - Path to candidate screenshot
    * @param {string} expectedPath - Path to expected screenshot
    * @param {string} submissionId - ID for diff image
+   * @param {Array} regions - Resolved regions from resolveRegions() (weight 0 = masked)
+   * @param {string} visualMode - 'pixel', 'perceptual' or 'blended' (50/50)
+   * @param {Object} elements - { candidate, expected } element measurements for annotating the diff
    * @returns {Object} - Comparison metrics
    */
-  async compareImages(candidatePath, expectedPath, submissionId) {
+  async compareImages(candidatePath, expectedPath, submissionId, regions = [], visualMode = 'pixel', elements = {}) {
     try {
       // Read images
-      const candidateImg = PNG.sync.read(fs.readFileSync(candidatePath));
-      const expectedImg = PNG.sync.read(fs.readFileSync(expectedPath));
+      const candidateRaw = PNG.sync.read(fs.readFileSync(candidatePath));
+      const expectedRaw = PNG.sync.read(fs.readFileSync(expectedPath));
       
-      const { width, height } = expectedImg;
+      // Put both images on a common canvas so pixelmatch gets equal-sized buffers
+      const width = Math.max(candidateRaw.width, expectedRaw.width);
+      const height = Math.max(candidateRaw.height, expectedRaw.height);
       
-      // Ensure images are same size (resize candidate if needed)
-      let candidateData = candidateImg.data;
-      if (candidateImg.width !== width || candidateImg.height !== height) {
-        console.warn('Image size mismatch, using expected dimensions');
-        // In production, you'd resize the image properly
-        // For prototype, we'll proceed with size difference noted
+      if (candidateRaw.width !== expectedRaw.width || candidateRaw.height !== expectedRaw.height) {
+        console.warn(`Image size mismatch (${candidateRaw.width}x${candidateRaw.height} vs ${expectedRaw.width}x${expectedRaw.height}), padding to ${width}x${height}`);
+      }
+      
+      const candidateImg = this.padImage(candidateRaw, width, height);
+      const expectedImg = this.padImage(expectedRaw, width, height);
+      
+      // Per-pixel weights: 1 by default, region weight inside regions, 0 where masked
+      const weights = this.buildWeightMap(width, height, regions);
+      
+      // Masked pixels are copied across so they can never count as a difference
+      if (weights) {
+        for (let i = 0; i < weights.length; i++) {
+          if (weights[i] === 0) {
+            expectedImg.data.copy(candidateImg.data, i * 4, i * 4, i * 4 + 4);
+          }
+        }
       }
       
       // Create diff image
@@ -228,26 +776,102 @@ class PixelMatcher {
         {
           threshold: 0.1, // Sensitivity (0-1, lower = more strict)
           alpha: 0.1,
-          diffColor: [255, 0, 0], // Red for differences
-          diffColorAlt: [0, 255, 0] // Green for matches (optional)
+          diffColor: DIFF_COLOR, // Red for differences
+          diffColorAlt: DIFF_COLOR_ALT // Green for matches (optional)
         }
       );
       
+      // Weighted totals (identical to the plain ratio when no regions are defined)
+      let weightedDiff = diffPixels;
+      let weightedTotal = width * height;
+      let maskedPixels = 0;
+      const regionStats = regions.map(region => ({ ...region, diffPixels: 0, totalPixels: 0 }));
+      
+      if (weights) {
+        weightedDiff = 0;
+        weightedTotal = 0;
+        for (let i = 0; i < weights.length; i++) {
+          const weight = weights[i];
+          if (weight === 0) {
+            maskedPixels++;
+            continue;
+          }
+          weightedTotal += weight;
+          if (this.isDiffPixel(diff.data, i * 4)) {
+            weightedDiff += weight;
+          }
+        }
+        
+        regionStats.forEach(stat => {
+          for (let y = Math.max(0, stat.y); y < Math.min(height, stat.y + stat.height); y++) {
+            for (let x = Math.max(0, stat.x); x < Math.min(width, stat.x + stat.width); x++) {
+              stat.totalPixels++;
+              if (this.isDiffPixel(diff.data, (y * width + x) * 4)) {
+                stat.diffPixels++;
+              }
+            }
+          }
+        });
+        
+        // Shade masked areas so reviewers can see what was ignored
+        for (let i = 0; i < weights.length; i++) {
+          if (weights[i] === 0) {
+            diff.data[i * 4] = MASK_COLOR[0];
+            diff.data[i * 4 + 1] = MASK_COLOR[1];
+            diff.data[i * 4 + 2] = MASK_COLOR[2];
+            diff.data[i * 4 + 3] = 255;
+          }
+        }
+      }
+      
       // Save diff image
       const diffPath = path.join(this.screenshotDir, `${submissionId}-diff.png`);
       fs.writeFileSync(diffPath, PNG.sync.write(diff));
       
+      // Explain the largest differences and draw them over the candidate render
+      const isDiff = (data, offset) => this.isDiffPixel(data, offset);
+      const annotations = diffPixels > 0
+        ? diffAnnotator.annotate(diff.data, width, height, isDiff, elements || {})
+        : [];
+      const annotatedPath = path.join(this.screenshotDir, `${submissionId}-annotated.png`);
+      fs.writeFileSync(annotatedPath, diffAnnotator.draw(candidateImg, diff.data, isDiff, annotations));
+      
       // Calculate metrics
-      const totalPixels = width * height;
-      const diffPercentage = (diffPixels / totalPixels) * 100;
-      const similarityScore = Math.max(0, 100 - diffPercentage);
+      const totalPixels = width * height - maskedPixels;
+      const diffPercentage = totalPixels > 0 ? (diffPixels / totalPixels) * 100 : 0;
+      const weightedDiffPercentage = weightedTotal > 0 ? (weightedDiff / weightedTotal) * 100 : 0;
+      const similarityScore = Math.max(0, 100 - weightedDiffPercentage);
+      
+      // Structural similarity on the same (padded, masked) buffers
+      const perceptualScore = this.computeSSIM(candidateImg, expectedImg, weights) * 100;
+      
+      let score = similarityScore;
+      if (visualMode === 'perceptual') {
+        score = perceptualScore;
+      } else if (visualMode === 'blended') {
+        score = (similarityScore + perceptualScore) / 2;
+      }
       
       return {
-        score: Math.round(similarityScore),
+        score: Math.round(score),
+        pixelScore: Math.round(similarityScore),
+        perceptualScore: Math.round(perceptualScore),
+        mode: visualMode,
         diffPixels,
         totalPixels,
+        maskedPixels,
         diffPercentage: diffPercentage.toFixed(2),
-        matchPercentage: similarityScore.toFixed(2)
+        matchPercentage: similarityScore.toFixed(2),
+        regions: regionStats.map(stat => ({
+          name: stat.name,
+          weight: stat.weight,
+          x: stat.x,
+          y: stat.y,
+          width: stat.width,
+          height: stat.height,
+          diffPercentage: stat.totalPixels > 0 ? ((stat.diffPixels / stat.totalPixels) * 100).toFixed(2) : '0.00'
+        })),
+        annotations
       };
       
     } catch (error) {
@@ -255,6 +879,161 @@ class PixelMatcher {
       throw error;
     }
   }
+  
+  /**
+   * Copy an image onto a larger canvas, filling the rest with the page background
+   * @param {PNG} image - Source image
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @returns {PNG} - Image of exactly width x height
+   */
+  padImage(image, width, height) {
+    if (image.width === width && image.height === height) {
+      return image;
+    }
+    
+    const canvas = new PNG({ width, height });
+    for (let i = 0; i < canvas.data.length; i += 4) {
+      canvas.data[i] = PAD_COLOR[0];
+      canvas.data[i + 1] = PAD_COLOR[1];
+      canvas.data[i + 2] = PAD_COLOR[2];
+      canvas.data[i + 3] = PAD_COLOR[3];
+    }
+    PNG.bitblt(image, canvas, 0, 0, Math.min(image.width, width), Math.min(image.height, height), 0, 0);
+    return canvas;
+  }
+  
+  /**
+   * Build a per-pixel weight map from regions (later regions win where they overlap)
+   * @returns {Float32Array|null} - null when there are no regions (uniform weighting)
+   */
+  buildWeightMap(width, height, regions) {
+    if (!regions || regions.length === 0) {
+      return null;
+    }
+    
+    const weights = new Float32Array(width * height).fill(1);
+    regions.forEach(region => {
+      for (let y = Math.max(0, region.y); y < Math.min(height, region.y + region.height); y++) {
+        weights.fill(region.weight, y * width + Math.max(0, region.x), y * width + Math.min(width, region.x + region.width));
+      }
+    });
+    return weights;
+  }
+  
+  /**
+   * Mean SSIM over non-overlapping windows of the downscaled luminance
+   * Windows are weighted by the region weight map; fully masked windows are skipped
+   * @param {PNG} imageA - Candidate image
+   * @param {PNG} imageB - Expected image (same size)
+   * @param {Float32Array|null} weights - Per-pixel weights from buildWeightMap()
+   * @returns {number} - Similarity from 0 to 1
+   */
+  computeSSIM(imageA, imageB, weights = null) {
+    const { width, height } = imageA;
+    const scaledWidth = Math.max(1, Math.floor(width / SSIM_DOWNSCALE));
+    const scaledHeight = Math.max(1, Math.floor(height / SSIM_DOWNSCALE));
+    
+    const lumaA = this.toLuminance(imageA, scaledWidth, scaledHeight);
+    const lumaB = this.toLuminance(imageB, scaledWidth, scaledHeight);
+    
+    let weightedSum = 0;
+    let weightTotal = 0;
+    
+    for (let wy = 0; wy < scaledHeight; wy += SSIM_WINDOW) {
+      for (let wx = 0; wx < scaledWidth; wx += SSIM_WINDOW) {
+        const maxY = Math.min(wy + SSIM_WINDOW, scaledHeight);
+        const maxX = Math.min(wx + SSIM_WINDOW, scaledWidth);
+        const count = (maxY - wy) * (maxX - wx);
+        
+        // Window weight = average pixel weight of the area it covers
+        let windowWeight = 1;
+        if (weights) {
+          let total = 0;
+          let samples = 0;
+          for (let y = wy * SSIM_DOWNSCALE; y < Math.min(maxY * SSIM_DOWNSCALE, height); y++) {
+            for (let x = wx * SSIM_DOWNSCALE; x < Math.min(maxX * SSIM_DOWNSCALE, width); x++) {
+              total += weights[y * width + x];
+              samples++;
+            }
+          }
+          windowWeight = samples > 0 ? total / samples : 0;
+          if (windowWeight === 0) continue;
+        }
+        
+        let meanA = 0;
+        let meanB = 0;
+        for (let y = wy; y < maxY; y++) {
+          for (let x = wx; x < maxX; x++) {
+            meanA += lumaA[y * scaledWidth + x];
+            meanB += lumaB[y * scaledWidth + x];
+          }
+        }
+        meanA /= count;
+        meanB /= count;
+        
+        let varA = 0;
+        let varB = 0;
+        let covariance = 0;
+        for (let y = wy; y < maxY; y++) {
+          for (let x = wx; x < maxX; x++) {
+            const da = lumaA[y * scaledWidth + x] - meanA;
+            const db = lumaB[y * scaledWidth + x] - meanB;
+            varA += da * da;
+            varB += db * db;
+            covariance += da * db;
+          }
+        }
+        varA /= count;
+        varB /= count;
+        covariance /= count;
+        
+        const ssim = ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+          ((meanA * meanA + meanB * meanB + SSIM_C1) * (varA + varB + SSIM_C2));
+        
+        weightedSum += Math.max(0, ssim) * windowWeight;
+        weightTotal += windowWeight;
+      }
+    }
+    
+    return weightTotal > 0 ? weightedSum / weightTotal : 1;
+  }
+  
+  /**
+   * Box-downscale an RGBA image to a luminance array
+   */
+  toLuminance(image, scaledWidth, scaledHeight) {
+    const { width, data } = image;
+    const luma = new Float32Array(scaledWidth * scaledHeight);
+    
+    for (let sy = 0; sy < scaledHeight; sy++) {
+      for (let sx = 0; sx < scaledWidth; sx++) {
+        let sum = 0;
+        for (let dy = 0; dy < SSIM_DOWNSCALE; dy++) {
+          for (let dx = 0; dx < SSIM_DOWNSCALE; dx++) {
+            const offset = ((sy * SSIM_DOWNSCALE + dy) * width + (sx * SSIM_DOWNSCALE + dx)) * 4;
+            sum += 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+          }
+        }
+        luma[sy * scaledWidth + sx] = sum / (SSIM_DOWNSCALE * SSIM_DOWNSCALE);
+      }
+    }
+    
+    return luma;
+  }
+  
+  /**
+   * Whether pixelmatch painted this diff-image pixel as a difference
+   */
+  isDiffPixel(data, offset) {
+    const [r, g, b] = [data[offset], data[offset + 1], data[offset + 2]];
+    return (r === DIFF_COLOR[0] && g === DIFF_COLOR[1] && b === DIFF_COLOR[2]) ||
+      (r === DIFF_COLOR_ALT[0] && g === DIFF_COLOR_ALT[1] && b === DIFF_COLOR_ALT[2]);
+  }
 }
 
 module.exports = new PixelMatcher();
+module.exports.VIEWPORT_PRESETS = VIEWPORT_PRESETS;
+module.exports.VISUAL_MODES = VISUAL_MODES;
+module.exports.RenderError = RenderError;
+module.exports.RENDER_TIMEOUT = RENDER_TIMEOUT;
@@ -0,0 +1,247 @@
+/**
+ * Re-grade Service
+ * Re-runs evaluation for every submission of a challenge, level or course after the expected
+ * solution or grading settings change. Batches run in the background one submission at a time
+ * (so exam grading keeps its workers) and report progress for polling clients.
+ * Dry runs grade without saving and report which pass/fail outcomes would flip.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { isConnected } = require('../database/connection');
+const evaluator = require('./evaluator');
+const ChallengeModel = require('../models/Challenge');
+const SubmissionModel = require('../models/Submission');
+const SubmissionHistoryModel = require('../models/SubmissionHistory');
+const CourseModel = require('../models/Course');
+
+const challengesPath = path.join(__dirname, '../data/challenges.json');
+const submissionsPath = path.join(__dirname, '../data/submissions.json');
+const screenshotDir = path.join(__dirname, '../screenshots');
+
+// Finished batches are kept this long for polling clients
+const BATCH_RETENTION = 6 * 60 * 60 * 1000;
+
+// Per-submission outcomes listed in a batch report (counts always cover everything)
+const MAX_REPORTED_CHANGES = 500;
+
+class RegradeService {
+  constructor() {
+    this.batches = new Map();
+  }
+
+  /**
+   * Start a batch re-grade in the background
+   * @param {Object} scope - { courseId, level, challengeId } (at least one)
+   * @param {Object} options - { dryRun, reason }
+   * @returns {Object|null} - Batch summary (poll get() for progress), null if no challenge matches
+   */
+  async start(scope, { dryRun = false, reason = null } = {}) {
+    // Registered before the first await so a second request sees it through getRunning()
+    this.prune();
+    const batch = {
+      id: `regrade-${uuidv4()}`,
+      scope,
+      dryRun: Boolean(dryRun),
+      reason: reason || (dryRun ? 'Dry run' : 'Batch re-grade'),
+      status: 'running',
+      total: 0,
+      processed: 0,
+      errors: 0,
+      counts: { passToFail: 0, failToPass: 0, scoreChanged: 0, unchanged: 0 },
+      changes: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.batches.set(batch.id, batch);
+
+    let challenges;
+    const submissions = [];
+    try {
+      challenges = await this.findChallenges(scope);
+      for (const challenge of challenges) {
+        const found = await this.findSubmissions(challenge.id);
+        submissions.push(...found.filter(submission => submission.code));
+      }
+    } catch (error) {
+      this.batches.delete(batch.id);
+      throw error;
+    }
+
+    if (challenges.length === 0) {
+      this.batches.delete(batch.id);
+      return null;
+    }
+    batch.total = submissions.length;
+
+    console.log(`🔁 ${batch.dryRun ? 'Dry-run re-grade' : 'Re-grade'} ${batch.id}: ${submissions.length} submission(s) across ${challenges.length} challenge(s)`);
+
+    const byId = new Map(challenges.map(challenge => [challenge.id, challenge]));
+    this.run(batch, submissions, byId).catch(error => {
+      console.error(`Re-grade ${batch.id} stopped:`, error.message);
+      batch.status = 'failed';
+      batch.error = error.message;
+      batch.finishedAt = new Date().toISOString();
+    });
+
+    return this.get(batch.id);
+  }
+
+  // Only one batch runs at a time
+  getRunning() {
+    const running = [...this.batches.values()].find(batch => batch.status === 'running');
+    return running ? this.get(running.id) : null;
+  }
+
+  /**
+   * Batch progress
+   * @returns {Object|null} - { id, status, total, processed, errors, counts, changes, ... }
+   */
+  get(batchId) {
+    const batch = this.batches.get(batchId);
+    return batch ? { ...batch, counts: { ...batch.counts }, changes: [...batch.changes] } : null;
+  }
+
+  async run(batch, submissions, challenges) {
+    const settingsByCourse = new Map();
+
+    for (const submission of submissions) {
+      const challenge = challenges.get(submission.challengeId);
+      try {
+        if (!settingsByCourse.has(challenge.courseId)) {
+          settingsByCourse.set(challenge.courseId, await CourseModel.getEvaluationSettings(challenge.courseId));
+        }
+        const outcome = await this.regrade(batch, submission, challenge, settingsByCourse.get(challenge.courseId));
+        batch.counts[outcome.change]++;
+        if (outcome.change !== 'unchanged' && batch.changes.length < MAX_REPORTED_CHANGES) {
+          batch.changes.push(outcome);
+        }
+      } catch (error) {
+        console.error(`   ❌ Re-grade of ${submission.id} failed:`, error.message);
+        batch.errors++;
+        if (batch.changes.length < MAX_REPORTED_CHANGES) {
+          batch.changes.push({ submissionId: submission.id, challengeId: submission.challengeId, error: error.message });
+        }
+      }
+      batch.processed++;
+    }
+
+    batch.status = 'done';
+    batch.finishedAt = new Date().toISOString();
+    console.log(`✅ Re-grade ${batch.id} done: ${batch.counts.failToPass} fail→pass, ${batch.counts.passToFail} pass→fail, ${batch.counts.scoreChanged} score-only changes, ${batch.errors} error(s)`);
+  }
+
+  /**
+   * Grade one submission again and compare with its stored result
+   * @returns {Object} - { submissionId, challengeId, userId, before, after, change }
+   */
+  async regrade(batch, submission, challenge, courseSettings) {
+    // Dry runs render under a throwaway ID so the submission's own screenshots stay untouched
+    const evaluationId = batch.dryRun ? `${batch.id}-${batch.processed + 1}` : submission.id;
+
+    const result = await evaluator.evaluate(
+      submission.code,
+      challenge.expectedSolution,
+      challenge.passingThreshold,
+      evaluationId,
+      submission.challengeId,
+      challenge.evaluationConfig || {},
+      courseSettings
+    );
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    const before = submission.result
+      ? { score: submission.result.finalScore ?? null, passed: Boolean(submission.result.passed) }
+      : { score: null, passed: submission.status === 'passed' };
+    const after = { score: result.finalScore, passed: Boolean(result.passed) };
+
+    let change = 'unchanged';
+    if (before.passed && !after.passed) change = 'passToFail';
+    else if (!before.passed && after.passed) change = 'failToPass';
+    else if (before.score !== after.score) change = 'scoreChanged';
+
+    if (batch.dryRun) {
+      this.removeScreenshots(evaluationId);
+    } else {
+      await SubmissionHistoryModel.record(submission, result, { regradeId: batch.id, reason: batch.reason });
+      await this.saveResult(submission, result);
+    }
+
+    return {
+      submissionId: submission.id,
+      challengeId: submission.challengeId,
+      userId: submission.userId,
+      before,
+      after,
+      change
+    };
+  }
+
+  /**
+   * Challenges in scope - database first, then JSON fallback
+   */
+  async findChallenges({ courseId, level, challengeId } = {}) {
+    let challenges;
+    if (isConnected()) {
+      challenges = challengeId
+        ? [await ChallengeModel.findById(challengeId)].filter(Boolean)
+        : await ChallengeModel.findAll();
+    } else {
+      challenges = JSON.parse(fs.readFileSync(challengesPath, 'utf8'));
+    }
+
+    return challenges.filter(challenge =>
+      (!challengeId || challenge.id === challengeId) &&
+      (!courseId || challenge.courseId === courseId) &&
+      (level === undefined || level === null || level === '' || Number(challenge.level) === Number(level))
+    );
+  }
+
+  async findSubmissions(challengeId) {
+    if (isConnected()) {
+      return SubmissionModel.findByChallenge(challengeId);
+    }
+    return JSON.parse(fs.readFileSync(submissionsPath, 'utf8')).filter(s => s.challengeId === challengeId);
+  }
+
+  async saveResult(submission, result) {
+    if (isConnected()) {
+      await SubmissionModel.updateEvaluation(submission.id, result);
+      return;
+    }
+
+    const submissions = JSON.parse(fs.readFileSync(submissionsPath, 'utf8'));
+    const index = submissions.findIndex(s => s.id === submission.id);
+    if (index >= 0) {
+      submissions[index] = {
+        ...submissions[index],
+        status: result.passed ? 'passed' : 'failed',
+        result,
+        evaluatedAt: new Date().toISOString()
+      };
+      fs.writeFileSync(submissionsPath, JSON.stringify(submissions, null, 2));
+    }
+  }
+
+  removeScreenshots(evaluationId) {
+    if (!fs.existsSync(screenshotDir)) return;
+    fs.readdirSync(screenshotDir)
+      .filter(file => file.startsWith(`${evaluationId}-`) && file.endsWith('.png'))
+      .forEach(file => fs.unlinkSync(path.join(screenshotDir, file)));
+  }
+
+  prune() {
+    const cutoff = Date.now() - BATCH_RETENTION;
+    for (const [id, batch] of this.batches) {
+      if (batch.finishedAt && new Date(batch.finishedAt).getTime() < cutoff) {
+        this.batches.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = new RegradeService();
@@ -1,13 +1,46 @@
 /**
  * Improved Semantic DOM Evaluator
  * Uses role-based matching, fuzzy comparison, and human-friendly feedback
+ * Roles come from the challenge (declared or auto-derived from the expected HTML)
  */
 
 const { JSDOM } = require('jsdom');
+const evaluationCache = require('./evaluationCache');
+
+// Elements worth a role even without a class or id
+const SEMANTIC_TAGS = [
+  'header', 'nav', 'main', 'section', 'article', 'aside', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'img', 'picture', 'figure', 'figcaption',
+  'button', 'a', 'form', 'input', 'select', 'textarea', 'label',
+  'ul', 'ol', 'table', 'video', 'audio'
+];
+
+// Tags a student may reasonably swap for each other
+const TAG_FAMILIES = [
+  ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+  ['ul', 'ol'],
+  ['img', 'picture'],
+  ['button', 'a'],
+  ['section', 'article', 'div'],
+  ['strong', 'b'],
+  ['em', 'i']
+];
+
+// Attributes that identify what an element is for
+const ROLE_ATTRIBUTES = {
+  img: ['src', 'alt'],
+  a: ['href'],
+  input: ['type', 'name'],
+  form: ['action'],
+  label: ['for']
+};
+
+// Auto-derived role maps are capped so big pages don't drown the score
+const MAX_DERIVED_ROLES = 25;
 
 class SemanticDOMEvaluator {
   constructor() {
-    // Define semantic roles with flexible matching rules
+    // Original product-card role map, still available as the "product-card" preset
     this.semanticRoles = {
       productImage: {
         tags: ['img', 'picture', 'figure'],
@@ -109,11 +142,15 @@ class SemanticDOMEvaluator {
       }
       
       // Check class patterns
-      if (roleConfig.classPatterns && this.matchesClassPattern(element, roleConfig.classPatterns)) {
+      if (roleConfig.classPatterns && roleConfig.classPatterns.length > 0 && this.matchesClassPattern(element, roleConfig.classPatterns)) {
         score += 3;
         matches.class = element.className;
       }
       
+      // Text and attributes only add confidence to an element that already looks like the role
+      // (otherwise <body> matches every text pattern)
+      if (score === 0) continue;
+      
       // Check text patterns
       if (roleConfig.textPatterns && this.matchesTextPattern(element, roleConfig.textPatterns)) {
         score += 2;
@@ -149,14 +186,132 @@ class SemanticDOMEvaluator {
     return elements;
   }
 
+  /**
+   * Work out which role map applies to a challenge
+   * @param {Object|string} roles - Declared role map, 'auto', 'product-card' or empty (= auto)
+   * @param {string} expectedHTML - Expected solution HTML (used for auto-derivation)
+   * @param {string|null} cacheKey - Solution hash; derived roles are reused under it
+   * @returns {Object} - { source, roles } with text patterns compiled to RegExp
+   */
+  resolveRoles(roles, expectedHTML, cacheKey = null) {
+    if (roles === 'product-card') {
+      return { source: 'product-card', roles: this.semanticRoles };
+    }
+    
+    if (roles && typeof roles === 'object' && Object.keys(roles).length > 0) {
+      const normalized = {};
+      for (const [roleName, roleConfig] of Object.entries(roles)) {
+        normalized[roleName] = this.normalizeRole(roleConfig);
+      }
+      return { source: 'challenge', roles: normalized };
+    }
+    
+    return { source: 'auto', roles: evaluationCache.remember(cacheKey, 'roles', () => this.deriveRoles(expectedHTML)) };
+  }
+  
+  /**
+   * Fill defaults for a declared role and compile its text patterns
+   */
+  normalizeRole(roleConfig = {}) {
+    const toArray = (value) => Array.isArray(value) ? value : (value ? [value] : []);
+    
+    return {
+      label: roleConfig.label,
+      tags: toArray(roleConfig.tags).map(tag => String(tag).toLowerCase()),
+      classPatterns: toArray(roleConfig.classPatterns),
+      textPatterns: toArray(roleConfig.textPatterns).map(pattern => this.toRegExp(pattern)),
+      attributes: toArray(roleConfig.attributes),
+      required: roleConfig.required !== false
+    };
+  }
+  
+  /**
+   * Accept "/source/flags", a plain string (case-insensitive) or a RegExp
+   */
+  toRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    
+    const text = String(pattern);
+    const literal = text.match(/^\/(.+)\/([gimsuy]*)$/);
+    try {
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(text, 'i');
+    } catch (error) {
+      // Not a valid regex - match it literally
+      return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+  }
+  
+  /**
+   * Build a role map from the expected solution: one role per meaningful element
+   * (anything with a class or id, plus semantic tags)
+   * @param {string} expectedHTML - Expected solution HTML
+   * @returns {Object} - Role map in the same shape as declared roles
+   */
+  deriveRoles(expectedHTML) {
+    const dom = new JSDOM(expectedHTML || '');
+    const roles = {};
+    const elements = Array.from(dom.window.document.body.querySelectorAll('*'));
+    
+    for (const element of elements) {
+      if (Object.keys(roles).length >= MAX_DERIVED_ROLES) break;
+      
+      const tag = element.tagName.toLowerCase();
+      const classes = Array.from(element.classList);
+      if (['script', 'style', 'br'].includes(tag)) continue;
+      if (classes.length === 0 && !element.id && !SEMANTIC_TAGS.includes(tag)) continue;
+      
+      const family = TAG_FAMILIES.find(group => group.includes(tag)) || [tag];
+      const role = {
+        tags: [tag, ...family.filter(t => t !== tag)],
+        classPatterns: classes.length > 0 ? classes : (element.id ? [element.id] : []),
+        textPatterns: [],
+        attributes: (ROLE_ATTRIBUTES[tag] || []).filter(attr => element.hasAttribute(attr)),
+        required: true
+      };
+      
+      // Short leaf text identifies the element well ("Add to Cart", "$99.99")
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      if (element.children.length === 0 && text && text.length <= 40) {
+        role.textPatterns.push(this.toRegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')));
+      }
+      
+      roles[this.uniqueRoleName(roles, this.roleNameFor(element))] = role;
+    }
+    
+    return roles;
+  }
+  
+  /**
+   * camelCase role name from an element's first class, id or tag ("card-title" -> "cardTitle")
+   */
+  roleNameFor(element) {
+    const source = element.classList[0] || element.id || element.tagName.toLowerCase();
+    const name = source
+      .replace(/[^a-zA-Z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : ''))
+      .replace(/^[A-Z]/, chr => chr.toLowerCase());
+    return name || 'element';
+  }
+  
+  uniqueRoleName(roles, name) {
+    if (!roles[name]) return name;
+    let counter = 2;
+    while (roles[`${name}${counter}`]) counter++;
+    return `${name}${counter}`;
+  }
+  
   /**
    * Evaluate semantic structure
+   * @param {string} candidateHTML - Candidate HTML
+   * @param {string} expectedHTML - Expected HTML
+   * @param {Object|string} roles - Challenge role map, 'auto' or 'product-card' (default: auto)
+   * @param {string|null} cacheKey - Solution hash from evaluationCache
    */
-  evaluateStructure(candidateHTML, expectedHTML) {
+  evaluateStructure(candidateHTML, expectedHTML, roles = null, cacheKey = null) {
     const candidateDOM = new JSDOM(candidateHTML);
-    const expectedDOM = new JSDOM(expectedHTML);
+    const { source, roles: roleMap } = this.resolveRoles(roles, expectedHTML, cacheKey);
     
     const results = {
+      roleSource: source,
       rolesFound: [],
       rolesMissing: [],
       rolesPartial: [],
@@ -165,23 +320,30 @@ class SemanticDOMEvaluator {
       score: 0
     };
     
+    // Each candidate element backs at most one role when there's an alternative
+    const claimed = new Set();
+    
     // Check each semantic role
-    for (const [roleName, roleConfig] of Object.entries(this.semanticRoles)) {
+    for (const [roleName, roleConfig] of Object.entries(roleMap)) {
       if (!roleConfig.required) continue; // Skip optional roles for scoring
       
       results.totalRoles++;
       
       const candidateElements = this.findRoleElements(candidateDOM, roleName, roleConfig);
-      const expectedElements = this.findRoleElements(expectedDOM, roleName, roleConfig);
       
       if (candidateElements.length > 0) {
-        const topMatch = candidateElements[0];
+        const bestScore = candidateElements[0].score;
+        const topMatch = candidateElements.find(match => match.score === bestScore && !claimed.has(match.element)) ||
+          candidateElements.find(match => !claimed.has(match.element)) ||
+          candidateElements[0];
+        claimed.add(topMatch.element);
         
         if (topMatch.score >= 4) {
           // Strong match
           results.foundRoles++;
           results.rolesFound.push({
             role: roleName,
+            label: roleConfig.label,
             confidence: 'high',
             element: {
               tag: topMatch.tag,
@@ -195,6 +357,7 @@ class SemanticDOMEvaluator {
           results.foundRoles += 0.5;
           results.rolesPartial.push({
             role: roleName,
+            label: roleConfig.label,
             confidence: 'medium',
             element: {
               tag: topMatch.tag,
@@ -203,19 +366,29 @@ class SemanticDOMEvaluator {
             },
             suggestion: this.getSuggestionForRole(roleName, roleConfig, topMatch)
           });
+        } else {
+          results.rolesMissing.push({
+            role: roleName,
+            label: roleConfig.label,
+            expected: this.getRoleDescription(roleName, roleConfig),
+            suggestion: this.getMissingSuggestion(roleName, roleConfig)
+          });
         }
       } else {
         // Missing
         results.rolesMissing.push({
           role: roleName,
+          label: roleConfig.label,
           expected: this.getRoleDescription(roleName, roleConfig),
           suggestion: this.getMissingSuggestion(roleName, roleConfig)
         });
       }
     }
     
-    // Calculate score
-    results.score = Math.round((results.foundRoles / results.totalRoles) * 100);
+    // Calculate score (nothing to check means nothing is missing)
+    results.score = results.totalRoles > 0
+      ? Math.round((results.foundRoles / results.totalRoles) * 100)
+      : 100;
     
     return results;
   }
@@ -241,7 +414,8 @@ class SemanticDOMEvaluator {
    * Get description of what's expected for a role
    */
   getRoleDescription(roleName, roleConfig) {
-    return `Element with tag ${roleConfig.tags.join('/')} and class matching ${roleConfig.classPatterns?.join('/')}`;
+    const classes = roleConfig.classPatterns?.length ? ` and class matching ${roleConfig.classPatterns.join('/')}` : '';
+    return `Element with tag ${roleConfig.tags.join('/')}${classes}`;
   }
 
   /**
@@ -276,19 +450,19 @@ class SemanticDOMEvaluator {
     // Categorize findings
     feedback.categories.matching = structureResult.rolesFound.map(role => ({
       icon: '✅',
-      message: `${this.humanizeRoleName(role.role)} detected successfully`,
+      message: `${role.label || this.humanizeRoleName(role.role)} detected successfully`,
       details: `Found as <${role.element.tag}>${role.element.classes ? ` with class "${role.element.classes}"` : ''}`
     }));
     
     feedback.categories.minorDifferences = structureResult.rolesPartial.map(role => ({
       icon: '⚠️',
-      message: `${this.humanizeRoleName(role.role)} partially matches`,
+      message: `${role.label || this.humanizeRoleName(role.role)} partially matches`,
       suggestion: role.suggestion
     }));
     
     feedback.categories.missing = structureResult.rolesMissing.map(role => ({
       icon: '❌',
-      message: `${this.humanizeRoleName(role.role)} not found`,
+      message: `${role.label || this.humanizeRoleName(role.role)} not found`,
       suggestion: role.suggestion
     }));
     
@@ -311,7 +485,7 @@ class SemanticDOMEvaluator {
     
     // Generate improvement suggestions
     if (structureResult.rolesMissing.length > 0) {
-      feedback.improvements.push(`Add missing elements: ${structureResult.rolesMissing.map(r => this.humanizeRoleName(r.role)).join(', ')}`);
+      feedback.improvements.push(`Add missing elements: ${structureResult.rolesMissing.map(r => r.label || this.humanizeRoleName(r.role)).join(', ')}`);
     }
     
     if (structureResult.rolesPartial.length > 0) {
@@ -0,0 +1,318 @@
+/**
+ * Similarity Service
+ * Compares submissions of the same challenge with each other to flag likely copying.
+ * HTML is read from its DOM tree and CSS from its css-tree AST, so formatting, comments and
+ * attribute order don't matter; class/id names and JS identifiers are replaced by placeholders
+ * so renaming them doesn't either. Token k-grams (fingerprints) are then compared pairwise.
+ * Fingerprints that also occur in the expected solution are ignored: two correct answers look
+ * alike by design, only what candidates wrote beyond the solution counts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const csstree = require('css-tree');
+const { isConnected } = require('../database/connection');
+const ChallengeModel = require('../models/Challenge');
+const SubmissionModel = require('../models/Submission');
+const CourseModel = require('../models/Course');
+
+const challengesPath = path.join(__dirname, '../data/challenges.json');
+const submissionsPath = path.join(__dirname, '../data/submissions.json');
+
+// Tokens per fingerprint
+const KGRAM = 5;
+
+// Parts with fewer own fingerprints than this (after removing the solution's) aren't compared
+const MIN_FINGERPRINTS = 8;
+
+// Pairs returned per scan, most similar first
+const MAX_PAIRS = 200;
+
+const JS_KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+]);
+
+// Browser globals keep their names (they say what the code does, not what the author called things)
+const JS_GLOBALS = new Set([
+  'document', 'window', 'console', 'Math', 'JSON', 'Array', 'Object', 'String', 'Number', 'Date',
+  'Promise', 'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'localStorage', 'fetch', 'event'
+]);
+
+const JS_TOKEN = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|`(?:\\[\s\S]|[^`\\])*`|"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\d+(?:\.\d+)?|[A-Za-z_$][\w$]*|[^\s\w]/g;
+
+class SimilarityService {
+  /**
+   * Normalized token streams of a submission
+   * @param {Object} code - { html, css, js }
+   * @returns {Object} - { html: [...], css: [...], js: [...] }
+   */
+  tokenize(code = {}) {
+    return {
+      html: this.tokenizeHTML(code.html || ''),
+      css: this.tokenizeCSS(code.css || ''),
+      js: this.tokenizeJS(code.js || '')
+    };
+  }
+
+  tokenizeHTML(html) {
+    const tokens = [];
+    if (!html.trim()) return tokens;
+
+    const { document } = new JSDOM(html).window;
+    const walk = (node) => {
+      for (const child of node.childNodes) {
+        if (child.nodeType === 3) {
+          const words = child.textContent.toLowerCase().split(/\s+/).filter(Boolean);
+          tokens.push(...words.map(word => `"${word}"`));
+        } else if (child.nodeType === 1) {
+          const tag = child.tagName.toLowerCase();
+          if (tag === 'script' || tag === 'style') continue;
+
+          const attributes = Array.from(child.attributes)
+            .map(attr => {
+              if (attr.name === 'class') return `class=${'.c'.repeat(child.classList.length)}`;
+              if (attr.name === 'id') return 'id=#i';
+              return `${attr.name}=${attr.value.trim().toLowerCase()}`;
+            })
+            .sort();
+          tokens.push(`<${tag}`, ...attributes, '>');
+          walk(child);
+          tokens.push(`</${tag}>`);
+        }
+      }
+    };
+    walk(document.body);
+    return tokens;
+  }
+
+  tokenizeCSS(css) {
+    const tokens = [];
+    if (!css.trim()) return tokens;
+
+    let ast;
+    try {
+      ast = csstree.parse(css, { parseValue: false, parseCustomProperty: false });
+    } catch (error) {
+      return css.replace(/\/\*[\s\S]*?\*\//g, '').split(/[\s{};:]+/).filter(Boolean);
+    }
+
+    csstree.walk(ast, {
+      enter(node) {
+        if (node.type === 'Atrule') {
+          tokens.push(`@${node.name}`);
+        } else if (node.type === 'Rule') {
+          // Selector with class and id names blanked out
+          const selector = csstree.clone(node.prelude);
+          csstree.walk(selector, {
+            enter(part) {
+              if (part.type === 'ClassSelector') part.name = 'c';
+              if (part.type === 'IdSelector') part.name = 'i';
+            }
+          });
+          tokens.push(csstree.generate(selector), '{');
+        } else if (node.type === 'Declaration') {
+          const value = csstree.generate(node.value).trim().toLowerCase().replace(/\s+/g, ' ');
+          tokens.push(`${node.property.toLowerCase()}:${value}${node.important ? '!' : ''}`);
+        }
+      },
+      leave(node) {
+        if (node.type === 'Rule') tokens.push('}');
+      }
+    });
+    return tokens;
+  }
+
+  tokenizeJS(js) {
+    const tokens = [];
+    let afterDot = false;
+
+    for (const [token] of js.matchAll(JS_TOKEN)) {
+      if (token.startsWith('//') || token.startsWith('/*')) continue;
+
+      if (/^["'`]/.test(token)) {
+        tokens.push('$str');
+      } else if (/^\d/.test(token)) {
+        tokens.push('$num');
+      } else if (/^[A-Za-z_$]/.test(token)) {
+        // Member names (.addEventListener, .textContent) are APIs; other identifiers are the author's
+        tokens.push(afterDot || JS_KEYWORDS.has(token) || JS_GLOBALS.has(token) ? token : '$id');
+      } else {
+        tokens.push(token);
+      }
+      afterDot = token === '.';
+    }
+    return tokens;
+  }
+
+  /**
+   * Token k-grams of each part
+   * @param {Object} tokens - tokenize() output
+   * @returns {Object} - { html: Set, css: Set, js: Set }
+   */
+  fingerprint(tokens) {
+    const grams = (list) => {
+      const set = new Set();
+      if (list.length > 0 && list.length < KGRAM) set.add(list.join(' '));
+      for (let i = 0; i + KGRAM <= list.length; i++) {
+        set.add(list.slice(i, i + KGRAM).join(' '));
+      }
+      return set;
+    };
+    return { html: grams(tokens.html), css: grams(tokens.css), js: grams(tokens.js) };
+  }
+
+  /**
+   * Similarity of two fingerprinted submissions
+   * @param {Object} base - Fingerprints of the expected solution (ignored in both)
+   * @returns {Object|null} - { similarity, parts: { html, css, js } } (percentages), null if nothing to compare
+   */
+  compare(a, b, base = null) {
+    const parts = {};
+    let totalShared = 0;
+    let totalUnion = 0;
+
+    for (const part of ['html', 'css', 'js']) {
+      const own = (set) => [...set].filter(gram => !base || !base[part].has(gram));
+      const left = own(a[part]);
+      const right = new Set(own(b[part]));
+
+      if (left.length < MIN_FINGERPRINTS || right.size < MIN_FINGERPRINTS) {
+        parts[part] = null;
+        continue;
+      }
+
+      const shared = left.filter(gram => right.has(gram)).length;
+      const union = left.length + right.size - shared;
+      parts[part] = Math.round((shared / union) * 100);
+
+      // Pooled over parts, so larger parts say more about copying than a few lines
+      totalShared += shared;
+      totalUnion += union;
+    }
+
+    if (totalUnion === 0) return null;
+    return { similarity: Math.round((totalShared / totalUnion) * 100), parts };
+  }
+
+  /**
+   * Find suspiciously similar submission pairs
+   * @param {Object} scope - { courseId, challengeId } (at least one)
+   * @param {Object} options - { threshold } (percent; defaults to the course setting)
+   * @returns {Object|null} - { threshold, challenges, submissions, pairs: [...] }, null if no challenge matches
+   */
+  async scan(scope, { threshold } = {}) {
+    const challenges = await this.findChallenges(scope);
+    if (challenges.length === 0) {
+      return null;
+    }
+
+    const thresholds = new Map();
+    const pairs = [];
+    let compared = 0;
+
+    for (const challenge of challenges) {
+      if (!thresholds.has(challenge.courseId)) {
+        const settings = await CourseModel.getSimilaritySettings(challenge.courseId);
+        thresholds.set(challenge.courseId, threshold !== undefined ? Number(threshold) : settings.threshold);
+      }
+      const minimum = thresholds.get(challenge.courseId);
+
+      const submissions = this.latestPerUser(await this.findSubmissions(challenge.id));
+      compared += submissions.length;
+      if (submissions.length < 2) continue;
+
+      const base = challenge.expectedSolution ? this.fingerprint(this.tokenize(challenge.expectedSolution)) : null;
+      const prints = submissions.map(submission => this.fingerprint(this.tokenize(submission.code)));
+
+      for (let i = 0; i < submissions.length; i++) {
+        for (let j = i + 1; j < submissions.length; j++) {
+          const result = this.compare(prints[i], prints[j], base);
+          if (!result || result.similarity < minimum) continue;
+
+          pairs.push({
+            challengeId: challenge.id,
+            challengeTitle: challenge.title || challenge.id,
+            courseId: challenge.courseId,
+            similarity: result.similarity,
+            parts: result.parts,
+            threshold: minimum,
+            first: this.describe(submissions[i]),
+            second: this.describe(submissions[j])
+          });
+        }
+      }
+    }
+
+    pairs.sort((x, y) => y.similarity - x.similarity);
+    console.log(`🕵️  Similarity scan: ${pairs.length} flagged pair(s) among ${compared} submission(s) in ${challenges.length} challenge(s)`);
+
+    return {
+      // One course scanned = one threshold; mixed scopes report it per pair
+      threshold: thresholds.size === 1 ? [...thresholds.values()][0] : null,
+      challenges: challenges.length,
+      submissions: compared,
+      total: pairs.length,
+      pairs: pairs.slice(0, MAX_PAIRS)
+    };
+  }
+
+  // A candidate's resubmissions shouldn't be flagged against each other; only their last one counts
+  latestPerUser(submissions) {
+    const latest = new Map();
+    for (const submission of submissions) {
+      if (!submission.code) continue;
+      const key = submission.userId || submission.id;
+      const current = latest.get(key);
+      if (!current || new Date(submission.submittedAt) > new Date(current.submittedAt)) {
+        latest.set(key, submission);
+      }
+    }
+    return [...latest.values()];
+  }
+
+  describe(submission) {
+    return {
+      submissionId: submission.id,
+      userId: submission.userId,
+      candidateName: submission.candidateName || null,
+      submittedAt: submission.submittedAt,
+      code: {
+        html: submission.code.html || '',
+        css: submission.code.css || '',
+        js: submission.code.js || ''
+      }
+    };
+  }
+
+  /**
+   * Challenges in scope - database first, then JSON fallback
+   */
+  async findChallenges({ courseId, challengeId } = {}) {
+    let challenges;
+    if (isConnected()) {
+      challenges = challengeId
+        ? [await ChallengeModel.findById(challengeId)].filter(Boolean)
+        : await ChallengeModel.findAll();
+    } else {
+      challenges = JSON.parse(fs.readFileSync(challengesPath, 'utf8'));
+    }
+
+    return challenges.filter(challenge =>
+      (!challengeId || challenge.id === challengeId) &&
+      (!courseId || challenge.courseId === courseId)
+    );
+  }
+
+  async findSubmissions(challengeId) {
+    if (isConnected()) {
+      return SubmissionModel.findByChallenge(challengeId);
+    }
+    return JSON.parse(fs.readFileSync(submissionsPath, 'utf8')).filter(s => s.challengeId === challengeId);
+  }
+}
+
+module.exports = new SimilarityService();
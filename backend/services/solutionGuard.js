@@ -0,0 +1,108 @@
+/**
+ * Solution Guard Service
+ * Keeps expected solutions out of candidate-facing responses (admins still get them) and
+ * fingerprints submissions so answers pasted from the solution are flagged to admins.
+ * Candidates see the expected output as a rendered image instead of its source.
+ */
+
+const crypto = require('crypto');
+const authTokens = require('./authTokens');
+
+// Challenge fields that give the answer away (JSON and database spellings)
+const SOLUTION_FIELDS = [
+  'expectedSolution', 'expectedHtml', 'expectedCss', 'expectedJs',
+  'expected_html', 'expected_css', 'expected_js', 'solution'
+];
+
+// Word 5-grams shared with the solution at or above this share flag a submission
+const SOLUTION_MATCH_THRESHOLD = 90;
+
+// Solutions shorter than this (in words) are too small to tell copying from a correct answer
+const MIN_SOLUTION_WORDS = 30;
+
+const KGRAM = 5;
+
+class SolutionGuard {
+  /**
+   * Challenge as candidates may see it
+   */
+  redact(challenge) {
+    if (!challenge) return challenge;
+
+    const visible = { ...challenge };
+    SOLUTION_FIELDS.forEach(field => delete visible[field]);
+    visible.solutionWithheld = true;
+    visible.expectedPreviewUrl = `/api/challenges/${challenge.id}/expected-preview`;
+    return visible;
+  }
+
+  /**
+   * Challenge (or list of challenges) for the requesting user: untouched for admins, redacted otherwise
+   */
+  forRequest(req, challenges) {
+    if (authTokens.isAdmin(req)) return challenges;
+    return Array.isArray(challenges) ? challenges.map(c => this.redact(c)) : this.redact(challenges);
+  }
+
+  /**
+   * Submission for the requesting user: candidates don't see whether they were flagged
+   */
+  submissionForRequest(req, submission) {
+    if (!submission || authTokens.isAdmin(req)) return submission;
+    const { solutionMatch, ...visible } = submission;
+    return visible;
+  }
+
+  /**
+   * Compare a submission with the expected solution
+   * Text is compared as written (names, comments and text included), ignoring only whitespace,
+   * so a correct answer written independently rarely comes close while a pasted one does.
+   * @returns {Object} - { fingerprint, verbatim, similarity, flagged, checkedAt }
+   */
+  match(code, expectedSolution) {
+    const candidate = this.words(code);
+    const expected = this.words(expectedSolution);
+    const fingerprint = this.fingerprint(candidate);
+    const verbatim = expected.length > 0 && fingerprint === this.fingerprint(expected);
+
+    let similarity = 0;
+    if (expected.length >= KGRAM && candidate.length >= KGRAM) {
+      const ours = this.grams(candidate);
+      const theirs = this.grams(expected);
+      const shared = [...ours].filter(gram => theirs.has(gram)).length;
+      similarity = Math.round((shared / (ours.size + theirs.size - shared)) * 100);
+    }
+
+    return {
+      fingerprint,
+      verbatim,
+      similarity,
+      flagged: expected.length >= MIN_SOLUTION_WORDS && (verbatim || similarity >= SOLUTION_MATCH_THRESHOLD),
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  // Whitespace-insensitive word stream of html, css and js
+  words(code = {}) {
+    return ['html', 'css', 'js']
+      .map(part => (code?.[part] || '').replace(/([<>{}()[\];,:="'])/g, ' $1 '))
+      .join(' \u0000 ')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  fingerprint(words) {
+    return crypto.createHash('sha256').update(words.join(' ')).digest('hex').slice(0, 16);
+  }
+
+  grams(words) {
+    const set = new Set();
+    for (let i = 0; i + KGRAM <= words.length; i++) {
+      set.add(words.slice(i, i + KGRAM).join(' '));
+    }
+    return set;
+  }
+}
+
+module.exports = new SolutionGuard();
+module.exports.SOLUTION_MATCH_THRESHOLD = SOLUTION_MATCH_THRESHOLD;
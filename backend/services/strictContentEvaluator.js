@@ -4,23 +4,46 @@
  */
 
 const { JSDOM } = require('jsdom');
+const evaluationCache = require('./evaluationCache');
+const cssCascade = require('./cssCascade');
+
+// Cap on styled elements turned into CSS requirements so huge pages stay fast
+const MAX_STYLED_ELEMENTS = 40;
+
+// Mismatches spelled out in the CSS requirement details
+const MAX_CSS_MISMATCHES = 5;
+
+// Weight of an author rule that doesn't set its own
+const DEFAULT_RULE_WEIGHT = 10;
+
+// How author rules combine with auto-derived requirements
+const RULE_MODES = ['append', 'replace'];
 
 class StrictContentEvaluator {
   
   /**
    * Evaluate with strict content checking
+   * @param {Object} options - { rules: author assertion rules, rulesMode: 'append' | 'replace', cacheKey: solution hash }
    */
-  async evaluate(candidateHTML, candidateCSS, expectedHTML, expectedCSS, challengeId) {
+  async evaluate(candidateHTML, candidateCSS, expectedHTML, expectedCSS, challengeId, options = {}) {
     try {
-      // Parse both DOMs
+      // Parse the candidate DOM; the expected one is only parsed when its requirements aren't cached
       const candidateDOM = new JSDOM(`<html><head><style>${candidateCSS}</style></head><body>${candidateHTML}</body></html>`);
-      const expectedDOM = new JSDOM(`<html><head><style>${expectedCSS}</style></head><body>${expectedHTML}</body></html>`);
-      
       const candidateDoc = candidateDOM.window.document;
-      const expectedDoc = expectedDOM.window.document;
       
-      // Extract specific requirements from expected solution
-      const requirements = this.extractRequirements(expectedDoc, expectedCSS, challengeId);
+      // Extract specific requirements from expected solution, plus any author-defined rules
+      const rules = Array.isArray(options.rules) ? options.rules : [];
+      const rulesMode = RULE_MODES.includes(options.rulesMode) ? options.rulesMode : 'append';
+      const derived = rulesMode === 'replace' && rules.length > 0
+        ? []
+        : evaluationCache.remember(options.cacheKey, `requirements:${challengeId}`, () => {
+          const expectedDOM = new JSDOM(`<html><head><style>${expectedCSS}</style></head><body>${expectedHTML}</body></html>`);
+          return this.extractRequirements(expectedDOM.window.document, expectedCSS, challengeId);
+        });
+      const requirements = [
+        ...derived,
+        ...this.buildRuleRequirements(rules)
+      ];
       
       // Check each requirement
       const results = this.checkRequirements(candidateDoc, candidateCSS, requirements);
@@ -94,8 +117,8 @@ class StrictContentEvaluator {
       });
     }
     
-    // Requirement 4: Specific CSS properties
-    const cssRequirements = this.extractCSSRequirements(expectedCSS);
+    // Requirement 4: Computed styles of the elements the expected CSS targets
+    const cssRequirements = this.extractCSSRequirements(expectedDoc, expectedCSS);
     if (cssRequirements.length > 0) {
       requirements.push({
         type: 'css_properties',
@@ -125,6 +148,13 @@ class StrictContentEvaluator {
   checkRequirements(candidateDoc, candidateCSS, requirements) {
     const results = [];
     
+    // Cascade is resolved once, and only if a rule needs it
+    let candidateStyles = null;
+    const stylesFor = (element) => {
+      if (!candidateStyles) candidateStyles = cssCascade.resolve(candidateDoc, candidateCSS);
+      return candidateStyles.computed(element);
+    };
+    
     for (const req of requirements) {
       let passed = false;
       let score = 0;
@@ -153,7 +183,7 @@ class StrictContentEvaluator {
           break;
           
         case 'css_properties':
-          const cssResult = this.checkCSSProperties(candidateCSS, req.required);
+          const cssResult = this.checkCSSProperties(candidateDoc, candidateCSS, req.required);
           passed = cssResult.score >= 0.5;
           score = cssResult.score;
           details = cssResult.details;
@@ -165,6 +195,13 @@ class StrictContentEvaluator {
           score = classResult.score;
           details = classResult.details;
           break;
+          
+        case 'rule':
+          const ruleResult = this.checkRule(candidateDoc, req.required, stylesFor);
+          passed = ruleResult.score === 1; // Author rules are all-or-nothing to pass
+          score = ruleResult.score;
+          details = ruleResult.details;
+          break;
       }
       
       results.push({
@@ -264,23 +301,179 @@ class StrictContentEvaluator {
   
   /**
    * Check CSS properties
+   * Resolves the candidate's cascade and compares computed values on the matching elements,
+   * so `margin: 0` vs `margin: 0px`, shorthand vs longhand or a different selector all count
    */
-  checkCSSProperties(candidateCSS, requiredProps) {
-    const lowerCSS = candidateCSS.toLowerCase();
+  checkCSSProperties(candidateDoc, candidateCSS, requiredStyles) {
+    const { computed } = cssCascade.resolve(candidateDoc, candidateCSS);
+    const mismatches = [];
+    let total = 0;
     let matchCount = 0;
     
-    for (const prop of requiredProps) {
-      if (lowerCSS.includes(prop.toLowerCase())) {
-        matchCount++;
+    for (const req of requiredStyles) {
+      const element = this.locateElement(candidateDoc, req.locators);
+      const styles = element ? computed(element) : {};
+      
+      for (const [property, expected] of Object.entries(req.properties)) {
+        total++;
+        if (styles[property] === expected) {
+          matchCount++;
+        } else if (!element) {
+          mismatches.push(`${req.label} ${property}: element not found (expected ${expected})`);
+        } else {
+          mismatches.push(`${req.label} ${property}: ${styles[property] || 'not set'} (expected ${expected})`);
+        }
       }
     }
     
+    let details = `Matched ${matchCount}/${total} computed styles`;
+    if (mismatches.length > 0) {
+      const more = mismatches.length > MAX_CSS_MISMATCHES ? ` (+${mismatches.length - MAX_CSS_MISMATCHES} more)` : '';
+      details += ` - ${mismatches.slice(0, MAX_CSS_MISMATCHES).join('; ')}${more}`;
+    }
+    
     return {
-      score: requiredProps.length > 0 ? matchCount / requiredProps.length : 1,
-      details: `Found ${matchCount}/${requiredProps.length} required CSS properties`
+      score: total > 0 ? matchCount / total : 1,
+      details,
+      mismatches
     };
   }
   
+  /**
+   * Turn author rules into requirements, one per rule
+   * Rule: { selector, count | min | max, text, attribute, style, every, message, weight }
+   */
+  buildRuleRequirements(rules) {
+    return rules
+      .filter(rule => rule && typeof rule.selector === 'string' && rule.selector.trim())
+      .map(rule => ({
+        type: 'rule',
+        description: rule.message || this.describeRule(rule),
+        required: rule,
+        weight: Number(rule.weight) > 0 ? Number(rule.weight) : DEFAULT_RULE_WEIGHT
+      }));
+  }
+  
+  /**
+   * Check one author rule
+   * Count applies to all matches; text/attribute/style must hold for every match
+   * (or for at least one when `every: false`)
+   */
+  checkRule(candidateDoc, rule, stylesFor) {
+    let elements;
+    try {
+      elements = Array.from(candidateDoc.querySelectorAll(rule.selector));
+    } catch (error) {
+      return { score: 0, details: `Invalid selector "${rule.selector}"` };
+    }
+    
+    const checks = [];
+    const count = elements.length;
+    
+    if (rule.count !== undefined || rule.min !== undefined || rule.max !== undefined) {
+      const min = rule.count !== undefined ? Number(rule.count) : (rule.min !== undefined ? Number(rule.min) : 0);
+      const max = rule.count !== undefined ? Number(rule.count) : (rule.max !== undefined ? Number(rule.max) : Infinity);
+      checks.push({
+        passed: count >= min && count <= max,
+        message: `found ${count} ${rule.selector} (expected ${this.describeCount(rule)})`
+      });
+    } else if (count === 0) {
+      // Without a count, a rule at least needs something to check
+      checks.push({ passed: false, message: `no element matches ${rule.selector}` });
+    }
+    
+    const every = rule.every !== false;
+    const holds = (test) => count > 0 && (every ? elements.every(test) : elements.some(test));
+    
+    if (rule.text !== undefined && count > 0) {
+      const pattern = this.patternFor(rule.text);
+      const textOf = (el) => el.textContent.replace(/\s+/g, ' ').trim();
+      const failing = elements.find(el => !pattern.test(textOf(el)));
+      checks.push({
+        passed: holds(el => pattern.test(textOf(el))),
+        message: `text should match ${rule.text}${failing ? ` (got "${textOf(failing).slice(0, 60)}")` : ''}`
+      });
+    }
+    
+    if (rule.attribute !== undefined && count > 0) {
+      const attribute = typeof rule.attribute === 'string' ? { name: rule.attribute } : rule.attribute;
+      const pattern = attribute.value !== undefined ? this.patternFor(attribute.value, true) : null;
+      const satisfies = (el) => {
+        const value = el.getAttribute(attribute.name);
+        if (value === null) return false;
+        return pattern ? pattern.test(value) : value.trim() !== '';
+      };
+      checks.push({
+        passed: holds(satisfies),
+        message: pattern
+          ? `[${attribute.name}] should match ${attribute.value}`
+          : `[${attribute.name}] should be present and non-empty`
+      });
+    }
+    
+    if (rule.style && typeof rule.style === 'object' && count > 0) {
+      Object.entries(rule.style).forEach(([property, value]) => {
+        const name = property.toLowerCase();
+        const expected = cssCascade.normalizeValue(name, String(value));
+        const failing = elements.find(el => stylesFor(el)[name] !== expected);
+        checks.push({
+          passed: holds(el => stylesFor(el)[name] === expected),
+          message: `${name} should be ${expected}${failing ? ` (got ${stylesFor(failing)[name] || 'not set'})` : ''}`
+        });
+      });
+    }
+    
+    const passedChecks = checks.filter(check => check.passed).length;
+    const failedChecks = checks.filter(check => !check.passed);
+    
+    return {
+      score: checks.length > 0 ? passedChecks / checks.length : 1,
+      details: failedChecks.length === 0
+        ? `Rule satisfied (${count} matching element${count === 1 ? '' : 's'})`
+        : failedChecks.map(check => check.message).join('; ')
+    };
+  }
+  
+  describeRule(rule) {
+    const parts = [];
+    if (rule.count !== undefined || rule.min !== undefined || rule.max !== undefined) {
+      parts.push(`${this.describeCount(rule)} × ${rule.selector}`);
+    } else {
+      parts.push(rule.selector);
+    }
+    if (rule.text !== undefined) parts.push(`text ${rule.text}`);
+    if (rule.attribute !== undefined) {
+      parts.push(typeof rule.attribute === 'string' ? `[${rule.attribute}]` : `[${rule.attribute.name}]`);
+    }
+    if (rule.style) parts.push(Object.keys(rule.style).join(', '));
+    return `Rule: ${parts.join(' · ')}`;
+  }
+  
+  describeCount(rule) {
+    if (rule.count !== undefined) return `exactly ${rule.count}`;
+    if (rule.min !== undefined && rule.max !== undefined) return `${rule.min}-${rule.max}`;
+    if (rule.min !== undefined) return `at least ${rule.min}`;
+    return `at most ${rule.max}`;
+  }
+  
+  /**
+   * "/source/flags" is a regex; anything else matches literally
+   * (substring and case-insensitive for text, whole value for attributes)
+   */
+  patternFor(value, whole = false) {
+    const text = String(value);
+    const literal = text.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (literal) {
+      try {
+        return new RegExp(literal[1], literal[2].replace('g', ''));
+      } catch (error) {
+        // Not a valid regex - fall through to a literal match
+      }
+    }
+    const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(whole ? `^${escaped}$` : escaped, 'i');
+  }
+  
   /**
    * Check class names
    */
@@ -393,20 +586,76 @@ class StrictContentEvaluator {
     return Array.from(classes);
   }
   
-  extractCSSRequirements(css) {
-    const important = [
-      'border-radius', 'box-shadow', 'background', 'width', 'height',
-      'padding', 'margin', 'display', 'flex', 'grid', 'color', 'font'
-    ];
+  /**
+   * Styles the expected CSS actually applies, per element
+   * @returns {Array} - [{ label, locators: [{ selector, index }], properties: { prop: value } }]
+   */
+  extractCSSRequirements(expectedDoc, css) {
+    const { declared } = cssCascade.resolve(expectedDoc, css);
+    const requirements = [];
     
-    const found = [];
-    for (const prop of important) {
-      if (css.toLowerCase().includes(prop)) {
-        found.push(prop);
+    for (const element of expectedDoc.body.querySelectorAll('*')) {
+      if (requirements.length >= MAX_STYLED_ELEMENTS) break;
+      
+      const properties = declared.get(element);
+      if (!properties || Object.keys(properties).length === 0) continue;
+      
+      const ownSelector = this.selectorFor(element);
+      requirements.push({
+        label: ownSelector,
+        locators: [
+          { selector: ownSelector, index: this.indexOf(expectedDoc, ownSelector, element) },
+          { selector: this.pathFor(element), index: 0 }
+        ],
+        properties
+      });
+    }
+    
+    return requirements;
+  }
+  
+  /**
+   * First locator that finds an element in the candidate document
+   */
+  locateElement(doc, locators = []) {
+    for (const { selector, index } of locators) {
+      try {
+        const element = doc.querySelectorAll(selector)[index];
+        if (element) return element;
+      } catch (error) {
+        // Selector not supported by jsdom - try the next locator
       }
     }
+    return null;
+  }
+  
+  selectorFor(element) {
+    if (element.id) return `#${element.id}`;
+    const classes = Array.from(element.classList).map(cls => `.${cls}`).join('');
+    return `${element.tagName.toLowerCase()}${classes}`;
+  }
+  
+  indexOf(doc, selector, element) {
+    try {
+      return Math.max(0, Array.from(doc.querySelectorAll(selector)).indexOf(element));
+    } catch (error) {
+      return 0;
+    }
+  }
+  
+  // Structural fallback: body > div:nth-of-type(2) > p:nth-of-type(1)
+  pathFor(element) {
+    const parts = [];
+    let current = element;
+    
+    while (current && current.tagName && current.tagName !== 'BODY') {
+      const tag = current.tagName.toLowerCase();
+      const sameTag = Array.from(current.parentElement.children).filter(el => el.tagName === current.tagName);
+      parts.unshift(`${tag}:nth-of-type(${sameTag.indexOf(current) + 1})`);
+      current = current.parentElement;
+    }
     
-    return found;
+    return ['body', ...parts].join(' > ');
   }
   
   similarText(str1, str2) {
@@ -0,0 +1,299 @@
+/**
+ * Unit Test Evaluator Service
+ * Calls functions from the candidate's script inside the sandboxed page and checks what they
+ * return, or the DOM they leave behind, against the test case or the expected solution
+ */
+
+const pixelMatch = require('./pixelMatch');
+const behaviorEvaluator = require('./behaviorEvaluator');
+
+// Time a returned promise may take to settle
+const CALL_TIMEOUT = 2000;
+
+// A function reachable from the page's global scope, e.g. "validateEmail" or "cart.total"
+const CALL_PATH = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+class UnitTestEvaluator {
+  /**
+   * Run all unit tests declared for a challenge
+   * @param {Object} candidateCode - { html, css, js }
+   * @param {Object} expectedCode - { html, css, js }
+   * @param {Array} tests - [{ name, call, args, expected, tolerance, steps: [...], dom: [...] }]
+   * @returns {Object} - Logic result with score and per-test feedback
+   */
+  async evaluate(candidateCode, expectedCode, tests = []) {
+    const result = {
+      score: 0,
+      configured: tests.length > 0,
+      totalTests: 0,
+      passedTests: 0,
+      tests: [],
+      feedback: []
+    };
+
+    if (tests.length === 0) {
+      return result;
+    }
+
+    try {
+      const browser = await pixelMatch.initBrowser();
+
+      for (const [index, test] of tests.entries()) {
+        const name = test.name || (test.call ? this.describeCall(test) : `Test case ${index + 1}`);
+
+        // The expected solution only runs when the test leaves a value to take from it
+        const needsReference = (test.call && test.expected === undefined) ||
+          (test.dom || []).some(assertion => assertion.expected === undefined);
+        const referenceRun = needsReference ? await this.runTest(browser, expectedCode, test) : null;
+        const candidateRun = await this.runTest(browser, candidateCode, test);
+
+        const testResult = this.checkTest(name, test, candidateRun, referenceRun);
+        if (!testResult.skipped) {
+          result.totalTests++;
+          if (testResult.passed) {
+            result.passedTests++;
+          }
+        }
+
+        result.tests.push(testResult);
+        result.feedback.push(...this.describeTest(testResult));
+      }
+    } catch (error) {
+      // No browser: the logic dimension scores 0 while the rest of the submission is still graded
+      console.error('Unit test evaluation error:', error);
+      return {
+        ...result,
+        score: 0,
+        error: error.message,
+        feedback: [...result.feedback, `⚠️ Unit tests could not be run: ${error.message}`]
+      };
+    }
+
+    result.score = result.totalTests > 0
+      ? Math.round((result.passedTests / result.totalTests) * 100)
+      : 0;
+
+    return result;
+  }
+
+  /**
+   * Render a page, replay any setup steps, call the function and observe the DOM
+   * @param {Browser} browser - Puppeteer browser instance
+   * @param {Object} code - { html, css, js }
+   * @param {Object} test - Test definition
+   * @returns {Object} - { call, observations, error }
+   */
+  async runTest(browser, code, test) {
+    const steps = test.steps || [];
+    const budget = pixelMatch.RENDER_TIMEOUT + steps.length * behaviorEvaluator.STEP_TIMEOUT + CALL_TIMEOUT;
+
+    try {
+      return await pixelMatch.withSandboxedPage(browser, pixelMatch.createFullPage(code, { globalScope: true }), { width: 1280, height: 720 }, async (page) => {
+        for (const [index, step] of steps.entries()) {
+          try {
+            await behaviorEvaluator.runStep(page, step);
+          } catch (stepError) {
+            return {
+              call: null,
+              observations: [],
+              error: `Step ${index + 1} (${behaviorEvaluator.describeStep(step)}) failed: ${stepError.message}`
+            };
+          }
+        }
+
+        let call = null;
+        if (test.call) {
+          call = await this.call(page, test);
+          // Let DOM updates scheduled by the function land before observing
+          await page.waitForTimeout(test.settle ?? 100);
+        }
+
+        const observations = [];
+        for (const assertion of test.dom || []) {
+          observations.push(await behaviorEvaluator.observe(page, assertion));
+        }
+
+        return { call, observations, error: null };
+      }, { budget });
+    } catch (pageError) {
+      return { call: null, observations: [], error: pageError.message };
+    }
+  }
+
+  /**
+   * Call the test's function in the page
+   * @returns {Object} - { kind, value } for a return value, { threw } or { error }
+   */
+  async call(page, test) {
+    if (!CALL_PATH.test(test.call)) {
+      return { error: `"${test.call}" is not a function name` };
+    }
+
+    return page.evaluate(async ({ path, args, timeout }) => {
+      const [root, ...members] = path.split('.');
+      let owner = null;
+      let fn;
+      try {
+        // Indirect eval also sees top-level const/let/class declarations, not only window properties
+        fn = (0, eval)(root);
+        for (const member of members) {
+          owner = fn;
+          fn = fn == null ? undefined : fn[member];
+        }
+      } catch (error) {
+        return { error: `${root} is not defined (declare it at the top level of your script)` };
+      }
+
+      if (typeof fn !== 'function') {
+        return { error: `${path} is not a function` };
+      }
+
+      // Values JSON can't carry come back as their kind so they can still be compared
+      const describe = (value) => {
+        if (value === undefined) return { kind: 'undefined', value: null };
+        if (typeof value === 'number' && !Number.isFinite(value)) return { kind: String(value), value: null };
+        if (typeof value === 'function') return { kind: 'function', value: null };
+        if (value instanceof Node) return { kind: 'element', value: null };
+        return { kind: 'value', value: JSON.parse(JSON.stringify(value)) };
+      };
+
+      try {
+        const returned = await Promise.race([
+          Promise.resolve(fn.apply(owner, args)),
+          new Promise((resolve, reject) => setTimeout(
+            () => reject(new Error(`returned a promise that did not settle within ${timeout / 1000}s`)),
+            timeout
+          ))
+        ]);
+        return describe(returned);
+      } catch (error) {
+        return { threw: error instanceof Error ? `${error.name}: ${error.message}` : String(error) };
+      }
+    }, { path: test.call, args: Array.isArray(test.args) ? test.args : [], timeout: CALL_TIMEOUT });
+  }
+
+  /**
+   * Check the return value and DOM assertions of one test
+   */
+  checkTest(name, test, candidateRun, referenceRun) {
+    const testResult = {
+      name,
+      call: test.call ? this.describeCall(test) : null,
+      passed: true,
+      skipped: false,
+      error: candidateRun.error,
+      assertions: []
+    };
+
+    if (test.call) {
+      testResult.assertions.push(this.checkReturn(test, candidateRun.call, referenceRun?.call));
+    }
+
+    (test.dom || []).forEach((assertion, index) => {
+      testResult.assertions.push(behaviorEvaluator.checkAssertion(
+        assertion,
+        candidateRun.observations[index],
+        referenceRun?.observations[index]
+      ));
+    });
+
+    const counted = testResult.assertions.filter(check => !check.skipped);
+    testResult.skipped = !candidateRun.error && counted.length === 0;
+    testResult.passed = !testResult.skipped && !candidateRun.error && counted.every(check => check.passed);
+
+    return testResult;
+  }
+
+  /**
+   * Compare what the candidate's function returned with the test's expected value,
+   * falling back to what the expected solution returned
+   */
+  checkReturn(test, actual, reference) {
+    const description = `${this.describeCall(test)} returns`;
+    const hasExplicit = test.expected !== undefined;
+
+    if (!hasExplicit && !(reference && reference.kind)) {
+      return { description, skipped: true, message: 'Skipped: expected solution did not return a value' };
+    }
+
+    const expected = hasExplicit ? { kind: 'value', value: test.expected } : reference;
+
+    if (!actual) {
+      return { description, passed: false, expected: this.formatValue(expected), actual: null, message: `${description}: function was not called` };
+    }
+    if (actual.error || actual.threw) {
+      return {
+        description,
+        passed: false,
+        expected: this.formatValue(expected),
+        actual: null,
+        message: actual.error || `${this.describeCall(test)} threw ${actual.threw}`
+      };
+    }
+
+    const passed = actual.kind === expected.kind &&
+      (actual.kind !== 'value' || this.valuesEqual(actual.value, expected.value, Number(test.tolerance) || 0));
+
+    return {
+      description,
+      passed,
+      expected: this.formatValue(expected),
+      actual: this.formatValue(actual),
+      message: passed
+        ? `${description} ${this.formatValue(expected)} ✓`
+        : `${description}: expected ${this.formatValue(expected)}, got ${this.formatValue(actual)}`
+    };
+  }
+
+  /**
+   * Deep equality for JSON values; numbers may differ by the tolerance
+   */
+  valuesEqual(actual, expected, tolerance = 0) {
+    if (typeof actual === 'number' && typeof expected === 'number') {
+      return Math.abs(actual - expected) <= tolerance;
+    }
+
+    if (Array.isArray(actual) || Array.isArray(expected)) {
+      return Array.isArray(actual) && Array.isArray(expected) &&
+        actual.length === expected.length &&
+        actual.every((item, index) => this.valuesEqual(item, expected[index], tolerance));
+    }
+
+    if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+      const keys = Object.keys(expected);
+      return Object.keys(actual).length === keys.length &&
+        keys.every(key => key in actual && this.valuesEqual(actual[key], expected[key], tolerance));
+    }
+
+    return actual === expected;
+  }
+
+  formatValue(result) {
+    return result.kind === 'value' ? JSON.stringify(result.value) : result.kind;
+  }
+
+  describeCall(test) {
+    const args = (Array.isArray(test.args) ? test.args : []).map(arg => JSON.stringify(arg)).join(', ');
+    return `${test.call}(${args.length > 60 ? `${args.slice(0, 57)}...` : args})`;
+  }
+
+  /**
+   * Human-friendly feedback lines for one test
+   */
+  describeTest(testResult) {
+    const lines = [];
+    lines.push(`${testResult.skipped ? '⏭️' : testResult.passed ? '✅' : '❌'} ${testResult.name}`);
+
+    if (testResult.error) {
+      lines.push(`   ${testResult.error}`);
+    }
+
+    testResult.assertions
+      .filter(a => !a.passed)
+      .forEach(a => lines.push(`   ${a.skipped ? '⏭️' : '✗'} ${a.message}`));
+
+    return lines;
+  }
+}
+
+module.exports = new UnitTestEvaluator();
@@ -13,6 +13,7 @@ import LevelChallengeNew from "./pages/LevelChallengeNew";
 import LevelChallengeOld from "./pages/LevelChallengeOld";
 import LevelChallengeTest from "./pages/LevelChallengeTest";
 import LevelResults from "./pages/LevelResults";
+import ExamLobby from "./pages/ExamLobby";
 import TestResultsPage from "./pages/TestResultsPage";
 import CandidateDashboard from "./pages/CandidateDashboard";
 import ChallengeView from "./pages/ChallengeView";
@@ -101,6 +102,14 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/exam/:courseId/:level"
+            element={
+              <ProtectedRoute>
+                <ExamLobby />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/level-results/:courseId/:level"
             element={
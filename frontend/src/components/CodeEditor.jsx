@@ -1,8 +1,13 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import Editor from '@monaco-editor/react';
 
-export default function CodeEditor({ code, onChange }) {
+// Owner id for the quality markers, so they don't clash with Monaco's own diagnostics
+const MARKER_OWNER = 'code-quality';
+
+export default function CodeEditor({ code, onChange, markers = [] }) {
   const [activeTab, setActiveTab] = useState('html');
+  const editorRef = useRef(null);
+  const monacoRef = useRef(null);
 
   const tabs = [
     { id: 'html', label: 'HTML', language: 'html' },
@@ -14,6 +19,35 @@ export default function CodeEditor({ code, onChange }) {
     onChange({ ...code, [activeTab]: value || '' });
   };
 
+  const handleEditorMount = (editor, monaco) => {
+    editorRef.current = editor;
+    monacoRef.current = monaco;
+    applyMarkers();
+  };
+
+  // Underline quality findings ({ language, line, column, endLine, endColumn, severity, message }) in the active tab
+  const applyMarkers = () => {
+    const editor = editorRef.current;
+    const monaco = monacoRef.current;
+    const model = editor?.getModel();
+    if (!model || !monaco) return;
+
+    monaco.editor.setModelMarkers(model, MARKER_OWNER, (markers || [])
+      .filter(marker => marker.language === activeTab)
+      .map(marker => ({
+        startLineNumber: marker.line,
+        startColumn: marker.column,
+        endLineNumber: marker.endLine || marker.line,
+        endColumn: marker.endColumn || marker.column + 1,
+        message: marker.rule ? `${marker.message} (${marker.rule})` : marker.message,
+        severity: marker.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning
+      })));
+  };
+
+  useEffect(() => {
+    applyMarkers();
+  }, [markers, activeTab]);
+
   return (
     <div className="flex flex-col h-full">
       {/* Tabs */}
@@ -40,6 +74,7 @@ export default function CodeEditor({ code, onChange }) {
           language={tabs.find(t => t.id === activeTab)?.language}
           value={code[activeTab]}
           onChange={handleEditorChange}
+          onMount={handleEditorMount}
           theme="vs-dark"
           options={{
             minimap: { enabled: false },
@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import Editor from '@monaco-editor/react';
+import { getSessionSnapshots } from '../services/api';
+
+const CODE_TABS = [
+  { id: 'html', label: 'HTML', language: 'html' },
+  { id: 'css', label: 'CSS', language: 'css' },
+  { id: 'js', label: 'JavaScript', language: 'javascript' }
+];
+
+const SPEEDS = [
+  { label: '1×', interval: 1000 },
+  { label: '2×', interval: 500 },
+  { label: '4×', interval: 250 }
+];
+
+const formatClock = (at) => new Date(at).toLocaleTimeString('en-US', {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+const formatOffset = (at, from) => {
+  const seconds = Math.max(0, Math.round((new Date(at) - new Date(from)) / 1000));
+  return `+${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// The candidate's code runs without access to the dashboard: no same-origin, so no admin token
+const previewDocument = (code) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<style>* { margin: 0; padding: 0; box-sizing: border-box; } ${code.css}</style>
+</head>
+<body>
+${code.html}
+<script>try { ${code.js} } catch (error) { console.error('JavaScript Error:', error); }</script>
+</body>
+</html>`;
+
+/**
+ * Step through the code snapshots of a test session: editor contents and live preview
+ * at each moment, with large jumps in code size marked on the scrubber
+ */
+export default function CodeReplayModal({ session, onClose }) {
+  const [snapshots, setSnapshots] = useState(null);
+  const [largeChangeChars, setLargeChangeChars] = useState(null);
+  const [challengeId, setChallengeId] = useState('');
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[0].interval);
+  const [codeTab, setCodeTab] = useState('html');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getSessionSnapshots(session.session_id)
+      .then(res => {
+        setSnapshots(res.data.snapshots);
+        setLargeChangeChars(res.data.largeChangeChars);
+        setChallengeId(res.data.snapshots[0]?.challengeId || '');
+      })
+      .catch(err => setError(err.response?.data?.error || 'Failed to load code snapshots'));
+  }, [session.session_id]);
+
+  const challengeIds = [...new Set((snapshots || []).map(snapshot => snapshot.challengeId))];
+  const frames = (snapshots || []).filter(snapshot => snapshot.challengeId === challengeId);
+  const frame = frames[Math.min(index, frames.length - 1)];
+
+  useEffect(() => {
+    setIndex(0);
+    setPlaying(false);
+  }, [challengeId]);
+
+  useEffect(() => {
+    if (!playing) return;
+    if (index >= frames.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setIndex(index + 1), speed);
+    return () => clearTimeout(timer);
+  }, [playing, index, speed, frames.length]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-7xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+          <h2 className="text-2xl font-bold text-gray-900">▶️ Editing Replay — {session.user.name}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!error && !snapshots && <p className="text-sm text-gray-500">Loading snapshots...</p>}
+          {snapshots && snapshots.length === 0 && (
+            <p className="text-sm text-gray-500">No code snapshots were recorded for this session.</p>
+          )}
+
+          {frame && (
+            <>
+              <div className="flex flex-wrap items-center gap-3">
+                <select
+                  value={challengeId}
+                  onChange={(e) => setChallengeId(e.target.value)}
+                  className="px-3 py-2 border rounded-lg text-sm"
+                >
+                  {challengeIds.map(id => (
+                    <option key={id} value={id}>{id}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setIndex(Math.max(0, index - 1))}
+                  disabled={index === 0}
+                  className="px-3 py-2 bg-gray-100 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+                >
+                  ⏮
+                </button>
+                <button
+                  onClick={() => {
+                    if (index >= frames.length - 1) setIndex(0);
+                    setPlaying(!playing);
+                  }}
+                  className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700"
+                >
+                  {playing ? '⏸ Pause' : '▶ Play'}
+                </button>
+                <button
+                  onClick={() => setIndex(Math.min(frames.length - 1, index + 1))}
+                  disabled={index >= frames.length - 1}
+                  className="px-3 py-2 bg-gray-100 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+                >
+                  ⏭
+                </button>
+                <select
+                  value={speed}
+                  onChange={(e) => setSpeed(Number(e.target.value))}
+                  className="px-2 py-2 border rounded-lg text-sm"
+                >
+                  {SPEEDS.map(option => (
+                    <option key={option.interval} value={option.interval}>{option.label}</option>
+                  ))}
+                </select>
+                <span className="text-sm text-gray-600 font-mono">
+                  {formatClock(frame.takenAt)} ({formatOffset(frame.takenAt, frames[0].takenAt)}) · snapshot {index + 1}/{frames.length}
+                </span>
+                <span className={`text-sm ${frame.largeChange ? 'px-2 py-1 rounded bg-rose-100 text-rose-700 font-semibold' : 'text-gray-500'}`}>
+                  {frame.largeChange && '⚠️ '}{frame.charsDelta >= 0 ? '+' : ''}{frame.charsDelta} chars
+                </span>
+              </div>
+
+              <div className="relative pt-4">
+                {/* Snapshots where the code grew by at least largeChangeChars at once */}
+                {frames.map((snapshot, i) => snapshot.largeChange && (
+                  <button
+                    key={snapshot.id}
+                    onClick={() => { setPlaying(false); setIndex(i); }}
+                    title={`+${snapshot.charsDelta} chars at ${formatClock(snapshot.takenAt)}`}
+                    className="absolute top-0 -ml-1 w-2 h-3 bg-rose-500 rounded-sm"
+                    style={{ left: `${frames.length > 1 ? (i / (frames.length - 1)) * 100 : 0}%` }}
+                  />
+                ))}
+                <input
+                  type="range"
+                  min="0"
+                  max={frames.length - 1}
+                  value={Math.min(index, frames.length - 1)}
+                  onChange={(e) => { setPlaying(false); setIndex(Number(e.target.value)); }}
+                  className="w-full"
+                />
+              </div>
+              {largeChangeChars && frames.some(snapshot => snapshot.largeChange) && (
+                <p className="text-xs text-gray-500">
+                  Red marks: the code grew by {largeChangeChars}+ characters between two snapshots.
+                </p>
+              )}
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                <div className="border rounded-lg overflow-hidden">
+                  <div className="flex border-b bg-gray-50">
+                    {CODE_TABS.map(tab => (
+                      <button
+                        key={tab.id}
+                        onClick={() => setCodeTab(tab.id)}
+                        className={`px-4 py-2 text-sm ${codeTab === tab.id ? 'bg-white font-semibold border-b-2 border-indigo-600' : 'text-gray-600'}`}
+                      >
+                        {tab.label}
+                      </button>
+                    ))}
+                  </div>
+                  <Editor
+                    height="420px"
+                    language={CODE_TABS.find(tab => tab.id === codeTab).language}
+                    value={frame.code[codeTab]}
+                    theme="vs-dark"
+                    options={{ readOnly: true, minimap: { enabled: false }, fontSize: 13, wordWrap: 'on' }}
+                  />
+                </div>
+                <iframe
+                  title="Replay preview"
+                  sandbox="allow-scripts"
+                  srcDoc={previewDocument(frame.code)}
+                  className="w-full border rounded-lg bg-white"
+                  style={{ height: '462px' }}
+                />
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,401 @@
+import { useState, useEffect } from 'react';
+import {
+  getCourseSchedule,
+  updateCourseSchedule,
+  getExamInvites,
+  createExamInvites,
+  revokeExamInvite,
+} from '../services/api';
+
+// Unambiguous characters for generated access codes (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const generateAccessCode = (length = 8) => {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+// <input type="datetime-local"> works in local time without a zone; the schedule is stored as ISO
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : '');
+
+const inviteLink = (courseId, level, token) =>
+  `${window.location.origin}/exam/${courseId}/${level}?invite=${encodeURIComponent(token)}`;
+
+/**
+ * Admin editor for a course's exam schedule (window, late-start cutoff, time allowance, entry
+ * requirement, per-level overrides) and its one-time invites
+ */
+export default function ExamScheduleModal({ courseId, levels, onClose }) {
+  const [schedule, setSchedule] = useState(null);
+  const [invites, setInvites] = useState([]);
+  const [createdInvites, setCreatedInvites] = useState([]); // just created, with their tokens
+  const [inviteForm, setInviteForm] = useState({ labels: '', level: levels[0], timeAllowance: '' });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getCourseSchedule(courseId)
+      .then(res => setSchedule({ levels: {}, ...res.data }))
+      .catch(err => setError(err.response?.data?.error || 'Failed to load the exam schedule'));
+    loadInvites();
+  }, [courseId]);
+
+  const loadInvites = async () => {
+    try {
+      const response = await getExamInvites(courseId);
+      setInvites(response.data);
+    } catch (err) {
+      console.error('Failed to load invites:', err);
+    }
+  };
+
+  const setLevelOverride = (level, override) => {
+    const overrides = { ...schedule.levels };
+    if (override) {
+      overrides[level] = override;
+    } else {
+      delete overrides[level];
+    }
+    setSchedule({ ...schedule, levels: overrides });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await updateCourseSchedule(courseId, schedule);
+      setSchedule({ levels: {}, ...response.data.schedule });
+      alert('Exam schedule saved successfully.');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save the exam schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateInvites = async () => {
+    const labels = inviteForm.labels.split('\n').map(label => label.trim()).filter(Boolean);
+    try {
+      const response = await createExamInvites(courseId, {
+        labels,
+        count: labels.length === 0 ? 1 : undefined,
+        level: inviteForm.level,
+        timeAllowance: inviteForm.timeAllowance || null
+      });
+      setCreatedInvites(response.data.invites);
+      setInviteForm({ ...inviteForm, labels: '' });
+      loadInvites();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to create invites');
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!confirm(`Revoke the invite${invite.label ? ` for ${invite.label}` : ''}?`)) return;
+    try {
+      await revokeExamInvite(courseId, invite.id);
+      setCreatedInvites(createdInvites.filter(created => created.id !== invite.id));
+      loadInvites();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to revoke invite');
+    }
+  };
+
+  const copyCreatedLinks = () => {
+    const text = createdInvites
+      .map(invite => `${invite.label || 'Invite'}\t${inviteLink(courseId, invite.level, invite.token)}`)
+      .join('\n');
+    navigator.clipboard.writeText(text);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+      <div className="bg-white rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto m-4">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+          <h2 className="text-2xl font-bold text-gray-900">📅 Exam Schedule</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 text-2xl">
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!schedule && !error && <p className="text-sm text-gray-500">Loading schedule...</p>}
+
+          {schedule && (
+            <>
+              <div className="bg-sky-50 border border-sky-200 rounded-lg p-4">
+                <p className="text-sm text-sky-800">
+                  Scheduled levels can only be started inside their window. Candidates wait in a lobby with a
+                  countdown and enter the access code or their invite there. Times are in your local time zone.
+                </p>
+              </div>
+
+              <ScheduleFields
+                values={schedule}
+                onChange={(changes) => setSchedule({ ...schedule, ...changes })}
+                onGenerateCode={() => setSchedule({ ...schedule, accessCode: generateAccessCode() })}
+              />
+
+              <div className="space-y-2">
+                <h3 className="font-semibold text-gray-900">Per-level overrides</h3>
+                <p className="text-sm text-gray-600">Blank fields use the course schedule above.</p>
+                {levels.map(level => {
+                  const override = schedule.levels[level];
+                  return (
+                    <div key={level} className="border rounded-lg">
+                      <label className="flex items-center gap-2 px-4 py-2 bg-gray-50 rounded-lg cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(override)}
+                          onChange={(e) => setLevelOverride(level, e.target.checked ? {} : null)}
+                        />
+                        <span className="font-medium">Level {level}</span>
+                      </label>
+                      {override && (
+                        <div className="p-4">
+                          <ScheduleFields
+                            values={override}
+                            inherited
+                            onChange={(changes) => setLevelOverride(level, { ...override, ...changes })}
+                            onGenerateCode={() => setLevelOverride(level, { ...override, accessCode: generateAccessCode() })}
+                          />
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="flex justify-end gap-3 pt-4 border-t">
+                <button
+                  onClick={onClose}
+                  className="px-6 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="px-6 py-2 bg-sky-600 text-white rounded-lg hover:bg-sky-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving…' : '💾 Save Schedule'}
+                </button>
+              </div>
+            </>
+          )}
+
+          <div className="space-y-3 pt-4 border-t">
+            <h3 className="font-semibold text-gray-900">✉️ One-time Invites</h3>
+            <p className="text-sm text-gray-600">
+              Used when a level's entry is "Invite only". Each invite starts one test; its link is shown only once,
+              right after it is created.
+            </p>
+            <textarea
+              value={inviteForm.labels}
+              onChange={(e) => setInviteForm({ ...inviteForm, labels: e.target.value })}
+              placeholder="One candidate name or email per line (leave empty for a single unlabeled invite)"
+              rows={4}
+              className="w-full px-3 py-2 border rounded-lg text-sm"
+            />
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="text-sm text-gray-700">
+                Level{' '}
+                <select
+                  value={inviteForm.level}
+                  onChange={(e) => setInviteForm({ ...inviteForm, level: parseInt(e.target.value, 10) })}
+                  className="px-2 py-1 border rounded-lg"
+                >
+                  {levels.map(level => (
+                    <option key={level} value={level}>{level}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm text-gray-700">
+                Time allowance{' '}
+                <input
+                  type="number"
+                  min="0"
+                  value={inviteForm.timeAllowance}
+                  onChange={(e) => setInviteForm({ ...inviteForm, timeAllowance: e.target.value })}
+                  placeholder="schedule's"
+                  className="px-2 py-1 border rounded-lg w-28"
+                />{' '}
+                min
+              </label>
+              <button
+                onClick={handleCreateInvites}
+                className="ml-auto px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 text-sm font-semibold"
+              >
+                ➕ Create Invites
+              </button>
+            </div>
+
+            {createdInvites.length > 0 && (
+              <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-semibold text-amber-900">Copy these links now — they can't be shown again.</p>
+                  <button
+                    onClick={copyCreatedLinks}
+                    className="px-3 py-1 text-xs bg-amber-100 text-amber-800 rounded hover:bg-amber-200"
+                  >
+                    📋 Copy all
+                  </button>
+                </div>
+                {createdInvites.map(invite => (
+                  <div key={invite.id} className="text-xs">
+                    <span className="font-medium">{invite.label || 'Invite'}:</span>{' '}
+                    <span className="font-mono break-all">{inviteLink(courseId, invite.level, invite.token)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {invites.length > 0 && (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2">Label</th>
+                    <th>Level</th>
+                    <th>Allowance</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {invites.map(invite => (
+                    <tr key={invite.id} className="border-b last:border-0">
+                      <td className="py-2">{invite.label || <span className="text-gray-400">—</span>}</td>
+                      <td>{invite.level ?? 'Any'}</td>
+                      <td>{invite.timeAllowance ? `${invite.timeAllowance} min` : '—'}</td>
+                      <td>
+                        {invite.usedAt ? (
+                          <span className="text-gray-600">
+                            Used by {invite.usedBy} on {new Date(invite.usedAt).toLocaleString()}
+                          </span>
+                        ) : (
+                          <span className="text-green-700">Unused</span>
+                        )}
+                      </td>
+                      <td className="text-right">
+                        <button
+                          onClick={() => handleRevoke(invite)}
+                          className="px-2 py-1 text-xs bg-red-50 text-red-700 rounded hover:bg-red-100"
+                        >
+                          Revoke
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Window and entry fields, for the course schedule or a level override (where blank means inherit)
+ */
+function ScheduleFields({ values, inherited = false, onChange, onGenerateCode }) {
+  const enabledValue = values.enabled === undefined ? '' : String(values.enabled);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Scheduling</span>
+        <select
+          value={inherited ? enabledValue : String(Boolean(values.enabled))}
+          onChange={(e) => onChange({ enabled: e.target.value === '' ? undefined : e.target.value === 'true' })}
+          className="mt-1 w-full px-3 py-2 border rounded-lg"
+        >
+          {inherited && <option value="">Same as course</option>}
+          <option value="true">Scheduled</option>
+          <option value="false">Not scheduled (open any time)</option>
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Entry</span>
+        <select
+          value={values.entry || ''}
+          onChange={(e) => onChange({ entry: e.target.value || undefined })}
+          className="mt-1 w-full px-3 py-2 border rounded-lg"
+        >
+          {inherited && <option value="">Same as course</option>}
+          <option value="open">Open to all candidates</option>
+          <option value="code">Access code</option>
+          <option value="invite">Invite only</option>
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Opens</span>
+        <input
+          type="datetime-local"
+          value={toLocalInput(values.startsAt)}
+          onChange={(e) => onChange({ startsAt: fromLocalInput(e.target.value) })}
+          className="mt-1 w-full px-3 py-2 border rounded-lg"
+        />
+      </label>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Closes</span>
+        <input
+          type="datetime-local"
+          value={toLocalInput(values.endsAt)}
+          onChange={(e) => onChange({ endsAt: fromLocalInput(e.target.value) })}
+          className="mt-1 w-full px-3 py-2 border rounded-lg"
+        />
+      </label>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Late start allowed for (minutes)</span>
+        <input
+          type="number"
+          min="0"
+          value={values.lateStartMinutes ?? ''}
+          onChange={(e) => onChange({ lateStartMinutes: e.target.value })}
+          placeholder={inherited ? 'Same as course' : 'Until the exam closes'}
+          className="mt-1 w-full px-3 py-2 border rounded-lg"
+        />
+      </label>
+      <label className="block">
+        <span className="text-sm font-medium text-gray-700">Time allowance (minutes)</span>
+        <input
+          type="number"
+          min="0"
+          value={values.timeAllowance ?? ''}
+          onChange={(e) => onChange({ timeAllowance: e.target.value })}
+          placeholder={inherited ? 'Same as course' : 'Course time limit'}
+          className="mt-1 w-full px-3 py-2 border rounded-lg"
+        />
+      </label>
+      {(values.entry === 'code' || (inherited && !values.entry)) && (
+        <label className="block md:col-span-2">
+          <span className="text-sm font-medium text-gray-700">Access code</span>
+          <div className="mt-1 flex gap-2">
+            <input
+              type="text"
+              value={values.accessCode || ''}
+              onChange={(e) => onChange({ accessCode: e.target.value.toUpperCase() })}
+              placeholder={inherited ? 'Same as course' : 'Shared with candidates at the start'}
+              className="flex-1 px-3 py-2 border rounded-lg font-mono"
+            />
+            <button
+              type="button"
+              onClick={onGenerateCode}
+              className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm"
+            >
+              🎲 Generate
+            </button>
+          </div>
+        </label>
+      )}
+    </div>
+  );
+}
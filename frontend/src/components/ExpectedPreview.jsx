@@ -0,0 +1,43 @@
+import { useState } from 'react';
+import PreviewFrame from './PreviewFrame';
+
+const SERVER_BASE = 'http://localhost:5000';
+
+/**
+ * Expected output of a challenge: candidates get a server-rendered image (the solution
+ * source is withheld from them); admins previewing a challenge still get the live page
+ */
+export default function ExpectedPreview({ challenge }) {
+  const [failed, setFailed] = useState(false);
+
+  if (challenge?.expectedSolution) {
+    return (
+      <PreviewFrame
+        code={{
+          html: challenge.expectedSolution.html || '',
+          css: challenge.expectedSolution.css || '',
+          js: challenge.expectedSolution.js || ''
+        }}
+      />
+    );
+  }
+
+  if (!challenge?.expectedPreviewUrl) return null;
+
+  if (failed) {
+    return (
+      <p className="p-4 text-sm text-gray-500 text-center">The expected output preview is unavailable right now.</p>
+    );
+  }
+
+  return (
+    <div className="max-h-[500px] overflow-y-auto">
+      <img
+        src={`${SERVER_BASE}${challenge.expectedPreviewUrl}`}
+        alt="Expected output"
+        onError={() => setFailed(true)}
+        className="w-full block"
+      />
+    </div>
+  );
+}
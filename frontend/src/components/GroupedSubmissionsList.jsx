@@ -1,7 +1,11 @@
 import { useState } from 'react';
+import SessionTimeline from './SessionTimeline';
+import CodeReplayModal from './CodeReplayModal';
 
 export default function GroupedSubmissionsList({ sessions, onViewDetails }) {
   const [expandedSessions, setExpandedSessions] = useState(new Set());
+  const [timelineSessions, setTimelineSessions] = useState(new Set());
+  const [replaySession, setReplaySession] = useState(null);
 
   const toggleSession = (sessionId) => {
     const newExpanded = new Set(expandedSessions);
@@ -13,6 +17,16 @@ export default function GroupedSubmissionsList({ sessions, onViewDetails }) {
     setExpandedSessions(newExpanded);
   };
 
+  const toggleTimeline = (sessionId) => {
+    const next = new Set(timelineSessions);
+    if (next.has(sessionId)) {
+      next.delete(sessionId);
+    } else {
+      next.add(sessionId);
+    }
+    setTimelineSessions(next);
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     const date = new Date(dateString);
@@ -69,9 +83,22 @@ export default function GroupedSubmissionsList({ sessions, onViewDetails }) {
                       {session.user.name}
                     </h3>
                     {getStatusBadge(session.overall_status)}
+                    {session.status === 'terminated' && (
+                      <span
+                        className="px-2 py-1 rounded text-xs font-semibold border bg-gray-800 text-white border-gray-900"
+                        title={session.terminated_reason || ''}
+                      >
+                        ⛔ {session.terminated_reason || 'Terminated'}
+                      </span>
+                    )}
                     <span className="text-sm text-gray-500">
                       Level {session.level}
                     </span>
+                    {session.violation_count > 0 && (
+                      <span className="text-sm text-amber-700">
+                        ⚠️ {session.violation_count}{session.max_violations ? `/${session.max_violations}` : ''} violation{session.violation_count === 1 ? '' : 's'}
+                      </span>
+                    )}
                   </div>
                   
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
@@ -140,6 +167,14 @@ export default function GroupedSubmissionsList({ sessions, onViewDetails }) {
                               {submission.challenge_id}
                             </span>
                             {getStatusBadge(submission.status)}
+                            {submission.solution_match?.flagged && (
+                              <span
+                                className="px-2 py-1 rounded text-xs font-semibold border bg-rose-100 text-rose-800 border-rose-300"
+                                title="Near-identical to the expected solution"
+                              >
+                                🚩 Matches solution ({submission.solution_match.similarity}%)
+                              </span>
+                            )}
                           </div>
                           <div className="mt-1 text-sm text-gray-600">
                             <span>Score: </span>
@@ -167,11 +202,35 @@ export default function GroupedSubmissionsList({ sessions, onViewDetails }) {
                 ) : (
                   <p className="text-gray-500 text-sm">No submissions in this session</p>
                 )}
+
+                <div className="mt-4">
+                  <button
+                    onClick={() => toggleTimeline(session.session_id)}
+                    className="px-3 py-1 text-sm bg-white border text-gray-700 rounded hover:bg-gray-100"
+                  >
+                    🕒 {timelineSessions.has(session.session_id) ? 'Hide' : 'Show'} proctoring timeline
+                  </button>
+                  <button
+                    onClick={() => setReplaySession(session)}
+                    className="ml-2 px-3 py-1 text-sm bg-white border text-gray-700 rounded hover:bg-gray-100"
+                  >
+                    ▶️ Replay editing
+                  </button>
+                  {timelineSessions.has(session.session_id) && (
+                    <div className="mt-3">
+                      <SessionTimeline sessionId={session.session_id} onViewDetails={onViewDetails} />
+                    </div>
+                  )}
+                </div>
               </div>
             )}
           </div>
         );
       })}
+
+      {replaySession && (
+        <CodeReplayModal session={replaySession} onClose={() => setReplaySession(null)} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,216 @@
+import { useState } from 'react';
+
+const SCREENSHOT_BASE = 'http://localhost:5000';
+
+const MODES = [
+  { key: 'side-by-side', label: 'Side by side' },
+  { key: 'slider', label: 'Slider' },
+  { key: 'onion', label: 'Onion skin' },
+  { key: 'diff', label: 'Diff' }
+];
+
+/**
+ * Candidate vs expected screenshots with slider / onion-skin modes and the
+ * annotated diff boxes drawn over the candidate render
+ */
+export default function ImageComparison({ screenshots, annotations = [], diffPercentage, maskedPixels }) {
+  const [mode, setMode] = useState('slider');
+  const [position, setPosition] = useState(50);
+  const [opacity, setOpacity] = useState(50);
+  const [showAnnotations, setShowAnnotations] = useState(true);
+  const [size, setSize] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  if (!screenshots) return null;
+
+  const candidateUrl = `${SCREENSHOT_BASE}${screenshots.candidate}`;
+  const expectedUrl = `${SCREENSHOT_BASE}${screenshots.expected}`;
+
+  // Boxes are in screenshot pixels; the images are scaled to the panel width
+  const handleLoad = (e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight });
+
+  const overlay = showAnnotations && size && annotations.length > 0 && (
+    <div className="absolute inset-0 pointer-events-none">
+      {annotations.map((annotation, index) => (
+        <div
+          key={index}
+          className={`absolute border-2 rounded-sm ${selected === index ? 'ring-4 ring-yellow-300' : ''}`}
+          style={{
+            left: `${(annotation.x / size.width) * 100}%`,
+            top: `${(annotation.y / size.height) * 100}%`,
+            width: `${(annotation.width / size.width) * 100}%`,
+            height: `${(annotation.height / size.height) * 100}%`,
+            borderColor: annotation.color
+          }}
+        >
+          <span
+            className="absolute -top-5 left-0 px-1.5 rounded text-[10px] font-bold text-white whitespace-nowrap"
+            style={{ backgroundColor: annotation.color }}
+          >
+            {index + 1}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+          {MODES.map(({ key, label }) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setMode(key)}
+              className={`px-3 py-1 text-xs font-medium ${
+                mode === key ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {annotations.length > 0 && (
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={showAnnotations}
+              onChange={(e) => setShowAnnotations(e.target.checked)}
+            />
+            Show annotations
+          </label>
+        )}
+      </div>
+
+      {mode === 'side-by-side' && (
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <p className="text-xs text-gray-600 mb-2 font-medium">Your Output</p>
+            <div className="relative">
+              <img
+                src={candidateUrl}
+                alt="Candidate output"
+                onLoad={handleLoad}
+                className="w-full border-2 border-gray-300 rounded shadow-sm"
+              />
+              {overlay}
+            </div>
+          </div>
+          <div>
+            <p className="text-xs text-gray-600 mb-2 font-medium">Expected Output</p>
+            <img
+              src={expectedUrl}
+              alt="Expected output"
+              className="w-full border-2 border-gray-300 rounded shadow-sm"
+            />
+          </div>
+        </div>
+      )}
+
+      {mode === 'slider' && (
+        <div>
+          <div className="flex justify-between text-xs text-gray-600 mb-2 font-medium">
+            <span>◀ Your Output</span>
+            <span>Expected Output ▶</span>
+          </div>
+          <div className="relative border-2 border-gray-300 rounded shadow-sm overflow-hidden select-none">
+            <img src={expectedUrl} alt="Expected output" className="w-full block" />
+            <img
+              src={candidateUrl}
+              alt="Candidate output"
+              onLoad={handleLoad}
+              className="absolute inset-0 w-full"
+              style={{ clipPath: `inset(0 ${100 - position}% 0 0)` }}
+            />
+            <div className="absolute top-0 bottom-0 w-0.5 bg-indigo-600" style={{ left: `${position}%` }}></div>
+            {overlay}
+          </div>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            value={position}
+            onChange={(e) => setPosition(Number(e.target.value))}
+            className="w-full mt-2"
+          />
+        </div>
+      )}
+
+      {mode === 'onion' && (
+        <div>
+          <div className="relative border-2 border-gray-300 rounded shadow-sm overflow-hidden">
+            <img src={expectedUrl} alt="Expected output" className="w-full block" />
+            <img
+              src={candidateUrl}
+              alt="Candidate output"
+              onLoad={handleLoad}
+              className="absolute inset-0 w-full"
+              style={{ opacity: opacity / 100 }}
+            />
+            {overlay}
+          </div>
+          <div className="flex items-center gap-3 mt-2 text-xs text-gray-600">
+            <span>Expected</span>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={opacity}
+              onChange={(e) => setOpacity(Number(e.target.value))}
+              className="flex-1"
+            />
+            <span>Yours</span>
+          </div>
+        </div>
+      )}
+
+      {mode === 'diff' && (
+        <div>
+          <p className="text-xs text-gray-600 mb-2 font-medium">Differences Highlighted</p>
+          <div className="relative">
+            <img
+              src={`${SCREENSHOT_BASE}${screenshots.diff}`}
+              alt="Diff"
+              onLoad={handleLoad}
+              className="w-full border-2 border-red-300 rounded shadow-sm"
+            />
+            {overlay}
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 mt-2 text-center">
+        {diffPercentage}% of pixels differ
+        {maskedPixels > 0 && ' · blue areas are ignored'}
+      </p>
+
+      {annotations.length > 0 && (
+        <div className="mt-4">
+          <p className="text-xs text-gray-600 mb-2 font-medium">What differs most</p>
+          <ol className="space-y-1">
+            {annotations.map((annotation, index) => (
+              <li
+                key={index}
+                onMouseEnter={() => setSelected(index)}
+                onMouseLeave={() => setSelected(null)}
+                className="flex items-start gap-2 text-sm text-gray-700 rounded px-2 py-1 hover:bg-gray-50"
+              >
+                <span
+                  className="mt-0.5 px-1.5 rounded text-[10px] font-bold text-white"
+                  style={{ backgroundColor: annotation.color }}
+                >
+                  {index + 1}
+                </span>
+                <span>
+                  <code className="text-xs bg-gray-100 px-1 rounded">{annotation.selector}</code> {annotation.reason}
+                  <span className="text-xs text-gray-400"> · {annotation.share}% of the difference</span>
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
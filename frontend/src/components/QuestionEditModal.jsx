@@ -1,5 +1,17 @@
 import { useState, useEffect } from 'react';
 
+// Mirrors WEIGHT_PROFILES in backend/services/evaluator.js
+const WEIGHT_PROFILE_OPTIONS = [
+  { value: '', label: 'Course default' },
+  { value: 'default', label: 'Default — Content 50% / Visual 50%' },
+  { value: 'interactive', label: 'Interactive — Content 40% / Visual 40% / Behavior 20%' },
+  { value: 'layout', label: 'Layout — Content 20% / Structure 10% / Visual 40% / Layout 30%' },
+  { value: 'semantic', label: 'Semantic — Content 50% / Structure 30% / Visual 20%' },
+  { value: 'accessible', label: 'Accessible — Content 40% / Structure 10% / Visual 30% / Accessibility 20%' },
+  { value: 'logic', label: 'Logic — Content 10% / Visual 10% / Unit tests 80%' },
+  { value: 'scripted', label: 'Scripted — Content 10% / Visual 10% / Behavior 20% / Unit tests 60%' }
+];
+
 export default function QuestionEditModal({ question, courseId, onSave, onClose }) {
   const [formData, setFormData] = useState({
     id: '',
@@ -18,9 +30,12 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
     expectedSolutionHtml: '',
     expectedSolutionCss: '',
     expectedSolutionJs: '',
+    thresholdContent: 70,
     thresholdStructure: 70,
     thresholdVisual: 80,
-    thresholdOverall: 75
+    thresholdOverall: 75,
+    weightProfile: '',
+    evaluationConfig: ''
   });
 
   useEffect(() => {
@@ -28,6 +43,8 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
       // Convert assets array to string paths
       const imagePaths = question.assets?.images?.map(img => img.path || img).join('\n') || '';
       const referencePath = question.assets?.reference || '';
+      // Weight profile has its own field; keep the rest of the config in the JSON box
+      const { weightProfile = '', ...extraConfig } = question.evaluationConfig || {};
       
       setFormData({
         id: question.id || '',
@@ -46,9 +63,14 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
         expectedSolutionHtml: question.expectedSolution?.html || '',
         expectedSolutionCss: question.expectedSolution?.css || '',
         expectedSolutionJs: question.expectedSolution?.js || '',
+        thresholdContent: question.passingThreshold?.content || 70,
         thresholdStructure: question.passingThreshold?.structure || 70,
         thresholdVisual: question.passingThreshold?.visual || 80,
-        thresholdOverall: question.passingThreshold?.overall || 75
+        thresholdOverall: question.passingThreshold?.overall || 75,
+        weightProfile,
+        evaluationConfig: Object.keys(extraConfig).length > 0
+          ? JSON.stringify(extraConfig, null, 2)
+          : ''
       });
     } else {
       // New question - generate ID
@@ -61,6 +83,20 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
   const handleSubmit = (e) => {
     e.preventDefault();
     
+    // Evaluation config is free-form JSON (behavior tests, etc.)
+    let evaluationConfig = {};
+    if (formData.evaluationConfig.trim()) {
+      try {
+        evaluationConfig = JSON.parse(formData.evaluationConfig);
+      } catch (error) {
+        alert(`Evaluation config is not valid JSON: ${error.message}`);
+        return;
+      }
+    }
+    if (formData.weightProfile) {
+      evaluationConfig.weightProfile = formData.weightProfile;
+    }
+    
     // Convert asset paths to proper format
     const imagePaths = formData.assetImages
       .split('\n')
@@ -90,10 +126,12 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
       hints: formData.hints.split('\n').filter(h => h.trim()),
       isLocked: formData.isLocked,
       passingThreshold: {
+        content: parseInt(formData.thresholdContent) || 70,
         structure: parseInt(formData.thresholdStructure) || 70,
         visual: parseInt(formData.thresholdVisual) || 80,
         overall: parseInt(formData.thresholdOverall) || 75
       },
+      evaluationConfig,
       expectedSolution: {
         html: formData.expectedSolutionHtml,
         css: formData.expectedSolutionCss,
@@ -103,6 +141,10 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
         images: assetImages,
         reference: formData.assetReference.trim()
       },
+      // Left blank on a redacted copy: tell the server to keep the stored solution
+      ...(question?.solutionWithheld && !formData.expectedSolutionHtml && !formData.expectedSolutionCss && !formData.expectedSolutionJs
+        ? { solutionWithheld: true }
+        : {}),
       prerequisite: question?.prerequisite || null,
       createdAt: question?.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
@@ -224,7 +266,33 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
             <h4 className="text-sm font-semibold text-amber-900 mb-3 flex items-center gap-2">
               <span>🎯</span> Passing Thresholds (Scoring)
             </h4>
-            <div className="grid grid-cols-3 gap-4">
+            <div className="mb-4">
+              <label className="block text-xs font-medium text-gray-700 mb-1">Weight Profile</label>
+              <select
+                value={formData.weightProfile}
+                onChange={(e) => setFormData({ ...formData, weightProfile: e.target.value })}
+                className="w-full px-3 py-2 border rounded-lg text-sm bg-white"
+              >
+                {WEIGHT_PROFILE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">How the final score is weighted across dimensions</p>
+            </div>
+            <div className="grid grid-cols-4 gap-4">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Content %</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={formData.thresholdContent}
+                  onChange={(e) => setFormData({ ...formData, thresholdContent: e.target.value })}
+                  className="w-full px-3 py-2 border rounded-lg text-sm"
+                  placeholder="70"
+                />
+                <p className="text-xs text-gray-500 mt-1">Required content</p>
+              </div>
               <div>
                 <label className="block text-xs font-medium text-gray-700 mb-1">Structure %</label>
                 <input
@@ -347,6 +415,12 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
           {/* Expected Solution */}
           <div className="border-t pt-6">
             <h3 className="text-lg font-bold mb-4">Expected Solution</h3>
+            {question?.solutionWithheld && (
+              <div className="bg-amber-50 border border-amber-200 text-amber-800 rounded-lg p-3 text-sm mb-4">
+                The solution was withheld because your admin session wasn't recognised. Sign in again to see it;
+                leaving these fields blank keeps the stored solution.
+              </div>
+            )}
             
             <div className="space-y-4">
               <div>
@@ -384,6 +458,96 @@ export default function QuestionEditModal({ question, courseId, onSave, onClose
             </div>
           </div>
 
+          {/* Evaluation Config */}
+          <div className="border-t pt-6">
+            <h3 className="text-lg font-bold mb-4 flex items-center gap-2">
+              <span>⚡ Evaluation Config</span>
+              <span className="text-sm font-normal text-gray-500">(JSON, optional)</span>
+            </h3>
+            <textarea
+              value={formData.evaluationConfig}
+              onChange={(e) => setFormData({ ...formData, evaluationConfig: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg font-mono text-sm"
+              rows="8"
+              placeholder={`{
+  "viewports": ["mobile", "tablet", { "name": "desktop", "width": 1440, "height": 900 }],
+  "fullPage": true,
+  "visualMode": "blended",
+  "layout": { "selectors": [".card", ".card img", ".card button"], "tolerance": 4 },
+  "accessibility": { "rules": { "color-contrast": true }, "ignoreExpected": true },
+  "quality": { "cssRules": { "no-important": "warn" }, "htmlRules": { "deprecated": "error" } },
+  "contentRules": [
+    { "selector": "h1", "count": 1 },
+    { "selector": "img", "attribute": "alt", "message": "Every image needs alt text" },
+    { "selector": "button", "text": "/sign up/i" }
+  ],
+  "semanticRoles": {
+    "price": { "label": "Price", "tags": ["span", "p"], "classPatterns": ["price"], "textPatterns": ["\\\\$\\\\d+"] },
+    "badge": { "tags": ["span"], "classPatterns": ["badge"], "required": false }
+  },
+  "visualRegions": [
+    { "name": "clock", "selector": "#timestamp", "mask": true },
+    { "name": "hero", "selector": ".hero", "weight": 2 }
+  ],
+  "behaviorTests": [
+    {
+      "name": "Menu opens on click",
+      "steps": [{ "action": "click", "selector": ".menu-toggle" }],
+      "assertions": [{ "type": "class", "selector": ".menu", "className": "open" }]
+    }
+  ],
+  "unitTests": [
+    { "name": "Rejects an email without @", "call": "validateEmail", "args": ["user.example.com"], "expected": false },
+    { "call": "renderList", "args": [["Milk", "Eggs"]], "dom": [{ "type": "text", "selector": "#list li:last-child", "expected": "Eggs" }] }
+  ]
+}`}
+            />
+            <p className="text-xs text-gray-600 mt-1">
+              💡 Behavior steps: <code>click</code>, <code>type</code>, <code>press</code>, <code>hover</code>, <code>wait</code>.
+              Assertions: <code>visible</code>, <code>text</code>, <code>class</code>, <code>attribute</code>, <code>value</code>, <code>count</code>.
+              Omit <code>expected</code> to compare against the expected solution.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              🧪 Unit tests call a function from the candidate's JavaScript with <code>args</code> and compare what it returns
+              with <code>expected</code> (deep equality, <code>tolerance</code> for numbers), and/or check the page afterwards with
+              <code>dom</code> assertions. Optional <code>steps</code> run first. Each test case passes or fails as a whole.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              📱 Viewports: presets <code>mobile</code> (375×667), <code>tablet</code> (768×1024), <code>desktop</code> (1440×900)
+              or <code>{'{ name, width, height, weight }'}</code>. The visual score averages all viewports; <code>fullPage</code> captures below the fold.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              🎯 Visual regions: a <code>selector</code> (measured on the expected solution) or <code>x</code>/<code>y</code>/<code>width</code>/<code>height</code>,
+              with <code>mask: true</code> to ignore it or a <code>weight</code> to make it count more. Add <code>viewports</code> to limit a region to some viewports.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              👁️ Visual mode: <code>pixel</code> (exact pixel diff, default), <code>perceptual</code> (structural similarity, tolerant of
+              font rendering and 1-2px shifts) or <code>blended</code> (average of both).
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              📐 Layout: compares element boxes, layout styles and placement (<code>true</code> to auto-pick elements, or
+              <code>selectors</code>/<code>tolerance</code>/<code>viewport</code>). Counts toward the score with the <code>layout</code> profile; otherwise feedback only.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              ♿ Accessibility: axe-core audit of the render (alt text, contrast, labels, heading order...). <code>true</code> for the defaults, or
+              <code>tags</code>/<code>rules</code>; issues the expected solution also has aren't counted unless <code>ignoreExpected: false</code>.
+              Counts toward the score with the <code>accessible</code> profile or an <code>accessibility</code> weight; otherwise feedback only.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              🧹 Quality: HTML validation and CSS lint, on top of the course's rule set (<code>htmlRules</code>/<code>cssRules</code> map rule ids
+              to <code>off</code>/<code>warn</code>/<code>error</code>; <code>{'{ "enabled": false }'}</code> opts out). Scored only with a <code>quality</code> weight.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              🧩 Semantic roles (structure score): each role lists <code>tags</code>, <code>classPatterns</code>, <code>textPatterns</code>,
+              <code>attributes</code> and <code>required</code>. Leave out to derive roles from the expected HTML automatically.
+            </p>
+            <p className="text-xs text-gray-600 mt-1">
+              ✅ Content rules: <code>selector</code> plus <code>count</code>/<code>min</code>/<code>max</code>, <code>text</code> (<code>/regex/i</code> or plain text),
+              <code>attribute</code> (name, or <code>{'{ name, value }'}</code>) and <code>style</code>. Each rule is its own check; set
+              <code>"contentRulesMode": "replace"</code> to skip the auto-derived ones.
+            </p>
+          </div>
+
           {/* Actions */}
           <div className="flex justify-end gap-3 pt-4 border-t">
             <button
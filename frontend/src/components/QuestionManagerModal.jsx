@@ -9,10 +9,14 @@ import {
   updateCourseRestrictions,
   getCourseRestrictions,
   getLevelSettings,
+  getCourseEvaluationSettings,
+  updateCourseEvaluationSettings,
 } from '../services/api';
 import QuestionEditModal from './QuestionEditModal';
+import ExamScheduleModal from './ExamScheduleModal';
 
 const LEVELS = [1, 2, 3, 4, 5, 6];
+const SCORE_DIMENSIONS = ['content', 'structure', 'visual', 'layout', 'behavior', 'logic', 'accessibility', 'quality', 'overall'];
 
 export default function QuestionManagerModal({ courseId, courseName, onClose, standalone = false }) {
   const [questions, setQuestions] = useState([]);
@@ -35,14 +39,26 @@ export default function QuestionManagerModal({ courseId, courseName, onClose, st
     forceFullscreen: false,
     maxViolations: 3,
     timeLimit: 0,
+    allowResume: true,
   });
 
   const [levelSettings, setLevelSettings] = useState({});
 
+  const [showGrading, setShowGrading] = useState(false);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [gradingProfiles, setGradingProfiles] = useState({});
+  const [cssLintRules, setCssLintRules] = useState({});
+  const [htmlRulesText, setHtmlRulesText] = useState('');
+  const [grading, setGrading] = useState({
+    weightProfile: 'default',
+    passingThreshold: {},
+  });
+
   useEffect(() => {
     loadQuestions();
     loadRestrictions();
     loadLevelSettings();
+    loadGrading();
   }, [courseId]);
 
   const loadQuestions = async () => {
@@ -68,6 +84,25 @@ export default function QuestionManagerModal({ courseId, courseName, onClose, st
     }
   };
 
+  const loadGrading = async () => {
+    try {
+      const response = await getCourseEvaluationSettings(courseId);
+      if (response.data) {
+        const { profiles, qualityRules, ...settings } = response.data;
+        setGradingProfiles(profiles || {});
+        setCssLintRules(qualityRules?.css || {});
+        setHtmlRulesText(
+          settings.quality?.htmlRules && Object.keys(settings.quality.htmlRules).length > 0
+            ? JSON.stringify(settings.quality.htmlRules, null, 2)
+            : ''
+        );
+        setGrading({ weightProfile: 'default', passingThreshold: {}, ...settings });
+      }
+    } catch (error) {
+      console.error('Failed to load grading settings:', error);
+    }
+  };
+
   const loadLevelSettings = async () => {
     try {
       const response = await getLevelSettings(courseId);
@@ -182,6 +217,43 @@ export default function QuestionManagerModal({ courseId, courseName, onClose, st
     }
   };
 
+  const handleSaveGrading = async () => {
+    let htmlRules = {};
+    if (htmlRulesText.trim()) {
+      try {
+        htmlRules = JSON.parse(htmlRulesText);
+      } catch (error) {
+        alert('HTML rule overrides must be valid JSON: ' + error.message);
+        return;
+      }
+    }
+
+    try {
+      await updateCourseEvaluationSettings(courseId, {
+        ...grading,
+        quality: { ...(grading.quality || {}), htmlRules }
+      });
+      alert('Grading settings saved successfully.');
+      setShowGrading(false);
+    } catch (error) {
+      alert('Failed to save grading settings: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const setGradingMinimum = (dimension, value) => {
+    const passingThreshold = { ...grading.passingThreshold };
+    if (value === '') {
+      delete passingThreshold[dimension];
+    } else {
+      passingThreshold[dimension] = Math.max(0, Math.min(100, parseInt(value, 10) || 0));
+    }
+    setGrading({ ...grading, passingThreshold });
+  };
+
+  const setQuality = (changes) => {
+    setGrading({ ...grading, quality: { enabled: false, cssRules: {}, ...(grading.quality || {}), ...changes } });
+  };
+
   const filteredQuestions = questions.filter((question) => {
     if (filter === 'all') {
       return true;
@@ -243,6 +315,18 @@ export default function QuestionManagerModal({ courseId, courseName, onClose, st
             >
               🔒 Restrictions
             </button>
+            <button
+              onClick={() => setShowGrading(true)}
+              className="px-5 py-2.5 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 font-semibold shadow-md transition-all"
+            >
+              🎯 Grading
+            </button>
+            <button
+              onClick={() => setShowSchedule(true)}
+              className="px-5 py-2.5 bg-sky-500 text-white rounded-lg hover:bg-sky-600 font-semibold shadow-md transition-all"
+            >
+              📅 Schedule
+            </button>
           </div>
         </div>
       </div>
@@ -531,6 +615,12 @@ export default function QuestionManagerModal({ courseId, courseName, onClose, st
                   checked={restrictions.forceFullscreen}
                   onChange={(value) => setRestrictions({ ...restrictions, forceFullscreen: value })}
                 />
+                <ToggleRow
+                  label="Allow Resume"
+                  description="Let students continue an interrupted test (browser crash, lost connection) with the same questions and their autosaved code. When off, an interrupted test is submitted as it was."
+                  checked={restrictions.allowResume !== false}
+                  onChange={(value) => setRestrictions({ ...restrictions, allowResume: value })}
+                />
 
                 <div className="p-4 bg-gray-50 rounded-lg">
                   <label className="font-semibold text-gray-900 block mb-2">Max Violations</label>
@@ -595,6 +685,139 @@ export default function QuestionManagerModal({ courseId, courseName, onClose, st
           </div>
         </div>
       )}
+
+      {showSchedule && (
+        <ExamScheduleModal courseId={courseId} levels={LEVELS} onClose={() => setShowSchedule(false)} />
+      )}
+
+      {showGrading && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+          <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto m-4">
+            <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between">
+              <h2 className="text-2xl font-bold text-gray-900">🎯 Grading Defaults</h2>
+              <button onClick={() => setShowGrading(false)} className="text-gray-400 hover:text-gray-600 text-2xl">
+                ×
+              </button>
+            </div>
+
+            <div className="p-6 space-y-6">
+              <div className="bg-emerald-50 border border-emerald-200 rounded-lg p-4">
+                <p className="text-sm text-emerald-800">
+                  Applied to every question in this course unless the question sets its own weight profile or
+                  passing thresholds.
+                </p>
+              </div>
+
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <label className="font-semibold text-gray-900 block mb-2">Weight Profile</label>
+                <select
+                  value={grading.weightProfile || 'default'}
+                  onChange={(event) => setGrading({ ...grading, weightProfile: event.target.value })}
+                  className="px-4 py-2 border rounded-lg w-full"
+                >
+                  {Object.entries(gradingProfiles).map(([name, weights]) => (
+                    <option key={name} value={name}>
+                      {name} —{' '}
+                      {Object.entries(weights)
+                        .filter(([, weight]) => weight > 0)
+                        .map(([dimension, weight]) => `${dimension} ${Math.round(weight * 100)}%`)
+                        .join(' / ')}
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-2">
+                  Questions with interaction tests pick up a behavior share automatically, and questions with unit tests the logic profile.
+                </p>
+              </div>
+
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <label className="font-semibold text-gray-900 block mb-2">Minimum Scores (%)</label>
+                <p className="text-sm text-gray-600 mb-3">
+                  Leave blank to use the default of 70. Minimums only apply to dimensions the profile weights.
+                </p>
+                <div className="grid grid-cols-3 md:grid-cols-9 gap-3">
+                  {SCORE_DIMENSIONS.map((dimension) => (
+                    <div key={dimension}>
+                      <label className="block text-xs font-medium text-gray-700 mb-1 capitalize">{dimension}</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        placeholder="70"
+                        value={grading.passingThreshold?.[dimension] ?? ''}
+                        onChange={(event) => setGradingMinimum(dimension, event.target.value)}
+                        className="px-3 py-2 border rounded-lg w-full"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <label className="flex items-center gap-2 font-semibold text-gray-900 mb-2">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(grading.quality?.enabled)}
+                    onChange={(event) => setQuality({ enabled: event.target.checked })}
+                  />
+                  Check HTML/CSS Code Quality
+                </label>
+                <p className="text-sm text-gray-600 mb-3">
+                  Validates HTML and lints CSS on every submission. Findings are shown with line numbers; they only
+                  count toward the score when a question weights <code>quality</code>.
+                </p>
+                {grading.quality?.enabled && (
+                  <>
+                    <div className="grid grid-cols-2 gap-3 mb-3">
+                      {Object.entries(cssLintRules).map(([rule, defaultSeverity]) => (
+                        <div key={rule} className="flex items-center justify-between gap-2">
+                          <span className="text-sm font-mono text-gray-700">{rule}</span>
+                          <select
+                            value={grading.quality?.cssRules?.[rule] || defaultSeverity}
+                            onChange={(event) => setQuality({
+                              cssRules: { ...(grading.quality?.cssRules || {}), [rule]: event.target.value }
+                            })}
+                            className="px-2 py-1 border rounded text-sm"
+                          >
+                            <option value="off">off</option>
+                            <option value="warn">warn</option>
+                            <option value="error">error</option>
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      HTML rule overrides (html-validate rule ids, JSON)
+                    </label>
+                    <textarea
+                      value={htmlRulesText}
+                      onChange={(event) => setHtmlRulesText(event.target.value)}
+                      rows="3"
+                      placeholder={'{ "deprecated": "error", "no-inline-style": "warn" }'}
+                      className="w-full px-3 py-2 border rounded-lg font-mono text-sm"
+                    />
+                  </>
+                )}
+              </div>
+
+              <div className="flex justify-end gap-3 pt-4 border-t">
+                <button
+                  onClick={() => setShowGrading(false)}
+                  className="px-6 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveGrading}
+                  className="px-6 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700"
+                >
+                  💾 Save Grading
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </>
   );
 }
@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react';
+import { startRegrade, getRegrade } from '../services/api';
+
+const POLL_INTERVAL = 2000;
+
+const CHANGE_LABELS = {
+  failToPass: { label: 'Fail → Pass', className: 'bg-green-100 text-green-700' },
+  passToFail: { label: 'Pass → Fail', className: 'bg-rose-100 text-rose-700' },
+  scoreChanged: { label: 'Score changed', className: 'bg-amber-100 text-amber-700' }
+};
+
+export default function RegradeModal({ courses, challenges, onClose, onFinished }) {
+  const [courseId, setCourseId] = useState(courses[0]?.id || '');
+  const [level, setLevel] = useState('');
+  const [challengeId, setChallengeId] = useState('');
+  const [dryRun, setDryRun] = useState(true);
+  const [reason, setReason] = useState('');
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState('');
+  const [starting, setStarting] = useState(false);
+
+  const courseChallenges = challenges.filter(challenge =>
+    challenge.courseId === courseId && (!level || String(challenge.level) === String(level))
+  );
+  const levels = [...new Set(challenges.filter(c => c.courseId === courseId).map(c => c.level))]
+    .filter(value => value !== undefined && value !== null)
+    .sort((a, b) => a - b);
+
+  // Poll progress until the batch finishes
+  useEffect(() => {
+    if (!batch || batch.status !== 'running') return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const res = await getRegrade(batch.id);
+        setBatch(res.data);
+        if (res.data.status !== 'running' && !res.data.dryRun && onFinished) {
+          onFinished();
+        }
+      } catch (err) {
+        setError(err.response?.data?.error || 'Lost track of the re-grade');
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [batch]);
+
+  const handleStart = async () => {
+    if (!dryRun && !confirm('Re-grade and overwrite the results of every matching submission? Previous results are kept in their history.')) {
+      return;
+    }
+
+    setStarting(true);
+    setError('');
+    try {
+      const res = await startRegrade({
+        courseId,
+        level: level || undefined,
+        challengeId: challengeId || undefined,
+        dryRun,
+        reason: reason.trim() || undefined
+      });
+      setBatch(res.data.batch);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start re-grade');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const running = batch?.status === 'running';
+  const progress = batch?.total ? Math.round((batch.processed / batch.total) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between">
+          <h2 className="text-2xl font-bold text-gray-900">🔁 Re-grade Submissions</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Course</label>
+              <select
+                value={courseId}
+                onChange={(e) => { setCourseId(e.target.value); setLevel(''); setChallengeId(''); }}
+                disabled={running}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>{course.title}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Level</label>
+              <select
+                value={level}
+                onChange={(e) => { setLevel(e.target.value); setChallengeId(''); }}
+                disabled={running}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">All levels</option>
+                {levels.map(value => (
+                  <option key={value} value={value}>Level {value}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Question</label>
+              <select
+                value={challengeId}
+                onChange={(e) => setChallengeId(e.target.value)}
+                disabled={running}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">All questions</option>
+                {courseChallenges.map(challenge => (
+                  <option key={challenge.id} value={challenge.id}>{challenge.title || challenge.id}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-1">Reason (recorded in each submission's history)</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={running}
+              placeholder="e.g. Fixed expected solution for question 2"
+              className="w-full px-3 py-2 border rounded-lg"
+            />
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={dryRun}
+              onChange={(e) => setDryRun(e.target.checked)}
+              disabled={running}
+            />
+            Dry run - report how many outcomes would change without saving anything
+          </label>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+          )}
+
+          {batch && (
+            <div className="space-y-4">
+              <div>
+                <div className="flex justify-between text-sm text-gray-600 mb-1">
+                  <span>
+                    {batch.dryRun ? 'Dry run' : 'Re-grade'} · {batch.status}
+                  </span>
+                  <span>{batch.processed}/{batch.total} submissions</span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-indigo-600 h-2 rounded-full transition-all" style={{ width: `${progress}%` }}></div>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-center">
+                {[
+                  { label: 'Fail → Pass', value: batch.counts.failToPass, color: 'text-green-600' },
+                  { label: 'Pass → Fail', value: batch.counts.passToFail, color: 'text-rose-600' },
+                  { label: 'Score changed', value: batch.counts.scoreChanged, color: 'text-amber-600' },
+                  { label: 'Unchanged', value: batch.counts.unchanged, color: 'text-gray-600' },
+                  { label: 'Errors', value: batch.errors, color: 'text-red-600' }
+                ].map(({ label, value, color }) => (
+                  <div key={label} className="bg-gray-50 rounded-lg border p-3">
+                    <div className={`text-2xl font-bold ${color}`}>{value}</div>
+                    <div className="text-xs text-gray-500">{label}</div>
+                  </div>
+                ))}
+              </div>
+
+              {batch.changes.length > 0 && (
+                <div className="border rounded-lg divide-y max-h-72 overflow-y-auto text-sm">
+                  {batch.changes.map((change, index) => (
+                    <div key={`${change.submissionId}-${index}`} className="flex items-center justify-between px-3 py-2">
+                      <div>
+                        <div className="font-mono text-xs text-gray-700">{change.submissionId}</div>
+                        <div className="text-xs text-gray-500">{change.challengeId}{change.userId ? ` · ${change.userId}` : ''}</div>
+                      </div>
+                      {change.error ? (
+                        <span className="text-xs text-red-600">{change.error}</span>
+                      ) : (
+                        <div className="flex items-center gap-2">
+                          <span className="text-xs text-gray-600">
+                            {change.before.score ?? '—'}% → {change.after.score}%
+                          </span>
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${CHANGE_LABELS[change.change]?.className || ''}`}>
+                            {CHANGE_LABELS[change.change]?.label}
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleStart}
+              disabled={running || starting || !courseId}
+              className={`px-4 py-2 rounded-lg text-white font-semibold disabled:opacity-50 ${
+                dryRun ? 'bg-indigo-600 hover:bg-indigo-700' : 'bg-rose-600 hover:bg-rose-700'
+              }`}
+            >
+              {running ? 'Running…' : dryRun ? 'Start Dry Run' : 'Re-grade Now'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
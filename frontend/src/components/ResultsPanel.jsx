@@ -1,6 +1,35 @@
+import { useState } from 'react';
+import ImageComparison from './ImageComparison';
+
 export default function ResultsPanel({ result }) {
+  const [viewportIndex, setViewportIndex] = useState(0);
+
   if (!result) return null;
 
+  // Older results don't record weights; they were graded 50/50
+  const weights = result.weights || { content: 0.5, visual: 0.5, behavior: 0 };
+  const formatWeight = (weight) => `${Math.round((weight || 0) * 100)}%`;
+  const minimums = result.scoring?.minimums || {};
+
+  // Content and Visual are always shown; other dimensions only when they count
+  const scoreCards = [
+    { key: 'content', label: 'Content', color: 'text-purple-600' },
+    { key: 'structure', label: 'Structure', color: 'text-blue-600' },
+    { key: 'visual', label: 'Visual', color: 'text-green-600' },
+    { key: 'layout', label: 'Layout', color: 'text-teal-600' },
+    { key: 'behavior', label: 'Behavior', color: 'text-orange-600' },
+    { key: 'logic', label: 'Logic Tests', color: 'text-amber-600' },
+    { key: 'accessibility', label: 'Accessibility', color: 'text-indigo-600' },
+    { key: 'quality', label: 'Code Quality', color: 'text-rose-600' }
+  ].filter(card => ['content', 'visual'].includes(card.key) || weights[card.key] > 0);
+  const gridCols = { 2: 'grid-cols-2', 3: 'grid-cols-3', 4: 'grid-cols-4', 5: 'grid-cols-5', 6: 'grid-cols-3 md:grid-cols-6', 7: 'grid-cols-4 md:grid-cols-7', 8: 'grid-cols-4 md:grid-cols-8' };
+
+  // Results from before multi-viewport grading only carry one screenshot set
+  const visualViewports = result.visual?.viewports?.length
+    ? result.visual.viewports
+    : [{ name: 'desktop', screenshots: result.visual?.screenshots, diffPercentage: result.visual?.diffPercentage }];
+  const activeViewport = visualViewports[viewportIndex] || visualViewports[0];
+
   return (
     <div className="space-y-6">
       {/* Overall Score */}
@@ -20,6 +49,30 @@ export default function ResultsPanel({ result }) {
         </p>
       </div>
 
+      {/* Candidate script hung or crashed the page - browser checks were skipped */}
+      {result.renderError && (
+        <div className="bg-amber-50 p-4 rounded-lg border-2 border-amber-400">
+          <h4 className="font-semibold text-amber-900 mb-1">
+            {result.renderError.code === 'SCRIPT_TIMEOUT' ? '⏱️ Your script did not finish' : '💥 Your page crashed'}
+          </h4>
+          <p className="text-sm text-amber-800">{result.renderError.message}</p>
+          <p className="text-xs text-amber-700 mt-2">
+            Check your JavaScript for infinite loops or very large allocations, then submit again.
+          </p>
+        </div>
+      )}
+
+      {result.visual?.blockedRequests?.length > 0 && (
+        <div className="bg-gray-50 p-3 rounded-lg border border-gray-200 text-sm text-gray-700">
+          <p className="font-medium mb-1">🚫 Network requests are blocked during grading:</p>
+          <ul className="list-disc list-inside text-xs text-gray-600 space-y-0.5">
+            {result.visual.blockedRequests.slice(0, 5).map((url, index) => (
+              <li key={index} className="break-all">{url}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Encouragement Messages */}
       {result.feedback?.encouragement && result.feedback.encouragement.length > 0 && (
         <div className="bg-purple-50 p-4 rounded-lg border border-purple-200">
@@ -32,32 +85,33 @@ export default function ResultsPanel({ result }) {
       )}
 
       {/* Score Breakdown */}
-      <div className="grid grid-cols-2 gap-4">
-        <div className="bg-white p-4 rounded-lg border border-gray-200">
-          <div className="text-sm text-gray-600 mb-1">Content</div>
-          <div className="text-2xl font-bold text-purple-600">
-            {result.contentScore}%
-          </div>
-          <div className="text-xs text-gray-500 mt-1">
-            {result.content?.passed ? '✓ Passed' : '✗ Failed'}
-          </div>
-          <div className="text-xs text-gray-400 mt-1">
-            Weight: 50%
-          </div>
-        </div>
-        
-        <div className="bg-white p-4 rounded-lg border border-gray-200">
-          <div className="text-sm text-gray-600 mb-1">Visual</div>
-          <div className="text-2xl font-bold text-green-600">
-            {result.visualScore}%
-          </div>
-          <div className="text-xs text-gray-500 mt-1">
-            {result.visual?.passed ? '✓ Passed' : '✗ Failed'}
-          </div>
-          <div className="text-xs text-gray-400 mt-1">
-            Weight: 50%
+      {result.scoring && (
+        <p className="text-xs text-gray-500 text-right">
+          Grading profile: <span className="font-semibold capitalize">{result.scoring.profile}</span>
+          {result.scoring.source !== 'default' && ` (set by ${result.scoring.source})`}
+        </p>
+      )}
+      <div className={`grid gap-4 ${gridCols[scoreCards.length] || 'grid-cols-2'}`}>
+        {scoreCards.map(card => (
+          <div key={card.key} className="bg-white p-4 rounded-lg border border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">{card.label}</div>
+            <div className={`text-2xl font-bold ${card.color}`}>
+              {result[`${card.key}Score`]}%
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              {result[card.key]?.passed ? '✓ Passed' : '✗ Failed'}
+              {minimums[card.key] !== undefined && ` (min ${minimums[card.key]}%)`}
+            </div>
+            <div className="text-xs text-gray-400 mt-1">
+              Weight: {formatWeight(weights[card.key])}
+            </div>
+            {card.key === 'visual' && result.visual?.mode && result.visual.mode !== 'pixel' && (
+              <div className="text-xs text-gray-400 mt-1">
+                Pixel {result.visual.pixelScore}% · Perceptual {result.visual.perceptualScore}%
+              </div>
+            )}
           </div>
-        </div>
+        ))}
       </div>
 
       {/* Content Validation Results (NEW) */}
@@ -118,6 +172,156 @@ export default function ResultsPanel({ result }) {
         </div>
       )}
 
+      {/* Layout Comparison */}
+      {result.layout?.feedback && result.layout.feedback.length > 0 && (
+        <div className="bg-white p-4 rounded-lg border border-gray-200">
+          <h4 className="font-semibold text-lg mb-1">📐 Layout</h4>
+          <p className="text-xs text-gray-500 mb-3">
+            {result.layout.matchedElements ?? 0}/{result.layout.totalElements ?? 0} key elements found
+            {!(weights.layout > 0) && ' · feedback only, not scored'}
+          </p>
+          <ul className="space-y-1 text-sm text-gray-700">
+            {result.layout.feedback.slice(0, 12).map((line, index) => (
+              <li key={index}>{line}</li>
+            ))}
+          </ul>
+          {result.layout.feedback.length > 12 && (
+            <p className="text-xs text-gray-500 mt-2">…and {result.layout.feedback.length - 12} more</p>
+          )}
+        </div>
+      )}
+
+      {/* Accessibility Audit */}
+      {result.accessibility?.feedback && result.accessibility.feedback.length > 0 && (
+        <div className="bg-white p-4 rounded-lg border border-gray-200">
+          <h4 className="font-semibold text-lg mb-1">♿ Accessibility</h4>
+          <p className="text-xs text-gray-500 mb-3">
+            {result.accessibility.violations?.length ?? 0} issue type(s) found
+            {!(weights.accessibility > 0) && ' · feedback only, not scored'}
+          </p>
+          <ul className="space-y-1 text-sm text-gray-700">
+            {result.accessibility.feedback.slice(0, 12).map((line, index) => (
+              <li key={index}>{line}</li>
+            ))}
+          </ul>
+          {result.accessibility.violations?.some(v => v.helpUrl) && (
+            <div className="mt-3 flex flex-wrap gap-2 text-xs">
+              {result.accessibility.violations.filter(v => v.helpUrl).map((violation) => (
+                <a
+                  key={violation.id}
+                  href={violation.helpUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="px-2 py-1 rounded bg-indigo-50 text-indigo-700 hover:underline"
+                >
+                  How to fix: {violation.id}
+                </a>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Code Quality */}
+      {result.quality?.feedback && result.quality.feedback.length > 0 && (
+        <div className="bg-white p-4 rounded-lg border border-gray-200">
+          <h4 className="font-semibold text-lg mb-1">🧹 Code Quality</h4>
+          <p className="text-xs text-gray-500 mb-3">
+            {result.quality.errors ?? 0} error(s), {result.quality.warnings ?? 0} warning(s) · underlined in the editor
+            {!(weights.quality > 0) && ' · feedback only, not scored'}
+          </p>
+          <ul className="space-y-1 text-sm text-gray-700 font-mono">
+            {result.quality.feedback.slice(0, 12).map((line, index) => (
+              <li key={index}>{line}</li>
+            ))}
+          </ul>
+          {result.quality.feedback.length > 12 && (
+            <p className="text-xs text-gray-500 mt-2">…and {result.quality.feedback.length - 12} more</p>
+          )}
+        </div>
+      )}
+
+      {/* Behavior Test Results */}
+      {result.behavior?.tests && result.behavior.tests.length > 0 && (
+        <div className="space-y-4">
+          <h4 className="font-semibold text-lg">⚡ Interaction Tests</h4>
+          <div className="space-y-3">
+            {result.behavior.tests.map((test, index) => (
+              <div
+                key={index}
+                className={`p-4 rounded-lg border-2 ${
+                  test.passed
+                    ? 'bg-green-50 border-green-300'
+                    : 'bg-red-50 border-red-300'
+                }`}
+              >
+                <h5 className="font-semibold mb-2">
+                  {test.passed ? '✅' : '❌'} {test.name}
+                </h5>
+                {test.steps?.filter(step => !step.ok).map((step, stepIndex) => (
+                  <p key={stepIndex} className="text-sm text-red-700 mb-1">
+                    Step {step.index} ({step.action} {step.selector}): {step.error}
+                  </p>
+                ))}
+                <ul className="text-sm space-y-1">
+                  {test.assertions?.map((assertion, assertionIndex) => (
+                    <li
+                      key={assertionIndex}
+                      className={assertion.skipped ? 'text-gray-500' : assertion.passed ? 'text-green-700' : 'text-red-700'}
+                    >
+                      {assertion.skipped ? '⏭️' : assertion.passed ? '✓' : '✗'} {assertion.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Logic (unit test) Results */}
+      {result.logic?.tests && result.logic.tests.length > 0 && (
+        <div className="space-y-4">
+          <h4 className="font-semibold text-lg">
+            🧪 Unit Tests ({result.logic.passedTests}/{result.logic.totalTests} passed)
+          </h4>
+          <div className="space-y-3">
+            {result.logic.tests.map((test, index) => (
+              <div
+                key={index}
+                className={`p-4 rounded-lg border-2 ${
+                  test.skipped
+                    ? 'bg-gray-50 border-gray-200'
+                    : test.passed
+                      ? 'bg-green-50 border-green-300'
+                      : 'bg-red-50 border-red-300'
+                }`}
+              >
+                <h5 className="font-semibold mb-1">
+                  {test.skipped ? '⏭️' : test.passed ? '✅' : '❌'} {test.name}
+                </h5>
+                {test.call && test.call !== test.name && (
+                  <p className="text-xs font-mono text-gray-600 mb-2">{test.call}</p>
+                )}
+                {test.error && (
+                  <p className="text-sm text-red-700 mb-1">{test.error}</p>
+                )}
+                <ul className="text-sm space-y-1">
+                  {test.assertions?.map((assertion, assertionIndex) => (
+                    <li
+                      key={assertionIndex}
+                      className={assertion.skipped ? 'text-gray-500' : assertion.passed ? 'text-green-700' : 'text-red-700'}
+                    >
+                      {assertion.skipped ? '⏭️' : assertion.passed ? '✓' : '✗'} {assertion.message}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Semantic Role Detection Results - HIDDEN (Generic/Not Question-Specific) */}
       {false && result.feedback?.categories && (
         <div className="space-y-4">
@@ -251,34 +455,56 @@ export default function ResultsPanel({ result }) {
       {result.visual?.screenshots && (
         <div className="bg-white p-4 rounded-lg border border-gray-200">
           <h4 className="font-semibold mb-3">📸 Visual Comparison</h4>
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <p className="text-xs text-gray-600 mb-2 font-medium">Your Output</p>
-              <img
-                src={`http://localhost:5000${result.visual.screenshots.candidate}`}
-                alt="Candidate output"
-                className="w-full border-2 border-gray-300 rounded shadow-sm"
-              />
-            </div>
-            <div>
-              <p className="text-xs text-gray-600 mb-2 font-medium">Expected Output</p>
-              <img
-                src={`http://localhost:5000${result.visual.screenshots.expected}`}
-                alt="Expected output"
-                className="w-full border-2 border-gray-300 rounded shadow-sm"
-              />
+          {visualViewports.length > 1 && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {visualViewports.map((viewport, index) => (
+                <button
+                  key={viewport.name}
+                  type="button"
+                  onClick={() => setViewportIndex(index)}
+                  className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                    index === viewportIndex
+                      ? 'bg-indigo-600 text-white border-indigo-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {viewport.name} ({viewport.width}×{viewport.height}) · {viewport.score}%
+                </button>
+              ))}
             </div>
-          </div>
-          <div className="mt-4">
-            <p className="text-xs text-gray-600 mb-2 font-medium">Differences Highlighted</p>
-            <img
-              src={`http://localhost:5000${result.visual.screenshots.diff}`}
-              alt="Diff"
-              className="w-full border-2 border-red-300 rounded shadow-sm"
-            />
-            <p className="text-xs text-gray-500 mt-2 text-center">
-              {result.visual.diffPercentage}% of pixels differ
-            </p>
+          )}
+          {activeViewport.error && (
+            <p className="text-xs text-red-600 mb-3">⚠️ {activeViewport.error}</p>
+          )}
+          <ImageComparison
+            key={activeViewport.name}
+            screenshots={activeViewport.screenshots}
+            annotations={activeViewport.annotations || []}
+            diffPercentage={activeViewport.diffPercentage}
+            maskedPixels={activeViewport.maskedPixels}
+          />
+          <div>
+            {activeViewport.screenshots?.annotated && (
+              <p className="text-xs text-center mt-2">
+                <a
+                  href={`http://localhost:5000${activeViewport.screenshots.annotated}`}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="text-indigo-600 hover:underline"
+                >
+                  Open annotated screenshot
+                </a>
+              </p>
+            )}
+            {activeViewport.regions?.filter(region => region.weight > 0).length > 0 && (
+              <div className="mt-3 flex flex-wrap gap-2 justify-center">
+                {activeViewport.regions.filter(region => region.weight > 0).map((region, index) => (
+                  <span key={index} className="px-2 py-1 bg-gray-100 rounded text-xs text-gray-700">
+                    {region.name} (×{region.weight}): {region.diffPercentage}% differ
+                  </span>
+                ))}
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react';
+import { getSessionTimeline } from '../services/api';
+
+const EVENT_LABELS = {
+  tab_switch: { icon: '🗂️', label: 'Switched tab' },
+  exit_fullscreen: { icon: '🖥️', label: 'Left fullscreen' },
+  copy_paste: { icon: '📋', label: 'Copy/paste attempt' },
+  esc_key: { icon: '⌨️', label: 'Pressed Esc' },
+  focus_loss: { icon: '👁️', label: 'Window lost focus' },
+  devtools_open: { icon: '🛠️', label: 'Developer tools likely open' },
+  window_resize: { icon: '↔️', label: 'Window resized' },
+  idle: { icon: '💤', label: 'Idle' }
+};
+
+const formatDuration = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+const formatClock = (at) => new Date(at).toLocaleTimeString('en-US', {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+// Time since the session started, e.g. "+12:05"
+const formatOffset = (at, startedAt) => {
+  const seconds = Math.max(0, Math.round((new Date(at) - new Date(startedAt)) / 1000));
+  return `+${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const describeDetails = (details) => {
+  if (!details) return '';
+  const parts = [];
+  if (details.action) parts.push(details.shortcut ? `${details.action} shortcut` : details.action);
+  if (details.durationMs !== undefined) parts.push(`for ${formatDuration(details.durationMs)}`);
+  if (details.from && details.to) parts.push(`${details.from} → ${details.to}`);
+  if (details.widthGap !== undefined) parts.push(`window ${details.widthGap}×${details.heightGap}px larger than page`);
+  return parts.join(' · ');
+};
+
+/**
+ * Proctoring events and submissions of one test session in the order they happened,
+ * so reviewers can judge flagged attempts in context
+ */
+export default function SessionTimeline({ sessionId, onViewDetails }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [showObservations, setShowObservations] = useState(true);
+
+  useEffect(() => {
+    getSessionTimeline(sessionId)
+      .then(res => setData(res.data))
+      .catch(err => setError(err.response?.data?.error || 'Failed to load the session timeline'));
+  }, [sessionId]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+  if (!data) {
+    return <p className="text-sm text-gray-500">Loading timeline...</p>;
+  }
+
+  const startedAt = data.session.started_at;
+  const counts = data.events.reduce((acc, event) => {
+    acc[event.type] = (acc[event.type] || 0) + 1;
+    return acc;
+  }, {});
+  const entries = data.timeline.filter(entry => showObservations || entry.kind !== 'event' || entry.event.counted);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {Object.keys(counts).length === 0 && (
+          <span className="text-sm text-gray-500">No proctoring events were recorded.</span>
+        )}
+        {Object.entries(counts).map(([type, count]) => (
+          <span key={type} className="px-2 py-1 rounded text-xs bg-white border text-gray-700">
+            {EVENT_LABELS[type]?.icon} {EVENT_LABELS[type]?.label || type}: <span className="font-semibold">{count}</span>
+          </span>
+        ))}
+        <label className="ml-auto flex items-center gap-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={showObservations}
+            onChange={(e) => setShowObservations(e.target.checked)}
+          />
+          Show events that don't count as violations
+        </label>
+      </div>
+
+      <ol className="relative border-l-2 border-gray-200 ml-2 space-y-2">
+        {entries.map((entry, index) => {
+          let icon = '•';
+          let title = '';
+          let description = '';
+          let tone = 'bg-white border-gray-200';
+          let action = null;
+
+          if (entry.kind === 'start') {
+            icon = '▶️';
+            title = 'Test started';
+            tone = 'bg-blue-50 border-blue-200';
+          } else if (entry.kind === 'completed') {
+            icon = '🏁';
+            title = 'Test finished';
+            tone = 'bg-blue-50 border-blue-200';
+          } else if (entry.kind === 'terminated') {
+            icon = '⛔';
+            title = 'Test terminated';
+            description = entry.reason || '';
+            tone = 'bg-gray-800 border-gray-900 text-white';
+          } else if (entry.kind === 'submission') {
+            const { submission } = entry;
+            icon = '📤';
+            title = `Submitted ${submission.challenge_id}`;
+            description = `${submission.status?.toUpperCase() || 'PENDING'} · ${submission.final_score ?? 0}%`;
+            if (submission.solution_match?.flagged) {
+              description += ` · 🚩 matches solution (${submission.solution_match.similarity}%)`;
+            }
+            tone = 'bg-indigo-50 border-indigo-200';
+            action = (
+              <button
+                onClick={() => onViewDetails(submission.id)}
+                className="px-2 py-1 text-xs bg-indigo-100 text-indigo-700 rounded hover:bg-indigo-200"
+              >
+                View Details
+              </button>
+            );
+          } else {
+            const { event } = entry;
+            icon = EVENT_LABELS[event.type]?.icon || '•';
+            title = EVENT_LABELS[event.type]?.label || event.type;
+            description = describeDetails(event.details);
+            if (event.counted) {
+              description = [description, `violation ${event.violation_count}${data.session.max_violations ? `/${data.session.max_violations}` : ''}`]
+                .filter(Boolean)
+                .join(' · ');
+              tone = 'bg-amber-50 border-amber-300';
+            }
+          }
+
+          return (
+            <li key={index} className="ml-4">
+              <div className={`p-2 rounded border text-sm flex items-center gap-3 ${tone}`}>
+                <span className="w-6 text-center">{icon}</span>
+                <span className="font-mono text-xs opacity-70 w-32 shrink-0">
+                  {formatClock(entry.at)} <span className="opacity-70">{formatOffset(entry.at, startedAt)}</span>
+                </span>
+                <span className="font-medium">{title}</span>
+                {description && <span className="opacity-80">{description}</span>}
+                {action && <span className="ml-auto">{action}</span>}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
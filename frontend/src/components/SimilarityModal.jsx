@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { DiffEditor } from '@monaco-editor/react';
+import { getSimilarityReport, getSimilaritySettings, updateSimilaritySettings } from '../services/api';
+
+const CODE_TABS = [
+  { id: 'html', label: 'HTML', language: 'html' },
+  { id: 'css', label: 'CSS', language: 'css' },
+  { id: 'js', label: 'JavaScript', language: 'javascript' }
+];
+
+const badgeClass = (similarity) => {
+  if (similarity >= 95) return 'bg-rose-100 text-rose-700';
+  if (similarity >= 85) return 'bg-orange-100 text-orange-700';
+  return 'bg-amber-100 text-amber-700';
+};
+
+const candidateLabel = (entry) => entry.candidateName || entry.userId || entry.submissionId;
+
+export default function SimilarityModal({ courses, challenges, onClose }) {
+  const [courseId, setCourseId] = useState(courses[0]?.id || '');
+  const [challengeId, setChallengeId] = useState('');
+  const [threshold, setThreshold] = useState('');
+  const [savedThreshold, setSavedThreshold] = useState(null);
+  const [report, setReport] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [codeTab, setCodeTab] = useState('html');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [scanning, setScanning] = useState(false);
+
+  const courseChallenges = challenges.filter(challenge => challenge.courseId === courseId);
+
+  // Load the course's threshold whenever the course changes
+  useEffect(() => {
+    if (!courseId) return;
+    setReport(null);
+    setSelected(null);
+    getSimilaritySettings(courseId)
+      .then(res => {
+        setThreshold(String(res.data.threshold));
+        setSavedThreshold(res.data.threshold);
+      })
+      .catch(() => setError('Failed to load similarity settings'));
+  }, [courseId]);
+
+  const handleScan = async () => {
+    setScanning(true);
+    setError('');
+    setMessage('');
+    setSelected(null);
+    try {
+      const res = await getSimilarityReport({
+        courseId,
+        challengeId: challengeId || undefined,
+        threshold: threshold || undefined
+      });
+      setReport(res.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Similarity scan failed');
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const handleSaveThreshold = async () => {
+    setError('');
+    setMessage('');
+    try {
+      const res = await updateSimilaritySettings(courseId, { threshold: Number(threshold) });
+      setSavedThreshold(res.data.similaritySettings.threshold);
+      setMessage('Threshold saved for this course');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save threshold');
+    }
+  };
+
+  const pair = selected !== null ? report?.pairs[selected] : null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-6xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex items-center justify-between z-10">
+          <h2 className="text-2xl font-bold text-gray-900">🕵️ Similarity Check</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 text-2xl"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Course</label>
+              <select
+                value={courseId}
+                onChange={(e) => { setCourseId(e.target.value); setChallengeId(''); }}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                {courses.map(course => (
+                  <option key={course.id} value={course.id}>{course.title}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Question</label>
+              <select
+                value={challengeId}
+                onChange={(e) => setChallengeId(e.target.value)}
+                className="w-full px-3 py-2 border rounded-lg"
+              >
+                <option value="">All questions</option>
+                {courseChallenges.map(challenge => (
+                  <option key={challenge.id} value={challenge.id}>{challenge.title || challenge.id}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-semibold text-gray-700 mb-1">Flag at (%)</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={threshold}
+                  onChange={(e) => setThreshold(e.target.value)}
+                  className="w-full px-3 py-2 border rounded-lg"
+                />
+                <button
+                  onClick={handleSaveThreshold}
+                  disabled={!threshold || Number(threshold) === savedThreshold}
+                  className="px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 text-sm disabled:opacity-50"
+                  title="Save as this course's default"
+                >
+                  Save
+                </button>
+              </div>
+            </div>
+            <button
+              onClick={handleScan}
+              disabled={scanning || !courseId}
+              className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 font-semibold disabled:opacity-50"
+            >
+              {scanning ? 'Scanning…' : 'Scan Submissions'}
+            </button>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Code shared with the expected solution is ignored, and only each candidate's latest submission per question is compared.
+            Formatting, comments and renamed classes, ids or variables don't hide copying.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">{error}</div>
+          )}
+          {message && (
+            <div className="bg-green-50 border border-green-200 text-green-700 rounded-lg p-3 text-sm">{message}</div>
+          )}
+
+          {report && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-600">
+                {report.total} suspicious pair{report.total === 1 ? '' : 's'} among {report.submissions} submission{report.submissions === 1 ? '' : 's'} in {report.challenges} question{report.challenges === 1 ? '' : 's'}
+                {report.total > report.pairs.length && ` (showing the ${report.pairs.length} most similar)`}
+              </p>
+
+              {report.pairs.length > 0 && (
+                <div className="border rounded-lg divide-y max-h-72 overflow-y-auto text-sm">
+                  {report.pairs.map((entry, index) => (
+                    <button
+                      key={`${entry.first.submissionId}-${entry.second.submissionId}`}
+                      type="button"
+                      onClick={() => setSelected(index)}
+                      className={`w-full flex items-center justify-between px-3 py-2 text-left hover:bg-gray-50 ${
+                        selected === index ? 'bg-amber-50' : ''
+                      }`}
+                    >
+                      <div>
+                        <div className="font-medium text-gray-800">
+                          {candidateLabel(entry.first)} ↔ {candidateLabel(entry.second)}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {entry.challengeTitle} · HTML {entry.parts.html ?? '—'}% · CSS {entry.parts.css ?? '—'}% · JS {entry.parts.js ?? '—'}%
+                        </div>
+                      </div>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${badgeClass(entry.similarity)}`}>
+                        {entry.similarity}% similar
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {pair && (
+                <div className="border rounded-lg overflow-hidden">
+                  <div className="flex items-center justify-between bg-gray-50 px-3 py-2 border-b">
+                    <div className="flex gap-2">
+                      {CODE_TABS.map(tab => (
+                        <button
+                          key={tab.id}
+                          type="button"
+                          onClick={() => setCodeTab(tab.id)}
+                          className={`px-3 py-1 rounded text-xs font-medium ${
+                            codeTab === tab.id ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 border'
+                          }`}
+                        >
+                          {tab.label}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="text-xs text-gray-600">
+                      {candidateLabel(pair.first)} (left) · {candidateLabel(pair.second)} (right)
+                    </div>
+                  </div>
+                  <DiffEditor
+                    height="400px"
+                    language={CODE_TABS.find(tab => tab.id === codeTab).language}
+                    original={pair.first.code[codeTab]}
+                    modified={pair.second.code[codeTab]}
+                    theme="vs-dark"
+                    options={{
+                      readOnly: true,
+                      renderSideBySide: true,
+                      minimap: { enabled: false },
+                      fontSize: 13,
+                      scrollBeyondLastLine: false
+                    }}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
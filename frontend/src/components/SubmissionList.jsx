@@ -85,6 +85,14 @@ export default function SubmissionList({ submissions, onReEvaluate, onDelete })
               </p>
             </div>
             <div className="flex items-center gap-3">
+              {submission.solutionMatch?.flagged && (
+                <span
+                  className="px-3 py-1 rounded-full text-xs font-semibold bg-rose-100 text-rose-800"
+                  title="Near-identical to the expected solution"
+                >
+                  🚩 Matches solution ({submission.solutionMatch.similarity}%)
+                </span>
+              )}
               {getStatusBadge(submission.status)}
               {submission.result && (
                 <div className="text-2xl font-bold text-blue-600">
@@ -28,7 +28,10 @@ export default function AdminDashboard() {
   const loadGroupedSubmissions = async () => {
     try {
       setLoading(true);
-      const response = await axios.get(`${API_BASE_URL}/admin/submissions/grouped`);
+      const token = localStorage.getItem('adminToken');
+      const response = await axios.get(`${API_BASE_URL}/admin/submissions/grouped`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
       const sessions = response.data;
       setGroupedSessions(sessions);
       
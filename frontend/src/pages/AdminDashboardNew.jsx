@@ -4,6 +4,9 @@ import axios from 'axios';
 import QuestionManagerModal from '../components/QuestionManagerModal';
 import SubmissionList from '../components/SubmissionList';
 import GroupedSubmissionsList from '../components/GroupedSubmissionsList';
+import RegradeModal from '../components/RegradeModal';
+import SimilarityModal from '../components/SimilarityModal';
+import { getSubmissionHistory } from '../services/api';
 import { clearAdminSession, notifySessionChange } from '../utils/session';
 
 // Use environment variable for API URL
@@ -102,6 +105,8 @@ export default function AdminDashboard() {
   const [groupedSessions, setGroupedSessions] = useState([]);
   const [submissionSearch, setSubmissionSearch] = useState('');
   const [submissionViewMode, setSubmissionViewMode] = useState('grouped'); // 'grouped' or 'individual'
+  const [showRegradeModal, setShowRegradeModal] = useState(false);
+  const [showSimilarityModal, setShowSimilarityModal] = useState(false);
   const [detailModal, setDetailModal] = useState({
     open: false,
     loading: false,
@@ -178,7 +183,10 @@ export default function AdminDashboard() {
   const loadSubmissions = async () => {
     try {
       if (submissionViewMode === 'grouped') {
-        const res = await axios.get(`${API_BASE_URL}/admin/submissions/grouped`);
+        const token = localStorage.getItem('adminToken');
+        const res = await axios.get(`${API_BASE_URL}/admin/submissions/grouped`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
         setGroupedSessions(res.data || []);
         
         // Calculate stats from sessions
@@ -188,7 +196,10 @@ export default function AdminDashboard() {
         });
         setStats(prev => ({ ...prev, totalSubmissions }));
       } else {
-        const res = await axios.get(`${API_BASE_URL}/submissions`);
+        const token = localStorage.getItem('adminToken');
+        const res = await axios.get(`${API_BASE_URL}/submissions`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
         setSubmissions(res.data || []);
         setStats(prev => ({ ...prev, totalSubmissions: res.data?.length || 0 }));
       }
@@ -217,12 +228,20 @@ export default function AdminDashboard() {
     });
 
     try {
-      const res = await axios.get(`/submissions/${submissionId}`);
+      const token = localStorage.getItem('adminToken');
+      const res = await axios.get(`/submissions/${submissionId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      // Earlier results replaced by re-grades (missing history just hides the section)
+      const history = await getSubmissionHistory(submissionId)
+        .then(historyRes => historyRes.data || [])
+        .catch(() => []);
       setDetailModal({
         open: true,
         loading: false,
         error: '',
         submission: res.data,
+        history,
         submissionId
       });
     } catch (error) {
@@ -371,6 +390,26 @@ export default function AdminDashboard() {
             ))}
           </div>
 
+          {detailModal.history?.length > 0 && (
+            <div className="bg-white rounded-xl border p-5">
+              <p className="text-xs uppercase text-gray-500 mb-3">Grade History</p>
+              <ul className="space-y-2 text-sm">
+                {detailModal.history.map(entry => (
+                  <li key={entry.id} className="flex flex-wrap items-center justify-between gap-2 border-l-2 border-gray-300 pl-3">
+                    <span className="text-gray-700">
+                      {entry.previousScore ?? '—'}% {entry.previousPassed ? 'passed' : 'failed'}
+                      {' → '}
+                      <span className="font-semibold">{entry.newScore ?? '—'}% {entry.newPassed ? 'passed' : 'failed'}</span>
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {entry.reason || 'Re-graded'} · {entry.replacedAt ? new Date(entry.replacedAt).toLocaleString() : ''}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {(submission.user_screenshot || submission.expected_screenshot) && (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               {submission.user_screenshot && (
@@ -820,7 +859,7 @@ export default function AdminDashboard() {
   const handleReEvaluate = async (submissionId) => {
     if (!confirm('Re-evaluate this submission?')) return;
     try {
-      await axios.post(`/evaluate`, { submissionId });
+      await axios.post(`/evaluate`, { submissionId, wait: true });
       await loadSubmissions();
       alert('Re-evaluation complete!');
     } catch (error) {
@@ -1212,6 +1251,18 @@ export default function AdminDashboard() {
                 <div className="flex justify-between items-center mb-6">
                   <h2 className="text-2xl font-bold">Submissions Management</h2>
                   <div className="flex gap-3 items-center">
+                    <button
+                      onClick={() => setShowRegradeModal(true)}
+                      className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 text-sm font-medium"
+                    >
+                      🔁 Re-grade
+                    </button>
+                    <button
+                      onClick={() => setShowSimilarityModal(true)}
+                      className="px-4 py-2 bg-amber-600 text-white rounded-lg hover:bg-amber-700 text-sm font-medium"
+                    >
+                      🕵️ Similarity
+                    </button>
                     <div className="flex gap-2 bg-gray-100 rounded-lg p-1">
                       <button
                         onClick={() => {
@@ -1621,6 +1672,23 @@ export default function AdminDashboard() {
         )}
       </div>
 
+      {showRegradeModal && (
+        <RegradeModal
+          courses={courses}
+          challenges={challenges}
+          onClose={() => setShowRegradeModal(false)}
+          onFinished={loadSubmissions}
+        />
+      )}
+
+      {showSimilarityModal && (
+        <SimilarityModal
+          courses={courses}
+          challenges={challenges}
+          onClose={() => setShowSimilarityModal(false)}
+        />
+      )}
+
       {/* Submission Detail Modal */}
       {detailModal.open && (
         <div className="fixed inset-0 z-[60] flex items-center justify-center bg-black/50 px-4 py-8">
@@ -1639,6 +1707,14 @@ export default function AdminDashboard() {
                 </p>
               </div>
               <div className="flex flex-wrap items-center gap-3">
+                {detailModal.submission?.solutionMatch?.flagged && (
+                  <span
+                    className="px-3 py-1 rounded-full text-xs font-semibold bg-rose-100 text-rose-800"
+                    title="Near-identical to the expected solution"
+                  >
+                    🚩 Matches solution ({detailModal.submission.solutionMatch.similarity}%)
+                  </span>
+                )}
                 {detailModal.submission && renderStatusBadge(detailModal.submission.status)}
                 <button
                   onClick={() => navigate(`/admin/submission/${detailModal.submissionId || detailModal.submission?.id || ''}`)}
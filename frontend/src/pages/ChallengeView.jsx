@@ -1,8 +1,10 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { getChallenge, submitSolution, evaluateSolution, getSubmissionResult, getLevelQuestions, completeQuestion } from '../services/api';
+import { describeEvaluationStatus } from '../utils/evaluationStatus';
 import CodeEditor from '../components/CodeEditor';
 import PreviewFrame from '../components/PreviewFrame';
+import ExpectedPreview from '../components/ExpectedPreview';
 import ResultsPanel from '../components/ResultsPanel';
 
 export default function ChallengeView() {
@@ -115,14 +117,10 @@ export default function ChallengeView() {
       setEvaluationStep('🚀 Starting evaluation...');
       
       try {
-        // Show progress stages
-        setTimeout(() => setEvaluationStep('📸 Rendering screenshots...'), 500);
-        setTimeout(() => setEvaluationStep('🔍 Comparing DOM structure...'), 2000);
-        setTimeout(() => setEvaluationStep('🎨 Matching pixels...'), 4000);
-        setTimeout(() => setEvaluationStep('📊 Calculating final score...'), 6000);
-        
-        // Call evaluation and WAIT for the result (same as admin panel)
-        const evalResponse = await evaluateSolution(submissionId);
+        // Queue evaluation and show the job's real progress until the result is ready
+        const evalResponse = await evaluateSolution(submissionId, (job) => {
+          setEvaluationStep(describeEvaluationStatus(job));
+        });
         
         // Evaluation complete - show result immediately
         setEvaluationStep('✅ Complete!');
@@ -413,20 +411,14 @@ export default function ChallengeView() {
           </div>
 
           {/* Expected Screenshot */}
-          {showExpectedScreenshot && challenge?.expectedSolution && (
+          {showExpectedScreenshot && (challenge?.expectedSolution || challenge?.expectedPreviewUrl) && (
             <div className="card">
               <div className="flex justify-between items-center mb-3">
                 <h2 className="text-lg font-bold text-green-700">✅ Expected Result</h2>
                 <span className="text-xs text-gray-500">This is what your solution should look like</span>
               </div>
               <div className="border-2 border-green-200 rounded-lg overflow-hidden bg-white">
-                <PreviewFrame 
-                  code={{
-                    html: challenge.expectedSolution.html || '',
-                    css: challenge.expectedSolution.css || '',
-                    js: challenge.expectedSolution.js || ''
-                  }} 
-                />
+                <ExpectedPreview challenge={challenge} />
               </div>
               <div className="mt-3 p-3 bg-green-50 border border-green-200 rounded-lg">
                 <p className="text-sm text-green-800">
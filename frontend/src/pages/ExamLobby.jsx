@@ -0,0 +1,177 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+import { getLevelSchedule } from '../services/api';
+import { getExamAccess, saveExamAccess, examAccessHeaders } from '../utils/examAccess';
+
+const formatDateTime = (at) => new Date(at).toLocaleString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  const days = Math.floor(seconds / 86400);
+  const clock = [Math.floor(seconds / 3600) % 24, Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(part => String(part).padStart(2, '0'))
+    .join(':');
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
+
+/**
+ * Waiting room of a scheduled exam: counts down to the start (on the server's clock), shows the
+ * window and time allowance, and asks for the access code or invite before the test page opens
+ */
+export default function ExamLobby() {
+  const { courseId, level } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+
+  const [info, setInfo] = useState(null);
+  const [clockOffset, setClockOffset] = useState(0); // server time minus local time
+  const [now, setNow] = useState(Date.now());
+  const [accessCode, setAccessCode] = useState(() => getExamAccess(courseId, level).accessCode || '');
+  const [invite, setInvite] = useState(() => searchParams.get('invite') || getExamAccess(courseId, level).invite || '');
+  const [error, setError] = useState(location.state?.error || '');
+  const [entering, setEntering] = useState(false);
+
+  const loadSchedule = async () => {
+    try {
+      const response = await getLevelSchedule(courseId, level);
+      if (!response.data.scheduled) {
+        navigate(`/level/${courseId}/${level}`, { replace: true });
+        return;
+      }
+      setClockOffset(new Date(response.data.serverTime).getTime() - Date.now());
+      setInfo(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load the exam schedule');
+    }
+  };
+
+  useEffect(() => {
+    loadSchedule();
+  }, [courseId, level]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const serverNow = now + clockOffset;
+  const startsIn = info?.startsAt ? new Date(info.startsAt).getTime() - serverNow : 0;
+  const waiting = info?.status === 'upcoming' && startsIn > 0;
+
+  // Refresh the status from the server once the countdown runs out
+  useEffect(() => {
+    if (info?.status === 'upcoming' && startsIn <= 0) {
+      loadSchedule();
+    }
+  }, [info?.status, startsIn <= 0]);
+
+  const handleEnter = async () => {
+    setEntering(true);
+    setError('');
+    const access = { accessCode: accessCode.trim(), invite: invite.trim() };
+    try {
+      const response = await getLevelSchedule(courseId, level, examAccessHeaders(courseId, level, access));
+      if (!response.data.access?.allowed) {
+        setInfo(response.data);
+        setError(response.data.access?.error || 'You cannot start this exam yet');
+        return;
+      }
+      saveExamAccess(courseId, level, access);
+      navigate(`/level/${courseId}/${level}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to check exam access');
+    } finally {
+      setEntering(false);
+    }
+  };
+
+  if (!info) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+        {error ? <p className="text-red-600">{error}</p> : <p className="text-gray-600">Loading exam...</p>}
+      </div>
+    );
+  }
+
+  const closed = info.status === 'closed' || info.status === 'late';
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+      <div className="bg-white rounded-xl shadow-lg border max-w-lg w-full p-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">📅 Level {level} Exam</h2>
+
+        {waiting && (
+          <div className="text-center my-6">
+            <p className="text-sm text-gray-600 mb-1">The exam opens in</p>
+            <p className="text-4xl font-mono font-bold text-indigo-600">{formatCountdown(startsIn)}</p>
+          </div>
+        )}
+        {info.status === 'closed' && (
+          <p className="my-4 p-3 rounded-lg bg-gray-100 text-gray-700">This exam has closed.</p>
+        )}
+        {info.status === 'late' && (
+          <p className="my-4 p-3 rounded-lg bg-gray-100 text-gray-700">The late-start cutoff for this exam has passed.</p>
+        )}
+
+        <ul className="text-sm text-gray-700 space-y-1 mb-4">
+          {info.startsAt && <li>🟢 Opens {formatDateTime(info.startsAt)}</li>}
+          {info.startCutoff && <li>⏳ Start by {formatDateTime(info.startCutoff)}</li>}
+          {info.endsAt && <li>🔴 Closes {formatDateTime(info.endsAt)}</li>}
+          {info.timeAllowance && <li>⏱️ {info.timeAllowance} minutes once you start (ends early if the exam closes)</li>}
+        </ul>
+
+        {!closed && info.entry === 'code' && (
+          <label className="block mb-4">
+            <span className="text-sm font-medium text-gray-700">Access code</span>
+            <input
+              type="text"
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value)}
+              placeholder="Given to you by the exam supervisor"
+              className="mt-1 w-full px-3 py-2 border rounded-lg font-mono uppercase"
+            />
+          </label>
+        )}
+        {!closed && info.entry === 'invite' && (
+          <label className="block mb-4">
+            <span className="text-sm font-medium text-gray-700">Invite</span>
+            <input
+              type="text"
+              value={invite}
+              onChange={(e) => setInvite(e.target.value)}
+              placeholder="Paste the invite from your invitation link"
+              className="mt-1 w-full px-3 py-2 border rounded-lg font-mono"
+            />
+          </label>
+        )}
+
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        <div className="flex justify-end gap-3">
+          <button
+            onClick={() => navigate(`/course/${courseId}`)}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+          >
+            Back to course
+          </button>
+          {!closed && (
+            <button
+              onClick={handleEnter}
+              disabled={waiting || entering}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-semibold disabled:opacity-50"
+            >
+              {entering ? 'Checking...' : 'Enter exam'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
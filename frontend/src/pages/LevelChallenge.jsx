@@ -2,11 +2,20 @@ import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import CodeEditor from '../components/CodeEditor';
 import PreviewFrame from '../components/PreviewFrame';
+import ExpectedPreview from '../components/ExpectedPreview';
 import ResultsPanel from '../components/ResultsPanel';
 import axios from 'axios';
+import { evaluateSolution } from '../services/api';
+import { describeEvaluationStatus } from '../utils/evaluationStatus';
+import { watchProctoringSignals } from '../utils/proctoring';
+import { getExamAccess, examAccessHeaders } from '../utils/examAccess';
+import { userAuthHeaders } from '../utils/session';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
+// Editors are sent to the test session at most this often while they change (for admin replay)
+const SNAPSHOT_INTERVAL_MS = 15000;
+
 export default function LevelChallenge() {
   const { courseId, level } = useParams();
   const navigate = useNavigate();
@@ -43,8 +52,11 @@ export default function LevelChallenge() {
   const [showViolationToast, setShowViolationToast] = useState(false);
   const [violationMessage, setViolationMessage] = useState('');
   const [lastViolationTime, setLastViolationTime] = useState(0);
+  const [resumeOffer, setResumeOffer] = useState(null); // unfinished session for this level, with its questions and autosaved code
   
   const previewRef = useRef();
+  const pendingSnapshotRef = useRef(null); // { sessionId, challengeId, code } not sent yet
+  const lastSnapshotRef = useRef({ key: null, at: 0 });
 
   useEffect(() => {
     if (courseId && level) {
@@ -61,13 +73,35 @@ export default function LevelChallenge() {
 
   const loadLevelQuestions = async () => {
     try {
+      // An unfinished attempt at this level (browser crash, lost connection) is offered for resuming
+      // instead of drawing new questions
+      const active = await axios.get(`${API_BASE_URL}/test-sessions/active`, {
+        params: { user_id: userId, course_id: courseId, level: parseInt(level) },
+        headers: userAuthHeaders()
+      }).catch(error => {
+        console.error('Failed to check for an unfinished test session:', error);
+        return null;
+      });
+      if (active?.data?.session) {
+        if (active.data.allowResume === false) {
+          await endInterruptedSession();
+          return;
+        }
+        if (active.data.questions?.length > 0) {
+          setResumeOffer(active.data);
+          setLoading(false);
+          return;
+        }
+      }
+
       const response = await axios.get(`/challenges/level-questions`, {
         params: { 
           userId, 
           courseId, 
           level: parseInt(level),
           forceNew: 'true' // Always get new random questions on each test entry
-        }
+        },
+        headers: examAccessHeaders(courseId, level)
       });
       
       let questions = response.data.assignedQuestions || [];
@@ -97,32 +131,82 @@ export default function LevelChallenge() {
       setUserAnswers(initialAnswers);
       
       // Create test session
-      await createTestSession();
+      await createTestSession(questions);
       
       setLoading(false);
     } catch (error) {
+      if (redirectToLobby(error)) return;
       console.error('Failed to load level questions:', error);
       alert('Failed to load questions');
       setLoading(false);
     }
   };
 
-  const createTestSession = async () => {
+  // Scheduled exams are entered through the lobby (countdown, access code or invite)
+  const redirectToLobby = (error) => {
+    if (error.response?.status !== 403 || !error.response.data?.schedule) return false;
+    navigate(`/exam/${courseId}/${level}`, { state: { error: error.response.data.error } });
+    return true;
+  };
+
+  const createTestSession = async (questions) => {
+    const access = getExamAccess(courseId, level);
     try {
       const response = await axios.post(`${API_BASE_URL}/test-sessions`, {
         user_id: userId,
         course_id: courseId,
-        level: parseInt(level)
-      });
+        level: parseInt(level),
+        assigned_questions: questions,
+        access_code: access.accessCode || undefined,
+        invite_token: access.invite || undefined
+      }, { headers: userAuthHeaders() });
       
       console.log('Test session created:', response.data.id);
-      setTestSessionId(response.data.id);
+      applySession(response.data);
     } catch (error) {
+      if (redirectToLobby(error)) return;
       console.error('Failed to create test session:', error);
       // Don't block the test if session creation fails
     }
   };
 
+  // The server keeps the deadline and violation count; a resumed session picks up where it left off
+  const applySession = (session) => {
+    setTestSessionId(session.id);
+    if (session.remaining_seconds != null) {
+      setTimeRemaining(Math.max(0, session.remaining_seconds));
+    }
+    setViolations(session.violation_count || 0);
+  };
+
+  const handleResume = () => {
+    const { session, questions, answers } = resumeOffer;
+    setResumeOffer(null);
+    setAssignedQuestions(questions);
+    setUserAnswers(answers);
+    applySession(session);
+  };
+
+  // The course doesn't allow resuming: starting again ends the interrupted session
+  const endInterruptedSession = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/test-sessions`, {
+        user_id: userId,
+        course_id: courseId,
+        level: parseInt(level)
+      }, { headers: userAuthHeaders() });
+    } catch (error) {
+      const session = error.response?.data?.session;
+      if (error.response?.status === 409 && session) {
+        alert(`${error.response.data.error}. Your previous attempt has been submitted.`);
+        navigate(`/test-results/${session.id}`);
+        return;
+      }
+      console.error('Failed to end interrupted test session:', error);
+    }
+    navigate(`/course/${courseId}`);
+  };
+
   // Fisher-Yates shuffle algorithm for randomizing question order
   const shuffleArray = (array) => {
     const shuffled = [...array];
@@ -163,9 +247,9 @@ export default function LevelChallenge() {
       const response = await axios.get(`/courses/${courseId}/restrictions`);
       if (response.data) {
         setRestrictions(response.data);
-        // Initialize timer if timeLimit is set
+        // Initialize timer if timeLimit is set (unless the test session already set it)
         if (response.data.timeLimit > 0) {
-          setTimeRemaining(response.data.timeLimit * 60); // Convert minutes to seconds
+          setTimeRemaining(prev => prev ?? response.data.timeLimit * 60); // Convert minutes to seconds
         }
       }
     } catch (error) {
@@ -200,18 +284,40 @@ export default function LevelChallenge() {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
-  // Handle violations
-  const handleViolation = (type) => {
+  // Handle violations - the test session on the server counts them and ends the test at the limit
+  const handleViolation = async (type, message, details = null) => {
     const now = Date.now();
     if (now - lastViolationTime < 2000) return; // 2 second cooldown
     
     setLastViolationTime(now);
-    const newViolations = violations + 1;
-    setViolations(newViolations);
-    
-    setViolationMessage(`${type}`);
+    setViolationMessage(message);
     setShowViolationToast(true);
     setTimeout(() => setShowViolationToast(false), 3000);
+
+    if (testSessionId) {
+      try {
+        const response = await axios.post(`${API_BASE_URL}/test-sessions/${testSessionId}/events`, {
+          type,
+          occurredAt: now,
+          details
+        }, { headers: userAuthHeaders() });
+        setViolations(response.data.violation_count);
+
+        if (response.data.status === 'terminated') {
+          setTimeout(() => {
+            alert(`${response.data.terminated_reason || 'Maximum violations reached'}! Test will be submitted.`);
+            handleFinishLevel();
+          }, 500);
+        }
+        return;
+      } catch (error) {
+        console.error('Failed to record violation:', error);
+      }
+    }
+
+    // No session on the server: count locally
+    const newViolations = violations + 1;
+    setViolations(newViolations);
     
     if (newViolations >= restrictions.maxViolations) {
       setTimeout(() => {
@@ -221,25 +327,68 @@ export default function LevelChallenge() {
     }
   };
 
+  // Send the latest editor contents to the session (skipped when nothing changed since the last one)
+  const flushSnapshot = () => {
+    const pending = pendingSnapshotRef.current;
+    pendingSnapshotRef.current = null;
+    if (!pending) return;
+
+    const key = [pending.challengeId, pending.code.html, pending.code.css, pending.code.js].join('\u0000');
+    if (key === lastSnapshotRef.current.key) return;
+    lastSnapshotRef.current = { key, at: Date.now() };
+
+    axios.post(`${API_BASE_URL}/test-sessions/${pending.sessionId}/snapshots`, {
+      challengeId: pending.challengeId,
+      code: pending.code
+    }, { headers: userAuthHeaders() }).catch(error => {
+      console.error('Failed to save code snapshot:', error);
+      // Snapshots double as autosave: send this code again with the next change
+      if (lastSnapshotRef.current.key === key) lastSnapshotRef.current.key = null;
+    });
+  };
+
+  // Throttled snapshots while the candidate edits
+  useEffect(() => {
+    if (!testSessionId || !challenge) return;
+
+    pendingSnapshotRef.current = { sessionId: testSessionId, challengeId: challenge.id, code };
+    const wait = Math.max(0, lastSnapshotRef.current.at + SNAPSHOT_INTERVAL_MS - Date.now());
+    const timer = setTimeout(flushSnapshot, wait);
+    return () => clearTimeout(timer);
+  }, [code, challenge, testSessionId]);
+
+  // Don't lose the last edits when moving to another question or leaving the page
+  useEffect(() => () => flushSnapshot(), [challenge?.id, testSessionId]);
+
+  // Log focus, devtools, resize and idle signals to the session for reviewers (they don't count as violations)
+  useEffect(() => {
+    if (!testSessionId) return;
+
+    return watchProctoringSignals((event) => {
+      axios.post(`${API_BASE_URL}/test-sessions/${testSessionId}/events`, event, { headers: userAuthHeaders() })
+        .catch(error => console.error('Failed to log proctoring event:', error));
+    });
+  }, [testSessionId]);
+
   // Restriction enforcement
   useEffect(() => {
     if (!restrictions.blockCopy && !restrictions.blockPaste && !restrictions.forceFullscreen) return;
 
-    const handleCopy = (e) => { if (restrictions.blockCopy) { e.preventDefault(); handleViolation('Copy blocked'); } };
-    const handlePaste = (e) => { if (restrictions.blockPaste) { e.preventDefault(); handleViolation('Paste blocked'); } };
+    const handleCopy = (e) => { if (restrictions.blockCopy) { e.preventDefault(); handleViolation('copy_paste', 'Copy blocked', { action: e.type }); } };
+    const handlePaste = (e) => { if (restrictions.blockPaste) { e.preventDefault(); handleViolation('copy_paste', 'Paste blocked', { action: 'paste' }); } };
     const handleContextMenu = (e) => { if (restrictions.blockCopy || restrictions.blockPaste) { e.preventDefault(); } };
     const handleKeyDown = (e) => {
       if ((e.ctrlKey || e.metaKey) && restrictions.blockCopy && (e.key === 'c' || e.key === 'C' || e.key === 'x' || e.key === 'X')) {
-        e.preventDefault(); handleViolation('Copy shortcut blocked');
+        e.preventDefault(); handleViolation('copy_paste', 'Copy shortcut blocked', { action: 'copy', shortcut: true });
       }
       if ((e.ctrlKey || e.metaKey) && restrictions.blockPaste && (e.key === 'v' || e.key === 'V')) {
-        e.preventDefault(); handleViolation('Paste shortcut blocked');
+        e.preventDefault(); handleViolation('copy_paste', 'Paste shortcut blocked', { action: 'paste', shortcut: true });
       }
     };
-    const handleVisibilityChange = () => { if (restrictions.forceFullscreen && document.hidden) handleViolation('Tab switched'); };
+    const handleVisibilityChange = () => { if (restrictions.forceFullscreen && document.hidden) handleViolation('tab_switch', 'Tab switched'); };
     const handleFullscreenChange = () => {
       if (restrictions.forceFullscreen && !document.fullscreenElement && violations < restrictions.maxViolations) {
-        handleViolation('Exited fullscreen');
+        handleViolation('exit_fullscreen', 'Exited fullscreen');
         // Aggressively try to re-enter fullscreen
         const reenterFullscreen = () => {
           if (!document.fullscreenElement) {
@@ -290,7 +439,7 @@ export default function LevelChallenge() {
       document.removeEventListener('fullscreenchange', handleFullscreenChange);
       if (restrictions.blockCopy) document.body.style.userSelect = '';
     };
-  }, [restrictions, violations]);
+  }, [restrictions, violations, testSessionId]);
 
   const handlePreviousQuestion = () => {
     if (currentQuestionIndex > 0) {
@@ -333,6 +482,7 @@ export default function LevelChallenge() {
     setEvaluationStep('Submitting your solution...');
 
     const questionId = challenge.id;
+    flushSnapshot();
 
     try {
       // Step 1: Create submission
@@ -340,26 +490,20 @@ export default function LevelChallenge() {
       const submitResponse = await axios.post(`${API_BASE_URL}/submissions`, {
         challengeId: questionId,
         candidateName: userId,
+        userId,
+        testSessionId,
         code: {
           html: code.html,
           css: code.css,
           js: code.js
         }
-      });
+      }, { headers: userAuthHeaders() });
 
       const submissionId = submitResponse.data.submissionId;
       
-      setEvaluationStep('Launching browser environment...');
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      setEvaluationStep('Rendering your code...');
-      await new Promise(resolve => setTimeout(resolve, 500));
-      
-      setEvaluationStep('Comparing with expected solution...');
-      
-      // Step 2: Evaluate submission
-      const evalResponse = await axios.post(`${API_BASE_URL}/evaluate`, {
-        submissionId: submissionId
+      // Step 2: Queue evaluation and follow its progress
+      const evalResponse = await evaluateSolution(submissionId, (job) => {
+        setEvaluationStep(describeEvaluationStatus(job));
       });
 
       const evalResult = evalResponse.data.result;
@@ -377,23 +521,18 @@ export default function LevelChallenge() {
         }
       }));
 
-      // Add submission to test session
-      if (testSessionId && submissionId) {
-        try {
-          await axios.post(`/test-sessions/${testSessionId}/submissions`, {
-            submission_id: submissionId
-          });
-          console.log('Added submission to test session');
-        } catch (err) {
-          console.error('Failed to add submission to session:', err);
-        }
-      }
-      
       setEvaluationStep('');
     } catch (error) {
+      // The server refuses answers once the session's time is up or it was terminated
+      if (error.response?.status === 403 && testSessionId) {
+        alert(`${error.response.data?.error || 'This test has ended'}. Your test will be submitted.`);
+        setEvaluationStep('');
+        handleFinishLevel();
+        return;
+      }
       console.error('Submission failed:', error);
       console.error('Error details:', error.response?.data || error.message);
-      alert(`Failed to submit: ${error.response?.data?.error || error.message || 'Unknown error'}`);
+      alert(`Failed to submit: ${error.response?.data?.details || error.response?.data?.error || error.message || 'Unknown error'}`);
       setEvaluationStep('');
     } finally {
       setSubmitting(false);
@@ -517,6 +656,46 @@ export default function LevelChallenge() {
     );
   }
 
+  if (resumeOffer) {
+    const { session, questions, answers } = resumeOffer;
+    const saved = questions.filter(q => answers[q.id]?.html || answers[q.id]?.css || answers[q.id]?.js).length;
+    const submitted = questions.filter(q => answers[q.id]?.submitted).length;
+
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+        <div className="bg-white rounded-xl shadow-lg border max-w-lg w-full p-6">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Resume your test?</h2>
+          <p className="text-gray-600 mb-4">
+            Your last attempt at Level {level} was interrupted. You can continue with the same questions and your autosaved code.
+          </p>
+          <ul className="text-sm text-gray-700 space-y-1 mb-4">
+            <li>📝 {questions.length} question{questions.length === 1 ? '' : 's'}: {saved} with saved code, {submitted} submitted</li>
+            {session.remaining_seconds != null && (
+              <li>⏱️ {formatTime(Math.max(0, session.remaining_seconds))} remaining (the timer kept running while you were away)</li>
+            )}
+            {session.violation_count > 0 && (
+              <li>⚠️ {session.violation_count}{session.max_violations ? ` of ${session.max_violations}` : ''} violations recorded</li>
+            )}
+          </ul>
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={() => navigate(`/course/${courseId}`)}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              Not now
+            </button>
+            <button
+              onClick={handleResume}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-semibold"
+            >
+              Resume test
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (!challenge) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -721,6 +900,7 @@ export default function LevelChallenge() {
             <CodeEditor
               code={code}
               onChange={setCode}
+              markers={result?.quality?.findings}
             />
           </div>
         </div>
@@ -743,20 +923,14 @@ export default function LevelChallenge() {
           </div>
 
           {/* Expected Screenshot */}
-          {showExpectedScreenshot && challenge?.expectedSolution && (
+          {showExpectedScreenshot && (challenge?.expectedSolution || challenge?.expectedPreviewUrl) && (
             <div className="card">
               <div className="flex justify-between items-center mb-3">
                 <h2 className="text-lg font-bold text-green-700">✅ Expected Result</h2>
                 <span className="text-xs text-gray-500">This is what your solution should look like</span>
               </div>
               <div className="border-2 border-green-200 rounded-lg overflow-hidden bg-white">
-                <PreviewFrame 
-                  code={{
-                    html: challenge.expectedSolution.html || '',
-                    css: challenge.expectedSolution.css || '',
-                    js: challenge.expectedSolution.js || ''
-                  }} 
-                />
+                <ExpectedPreview challenge={challenge} />
               </div>
             </div>
           )}
@@ -357,7 +357,8 @@ export default function LevelChallengeOld() {
       setEvaluationStep('Comparing with expected solution...');
 
       const evalResponse = await axios.post(`${API_BASE_URL}/evaluate`, {
-        submissionId
+        submissionId,
+        wait: true
       });
 
       const evalResult = evalResponse.data.result;
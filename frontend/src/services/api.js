@@ -61,18 +61,74 @@ export const updateCourseRestrictions = (courseId, restrictions) =>
   api.put(`/courses/${courseId}/restrictions`, restrictions);
 export const getCourseRestrictions = (courseId) =>
   api.get(`/courses/${courseId}/restrictions`);
+
+// Course grading defaults (weight profile + per-dimension minimums)
+export const getCourseEvaluationSettings = (courseId) =>
+  api.get(`/courses/${courseId}/evaluation-settings`);
+export const updateCourseEvaluationSettings = (courseId, settings) =>
+  api.put(`/courses/${courseId}/evaluation-settings`, settings);
 export const getLevelSettings = (courseId) =>
   api.get(`/courses/${courseId}/level-settings`);
 
+// Exam scheduling (window, late-start cutoff, access code or one-time invites)
+export const getLevelSchedule = (courseId, level, headers = {}) =>
+  api.get(`/courses/${courseId}/levels/${level}/schedule`, { headers });
+export const getCourseSchedule = (courseId) =>
+  api.get(`/courses/${courseId}/schedule`);
+export const updateCourseSchedule = (courseId, schedule) =>
+  api.put(`/courses/${courseId}/schedule`, schedule);
+export const getExamInvites = (courseId) =>
+  api.get(`/courses/${courseId}/invites`);
+// { labels: [...] or count, level, timeAllowance }
+export const createExamInvites = (courseId, data) =>
+  api.post(`/courses/${courseId}/invites`, data);
+export const revokeExamInvite = (courseId, inviteId) =>
+  api.delete(`/courses/${courseId}/invites/${inviteId}`);
+
 // Submissions
 export const submitSolution = (data) => api.post('/submissions', data);
 export const getSubmission = (id) => api.get(`/submissions/${id}`);
 export const getSubmissionResult = (id) => api.get(`/submissions/${id}/result`);
 
-// Evaluation
-export const evaluateSolution = (submissionId) => 
+// Evaluation (runs in a background queue: queue the submission, then poll the job)
+const EVALUATION_POLL_INTERVAL = 1500;
+const EVALUATION_POLL_LIMIT = 10 * 60 * 1000;
+
+export const queueEvaluation = (submissionId) =>
   api.post('/evaluate', { submissionId });
 
+export const getEvaluationJob = (jobId) =>
+  api.get(`/evaluate/jobs/${jobId}`);
+
+/**
+ * Queue a submission and wait for its result, reporting progress along the way
+ * @param {string} submissionId
+ * @param {Function} onStatus - Called with { status, position } whenever the job is polled
+ * @returns {Promise} - Resolves to { data: { result } } once the job is done
+ */
+export const evaluateSolution = async (submissionId, onStatus) => {
+  const queued = await queueEvaluation(submissionId);
+  const { jobId } = queued.data;
+  const startedAt = Date.now();
+  let job = queued.data;
+
+  while (Date.now() - startedAt < EVALUATION_POLL_LIMIT) {
+    if (onStatus) onStatus(job);
+
+    if (job.status === 'done') {
+      return { data: { message: 'Evaluation complete', jobId, result: job.result } };
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Evaluation failed');
+    }
+
+    await new Promise(resolve => setTimeout(resolve, EVALUATION_POLL_INTERVAL));
+    job = (await getEvaluationJob(jobId)).data;
+  }
+
+  throw new Error('Evaluation is taking too long. Check your results again in a moment.');
+};
+
 export const quickEvaluate = (code, challengeId) =>
   api.post('/evaluate/quick', { code, challengeId });
 
@@ -101,4 +157,32 @@ export const reEvaluateSubmission = (id) =>
 export const deleteSubmission = (id) =>
   api.delete(`/admin/submissions/${id}`);
 
+// Batch re-grade: { courseId, level, challengeId, dryRun, reason }
+export const startRegrade = (scope) =>
+  api.post('/admin/regrade', scope);
+
+export const getRegrade = (batchId) =>
+  api.get(`/admin/regrade/${batchId}`);
+
+export const getSubmissionHistory = (id) =>
+  api.get(`/admin/submissions/${id}/history`);
+
+// Plagiarism scan: { courseId, challengeId, threshold }
+export const getSimilarityReport = (params) =>
+  api.get('/admin/similarity', { params });
+
+export const getSimilaritySettings = (courseId) =>
+  api.get(`/courses/${courseId}/similarity-settings`);
+
+export const updateSimilaritySettings = (courseId, settings) =>
+  api.put(`/courses/${courseId}/similarity-settings`, settings);
+
+// Proctoring events and submissions of a test session, in order
+export const getSessionTimeline = (sessionId) =>
+  api.get(`/test-sessions/${sessionId}/timeline`);
+
+// Code snapshots of a test session for replay (optionally one question's)
+export const getSessionSnapshots = (sessionId, challengeId) =>
+  api.get(`/test-sessions/${sessionId}/snapshots`, { params: { challengeId } });
+
 export default api;
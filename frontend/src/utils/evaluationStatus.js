@@ -0,0 +1,19 @@
+// Progress text for evaluation jobs (queued -> rendering -> scoring -> done)
+export function describeEvaluationStatus(job) {
+  switch (job?.status) {
+    case 'queued':
+      return job.position > 1
+        ? `⏳ Waiting in line (${job.position - 1} ahead of you)...`
+        : '⏳ Waiting for a free evaluator...';
+    case 'rendering':
+      return '📸 Rendering your code and the expected solution...';
+    case 'scoring':
+      return '📊 Calculating your score...';
+    case 'done':
+      return '✅ Complete!';
+    case 'failed':
+      return '❌ Evaluation failed';
+    default:
+      return 'Evaluating...';
+  }
+}
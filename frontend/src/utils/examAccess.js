@@ -0,0 +1,27 @@
+// Access code / invite a candidate entered in the exam lobby, kept for this browser tab so the
+// test page can send them when it loads the questions and starts the session
+
+const storageKey = (courseId, level) => `examAccess:${courseId}:${level}`;
+
+export const getExamAccess = (courseId, level) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(storageKey(courseId, level))) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveExamAccess = (courseId, level, { accessCode, invite }) => {
+  sessionStorage.setItem(storageKey(courseId, level), JSON.stringify({
+    accessCode: accessCode || '',
+    invite: invite || ''
+  }));
+};
+
+// Request headers carrying the saved credentials (kept out of URLs and server logs)
+export const examAccessHeaders = (courseId, level, access = getExamAccess(courseId, level)) => {
+  const headers = {};
+  if (access.accessCode) headers['X-Exam-Access-Code'] = access.accessCode;
+  if (access.invite) headers['X-Exam-Invite'] = access.invite;
+  return headers;
+};
@@ -0,0 +1,91 @@
+// Proctoring signals that are logged for reviewers but don't count as violations on their own:
+// focus moving to another window, devtools likely open, window resizes and idle periods
+
+// No mouse, keyboard or scroll activity for this long is reported as an idle period
+export const IDLE_THRESHOLD_MS = 60 * 1000;
+
+// Browser chrome is rarely this much larger than the page unless docked devtools take the space
+const DEVTOOLS_GAP_PX = 160;
+const DEVTOOLS_CHECK_MS = 2000;
+
+// Resizes are reported once the window has stopped changing for this long
+const RESIZE_SETTLE_MS = 500;
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Start watching the page
+ * @param {Function} report - Called with { type, occurredAt, details } for every signal
+ * @returns {Function} - Stops watching (an idle period still in progress is reported)
+ */
+export function watchProctoringSignals(report) {
+  let blurredAt = null;
+  let devtoolsOpen = false;
+  let resizeTimer = null;
+  let lastSize = `${window.innerWidth}x${window.innerHeight}`;
+  let lastActivity = Date.now();
+
+  // Focus moving into the preview iframe is still on the page; a hidden tab is reported as a tab switch
+  const handleBlur = () => {
+    if (document.hidden || document.activeElement?.tagName === 'IFRAME') return;
+    blurredAt = Date.now();
+  };
+  const handleFocus = () => {
+    if (blurredAt === null) return;
+    report({ type: 'focus_loss', occurredAt: blurredAt, details: { durationMs: Date.now() - blurredAt } });
+    blurredAt = null;
+  };
+
+  const checkDevtools = () => {
+    const widthGap = window.outerWidth - window.innerWidth;
+    const heightGap = window.outerHeight - window.innerHeight;
+    const open = widthGap > DEVTOOLS_GAP_PX || heightGap > DEVTOOLS_GAP_PX;
+    if (open && !devtoolsOpen) {
+      report({ type: 'devtools_open', occurredAt: Date.now(), details: { widthGap, heightGap } });
+    }
+    devtoolsOpen = open;
+  };
+
+  const handleResize = () => {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(() => {
+      const size = `${window.innerWidth}x${window.innerHeight}`;
+      if (size === lastSize) return;
+      report({
+        type: 'window_resize',
+        occurredAt: Date.now(),
+        details: { from: lastSize, to: size, screen: `${window.screen.width}x${window.screen.height}` }
+      });
+      lastSize = size;
+      checkDevtools();
+    }, RESIZE_SETTLE_MS);
+  };
+
+  const reportIdle = (now) => {
+    if (now - lastActivity >= IDLE_THRESHOLD_MS) {
+      report({ type: 'idle', occurredAt: lastActivity, details: { durationMs: now - lastActivity } });
+    }
+  };
+  const handleActivity = () => {
+    const now = Date.now();
+    reportIdle(now);
+    lastActivity = now;
+  };
+
+  window.addEventListener('blur', handleBlur);
+  window.addEventListener('focus', handleFocus);
+  window.addEventListener('resize', handleResize);
+  ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, handleActivity, { capture: true, passive: true }));
+  const devtoolsInterval = setInterval(checkDevtools, DEVTOOLS_CHECK_MS);
+  checkDevtools();
+
+  return () => {
+    reportIdle(Date.now());
+    clearInterval(devtoolsInterval);
+    clearTimeout(resizeTimer);
+    window.removeEventListener('blur', handleBlur);
+    window.removeEventListener('focus', handleFocus);
+    window.removeEventListener('resize', handleResize);
+    ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, handleActivity, { capture: true }));
+  };
+}
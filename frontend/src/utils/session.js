@@ -18,6 +18,12 @@ export const clearAdminSession = () => {
   notifySessionChange();
 };
 
+// Candidate's sign-in for requests made outside the shared API client (test sessions, submissions)
+export const userAuthHeaders = () => {
+  const token = localStorage.getItem('userToken');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
 export const subscribeToSessionChanges = (callback) => {
   if (typeof window === 'undefined') return () => {};
   const handler = () => callback(isAdminSessionActive());